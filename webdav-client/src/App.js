@@ -2,11 +2,49 @@ import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import './App.css';
 import Login from './components/Login';
+import Breadcrumbs from './components/Breadcrumbs';
+import FilePreview from './components/FilePreview';
+import FolderPicker from './components/FolderPicker';
+import LockPanel from './components/LockPanel';
+import PropertiesPanel from './components/PropertiesPanel';
+import ConformancePage from './components/ConformancePage';
+import QuotaBar from './components/QuotaBar';
+import ConfirmDialog from './components/ConfirmDialog';
+import TrashPanel from './components/TrashPanel';
+import HistoryPanel from './components/HistoryPanel';
+import SharePanel from './components/SharePanel';
+import SearchBox from './components/SearchBox';
+import UploadQueue from './components/UploadQueue';
+import useUploadQueue from './hooks/useUploadQueue';
+import useChangeEvents from './hooks/useChangeEvents';
+import { previewKind } from './utils/preview';
+import {
+    baseName,
+    encodePath,
+    hashForPath,
+    hrefPathname,
+    joinPath,
+    normalizePath,
+    parentPath,
+    pathFromHash
+} from './utils/paths';
+import { entriesFromDataTransfer, entriesFromFileList, planUpload } from './utils/uploads';
+import { formatExpiry, lockInfoBody, parseLockDiscovery } from './utils/locks';
+import { parseDeadProperties, parsePropPatchResult, propPatchBody } from './utils/properties';
+import { QUOTA_PROPFIND_BODY, parseQuota, uploadBytes } from './utils/quota';
+import { changeEffects } from './utils/events';
 
-const baseURL = process.env.NODE_ENV === 'production' 
-    ? `/api`
+// The React app is served by the same server in production
+const serverURL = process.env.NODE_ENV === 'production'
+    ? ''
     : 'http://localhost:8080';
 
+// WebDAV mount
+const baseURL = `${serverURL}/api`;
+
+// REST endpoints that sit next to the WebDAV mount (permissions, ...)
+const restBaseURL = `${serverURL}/rest`;
+
 const axiosInstance = axios.create({
     baseURL,
     withCredentials: true,
@@ -17,6 +55,78 @@ const axiosInstance = axios.create({
 // Remove the default Content-Type header
 delete axiosInstance.defaults.headers['Content-Type'];
 
+// Access token of the login session. It lives in memory only; the refresh
+// token is an HttpOnly cookie the server sets on /rest/auth
+let accessToken = null;
+
+// Called when the session ends behind our back (refresh token expired or revoked)
+let onSessionEnded = null;
+
+const setAccessToken = (token) => {
+    accessToken = token;
+    if (token) {
+        axiosInstance.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+    } else {
+        delete axiosInstance.defaults.headers.common['Authorization'];
+    }
+};
+
+// Log in: { accessToken, expiresIn, session, user }
+const loginSession = async (username, password) => {
+    const response = await axiosInstance.post('/auth/login', { username, password }, {
+        baseURL: restBaseURL,
+        headers: { 'Content-Type': 'application/json' }
+    });
+    setAccessToken(response.data.accessToken);
+    return response.data;
+};
+
+// Trade the refresh cookie for a new access token; concurrent callers share one request
+let pendingRefresh = null;
+const refreshSession = () => {
+    if (!pendingRefresh) {
+        pendingRefresh = axiosInstance.post('/auth/refresh', null, { baseURL: restBaseURL })
+            .then((response) => {
+                setAccessToken(response.data.accessToken);
+                return response.data;
+            })
+            .finally(() => {
+                pendingRefresh = null;
+            });
+    }
+    return pendingRefresh;
+};
+
+// End the session on the server, so neither token works any more
+const endSession = async () => {
+    try {
+        await axiosInstance.post('/auth/logout', null, { baseURL: restBaseURL });
+    } finally {
+        setAccessToken(null);
+    }
+};
+
+// Access tokens are short-lived: on a 401, refresh once and replay the request
+axiosInstance.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || config.retriedAfterRefresh || !accessToken
+        || String(config.url).startsWith('/auth/')) {
+        throw error;
+    }
+    try {
+        await refreshSession();
+    } catch (refreshError) {
+        setAccessToken(null);
+        if (onSessionEnded) {
+            onSessionEnded();
+        }
+        throw error;
+    }
+    config.retriedAfterRefresh = true;
+    config.headers['Authorization'] = `Bearer ${accessToken}`;
+    return axiosInstance(config);
+});
+
 // Utility function to format file sizes
 const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
@@ -26,88 +136,701 @@ const formatFileSize = (bytes) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
-function App() {
-    const [files, setFiles] = useState([]);
-    const [selectedFile, setSelectedFile] = useState(null);
-    const [folderName, setFolderName] = useState('');
-    const [status, setStatus] = useState('');
-    const [isAuthenticated, setIsAuthenticated] = useState(false);
-    const [authCredentials, setAuthCredentials] = useState(null);
+// Tooltip of the Live/Offline indicator
+const liveStatusTitle = (connected, diskChanges) => {
+    if (!connected) {
+        return 'Not receiving changes; use Refresh List';
+    }
+    if (diskChanges === false) {
+        return 'Changes made through WebDAV appear as they happen; the server is not watching its disk, so use Refresh List for files changed there';
+    }
+    return 'Changes by others appear as they happen';
+};
 
-    // Fetch directory listing
-    const fetchFiles = async () => {
-        console.log('Attempting to fetch files...');
+// Turn a failed request into a short status message
+const describeError = (err) => {
+    if (err.response?.status === 403) {
+        return 'Permission denied';
+    }
+    if (err.response?.status === 423) {
+        return 'The item is locked';
+    }
+    if (err.response?.status === 507) {
+        return 'Not enough storage: the quota is exceeded';
+    }
+    return err.message;
+};
+
+// Absolute URL of a path on the WebDAV mount (Destination headers, If tags)
+const davUrl = (path) => new URL(`${baseURL}${encodePath(path)}`, window.location.href).href;
+
+// Path on the WebDAV mount of an href returned by the server
+const davPath = (href) => {
+    const mount = hrefPathname(baseURL);
+    const pathname = hrefPathname(href);
+    if (mount === '/' || pathname === mount || pathname.startsWith(`${mount}/`)) {
+        return normalizePath(mount === '/' ? pathname : pathname.slice(mount.length));
+    }
+    return pathname;
+};
+
+// Locks this tab took, keyed by token. Writes to anything they cover name
+// them in the If header, which the server requires. They are kept in
+// sessionStorage to survive a reload; locks taken by other sessions of the
+// same user are never used, even though their owner matches.
+const LOCKS_KEY = 'webdav_locks';
+
+const loadHeldLocks = () => {
+    try {
+        return new Map(JSON.parse(sessionStorage.getItem(LOCKS_KEY) || '[]').map((lock) => [lock.token, lock]));
+    } catch (err) {
+        return new Map();
+    }
+};
+
+const heldLocks = loadHeldLocks();
+
+const saveHeldLocks = () => sessionStorage.setItem(LOCKS_KEY, JSON.stringify([...heldLocks.values()]));
+
+const rememberLock = (lock) => {
+    heldLocks.set(lock.token, lock);
+    saveHeldLocks();
+};
+
+const forgetLock = (token) => {
+    heldLocks.delete(token);
+    saveHeldLocks();
+};
+
+const forgetAllLocks = () => {
+    heldLocks.clear();
+    sessionStorage.removeItem(LOCKS_KEY);
+};
+
+// If header for a write touching the given paths, e.g. { If: '<http://.../a.txt> (<urn:uuid:...>)' }
+const lockHeaders = (...paths) => {
+    const now = Date.now();
+    const conditions = [];
+    heldLocks.forEach((lock) => {
+        if (lock.expiresAt && lock.expiresAt < now) {
+            forgetLock(lock.token);
+            return;
+        }
+        const covers = paths.some((path) => path === lock.root
+            || (lock.depth === 'infinity' && (lock.root === '/' || path.startsWith(`${lock.root}/`))));
+        if (covers) {
+            conditions.push(`<${davUrl(lock.root)}> (<${lock.token}>)`);
+        }
+    });
+    return conditions.length > 0 ? { 'If': conditions.join(' ') } : {};
+};
+
+// Fetch the current user's rights ("read", "write") on a folder and whether they are an admin
+const fetchRights = async (path = '/') => {
+    const response = await axiosInstance.get('/permissions', {
+        baseURL: restBaseURL,
+        params: { path }
+    });
+    return response.data;
+};
+
+// Admin endpoints of the conformance runner
+const adminBaseURL = `${serverURL}/admin`;
+
+const startConformanceRun = async (options) => {
+    const response = await axiosInstance.post('/conformance/runs', options, {
+        baseURL: adminBaseURL,
+        headers: { 'Content-Type': 'application/json' }
+    });
+    return response.data;
+};
+
+const listConformanceRuns = async () => {
+    const response = await axiosInstance.get('/conformance/runs', { baseURL: adminBaseURL });
+    return response.data.runs;
+};
+
+// A report (format "json", "html") or, with two ids, their comparison
+const fetchConformance = async (ids, format = 'json') => {
+    const [a, b] = ids;
+    const response = await axiosInstance.get(b ? '/conformance/compare' : `/conformance/runs/${encodeURIComponent(a)}`, {
+        baseURL: adminBaseURL,
+        params: b ? { a, b, format } : { format },
+        responseType: format === 'html' ? 'text' : 'json'
+    });
+    return response.data;
+};
+
+// The current user's trash: { entries, retentionDays }
+const fetchTrash = async () => {
+    const response = await axiosInstance.get('/trash', { baseURL: restBaseURL });
+    return response.data;
+};
+
+// Restore a trash entry to its original path, or to `path`
+const restoreTrashEntry = async (id, path) => {
+    const response = await axiosInstance.post(`/trash/${encodeURIComponent(id)}/restore`, path ? { path } : {}, {
+        baseURL: restBaseURL,
+        headers: { 'Content-Type': 'application/json' }
+    });
+    return response.data;
+};
+
+const purgeTrashEntry = async (id) => {
+    await axiosInstance.delete(`/trash/${encodeURIComponent(id)}`, { baseURL: restBaseURL });
+};
+
+const emptyTrash = async () => {
+    const response = await axiosInstance.delete('/trash', { baseURL: restBaseURL });
+    return response.data;
+};
+
+// Kept versions of a file: { path, current, versions, maxVersions, maxAgeDays }
+const fetchVersions = async (path) => {
+    const response = await axiosInstance.get('/versions', { baseURL: restBaseURL, params: { path } });
+    return response.data;
+};
+
+const fetchVersionContent = async (path, id) => {
+    const response = await axiosInstance.get(`/versions/${encodeURIComponent(id)}/content`, {
+        baseURL: restBaseURL,
+        params: { path },
+        responseType: 'blob'
+    });
+    return response.data;
+};
+
+// Unified diff of a version against the current file
+const fetchVersionDiff = async (path, id) => {
+    const response = await axiosInstance.get(`/versions/${encodeURIComponent(id)}/diff`, {
+        baseURL: restBaseURL,
+        params: { path },
+        responseType: 'text'
+    });
+    return response.data;
+};
+
+const restoreFileVersion = async (path, id) => {
+    const response = await axiosInstance.post(`/versions/${encodeURIComponent(id)}/restore`, null, {
+        baseURL: restBaseURL,
+        params: { path }
+    });
+    return response.data;
+};
+
+// Search the user's files: { results, total, truncated }
+const searchFiles = async (params) => {
+    const response = await axiosInstance.get('/search', { baseURL: restBaseURL, params });
+    return response.data;
+};
+
+// The current user's active share links
+const fetchShares = async () => {
+    const response = await axiosInstance.get('/shares', { baseURL: restBaseURL });
+    return response.data.shares;
+};
+
+// Create a share link: { path, mode, expiresIn, password, maxDownloads }; the result has its url
+const createShare = async (options) => {
+    const response = await axiosInstance.post('/shares', options, {
+        baseURL: restBaseURL,
+        headers: { 'Content-Type': 'application/json' }
+    });
+    return response.data;
+};
+
+const revokeShare = async (id) => {
+    await axiosInstance.delete(`/shares/${encodeURIComponent(id)}`, { baseURL: restBaseURL });
+};
+
+// Signed URL the browser can load without an Authorization header (media, downloads)
+const fetchFileUrl = async (path, download = false) => {
+    const response = await axiosInstance.get('/file-url', {
+        baseURL: restBaseURL,
+        params: { path, download: download ? 1 : undefined }
+    });
+    return `${serverURL}${response.data.url}`;
+};
+
+// Largest text preview; bigger files are fetched with a Range request
+const PREVIEW_TEXT_LIMIT = 256 * 1024;
+
+const fetchTextPreview = async (file) => {
+    if (file.size === 0) {
+        return { text: '', truncated: false };
+    }
+
+    const truncated = file.size > PREVIEW_TEXT_LIMIT;
+    const response = await axiosInstance.get(encodePath(file.path), {
+        headers: truncated ? { Range: `bytes=0-${PREVIEW_TEXT_LIMIT - 1}` } : {},
+        responseType: 'text',
+        transformResponse: [(data) => data]
+    });
+    return { text: response.data, truncated };
+};
+
+// Files at least this big are sent in chunks that survive network errors and reloads
+const RESUMABLE_UPLOAD_THRESHOLD = 16 * 1024 * 1024;
+
+// Attempts per chunk before an upload is reported as failed
+const CHUNK_RETRIES = 5;
+
+// localStorage key remembering the upload session of a file, so that picking
+// the same file again after a reload continues where it stopped
+const uploadSessionKey = (path, file) => `webdav_upload:${path}:${file.size}:${file.lastModified}`;
+
+const forgetUploadSession = (id) => {
+    Object.keys(localStorage)
+        .filter((key) => key.startsWith('webdav_upload:') && localStorage.getItem(key) === id)
+        .forEach((key) => localStorage.removeItem(key));
+};
+
+const delay = (ms, signal) => new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new Error('Upload cancelled'));
+    }, { once: true });
+});
+
+// The user's unfinished resumable uploads
+const fetchUploadSessions = async () => {
+    const response = await axiosInstance.get('/uploads', { baseURL: restBaseURL });
+    return response.data.uploads;
+};
+
+const fetchUploadSession = async (id) => {
+    const response = await axiosInstance.get(`/uploads/${encodeURIComponent(id)}`, { baseURL: restBaseURL });
+    return response.data;
+};
+
+const discardUploadSession = async (id) => {
+    forgetUploadSession(id);
+    await axiosInstance.delete(`/uploads/${encodeURIComponent(id)}`, { baseURL: restBaseURL });
+};
+
+/**
+ * Upload through a resumable session: chunks are retried with backoff after
+ * network and server errors, and an earlier session for the same path, size
+ * and modification time is continued. Resolves to false when the server has
+ * resumable uploads disabled.
+ */
+const putFileResumable = async (path, file, { signal, onUploadProgress } = {}) => {
+    const key = uploadSessionKey(path, file);
+    let session = null;
+    const savedId = localStorage.getItem(key);
+    if (savedId) {
+        session = await fetchUploadSession(savedId).catch(() => null);
+    }
+    if (!session) {
         try {
-            const response = await axiosInstance({
-                url: '/',
-                method: 'PROPFIND',
+            const response = await axiosInstance.post('/uploads', { path, size: file.size }, {
+                baseURL: restBaseURL,
+                headers: { 'Content-Type': 'application/json' },
+                signal
+            });
+            session = response.data;
+        } catch (err) {
+            if (err.response?.status === 404) {
+                return false;
+            }
+            throw new Error(describeError(err));
+        }
+        localStorage.setItem(key, session.id);
+    }
+
+    const sessionUrl = `/uploads/${encodeURIComponent(session.id)}`;
+    let failures = 0;
+    while (session.received < file.size) {
+        const start = session.received;
+        const end = Math.min(start + session.chunkSize, file.size) - 1;
+        try {
+            const response = await axiosInstance.put(sessionUrl, file.slice(start, end + 1), {
+                baseURL: restBaseURL,
                 headers: {
-                    'Depth': '1'
-                }
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Range': `bytes ${start}-${end}/${file.size}`
+                },
+                signal,
+                onUploadProgress: (event) => onUploadProgress && onUploadProgress({ loaded: start + event.loaded }),
+                transformRequest: [(data) => data]
             });
+            session = response.data;
+            failures = 0;
+        } catch (err) {
+            const status = err.response?.status;
+            if (signal && signal.aborted) {
+                discardUploadSession(session.id).catch(() => {});
+                throw new Error('Upload cancelled');
+            }
+            if (status === 404) {
+                forgetUploadSession(session.id);
+            }
+            // Network errors, server errors and overlapping chunks are retried
+            if ((status && status < 500 && status !== 409) || ++failures > CHUNK_RETRIES) {
+                throw new Error(describeError(err));
+            }
+            await delay(1000 * 2 ** (failures - 1), signal);
+            try {
+                // The server may have stored more of the chunk than we saw acknowledged
+                session = await fetchUploadSession(session.id);
+            } catch (syncErr) {
+                // Still unreachable; retry from the last known offset
+            }
+        }
+    }
 
-            console.log('Raw response data:', response.data);
+    try {
+        // Completing replaces the file, so it names our lock on it like a PUT does
+        await axiosInstance.post(`${sessionUrl}/complete`, null, { baseURL: restBaseURL, headers: lockHeaders(path), signal });
+    } catch (err) {
+        if (err.response?.status === 404) {
+            forgetUploadSession(session.id);
+        }
+        throw new Error(describeError(err));
+    }
+    forgetUploadSession(session.id);
+    return true;
+};
 
-            // The response is already JSON, no need to parse
-            const data = response.data;
-            const responses = data['D:multistatus'][0]['D:response'];
-            
-            console.log('Number of responses found:', responses.length);
-
-            const fileList = [];
-            for (const response of responses) {
-                // Get href from the response
-                const href = response['D:href'][0]._text[0];
-                
-                // Skip the root directory
-                if (href === 'http://localhost:8080/') continue;
-
-                // Get the properties from propstat
-                const propstat = response['D:propstat'][0];
-                const prop = propstat['D:prop'][0];
-
-                // Get display name or extract from href
-                const displayName = prop['D:displayname']?.[0]?._text?.[0] || 
-                                  decodeURIComponent(href.split('/').pop());
-
-                // Check if it's a directory
-                const isDirectory = !!prop['D:resourcetype']?.[0]?.['D:collection'];
-
-                // Get last modified date
-                const lastModified = prop['D:getlastmodified']?.[0]?._text?.[0];
-
-                // Get content length
-                const contentLength = prop['D:getcontentlength']?.[0]?._text?.[0];
-
-                console.log('Processing item:', {
-                    displayName,
-                    href,
-                    isDirectory,
-                    lastModified,
-                    contentLength
-                });
-
-                fileList.push({
-                    name: displayName,
-                    href,
-                    isDirectory,
-                    lastModified: lastModified ? new Date(lastModified).toLocaleString() : '',
-                    size: contentLength ? parseInt(contentLength) : 0
-                });
+// Number of files uploaded at the same time
+const UPLOAD_CONCURRENCY = 3;
+
+// PUT a File/Blob as the request body so the browser streams it from disk;
+// large files go through a resumable upload session when the server has them
+const putFile = async (path, file, { signal, onUploadProgress } = {}) => {
+    if (file.size >= RESUMABLE_UPLOAD_THRESHOLD && await putFileResumable(path, file, { signal, onUploadProgress })) {
+        return;
+    }
+    // Only a file this upload creates may be removed when it is cancelled;
+    // when in doubt, it is assumed to exist
+    const existed = await axiosInstance.head(encodePath(path), { signal })
+        .then(() => true, (err) => err.response?.status !== 404);
+    try {
+        await axiosInstance({
+            method: 'PUT',
+            url: encodePath(path),
+            data: file,
+            headers: {
+                'Content-Type': file.type || 'application/octet-stream',
+                ...lockHeaders(path, parentPath(path))
+            },
+            signal,
+            onUploadProgress,
+            transformRequest: [(data) => data], // Prevent axios from transforming the data
+            maxContentLength: Infinity,
+            maxBodyLength: Infinity
+        });
+    } catch (err) {
+        if (signal && signal.aborted && !existed) {
+            // Best effort: don't leave a truncated file behind
+            axiosInstance.delete(encodePath(path), { headers: lockHeaders(path, parentPath(path)) }).catch(() => {});
+        }
+        throw new Error(describeError(err));
+    }
+};
+
+// MKCOL that treats an existing folder as success
+const makeFolder = async (path) => {
+    try {
+        await axiosInstance({
+            method: 'MKCOL',
+            url: encodePath(path),
+            headers: lockHeaders(path, parentPath(path))
+        });
+    } catch (err) {
+        if (err.response?.status !== 405) {
+            throw new Error(`Could not create ${path}: ${describeError(err)}`);
+        }
+    }
+};
+
+// Table entry of one PROPFIND response, for an item of folderPath
+const entryFromResponse = (response, folderPath) => {
+    // Get href from the response
+    const href = response['D:href'][0]._text[0];
+
+    // Get the properties from propstat
+    const propstat = response['D:propstat'][0];
+    const prop = propstat['D:prop'][0];
+
+    // Get display name or extract from href
+    const displayName = prop['D:displayname']?.[0]?._text?.[0] || 
+                      baseName(hrefPathname(href));
+
+    // Check if it's a directory
+    const isDirectory = !!prop['D:resourcetype']?.[0]?.['D:collection'];
+
+    // Get last modified date
+    const lastModified = prop['D:getlastmodified']?.[0]?._text?.[0];
+
+    // Get content length
+    const contentLength = prop['D:getcontentlength']?.[0]?._text?.[0];
+
+    // Get content type, used to pick a preview
+    const contentType = prop['D:getcontenttype']?.[0]?._text?.[0] || '';
+
+    // Active locks, including those inherited from a locked parent folder
+    const locks = parseLockDiscovery(prop['D:lockdiscovery'])
+        .map(({ rootHref, ...lock }) => ({ ...lock, root: davPath(rootHref) }));
+
+    console.log('Processing item:', {
+        displayName,
+        href,
+        isDirectory,
+        lastModified,
+        contentLength
+    });
+
+    return {
+        name: displayName,
+        path: joinPath(folderPath, baseName(hrefPathname(href))),
+        href,
+        isDirectory,
+        lastModified: lastModified ? new Date(lastModified).toLocaleString() : '',
+        size: contentLength ? parseInt(contentLength) : 0,
+        contentType,
+        locks
+    };
+};
+
+// Directories first, then by name
+const sortEntries = (entries) => entries.sort((a, b) => {
+    if (a.isDirectory === b.isDirectory) {
+        return a.name.localeCompare(b.name);
+    }
+    return a.isDirectory ? -1 : 1;
+});
+
+// List a folder with PROPFIND (Depth 1); directories first, then by name
+const listFolder = async (path = '/') => {
+    const response = await axiosInstance({
+        url: encodePath(path),
+        method: 'PROPFIND',
+        headers: {
+            'Depth': '1'
+        }
+    });
+
+    console.log('Raw response data:', response.data);
+
+    // The response is already JSON, no need to parse
+    const data = response.data;
+    const responses = data['D:multistatus'][0]['D:response'];
+    
+    console.log('Number of responses found:', responses.length);
+
+    // Pathname the server uses for the requested folder itself
+    const requestedHref = hrefPathname(`${baseURL}${encodePath(path)}`);
+
+    const fileList = responses
+        // Skip the requested folder itself
+        .filter((item) => hrefPathname(item['D:href'][0]._text[0]) !== requestedHref)
+        .map((item) => entryFromResponse(item, path));
+
+    // Sort the file list (directories first)
+    const sortedFiles = sortEntries(fileList);
+
+    console.log('Final processed file list:', sortedFiles);
+    return sortedFiles;
+};
+
+// Table entry of one item (PROPFIND, Depth 0), or null when it is gone
+const fetchEntry = async (path) => {
+    try {
+        const response = await axiosInstance({
+            url: encodePath(path),
+            method: 'PROPFIND',
+            headers: {
+                'Depth': '0'
             }
+        });
+        return entryFromResponse(response.data['D:multistatus'][0]['D:response'][0], parentPath(path));
+    } catch (err) {
+        if (err.response?.status === 404) {
+            return null;
+        }
+        throw err;
+    }
+};
 
-            // Sort the file list (directories first)
-            const sortedFiles = fileList.sort((a, b) => {
-                if (a.isDirectory === b.isDirectory) {
-                    return a.name.localeCompare(b.name);
-                }
-                return a.isDirectory ? -1 : 1;
-            });
+// Open the stream of changes at or below a folder (Server-Sent Events). It
+// is read with fetch rather than EventSource, which cannot send the access
+// token; on a 401 the session is refreshed once.
+const openChangeStream = async (path, { signal, lastEventId }) => {
+    const open = () => fetch(`${restBaseURL}/events?path=${encodeURIComponent(path)}`, {
+        credentials: 'include',
+        signal,
+        headers: {
+            'Accept': 'text/event-stream',
+            ...(accessToken ? { 'Authorization': `Bearer ${accessToken}` } : {}),
+            ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {})
+        }
+    });
+    const response = await open();
+    if (response.status !== 401 || !accessToken) {
+        return response;
+    }
+    try {
+        await refreshSession();
+    } catch (err) {
+        setAccessToken(null);
+        if (onSessionEnded) {
+            onSessionEnded();
+        }
+        return response;
+    }
+    return open();
+};
+
+// MOVE or COPY a resource. The Destination header must be an absolute URL on
+// the WebDAV mount; Overwrite defaults to "F" so existing items are never
+// replaced unless the caller asks for it.
+const transferItem = (method, sourcePath, destinationPath, overwrite = false) => axiosInstance({
+    method,
+    url: encodePath(sourcePath),
+    headers: {
+        'Destination': davUrl(destinationPath),
+        'Overwrite': overwrite ? 'T' : 'F',
+        ...lockHeaders(sourcePath, destinationPath, parentPath(destinationPath))
+    }
+});
+
+// Dead properties of one resource. Asked for as XML, since the JSON form of
+// the multistatus drops the namespaces of custom properties.
+const fetchProperties = async (path) => {
+    const response = await axiosInstance({
+        url: encodePath(path),
+        method: 'PROPFIND',
+        headers: {
+            'Depth': '0',
+            'Accept': 'application/xml'
+        },
+        responseType: 'text',
+        transformResponse: [(data) => data]
+    });
+    return parseDeadProperties(response.data);
+};
+
+// Storage used and available (RFC 4331) where the folder lives, or null
+const fetchQuota = async (path) => {
+    const response = await axiosInstance({
+        url: encodePath(path),
+        method: 'PROPFIND',
+        headers: {
+            'Depth': '0',
+            'Content-Type': 'application/xml',
+            'Accept': 'application/xml'
+        },
+        data: QUOTA_PROPFIND_BODY,
+        responseType: 'text',
+        transformResponse: [(data) => data]
+    });
+    return parseQuota(response.data);
+};
+
+// Apply property changes in one PROPPATCH; resolves to the per-property
+// statuses of the 207 response. The body is sent exactly as built.
+const patchProperties = async (path, changes) => {
+    const response = await axiosInstance({
+        url: encodePath(path),
+        method: 'PROPPATCH',
+        headers: {
+            'Content-Type': 'application/xml; charset=utf-8',
+            'Accept': 'application/xml',
+            ...lockHeaders(path)
+        },
+        data: propPatchBody(changes),
+        responseType: 'text',
+        transformRequest: [(data) => data],
+        transformResponse: [(data) => data]
+    });
+    return parsePropPatchResult(response.data);
+};
+
+// Status text for a failed LOCK/UNLOCK
+const describeLockError = (err) => {
+    switch (err.response?.status) {
+        case 403:
+            return 'Permission denied';
+        case 409:
+            return 'The lock no longer exists';
+        case 412:
+            return 'The lock has expired';
+        case 423:
+            return 'Already locked by someone else';
+        default:
+            return err.message;
+    }
+};
+
+// Status text for a failed MOVE/COPY
+const describeTransferError = (err) => {
+    switch (err.response?.status) {
+        case 403:
+            return 'Permission denied, or the source and destination are the same';
+        case 409:
+            return 'The destination folder does not exist';
+        case 412:
+            return 'An item with that name already exists';
+        case 502:
+            return 'A folder cannot be moved or copied into itself';
+        default:
+            return err.message;
+    }
+};
+
+function App() {
+    const [files, setFiles] = useState([]);
+    const [selectedEntries, setSelectedEntries] = useState([]);
+    const [isDragOver, setIsDragOver] = useState(false);
+    const [inputKey, setInputKey] = useState(0);
+    const [folderName, setFolderName] = useState('');
+    const [status, setStatus] = useState('');
+    const [isAuthenticated, setIsAuthenticated] = useState(false);
+    const [authCredentials, setAuthCredentials] = useState(null);
+    const [restoringSession, setRestoringSession] = useState(true);
+    const [rights, setRights] = useState(['read', 'write']);
+    const [currentPath, setCurrentPath] = useState(pathFromHash());
+    const [previewFile, setPreviewFile] = useState(null);
+    const [pendingTransfer, setPendingTransfer] = useState(null);
+    const [lockTargetPath, setLockTargetPath] = useState(null);
+    const [propertiesFile, setPropertiesFile] = useState(null);
+    const [historyFile, setHistoryFile] = useState(null);
+    const [isAdmin, setIsAdmin] = useState(false);
+    const [quota, setQuota] = useState(null);
+    const [showConformance, setShowConformance] = useState(false);
+    const [showTrash, setShowTrash] = useState(false);
+    const [shareTarget, setShareTarget] = useState(null);
+    const [trashEnabled, setTrashEnabled] = useState(true);
+    const [pendingDelete, setPendingDelete] = useState(null);
+    const [interruptedUploads, setInterruptedUploads] = useState([]);
+
+    const canWrite = rights.includes('write');
+    const canRead = rights.includes('read');
+    const username = authCredentials?.username || '';
+    const lockTarget = files.find((file) => file.path === lockTargetPath);
 
-            console.log('Final processed file list:', sortedFiles);
+    // Fetch directory listing
+    const fetchFiles = async (path = '/') => {
+        console.log('Attempting to fetch files in:', path);
+        fetchRights(path)
+            .then((permissions) => {
+                setRights(permissions.rights);
+                setIsAdmin(permissions.admin);
+            })
+            .catch((err) => console.error('Permissions fetch error:', err));
+        fetchQuota(path)
+            .then(setQuota)
+            .catch((err) => {
+                console.error('Quota fetch error:', err);
+                setQuota(null);
+            });
+        try {
+            const sortedFiles = await listFolder(path);
             
+            setFiles(sortedFiles);
             if (sortedFiles.length > 0) {
-                setFiles(sortedFiles);
                 setStatus('Files fetched successfully');
             } else {
                 setStatus('No files or folders found');
@@ -126,60 +849,102 @@ function App() {
         }
     };
 
-    // Handle file upload
-    const uploadFile = async () => {
-        if (!selectedFile) {
-            setStatus('Please select a file first');
+    const { uploads, enqueue, cancel: cancelUpload, clearFinished } = useUploadQueue({
+        putFile,
+        makeFolder,
+        concurrency: UPLOAD_CONCURRENCY,
+        onIdle: () => {
+            setStatus('Uploads finished');
+            fetchFiles(currentPath);
+            loadInterruptedUploads();
+        }
+    });
+
+    // Apply a change pushed by the server to the table, without reloading the folder
+    const handleChange = async (change) => {
+        const { removed, refreshed, folderGone } = changeEffects(change, currentPath);
+        if (folderGone) {
+            setStatus(change.user && change.user !== username
+                ? `This folder was ${change.type === 'move' ? 'moved' : 'deleted'} by ${change.user}`
+                : `This folder was ${change.type === 'move' ? 'moved' : 'deleted'}`);
+            setFiles([]);
             return;
         }
+        if (removed.length > 0) {
+            setFiles((list) => list.filter((file) => !removed.includes(file.path)));
+        }
+        for (const path of refreshed) {
+            try {
+                const entry = await fetchEntry(path);
+                setFiles((list) => sortEntries(list
+                    .filter((file) => file.path !== path)
+                    .concat(entry ? [entry] : [])));
+            } catch (err) {
+                console.error('Error fetching a changed entry:', err);
+            }
+        }
+    };
 
-        try {
-            console.log('Starting file upload:', {
-                name: selectedFile.name,
-                type: selectedFile.type,
-                size: selectedFile.size
-            });
+    const { connected: liveUpdates, diskChanges } = useChangeEvents({
+        path: currentPath,
+        enabled: isAuthenticated,
+        openStream: openChangeStream,
+        onChange: handleChange,
+        onReset: () => fetchFiles(currentPath)
+    });
 
-            // Read file as ArrayBuffer
-            const fileReader = new FileReader();
-            fileReader.onload = async (event) => {
-                try {
-                    const response = await axiosInstance({
-                        method: 'PUT',
-                        url: `/${selectedFile.name}`,
-                        data: event.target.result,
-                        headers: {
-                            'Content-Type': selectedFile.type || 'application/octet-stream'
-                        },
-                        transformRequest: [(data) => data], // Prevent axios from transforming the data
-                        maxContentLength: Infinity,
-                        maxBodyLength: Infinity
-                    });
-                    
-                    console.log('Upload successful:', response);
-                    setStatus('File uploaded successfully!');
-                    fetchFiles(); // Refresh the file list
-                } catch (uploadError) {
-                    console.error('Upload request failed:', uploadError);
-                    setStatus(`Upload failed: ${uploadError.message}`);
-                }
-            };
+    // Resumable uploads left unfinished, e.g. by a reload; none when the server has them disabled
+    const loadInterruptedUploads = () => {
+        fetchUploadSessions()
+            .then(setInterruptedUploads)
+            .catch(() => setInterruptedUploads([]));
+    };
 
-            fileReader.onerror = (error) => {
-                console.error('File reading failed:', error);
-                setStatus('Failed to read file');
-            };
+    const discardInterruptedUpload = async (session) => {
+        try {
+            await discardUploadSession(session.id);
+        } catch (err) {
+            setStatus(`Could not discard the upload: ${describeError(err)}`);
+        }
+        loadInterruptedUploads();
+    };
 
-            // Start reading the file
-            console.log('Reading file...');
-            fileReader.readAsArrayBuffer(selectedFile);
-            
+    // Queue files and folders for upload into the current folder
+    const queueUpload = async (entries) => {
+        if (entries.length === 0) {
+            return;
+        }
+        try {
+            const plan = planUpload(entries, currentPath);
+            const bytes = uploadBytes(plan);
+            if (quota && quota.available !== null && bytes > quota.available
+                && !window.confirm(`This upload needs ${formatFileSize(bytes)} but only ${formatFileSize(quota.available)} is available. `
+                    + 'Files that do not fit will be rejected. Upload anyway?')) {
+                setStatus('Upload cancelled');
+                return;
+            }
+            const count = await enqueue(plan);
+            setStatus(`Queued ${count} file${count === 1 ? '' : 's'} for upload`);
+            if (count === 0) {
+                fetchFiles(currentPath);
+            }
         } catch (err) {
             console.error('Upload setup error:', err);
             setStatus(`Upload error: ${err.message}`);
         }
     };
 
+    // Handle upload of the files picked with the file inputs
+    const uploadFiles = () => {
+        if (selectedEntries.length === 0) {
+            setStatus('Please select files or a folder first');
+            return;
+        }
+        queueUpload(selectedEntries);
+        setSelectedEntries([]);
+        setInputKey((key) => key + 1);
+    };
+
     // Handle create folder
     const createFolder = async () => {
         if (!folderName) {
@@ -188,50 +953,228 @@ function App() {
         }
 
         try {
+            const path = joinPath(currentPath, folderName);
             await axiosInstance({
                 method: 'MKCOL',
-                url: `/${folderName}`
+                url: encodePath(path),
+                headers: lockHeaders(path, parentPath(path))
             });
             setStatus('Folder created successfully!');
             setFolderName('');
-            fetchFiles();
+            fetchFiles(currentPath);
         } catch (err) {
-            setStatus(`Folder creation error: ${err.message}`);
+            setStatus(`Folder creation error: ${describeError(err)}`);
         }
     };
 
     // Delete file or folder
-    const deleteItem = async (name) => {
+    const deleteItem = async (file) => {
+        try {
+            await axiosInstance.delete(encodePath(file.path), {
+                headers: lockHeaders(file.path, parentPath(file.path))
+            });
+            setStatus(trashEnabled ? `${file.name} moved to the trash` : `${file.name} deleted successfully!`);
+            fetchFiles(currentPath);
+        } catch (err) {
+            setStatus(`Delete error: ${describeError(err)}`);
+        }
+    };
+
+    // Take an exclusive or shared write lock for `seconds`
+    const lockItem = async (file, scope, seconds) => {
+        try {
+            const depth = file.isDirectory ? 'infinity' : '0';
+            const response = await axiosInstance({
+                method: 'LOCK',
+                url: encodePath(file.path),
+                data: lockInfoBody(scope, username),
+                headers: {
+                    'Content-Type': 'application/xml; charset=utf-8',
+                    'Timeout': `Second-${seconds}`,
+                    'Depth': depth
+                }
+            });
+            const token = (response.headers['lock-token'] || '').replace(/[<>]/g, '').trim();
+            const expiresAt = Date.now() + seconds * 1000;
+            if (token) {
+                rememberLock({ token, scope, depth, owner: username, expiresAt, root: file.path });
+            }
+            setStatus(`${file.name} locked until ${formatExpiry(expiresAt)}`);
+            fetchFiles(currentPath);
+        } catch (err) {
+            console.error('Lock error:', err);
+            setStatus(`Lock error: ${describeLockError(err)}`);
+        }
+    };
+
+    // Extend one of our locks by `seconds` from now
+    const refreshLock = async (lock, seconds) => {
+        try {
+            await axiosInstance({
+                method: 'LOCK',
+                url: encodePath(lock.root),
+                headers: {
+                    'If': `(<${lock.token}>)`,
+                    'Timeout': `Second-${seconds}`
+                }
+            });
+            const expiresAt = Date.now() + seconds * 1000;
+            rememberLock({ ...lock, expiresAt });
+            setStatus(`Lock on ${lock.root} refreshed until ${formatExpiry(expiresAt)}`);
+        } catch (err) {
+            console.error('Lock refresh error:', err);
+            if (err.response?.status === 412) {
+                forgetLock(lock.token);
+            }
+            setStatus(`Lock refresh error: ${describeLockError(err)}`);
+        }
+        fetchFiles(currentPath);
+    };
+
+    const unlockItem = async (lock) => {
+        try {
+            await axiosInstance({
+                method: 'UNLOCK',
+                url: encodePath(lock.root),
+                headers: {
+                    'Lock-Token': `<${lock.token}>`
+                }
+            });
+            setStatus(`Lock on ${lock.root} released`);
+        } catch (err) {
+            console.error('Unlock error:', err);
+            setStatus(`Unlock error: ${describeLockError(err)}`);
+        }
+        forgetLock(lock.token);
+        fetchFiles(currentPath);
+    };
+
+    // MOVE/COPY an item, asking before replacing an existing destination
+    const transfer = async (method, file, destinationPath) => {
+        const verb = method === 'MOVE' ? 'Move' : 'Copy';
+        if (normalizePath(destinationPath) === file.path) {
+            setStatus(`${verb} skipped: source and destination are the same`);
+            return;
+        }
+
+        try {
+            try {
+                await transferItem(method, file.path, destinationPath);
+            } catch (err) {
+                if (err.response?.status !== 412) {
+                    throw err;
+                }
+                const name = baseName(destinationPath);
+                if (!window.confirm(`"${name}" already exists in ${parentPath(destinationPath)}. Replace it?`)) {
+                    setStatus(`${verb} cancelled`);
+                    return;
+                }
+                await transferItem(method, file.path, destinationPath, true);
+            }
+            setStatus(`${file.name} ${method === 'MOVE' ? 'moved' : 'copied'} to ${destinationPath}`);
+            if (previewFile && previewFile.path === file.path && method === 'MOVE') {
+                setPreviewFile(null);
+            }
+            fetchFiles(currentPath);
+        } catch (err) {
+            console.error(`${verb} error:`, err);
+            setStatus(`${verb} error: ${describeTransferError(err)}`);
+        }
+    };
+
+    // Rename is a MOVE within the same folder
+    const renameItem = (file) => {
+        const newName = window.prompt(`Rename "${file.name}" to:`, file.name);
+        if (newName === null || newName.trim() === '' || newName.trim() === file.name) {
+            return;
+        }
+        if (newName.includes('/')) {
+            setStatus('Rename error: names cannot contain "/"');
+            return;
+        }
+        transfer('MOVE', file, joinPath(parentPath(file.path), newName.trim()));
+    };
+
+    // Destination folder chosen in the folder picker
+    const handleTransferTarget = (folderPath) => {
+        const { method, file } = pendingTransfer;
+        setPendingTransfer(null);
+        transfer(method, file, joinPath(folderPath, file.name));
+    };
+
+    // Download a file through a signed URL so the browser streams it to disk
+    const downloadItem = async (file) => {
         try {
-            await axiosInstance.delete(`/${name}`);
-            setStatus(`${name} deleted successfully!`);
-            fetchFiles();
+            const url = await fetchFileUrl(file.path, true);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = file.name;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setStatus(`Downloading ${file.name}...`);
         } catch (err) {
-            setStatus(`Delete error: ${err.message}`);
+            setStatus(`Download error: ${describeError(err)}`);
         }
     };
 
-    // Update the file input handler to log more information
+    // Remember the picked files (or a whole folder) until Upload is clicked
     const handleFileSelect = (e) => {
-        const file = e.target.files[0];
-        console.log('File selected:', {
-            name: file?.name,
-            type: file?.type,
-            size: file?.size
-        });
-        setSelectedFile(file);
+        const entries = entriesFromFileList(e.target.files);
+        console.log('Files selected:', entries.map((entry) => entry.relativePath));
+        setSelectedEntries(entries);
+    };
+
+    // Drag-and-drop onto the folder view uploads straight away
+    const handleDragOver = (e) => {
+        if (!canWrite || !Array.from(e.dataTransfer.types || []).includes('Files')) {
+            return;
+        }
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        setIsDragOver(true);
+    };
+
+    const handleDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) {
+            setIsDragOver(false);
+        }
+    };
+
+    const handleDrop = async (e) => {
+        if (!canWrite) {
+            return;
+        }
+        e.preventDefault();
+        setIsDragOver(false);
+        try {
+            queueUpload(await entriesFromDataTransfer(e.dataTransfer));
+        } catch (err) {
+            console.error('Reading dropped files failed:', err);
+            setStatus(`Upload error: ${err.message}`);
+        }
     };
 
     // Add a handler for the List Folder button
     const handleListFolder = () => {
         console.log('Manually refreshing folder contents...');
-        fetchFiles();
+        fetchFiles(currentPath);
+    };
+
+    // Open a folder; the location hash keeps deep links and the back button working
+    const navigateTo = (path) => {
+        const target = normalizePath(path);
+        if (target === currentPath) {
+            fetchFiles(target);
+            return;
+        }
+        window.location.hash = hashForPath(target);
     };
 
     const debugResponse = async () => {
         try {
             const response = await axiosInstance({
-                url: '/',
+                url: encodePath(currentPath),
                 method: 'PROPFIND',
                 headers: {
                     'Depth': '1'
@@ -245,120 +1188,154 @@ function App() {
         }
     };
 
-    // Handle login
+    // Handle login: start a session; only its tokens are kept, never the password
     const handleLogin = async (username, password) => {
         try {
             console.log('Attempting login with username:', username);
-            
-            // Create base64 encoded credentials
-            const base64Credentials = btoa(`${username}:${password}`);
-            
-            // Update axios instance with auth header
-            axiosInstance.defaults.headers.common['Authorization'] = `Basic ${base64Credentials}`;
-            
-            // Test authentication with PROPFIND request
-            const loginResponse = await axiosInstance({
-                method: 'PROPFIND',
-                url: '/',
-                headers: {
-                    'Depth': '1',
-                    'Content-Type': 'application/xml',
-                    'Accept': 'application/json'
-                }
-            });
-
-            console.log('Login response:', loginResponse);
-
-            // Check if we got a successful response (207 Multi-Status)
-            if (loginResponse.status === 207 || loginResponse.status === 200) {
-                console.log('Authentication successful');
-                setAuthCredentials({ username, password });
-                setIsAuthenticated(true);
-                
-                // Store credentials in localStorage for persistence
-                localStorage.setItem('webdav_credentials', base64Credentials);
-                
-                // Fetch files after successful login
-                await fetchFiles();
-                return;
-            }
-            
-            console.log('Unexpected response status:', loginResponse.status);
-            throw new Error('Unexpected response status');
+            const session = await loginSession(username, password);
+            console.log('Authentication successful');
+            setAuthCredentials({ username: session.user.username });
+            setStatus('');
+            // Files are fetched by the effect watching isAuthenticated
+            setIsAuthenticated(true);
         } catch (error) {
             console.error('Login error:', error);
-            // Clear auth header on error
-            delete axiosInstance.defaults.headers.common['Authorization'];
-            localStorage.removeItem('webdav_credentials');
-            
+            setAccessToken(null);
             if (error.response?.status === 401) {
                 throw new Error('Invalid credentials');
             }
-            throw new Error(`Authentication failed: ${error.message}`);
+            throw new Error(`Authentication failed: ${describeError(error)}`);
         }
     };
 
-    // Handle logout
-    const handleLogout = () => {
+    // Forget everything tied to the session
+    const resetSession = () => {
         setIsAuthenticated(false);
         setAuthCredentials(null);
+        setIsAdmin(false);
+        setShowConformance(false);
+        setShowTrash(false);
+        setPendingDelete(null);
+        setHistoryFile(null);
+        setQuota(null);
         setFiles([]);
-        // Reset axios instance
-        axiosInstance.defaults.auth = null;
+        forgetAllLocks();
+    };
+
+    // Handle logout: end the session on the server, then locally
+    const handleLogout = async () => {
+        try {
+            await endSession();
+        } catch (err) {
+            console.error('Logout error:', err);
+        }
+        resetSession();
+        setStatus('Logged out');
     };
 
+    // The session can also end while we are not looking, e.g. revoked elsewhere
     useEffect(() => {
-        fetchFiles();
+        onSessionEnded = () => {
+            resetSession();
+            setStatus('Your session has ended. Please log in again.');
+        };
+        return () => {
+            onSessionEnded = null;
+        };
+    });
+
+    // Follow the location hash (folder links, back/forward buttons)
+    useEffect(() => {
+        const handleHashChange = () => setCurrentPath(pathFromHash());
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
     }, []);
 
     useEffect(() => {
-        // Check for stored credentials
-        const storedCredentials = localStorage.getItem('webdav_credentials');
-        if (storedCredentials) {
-            console.log('Found stored credentials, attempting to restore session');
-            axiosInstance.defaults.headers.common['Authorization'] = `Basic ${storedCredentials}`;
-            // Test the stored credentials
-            axiosInstance({
-                method: 'PROPFIND',
-                url: '/',
-                headers: {
-                    'Depth': '1',
-                    'Content-Type': 'application/xml',
-                    'Accept': 'application/json'
-                }
-            })
-            .then(response => {
-                if (response.status === 207 || response.status === 200) {
-                    console.log('Stored credentials are valid');
-                    setIsAuthenticated(true);
-                    fetchFiles();
-                }
-            })
-            .catch(error => {
-                console.error('Stored credentials are invalid:', error);
-                localStorage.removeItem('webdav_credentials');
-                delete axiosInstance.defaults.headers.common['Authorization'];
-            });
+        if (isAuthenticated) {
+            setPreviewFile(null);
+            fetchFiles(currentPath);
+        }
+    }, [isAuthenticated, currentPath]);
+
+    useEffect(() => {
+        if (isAuthenticated) {
+            loadInterruptedUploads();
         }
+    }, [isAuthenticated]);
+
+    // The server answers 404 on /rest/trash when deletes are permanent
+    useEffect(() => {
+        if (isAuthenticated) {
+            fetchTrash()
+                .then(() => setTrashEnabled(true))
+                .catch((err) => setTrashEnabled(err.response?.status !== 404));
+        }
+    }, [isAuthenticated]);
+
+    useEffect(() => {
+        // Earlier versions kept the Basic credentials here
+        localStorage.removeItem('webdav_credentials');
+
+        // Resume the session of the refresh cookie, if any
+        refreshSession()
+            .then((session) => {
+                console.log('Restored session of', session.user.username);
+                // Only the username is kept
+                setAuthCredentials({ username: session.user.username });
+                setIsAuthenticated(true);
+            })
+            .catch(() => console.log('No session to restore'))
+            .finally(() => setRestoringSession(false));
     }, []);
 
     return (
         <div className="App">
-            {!isAuthenticated ? (
-                <Login onLogin={handleLogin} />
+            {restoringSession ? null : !isAuthenticated ? (
+                <Login onLogin={handleLogin} notice={status} />
             ) : (
                 <div className="webdav-container">
-                    <h1>WebDAV Client</h1>
+                    <div className="app-header">
+                        <h1>WebDAV Client</h1>
+                        <div className="app-user">
+                            {username}
+                            <button onClick={handleLogout} className="row-button">
+                                Logout
+                            </button>
+                        </div>
+                    </div>
+
+                    <Breadcrumbs path={currentPath} onNavigate={navigateTo} />
+
+                    {/* Storage quota */}
+                    <QuotaBar quota={quota} formatSize={formatFileSize} />
                     
                     {/* File Upload Section */}
                     <div className="upload-section">
                         <input
+                            key={`files-${inputKey}`}
                             type="file"
+                            multiple
                             onChange={handleFileSelect}
                             className="file-input"
+                            disabled={!canWrite}
                         />
-                        <button onClick={uploadFile} className="action-button">
-                            Upload File
+                        <input
+                            key={`folder-${inputKey}`}
+                            type="file"
+                            webkitdirectory=""
+                            onChange={handleFileSelect}
+                            className="file-input"
+                            disabled={!canWrite}
+                            title="Choose a folder to upload"
+                        />
+                        <button
+                            onClick={uploadFiles}
+                            className="action-button"
+                            disabled={!canWrite}
+                            title={canWrite ? 'Or drag files and folders onto the list below' : 'You do not have write access to this folder'}
+                        >
+                            Upload
                         </button>
                     </div>
 
@@ -370,8 +1347,14 @@ function App() {
                             onChange={(e) => setFolderName(e.target.value)}
                             placeholder="Enter folder name"
                             className="folder-input"
+                            disabled={!canWrite}
                         />
-                        <button onClick={createFolder} className="action-button">
+                        <button
+                            onClick={createFolder}
+                            className="action-button"
+                            disabled={!canWrite}
+                            title={canWrite ? '' : 'You do not have write access to this folder'}
+                        >
                             Create Folder
                         </button>
                     </div>
@@ -381,13 +1364,55 @@ function App() {
                         <button onClick={handleListFolder} className="action-button">
                             Refresh List
                         </button>
+                        <span
+                            className={`live-status${liveUpdates ? ' live' : ''}${liveUpdates && diskChanges === false ? ' partial' : ''}`}
+                            title={liveStatusTitle(liveUpdates, diskChanges)}
+                        >
+                            {liveUpdates ? 'Live' : 'Offline'}
+                        </span>
+                        <button onClick={() => setShareTarget({ file: null })} className="action-button">
+                            Shared links
+                        </button>
+                        {trashEnabled && (
+                            <button onClick={() => setShowTrash(true)} className="action-button">
+                                Trash
+                            </button>
+                        )}
+                        {isAdmin && (
+                            <button onClick={() => setShowConformance(true)} className="action-button">
+                                Conformance
+                            </button>
+                        )}
                     </div>
 
+                    {/* Search */}
+                    <SearchBox
+                        currentPath={currentPath}
+                        search={searchFiles}
+                        formatSize={formatFileSize}
+                        onOpenFolder={navigateTo}
+                    />
+
+                    {/* Upload Queue */}
+                    <UploadQueue
+                        uploads={uploads}
+                        interrupted={interruptedUploads.filter((session) => !uploads.some((item) => item.path === session.path
+                            && (item.status === 'queued' || item.status === 'uploading')))}
+                        onCancel={cancelUpload}
+                        onClearFinished={clearFinished}
+                        onDiscardInterrupted={discardInterruptedUpload}
+                    />
+
                     {/* Status Message */}
                     {status && <div className="status-message">{status}</div>}
 
                     {/* File List */}
-                    <div className="file-list">
+                    <div
+                        className={`file-list drop-zone${isDragOver ? ' drag-over' : ''}`}
+                        onDragOver={handleDragOver}
+                        onDragLeave={handleDragLeave}
+                        onDrop={handleDrop}
+                    >
                         <h2>Files and Folders</h2>
                         <table>
                             <thead>
@@ -402,23 +1427,230 @@ function App() {
                             <tbody>
                                 {files.map((file) => (
                                     <tr key={file.href}>
-                                        <td>{file.name}</td>
+                                        <td>
+                                            {file.isDirectory ? (
+                                                <button
+                                                    type="button"
+                                                    className="folder-link"
+                                                    onClick={() => navigateTo(file.path)}
+                                                >
+                                                    {file.name}
+                                                </button>
+                                            ) : canRead && previewKind(file.contentType, file.name) ? (
+                                                <button
+                                                    type="button"
+                                                    className="folder-link"
+                                                    onClick={() => setPreviewFile(file)}
+                                                >
+                                                    {file.name}
+                                                </button>
+                                            ) : (
+                                                file.name
+                                            )}
+                                            {file.locks.length > 0 && (
+                                                <span
+                                                    className="lock-badge"
+                                                    title={file.locks
+                                                        .map((lock) => `${lock.scope} lock by ${lock.owner || 'unknown'} until ${formatExpiry(lock.expiresAt)}`)
+                                                        .join('\n')}
+                                                >
+                                                    Locked
+                                                </span>
+                                            )}
+                                        </td>
                                         <td>{file.isDirectory ? 'Folder' : 'File'}</td>
                                         <td>{file.isDirectory ? '-' : formatFileSize(file.size)}</td>
                                         <td>{file.lastModified}</td>
-                                        <td>
+                                        <td className="row-actions">
+                                            {!file.isDirectory && canRead && (
+                                                <button
+                                                    onClick={() => downloadItem(file)}
+                                                    className="row-button"
+                                                >
+                                                    Download
+                                                </button>
+                                            )}
+                                            {canWrite && (
+                                                <button
+                                                    onClick={() => renameItem(file)}
+                                                    className="row-button"
+                                                >
+                                                    Rename
+                                                </button>
+                                            )}
+                                            {canWrite && (
+                                                <button
+                                                    onClick={() => setPendingTransfer({ method: 'MOVE', file })}
+                                                    className="row-button"
+                                                >
+                                                    Move
+                                                </button>
+                                            )}
+                                            {canRead && (
+                                                <button
+                                                    onClick={() => setPendingTransfer({ method: 'COPY', file })}
+                                                    className="row-button"
+                                                >
+                                                    Copy
+                                                </button>
+                                            )}
                                             <button
-                                                onClick={() => deleteItem(file.name)}
-                                                className="delete-button"
+                                                onClick={() => setLockTargetPath(file.path)}
+                                                className="row-button"
                                             >
-                                                Delete
+                                                Locks
                                             </button>
+                                            {canRead && (
+                                                <button
+                                                    onClick={() => setPropertiesFile(file)}
+                                                    className="row-button"
+                                                >
+                                                    Properties
+                                                </button>
+                                            )}
+                                            {!file.isDirectory && canRead && (
+                                                <button
+                                                    onClick={() => setHistoryFile(file)}
+                                                    className="row-button"
+                                                >
+                                                    History
+                                                </button>
+                                            )}
+                                            {canRead && (
+                                                <button
+                                                    onClick={() => setShareTarget({ file })}
+                                                    className="row-button"
+                                                >
+                                                    Share
+                                                </button>
+                                            )}
+                                            {canWrite && (
+                                                <button
+                                                    onClick={() => setPendingDelete(file)}
+                                                    className="delete-button"
+                                                >
+                                                    Delete
+                                                </button>
+                                            )}
                                         </td>
                                     </tr>
                                 ))}
                             </tbody>
                         </table>
                     </div>
+
+                    {/* Preview Pane */}
+                    {previewFile && (
+                        <FilePreview
+                            file={previewFile}
+                            getFileUrl={fetchFileUrl}
+                            fetchText={fetchTextPreview}
+                            onDownload={downloadItem}
+                            onClose={() => setPreviewFile(null)}
+                        />
+                    )}
+
+                    {/* Lock management */}
+                    {lockTarget && (
+                        <LockPanel
+                            file={lockTarget}
+                            username={username}
+                            canWrite={canWrite}
+                            onLock={(scope, seconds) => lockItem(lockTarget, scope, seconds)}
+                            onRefresh={refreshLock}
+                            onUnlock={unlockItem}
+                            onClose={() => setLockTargetPath(null)}
+                        />
+                    )}
+
+                    {/* Dead property editor */}
+                    {propertiesFile && (
+                        <PropertiesPanel
+                            file={propertiesFile}
+                            canWrite={canWrite}
+                            loadProperties={fetchProperties}
+                            saveProperties={patchProperties}
+                            onClose={() => setPropertiesFile(null)}
+                        />
+                    )}
+
+                    {/* Version history */}
+                    {historyFile && (
+                        <HistoryPanel
+                            file={historyFile}
+                            canWrite={canWrite}
+                            loadVersions={fetchVersions}
+                            loadContent={fetchVersionContent}
+                            loadDiff={fetchVersionDiff}
+                            restoreVersion={restoreFileVersion}
+                            formatSize={formatFileSize}
+                            onRestored={() => fetchFiles(currentPath)}
+                            onClose={() => setHistoryFile(null)}
+                        />
+                    )}
+
+                    {/* Share links */}
+                    {shareTarget && (
+                        <SharePanel
+                            file={shareTarget.file}
+                            canWrite={canWrite}
+                            loadShares={fetchShares}
+                            createShare={createShare}
+                            revokeShare={revokeShare}
+                            onClose={() => setShareTarget(null)}
+                        />
+                    )}
+
+                    {/* Delete confirmation */}
+                    {pendingDelete && (
+                        <ConfirmDialog
+                            title={`Delete "${pendingDelete.name}"?`}
+                            message={trashEnabled
+                                ? `The ${pendingDelete.isDirectory ? 'folder and everything in it' : 'file'} will be moved to the trash, from where you can restore it.`
+                                : `The ${pendingDelete.isDirectory ? 'folder and everything in it' : 'file'} will be deleted permanently.`}
+                            confirmLabel={trashEnabled ? 'Move to trash' : 'Delete'}
+                            onConfirm={() => {
+                                deleteItem(pendingDelete);
+                                setPendingDelete(null);
+                            }}
+                            onCancel={() => setPendingDelete(null)}
+                        />
+                    )}
+
+                    {/* Recycle bin */}
+                    {showTrash && (
+                        <TrashPanel
+                            loadTrash={fetchTrash}
+                            restoreEntry={restoreTrashEntry}
+                            purgeEntry={purgeTrashEntry}
+                            emptyTrash={emptyTrash}
+                            formatSize={formatFileSize}
+                            onRestored={() => fetchFiles(currentPath)}
+                            onClose={() => setShowTrash(false)}
+                        />
+                    )}
+
+                    {/* WebDAV conformance runner (admins) */}
+                    {showConformance && (
+                        <ConformancePage
+                            defaultBaseUrl={davUrl('/').replace(/\/$/, '')}
+                            startRun={startConformanceRun}
+                            listRuns={listConformanceRuns}
+                            fetchResult={fetchConformance}
+                            onClose={() => setShowConformance(false)}
+                        />
+                    )}
+
+                    {/* Move/Copy destination picker */}
+                    {pendingTransfer && (
+                        <FolderPicker
+                            title={`${pendingTransfer.method === 'MOVE' ? 'Move' : 'Copy'} "${pendingTransfer.file.name}" to...`}
+                            startPath={currentPath}
+                            listFolder={listFolder}
+                            onSelect={handleTransferTarget}
+                            onCancel={() => setPendingTransfer(null)}
+                        />
+                    )}
                 </div>
             )}
         </div>
@@ -1,8 +1,171 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// Requests the app made through its axios instance
+let mockRequests = [];
+
+// Answers of the fake server by "METHOD url"; a function gets the request
+let mockRoutes = {};
+
+const mockHttpError = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: '' }
+});
+
+const mockSend = async (config) => {
+    const request = { ...config, method: (config.method || 'GET').toUpperCase(), headers: config.headers || {} };
+    mockRequests.push(request);
+    const route = mockRoutes[`${request.method} ${request.url}`];
+    if (route === undefined) {
+        throw mockHttpError(404);
+    }
+    const answer = typeof route === 'function' ? await route(request) : route;
+    return { status: 200, headers: {}, data: '', ...answer };
+};
+
+jest.mock('axios', () => {
+    const instance = (config) => mockSend(config);
+    instance.defaults = { headers: { common: {} } };
+    instance.interceptors = { response: { use: () => {} } };
+    ['get', 'head', 'delete'].forEach((method) => {
+        instance[method] = (url, config = {}) => mockSend({ ...config, method, url });
+    });
+    ['post', 'put'].forEach((method) => {
+        instance[method] = (url, data, config = {}) => mockSend({ ...config, method, url, data });
+    });
+    return { create: () => instance };
+});
+
+// One entry of a PROPFIND Depth 1 answer, as the server's JSON multistatus
+const davEntry = (path, { isDirectory = false, locks = [] } = {}) => ({
+    'D:href': [{ _text: [`http://localhost:8080/api${path}`] }],
+    'D:propstat': [{
+        'D:prop': [{
+            'D:resourcetype': [isDirectory ? { 'D:collection': [{}] } : {}],
+            'D:getcontentlength': [{ _text: ['5'] }],
+            'D:lockdiscovery': [{
+                'D:activelock': locks.map(({ token, owner }) => ({
+                    'D:lockscope': [{ 'D:exclusive': [{}] }],
+                    'D:depth': [{ _text: 'infinity' }],
+                    'D:owner': [{ _text: owner }],
+                    'D:timeout': [{ _text: 'Second-600' }],
+                    'D:locktoken': [{ 'D:href': [{ _text: token }] }],
+                    'D:lockroot': [{ 'D:href': [{ _text: `http://localhost:8080/api${path}` }] }]
+                }))
+            }]
+        }]
+    }]
+});
+
+const listing = (...entries) => (request) => {
+    if (request.headers.Accept === 'application/xml') {
+        // The quota PROPFIND; no quota is reported
+        return { data: '<D:multistatus xmlns:D="DAV:"/>' };
+    }
+    return { data: { 'D:multistatus': [{ 'D:response': entries }] } };
+};
+
+// A request that only ends when it is aborted
+const untilAborted = (request) => new Promise((resolve, reject) => {
+    request.signal.addEventListener('abort', () => reject(new Error('canceled')));
+});
+
+const requestsFor = (method, url) => mockRequests.filter((request) => request.method === method && request.url === url);
+
+const rowOf = async (name) => {
+    await screen.findByText(name);
+    return screen.getAllByRole('row').find((row) => within(row).queryByText(name));
+};
+
+const createFolder = (name) => {
+    fireEvent.change(screen.getByPlaceholderText('Enter folder name'), { target: { value: name } });
+    fireEvent.click(screen.getByText('Create Folder'));
+};
+
+beforeEach(() => {
+    window.location.hash = '';
+    mockRequests = [];
+    mockRoutes = {
+        'POST /auth/refresh': { data: { accessToken: 'token', user: { username: 'alice' } } },
+        'GET /permissions': { data: { rights: ['read', 'write'], admin: false } },
+        'GET /trash': { data: { entries: [] } },
+        'GET /uploads': { data: { uploads: [] } },
+        'PROPFIND /': listing(davEntry('/', { isDirectory: true }))
+    };
+    // The change stream never connects
+    global.fetch = jest.fn(() => new Promise(() => {}));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+});
+
+test('shows the login form when there is no session to restore', async () => {
+    mockRoutes['POST /auth/refresh'] = () => Promise.reject(mockHttpError(401));
+    render(<App />);
+    expect(await screen.findByPlaceholderText('Enter username')).toBeInTheDocument();
+});
+
+test('a lock this tab took is named in the If header of writes below it', async () => {
+    mockRoutes['PROPFIND /'] = listing(davEntry('/', { isDirectory: true }), davEntry('/docs', { isDirectory: true }));
+    mockRoutes['PROPFIND /docs'] = listing(davEntry('/docs', { isDirectory: true }));
+    mockRoutes['LOCK /docs'] = { headers: { 'lock-token': '<urn:uuid:mine>' } };
+    mockRoutes['MKCOL /docs/sub'] = { status: 201 };
+    render(<App />);
+
+    fireEvent.click(within(await rowOf('docs')).getByText('Locks'));
+    fireEvent.click(within(screen.getByRole('dialog')).getByText('Lock'));
+    // Kept for the rest of the tab's session, reloads included
+    await waitFor(() => expect(JSON.parse(sessionStorage.getItem('webdav_locks'))).toEqual([
+        expect.objectContaining({ token: 'urn:uuid:mine', root: '/docs', depth: 'infinity' })
+    ]));
+
+    fireEvent.click(within(screen.getByRole('dialog')).getByText('Close'));
+    fireEvent.click(screen.getByText('docs'));
+    await waitFor(() => expect(requestsFor('PROPFIND', '/docs')).not.toHaveLength(0));
+    createFolder('sub');
+    await waitFor(() => expect(requestsFor('MKCOL', '/docs/sub')).toHaveLength(1));
+    expect(requestsFor('MKCOL', '/docs/sub')[0].headers.If).toBe('<http://localhost:8080/api/docs> (<urn:uuid:mine>)');
+});
+
+test('locks of another session of the same user are not used', async () => {
+    const lock = { token: 'urn:uuid:elsewhere', owner: 'alice' };
+    mockRoutes['PROPFIND /'] = listing(davEntry('/', { isDirectory: true }), davEntry('/shared', { isDirectory: true, locks: [lock] }));
+    mockRoutes['PROPFIND /shared'] = listing(davEntry('/shared', { isDirectory: true, locks: [lock] }));
+    mockRoutes['MKCOL /shared/sub'] = () => Promise.reject(mockHttpError(423));
+    render(<App />);
+
+    fireEvent.click(await screen.findByText('shared'));
+    await waitFor(() => expect(requestsFor('PROPFIND', '/shared')).not.toHaveLength(0));
+    createFolder('sub');
+    await waitFor(() => expect(requestsFor('MKCOL', '/shared/sub')).toHaveLength(1));
+    expect(requestsFor('MKCOL', '/shared/sub')[0].headers.If).toBeUndefined();
+});
+
+// Drop a file on the folder view and cancel its upload while the PUT is running
+const cancelUpload = async () => {
+    mockRoutes['PUT /a.txt'] = untilAborted;
+    mockRoutes['DELETE /a.txt'] = { status: 204 };
+    render(<App />);
+
+    fireEvent.drop(await screen.findByText('Files and Folders'), {
+        dataTransfer: { types: ['Files'], items: [], files: [new File(['hello'], 'a.txt', { type: 'text/plain' })] }
+    });
+    await waitFor(() => expect(requestsFor('PUT', '/a.txt')).toHaveLength(1));
+    fireEvent.click(screen.getByText('Cancel'));
+    await screen.findByText(/Cancelled/);
+    await screen.findByText('Uploads finished');
+};
+
+test('cancelling the upload of a new file removes what was written', async () => {
+    await cancelUpload();
+    expect(requestsFor('HEAD', '/a.txt')).toHaveLength(1);
+    expect(requestsFor('DELETE', '/a.txt')).toHaveLength(1);
+});
+
+test('cancelling the upload over an existing file leaves the file alone', async () => {
+    mockRoutes['HEAD /a.txt'] = { status: 200 };
+    await cancelUpload();
+    expect(requestsFor('DELETE', '/a.txt')).toHaveLength(0);
 });
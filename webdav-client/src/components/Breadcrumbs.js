@@ -0,0 +1,35 @@
+import React from 'react';
+import './Breadcrumbs.css';
+import { pathSegments } from '../utils/paths';
+
+function Breadcrumbs({ path, onNavigate }) {
+    const segments = pathSegments(path);
+
+    return (
+        <nav className="breadcrumbs" aria-label="Current folder">
+            {segments.map((segment, index) => {
+                const isLast = index === segments.length - 1;
+                return (
+                    <span key={segment.path} className="breadcrumb">
+                        {isLast ? (
+                            <span className="breadcrumb-current" aria-current="page">
+                                {segment.name}
+                            </span>
+                        ) : (
+                            <button
+                                type="button"
+                                className="breadcrumb-link"
+                                onClick={() => onNavigate(segment.path)}
+                            >
+                                {segment.name}
+                            </button>
+                        )}
+                        {!isLast && <span className="breadcrumb-separator">/</span>}
+                    </span>
+                );
+            })}
+        </nav>
+    );
+}
+
+export default Breadcrumbs;
@@ -0,0 +1,29 @@
+import React from 'react';
+import './ConfirmDialog.css';
+
+// Modal asking the user to confirm a destructive action
+function ConfirmDialog({ title, message, confirmLabel = 'OK', onConfirm, onCancel }) {
+    return (
+        <div className="confirm-dialog-backdrop" onClick={onCancel}>
+            <div
+                className="confirm-dialog"
+                role="alertdialog"
+                aria-label={title}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h3>{title}</h3>
+                <p>{message}</p>
+                <div className="confirm-dialog-actions">
+                    <button type="button" className="row-button" onClick={onCancel} autoFocus>
+                        Cancel
+                    </button>
+                    <button type="button" className="delete-button" onClick={onConfirm}>
+                        {confirmLabel}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default ConfirmDialog;
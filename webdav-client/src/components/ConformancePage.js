@@ -0,0 +1,300 @@
+import React, { useEffect, useState } from 'react';
+import './ConformancePage.css';
+import { saveFile } from '../utils/download';
+
+const outcomeOf = (step) => {
+    if (step.skipped) {
+        return 'skipped';
+    }
+    return step.passed ? 'passed' : 'failed';
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '(none)' : String(value));
+
+// Admin page running the WebDAV conformance scenario against a base URL
+// (this server or the CDN in front of it) and comparing two runs
+function ConformancePage({ defaultBaseUrl, startRun, listRuns, fetchResult, onClose }) {
+    const [form, setForm] = useState({ baseUrl: defaultBaseUrl, username: '', password: '', insecure: false });
+    const [runs, setRuns] = useState([]);
+    const [report, setReport] = useState(null);
+    const [selected, setSelected] = useState([]);
+    const [comparison, setComparison] = useState(null);
+    const [message, setMessage] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [version, setVersion] = useState(0);
+
+    // Load the run list on open and after every run
+    useEffect(() => {
+        let cancelled = false;
+
+        listRuns()
+            .then((items) => {
+                if (!cancelled) {
+                    setRuns(items);
+                }
+            })
+            .catch((err) => {
+                if (!cancelled) {
+                    console.error('Error loading conformance runs:', err);
+                    setMessage(`Could not load runs: ${err.message}`);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [listRuns, version]);
+
+    const updateForm = (field, value) => setForm((current) => ({ ...current, [field]: value }));
+
+    const run = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setMessage(`Running against ${form.baseUrl}...`);
+        try {
+            const result = await startRun(form);
+            setReport({ id: result.id, ...result.report });
+            setComparison(null);
+            const { passed, failed, skipped } = result.report.summary;
+            setMessage(`${passed} passed, ${failed} failed, ${skipped} skipped`);
+            setVersion((current) => current + 1);
+        } catch (err) {
+            setMessage(`Run failed: ${err.response?.data?.error || err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const show = async (id) => {
+        try {
+            setReport({ id, ...await fetchResult([id]) });
+            setComparison(null);
+        } catch (err) {
+            setMessage(`Could not load the report: ${err.message}`);
+        }
+    };
+
+    // Keep at most two runs selected for comparison, in click order
+    const toggleSelected = (id) => setSelected((current) => (current.includes(id)
+        ? current.filter((item) => item !== id)
+        : [...current, id].slice(-2)));
+
+    const compare = async () => {
+        try {
+            setComparison(await fetchResult(selected));
+            setReport(null);
+        } catch (err) {
+            setMessage(`Could not compare the runs: ${err.message}`);
+        }
+    };
+
+    const download = async (ids, format) => {
+        try {
+            const content = await fetchResult(ids, format);
+            const name = `${ids.length > 1 ? 'conformance-comparison' : `conformance-${ids[0]}`}.${format}`;
+            if (format === 'html') {
+                saveFile(content, 'text/html', name);
+            } else {
+                saveFile(JSON.stringify(content, null, 2), 'application/json', name);
+            }
+        } catch (err) {
+            setMessage(`Download failed: ${err.message}`);
+        }
+    };
+
+    return (
+        <div className="conformance-page-backdrop">
+            <div className="conformance-page" role="dialog" aria-label="WebDAV conformance">
+                <div className="conformance-header">
+                    <h2>WebDAV Conformance</h2>
+                    <button type="button" className="row-button" onClick={onClose}>
+                        Back to files
+                    </button>
+                </div>
+
+                <form className="conformance-form" onSubmit={run}>
+                    <input
+                        type="url"
+                        value={form.baseUrl}
+                        onChange={(e) => updateForm('baseUrl', e.target.value)}
+                        placeholder="WebDAV base URL, e.g. https://cdn.example.com/api"
+                        className="folder-input conformance-url"
+                        required
+                    />
+                    <input
+                        type="text"
+                        value={form.username}
+                        onChange={(e) => updateForm('username', e.target.value)}
+                        placeholder="Username (not an admin; admins bypass locks)"
+                        className="folder-input"
+                    />
+                    <input
+                        type="password"
+                        value={form.password}
+                        onChange={(e) => updateForm('password', e.target.value)}
+                        placeholder="Password"
+                        className="folder-input"
+                    />
+                    <label className="conformance-checkbox">
+                        <input
+                            type="checkbox"
+                            checked={form.insecure}
+                            onChange={(e) => updateForm('insecure', e.target.checked)}
+                        />
+                        Accept self-signed certificates
+                    </label>
+                    <button type="submit" className="action-button" disabled={busy}>
+                        {busy ? 'Running...' : 'Run'}
+                    </button>
+                </form>
+
+                {message && <div className="status-message">{message}</div>}
+
+                <h3>Runs</h3>
+                {runs.length === 0 ? (
+                    <div className="conformance-empty">No runs yet</div>
+                ) : (
+                    <table className="conformance-table">
+                        <thead>
+                            <tr>
+                                <th>Compare</th>
+                                <th>Started</th>
+                                <th>Base URL</th>
+                                <th>Result</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {runs.map((item) => (
+                                <tr key={item.id}>
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={selected.includes(item.id)}
+                                            onChange={() => toggleSelected(item.id)}
+                                            aria-label="Select for comparison"
+                                        />
+                                    </td>
+                                    <td>{new Date(item.startedAt).toLocaleString()}</td>
+                                    <td className="conformance-break">{item.baseUrl}</td>
+                                    <td>
+                                        <span className="passed">{item.summary.passed} passed</span>
+                                        {item.summary.failed > 0 && <span className="failed">, {item.summary.failed} failed</span>}
+                                        {item.summary.skipped > 0 && <span className="skipped">, {item.summary.skipped} skipped</span>}
+                                    </td>
+                                    <td className="row-actions">
+                                        <button type="button" className="row-button" onClick={() => show(item.id)}>
+                                            Show
+                                        </button>
+                                        <button type="button" className="row-button" onClick={() => download([item.id], 'json')}>
+                                            JSON
+                                        </button>
+                                        <button type="button" className="row-button" onClick={() => download([item.id], 'html')}>
+                                            HTML
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+                <div className="conformance-compare">
+                    <button type="button" className="action-button" disabled={selected.length !== 2} onClick={compare}>
+                        Compare selected
+                    </button>
+                    <button type="button" className="row-button" disabled={selected.length !== 2} onClick={() => download(selected, 'html')}>
+                        Comparison HTML
+                    </button>
+                    <button type="button" className="row-button" disabled={selected.length !== 2} onClick={() => download(selected, 'json')}>
+                        Comparison JSON
+                    </button>
+                </div>
+
+                {report && (
+                    <>
+                        <h3 className="conformance-break">Report: {report.baseUrl}</h3>
+                        <table className="conformance-table">
+                            <thead>
+                                <tr>
+                                    <th>Step</th>
+                                    <th>Request</th>
+                                    <th>Status</th>
+                                    <th>Result</th>
+                                    <th>Differences from expected</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.steps.map((step) => (
+                                    <tr key={step.id}>
+                                        <td title={step.id}>{step.title}</td>
+                                        <td className="conformance-break"><code>{step.method} {step.path}</code></td>
+                                        <td>{formatValue(step.status)}</td>
+                                        <td className={outcomeOf(step)}>{outcomeOf(step)}</td>
+                                        <td>
+                                            {step.skipped ? step.reason : (
+                                                <ul className="conformance-failures">
+                                                    {step.failures.map((failure, index) => (
+                                                        <li key={index}>
+                                                            {failure.message}: expected <code>{formatValue(failure.expected)}</code>,
+                                                            got <code>{formatValue(failure.actual)}</code>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </>
+                )}
+
+                {comparison && (
+                    <>
+                        <h3>
+                            Comparison: {comparison.summary.identical} of {comparison.summary.steps} steps identical
+                        </h3>
+                        <div className="conformance-legend conformance-break">
+                            A: {comparison.left.baseUrl}<br />
+                            B: {comparison.right.baseUrl}
+                        </div>
+                        <table className="conformance-table">
+                            <thead>
+                                <tr>
+                                    <th>Step</th>
+                                    <th>A</th>
+                                    <th>B</th>
+                                    <th>Differences</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {comparison.steps.map((step) => (
+                                    <tr key={step.id}>
+                                        <td title={step.id}>{step.title}</td>
+                                        <td className={step.outcomes[0]}>{step.outcomes[0]}</td>
+                                        <td className={step.outcomes[1]}>{step.outcomes[1]}</td>
+                                        <td>
+                                            {step.differences.length === 0 ? 'identical' : (
+                                                <ul className="conformance-failures">
+                                                    {step.differences.map((difference, index) => (
+                                                        <li key={index} className="conformance-break">
+                                                            {difference.type} <code>{difference.name}</code>:
+                                                            A <code>{formatValue(difference.left)}</code>,
+                                                            B <code>{formatValue(difference.right)}</code>
+                                                        </li>
+                                                    ))}
+                                                </ul>
+                                            )}
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ConformancePage;
@@ -0,0 +1,110 @@
+import React, { useEffect, useState } from 'react';
+import './FilePreview.css';
+import MarkdownView from './MarkdownView';
+import { isTextKind, previewKind } from '../utils/preview';
+
+// Pretty-print JSON, falling back to the raw text when it doesn't parse (e.g. truncated)
+const formatJson = (text) => {
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch (err) {
+        return text;
+    }
+};
+
+function FilePreview({ file, getFileUrl, fetchText, onDownload, onClose }) {
+    const kind = previewKind(file.contentType, file.name);
+    const [url, setUrl] = useState(null);
+    const [text, setText] = useState(null);
+    const [truncated, setTruncated] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setUrl(null);
+        setText(null);
+        setTruncated(false);
+        setError('');
+
+        if (!kind) {
+            return undefined;
+        }
+
+        // Media and PDFs load from a signed URL so the browser can issue its own
+        // Range requests; text-like files are fetched (capped) and rendered here
+        const load = isTextKind(kind)
+            ? fetchText(file).then((result) => {
+                if (!cancelled) {
+                    setText(result.text);
+                    setTruncated(result.truncated);
+                }
+            })
+            : getFileUrl(file.path).then((signedUrl) => {
+                if (!cancelled) {
+                    setUrl(signedUrl);
+                }
+            });
+
+        load.catch((err) => {
+            console.error('Preview error:', err);
+            if (!cancelled) {
+                setError(`Could not load preview: ${err.message}`);
+            }
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [file, kind, getFileUrl, fetchText]);
+
+    const renderBody = () => {
+        if (!kind) {
+            return <p className="preview-empty">No preview available for {file.contentType || 'this file type'}.</p>;
+        }
+        if (error) {
+            return <p className="preview-error">{error}</p>;
+        }
+        if (!url && text === null) {
+            return <p className="preview-empty">Loading preview...</p>;
+        }
+
+        switch (kind) {
+            case 'image':
+                return <img src={url} alt={file.name} className="preview-image" />;
+            case 'video':
+                return <video src={url} controls preload="metadata" className="preview-media" />;
+            case 'audio':
+                return <audio src={url} controls preload="metadata" className="preview-audio" />;
+            case 'pdf':
+                return <iframe src={url} title={file.name} className="preview-frame" />;
+            case 'markdown':
+                return <MarkdownView source={text} />;
+            case 'json':
+                return <pre className="preview-text">{formatJson(text)}</pre>;
+            default:
+                return <pre className="preview-text">{text}</pre>;
+        }
+    };
+
+    return (
+        <div className="file-preview">
+            <div className="preview-header">
+                <h2>{file.name}</h2>
+                <div className="preview-actions">
+                    <button onClick={() => onDownload(file)} className="action-button">
+                        Download
+                    </button>
+                    <button onClick={onClose} className="action-button">
+                        Close
+                    </button>
+                </div>
+            </div>
+            {truncated && (
+                <p className="preview-note">Showing the beginning of the file only.</p>
+            )}
+            <div className="preview-body">{renderBody()}</div>
+        </div>
+    );
+}
+
+export default FilePreview;
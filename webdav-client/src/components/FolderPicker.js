@@ -0,0 +1,90 @@
+import React, { useEffect, useState } from 'react';
+import './FolderPicker.css';
+import Breadcrumbs from './Breadcrumbs';
+
+// Modal folder browser used to choose a Move/Copy destination
+function FolderPicker({ title, startPath, listFolder, onSelect, onCancel }) {
+    const [path, setPath] = useState(startPath || '/');
+    const [folders, setFolders] = useState([]);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setError('');
+
+        listFolder(path)
+            .then((items) => {
+                if (!cancelled) {
+                    setFolders(items.filter((item) => item.isDirectory));
+                }
+            })
+            .catch((err) => {
+                if (!cancelled) {
+                    setFolders([]);
+                    setError(`Could not open folder: ${err.message}`);
+                }
+            })
+            .finally(() => {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [path, listFolder]);
+
+    return (
+        <div className="folder-picker-backdrop" onClick={onCancel}>
+            <div
+                className="folder-picker"
+                role="dialog"
+                aria-label={title}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h3>{title}</h3>
+                <Breadcrumbs path={path} onNavigate={setPath} />
+
+                <div className="folder-picker-list">
+                    {loading ? (
+                        <div className="folder-picker-empty">Loading...</div>
+                    ) : error ? (
+                        <div className="folder-picker-empty">{error}</div>
+                    ) : folders.length === 0 ? (
+                        <div className="folder-picker-empty">No subfolders</div>
+                    ) : (
+                        folders.map((folder) => (
+                            <button
+                                key={folder.path}
+                                type="button"
+                                className="folder-link folder-picker-item"
+                                onClick={() => setPath(folder.path)}
+                            >
+                                {folder.name}
+                            </button>
+                        ))
+                    )}
+                </div>
+
+                <div className="folder-picker-actions">
+                    <button type="button" className="row-button" onClick={onCancel}>
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        className="action-button"
+                        onClick={() => onSelect(path)}
+                        disabled={loading || !!error}
+                    >
+                        Select this folder
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default FolderPicker;
@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from 'react';
+import './HistoryPanel.css';
+import ConfirmDialog from './ConfirmDialog';
+import { saveFile } from '../utils/download';
+
+const REASON_LABELS = {
+    overwrite: 'Overwritten',
+    delete: 'Deleted',
+    move: 'Moved over',
+    copy: 'Copied over',
+    restore: 'Replaced by a restore'
+};
+
+// CSS class of a unified diff line
+const diffLineClass = (line) => {
+    if (line.startsWith('+++') || line.startsWith('---')) {
+        return 'diff-file';
+    }
+    if (line.startsWith('@@')) {
+        return 'diff-hunk';
+    }
+    if (line.startsWith('+')) {
+        return 'diff-added';
+    }
+    if (line.startsWith('-')) {
+        return 'diff-removed';
+    }
+    return '';
+};
+
+// Error message of a failed request, including JSON errors fetched as text or Blob
+const errorMessage = async (err) => {
+    const data = err.response?.data;
+    try {
+        const text = data instanceof Blob ? await data.text() : data;
+        const parsed = typeof text === 'string' ? JSON.parse(text) : text;
+        if (parsed?.error) {
+            return parsed.error;
+        }
+    } catch (parseErr) {
+        // Not a JSON error body
+    }
+    return err.message;
+};
+
+// Modal listing the kept versions of a file, with download, compare and restore
+function HistoryPanel({ file, canWrite, loadVersions, loadContent, loadDiff, restoreVersion, formatSize, onRestored, onClose }) {
+    const [history, setHistory] = useState(null);
+    const [diff, setDiff] = useState(null);
+    const [message, setMessage] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [confirming, setConfirming] = useState(null);
+    const [version, setVersion] = useState(0);
+
+    // Load the history on open and after every restore
+    useEffect(() => {
+        let cancelled = false;
+
+        loadVersions(file.path)
+            .then((result) => {
+                if (!cancelled) {
+                    setHistory(result);
+                }
+            })
+            .catch(async (err) => {
+                const text = await errorMessage(err);
+                if (!cancelled) {
+                    console.error('Error loading versions:', err);
+                    setMessage(`Could not load the history: ${text}`);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [file.path, loadVersions, version]);
+
+    const download = async (item) => {
+        try {
+            saveFile(await loadContent(file.path, item.id), 'application/octet-stream', file.name);
+        } catch (err) {
+            setMessage(`Download failed: ${await errorMessage(err)}`);
+        }
+    };
+
+    const compare = async (item) => {
+        try {
+            const text = await loadDiff(file.path, item.id);
+            setDiff({ item, lines: text === '' ? [] : text.replace(/\n$/, '').split('\n') });
+            setMessage('');
+        } catch (err) {
+            setDiff(null);
+            setMessage(`Cannot compare: ${await errorMessage(err)}`);
+        }
+    };
+
+    const restore = (item) => setConfirming({
+        title: `Restore the version from ${new Date(item.savedAt).toLocaleString()}?`,
+        message: history.current
+            ? 'The current contents will be replaced. They are kept as a version, so this can be undone.'
+            : 'The file will be recreated with these contents.',
+        action: async () => {
+            setBusy(true);
+            try {
+                await restoreVersion(file.path, item.id);
+                setMessage(`Restored the version from ${new Date(item.savedAt).toLocaleString()}`);
+                setDiff(null);
+                onRestored();
+            } catch (err) {
+                setMessage(`Restore failed: ${await errorMessage(err)}`);
+            } finally {
+                setBusy(false);
+                setVersion((current) => current + 1);
+            }
+        }
+    });
+
+    return (
+        <div className="history-panel-backdrop" onClick={onClose}>
+            <div
+                className="history-panel"
+                role="dialog"
+                aria-label={`History of ${file.name}`}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="history-header">
+                    <h3>History of "{file.name}"</h3>
+                    <button type="button" className="row-button" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+                {history && (
+                    <div className="history-note">
+                        Up to {history.maxVersions} versions are kept
+                        {history.maxAgeDays > 0 ? ` for ${history.maxAgeDays} days` : ''}.
+                        {history.current
+                            ? ` Current: ${formatSize(history.current.size)}, modified ${new Date(history.current.modified).toLocaleString()}.`
+                            : ' The file no longer exists.'}
+                    </div>
+                )}
+
+                {message && <div className="status-message">{message}</div>}
+
+                {history && history.versions.length === 0 && (
+                    <div className="history-note">No earlier versions</div>
+                )}
+                {history && history.versions.length > 0 && (
+                    <table className="history-table">
+                        <thead>
+                            <tr>
+                                <th>Saved</th>
+                                <th>Size</th>
+                                <th>Why</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {history.versions.map((item) => (
+                                <tr key={item.id} className={diff?.item.id === item.id ? 'history-selected' : ''}>
+                                    <td title={`Last modified ${new Date(item.modified).toLocaleString()}`}>
+                                        {new Date(item.savedAt).toLocaleString()}
+                                    </td>
+                                    <td>{formatSize(item.size)}</td>
+                                    <td>{REASON_LABELS[item.reason] || item.reason} by {item.user}</td>
+                                    <td className="row-actions">
+                                        <button type="button" className="row-button" onClick={() => download(item)}>
+                                            Download
+                                        </button>
+                                        {history.current && (
+                                            <button type="button" className="row-button" onClick={() => compare(item)}>
+                                                Compare
+                                            </button>
+                                        )}
+                                        {canWrite && (
+                                            <button type="button" className="row-button" disabled={busy} onClick={() => restore(item)}>
+                                                Restore
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                {diff && (
+                    <>
+                        <h4>Changes since {new Date(diff.item.savedAt).toLocaleString()}</h4>
+                        {diff.lines.length === 0 ? (
+                            <div className="history-note">Identical to the current file</div>
+                        ) : (
+                            <pre className="history-diff">
+                                {diff.lines.map((line, index) => (
+                                    <div key={index} className={diffLineClass(line)}>{line || ' '}</div>
+                                ))}
+                            </pre>
+                        )}
+                    </>
+                )}
+
+                {confirming && (
+                    <ConfirmDialog
+                        title={confirming.title}
+                        message={confirming.message}
+                        confirmLabel="Restore"
+                        onConfirm={() => {
+                            setConfirming(null);
+                            confirming.action();
+                        }}
+                        onCancel={() => setConfirming(null)}
+                    />
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,115 @@
+import React, { useState } from 'react';
+import './LockPanel.css';
+import { formatExpiry } from '../utils/locks';
+
+const LOCK_DURATIONS = [
+    { seconds: 300, label: '5 minutes' },
+    { seconds: 1800, label: '30 minutes' },
+    { seconds: 3600, label: '1 hour' }
+];
+
+// Modal listing the locks on a file or folder, with lock/refresh/release actions
+function LockPanel({ file, username, canWrite, onLock, onRefresh, onUnlock, onClose }) {
+    const [scope, setScope] = useState('exclusive');
+    const [duration, setDuration] = useState(LOCK_DURATIONS[1].seconds);
+    const [busy, setBusy] = useState(false);
+
+    const locks = file.locks || [];
+    const hasExclusive = locks.some((lock) => lock.scope === 'exclusive');
+    const canLock = canWrite && !hasExclusive && (scope === 'shared' || locks.length === 0);
+
+    // Run one lock action at a time
+    const run = async (action) => {
+        setBusy(true);
+        try {
+            await action();
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="lock-panel-backdrop" onClick={onClose}>
+            <div
+                className="lock-panel"
+                role="dialog"
+                aria-label={`Locks on ${file.name}`}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h3>Locks on "{file.name}"</h3>
+
+                {locks.length === 0 ? (
+                    <div className="lock-panel-empty">Not locked</div>
+                ) : (
+                    <ul className="lock-list">
+                        {locks.map((lock) => {
+                            const mine = lock.owner === username;
+                            return (
+                                <li key={lock.token} className="lock-entry">
+                                    <div>
+                                        <strong>{lock.owner || 'Unknown owner'}</strong>
+                                        {' '}({lock.scope}{lock.root !== file.path ? `, inherited from ${lock.root}` : ''})
+                                        <div className="lock-expiry">Expires: {formatExpiry(lock.expiresAt)}</div>
+                                    </div>
+                                    {mine && (
+                                        <div className="lock-entry-actions">
+                                            <button
+                                                type="button"
+                                                className="row-button"
+                                                disabled={busy}
+                                                onClick={() => run(() => onRefresh(lock, duration))}
+                                            >
+                                                Refresh
+                                            </button>
+                                            <button
+                                                type="button"
+                                                className="delete-button"
+                                                disabled={busy}
+                                                onClick={() => run(() => onUnlock(lock))}
+                                            >
+                                                Release
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+
+                <div className="lock-form">
+                    <select value={scope} onChange={(e) => setScope(e.target.value)} disabled={!canWrite}>
+                        <option value="exclusive">Exclusive lock</option>
+                        <option value="shared">Shared lock</option>
+                    </select>
+                    <select
+                        value={duration}
+                        onChange={(e) => setDuration(Number(e.target.value))}
+                        disabled={!canWrite}
+                    >
+                        {LOCK_DURATIONS.map((option) => (
+                            <option key={option.seconds} value={option.seconds}>{option.label}</option>
+                        ))}
+                    </select>
+                    <button
+                        type="button"
+                        className="action-button"
+                        disabled={busy || !canLock}
+                        onClick={() => run(() => onLock(scope, duration))}
+                        title={canWrite ? '' : 'You do not have write access to this item'}
+                    >
+                        Lock
+                    </button>
+                </div>
+
+                <div className="lock-panel-actions">
+                    <button type="button" className="row-button" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default LockPanel;
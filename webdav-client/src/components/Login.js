@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import './Login.css';
 
-function Login({ onLogin }) {
+function Login({ onLogin, notice }) {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [error, setError] = useState('');
@@ -14,9 +14,10 @@ function Login({ onLogin }) {
         }
 
         try {
-            onLogin(username, password);
+            setError('');
+            await onLogin(username, password);
         } catch (err) {
-            setError('Login failed. Please check your credentials.');
+            setError(err.message || 'Login failed. Please check your credentials.');
         }
     };
 
@@ -24,6 +25,7 @@ function Login({ onLogin }) {
         <div className="login-container">
             <div className="login-box">
                 <h2>WebDAV Client Login</h2>
+                {notice && !error && <div className="login-notice">{notice}</div>}
                 {error && <div className="error-message">{error}</div>}
                 <form onSubmit={handleSubmit}>
                     <div className="form-group">
@@ -0,0 +1,127 @@
+import React from 'react';
+
+// Minimal Markdown renderer for previews: headings, paragraphs, lists,
+// blockquotes, fenced code, rules and inline code/bold/italic/links.
+// Everything is rendered as React elements, so file contents never reach the DOM as HTML.
+
+const renderInline = (text) => {
+    const pattern = /(`[^`]+`|\*\*[^*]+\*\*|\*[^*]+\*|\[[^\]]+\]\([^)\s]+\))/g;
+    return text.split(pattern).filter(Boolean).map((part, index) => {
+        if (part.startsWith('`') && part.endsWith('`')) {
+            return <code key={index}>{part.slice(1, -1)}</code>;
+        }
+        if (part.startsWith('**') && part.endsWith('**')) {
+            return <strong key={index}>{part.slice(2, -2)}</strong>;
+        }
+        if (part.startsWith('*') && part.endsWith('*') && part.length > 2) {
+            return <em key={index}>{part.slice(1, -1)}</em>;
+        }
+        const link = /^\[([^\]]+)\]\(([^)\s]+)\)$/.exec(part);
+        if (link) {
+            return /^https?:\/\//i.test(link[2])
+                ? <a key={index} href={link[2]} target="_blank" rel="noopener noreferrer">{link[1]}</a>
+                : <span key={index}>{link[1]}</span>;
+        }
+        return part;
+    });
+};
+
+const parseBlocks = (source) => {
+    const lines = source.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (/^```/.test(line)) {
+            const code = [];
+            i++;
+            while (i < lines.length && !/^```/.test(lines[i])) {
+                code.push(lines[i++]);
+            }
+            i++;
+            blocks.push({ type: 'code', text: code.join('\n') });
+            continue;
+        }
+
+        const heading = /^(#{1,6})\s+(.*)$/.exec(line);
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+            i++;
+            continue;
+        }
+
+        if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+            continue;
+        }
+
+        const listMatch = /^\s*([-*+]|\d+[.)])\s+/.exec(line);
+        if (listMatch) {
+            const ordered = /\d/.test(listMatch[1]);
+            const items = [];
+            while (i < lines.length && /^\s*([-*+]|\d+[.)])\s+/.test(lines[i])) {
+                items.push(lines[i++].replace(/^\s*([-*+]|\d+[.)])\s+/, ''));
+            }
+            blocks.push({ type: 'list', ordered, items });
+            continue;
+        }
+
+        if (/^>\s?/.test(line)) {
+            const quote = [];
+            while (i < lines.length && /^>\s?/.test(lines[i])) {
+                quote.push(lines[i++].replace(/^>\s?/, ''));
+            }
+            blocks.push({ type: 'quote', text: quote.join(' ') });
+            continue;
+        }
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !/^(#{1,6}\s|```|>|\s*([-*+]|\d+[.)])\s)/.test(lines[i])) {
+            paragraph.push(lines[i++]);
+        }
+        blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    }
+
+    return blocks;
+};
+
+function MarkdownView({ source }) {
+    return (
+        <div className="markdown-view">
+            {parseBlocks(source).map((block, index) => {
+                switch (block.type) {
+                    case 'heading':
+                        return React.createElement(`h${block.level}`, { key: index }, renderInline(block.text));
+                    case 'code':
+                        return <pre key={index}><code>{block.text}</code></pre>;
+                    case 'rule':
+                        return <hr key={index} />;
+                    case 'quote':
+                        return <blockquote key={index}>{renderInline(block.text)}</blockquote>;
+                    case 'list': {
+                        const List = block.ordered ? 'ol' : 'ul';
+                        return (
+                            <List key={index}>
+                                {block.items.map((item, itemIndex) => (
+                                    <li key={itemIndex}>{renderInline(item)}</li>
+                                ))}
+                            </List>
+                        );
+                    }
+                    default:
+                        return <p key={index}>{renderInline(block.text)}</p>;
+                }
+            })}
+        </div>
+    );
+}
+
+export default MarkdownView;
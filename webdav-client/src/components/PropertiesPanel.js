@@ -0,0 +1,196 @@
+import React, { useEffect, useState } from 'react';
+import './PropertiesPanel.css';
+import {
+    describePropertyStatus,
+    isValidNamespace,
+    isValidPropertyName,
+    propertyKey
+} from '../utils/properties';
+
+const DEFAULT_NAMESPACE = 'urn:webdav-demo:';
+
+// Modal listing the dead properties of a file or folder. Edits, removals and
+// additions are collected and sent together as one PROPPATCH.
+function PropertiesPanel({ file, canWrite, loadProperties, saveProperties, onClose }) {
+    const [properties, setProperties] = useState([]);
+    const [edits, setEdits] = useState({});
+    const [removed, setRemoved] = useState({});
+    const [failures, setFailures] = useState({});
+    const [newProperty, setNewProperty] = useState({ namespace: DEFAULT_NAMESPACE, name: '', value: '' });
+    const [message, setMessage] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [busy, setBusy] = useState(false);
+    const [version, setVersion] = useState(0);
+
+    // Load on open and again after every successful save
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+
+        loadProperties(file.path)
+            .then((items) => {
+                if (!cancelled) {
+                    setProperties(items);
+                    setEdits({});
+                    setRemoved({});
+                }
+            })
+            .catch((err) => {
+                if (!cancelled) {
+                    console.error('Error loading properties:', err);
+                    setMessage(`Could not load properties: ${err.message}`);
+                }
+            })
+            .finally(() => {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [file.path, loadProperties, version]);
+
+    const adding = newProperty.name.trim() !== '';
+    const addError = adding && (!isValidPropertyName(newProperty.name.trim())
+        ? 'Names start with a letter or "_" and contain only letters, digits, ".", "-" and "_"'
+        : !isValidNamespace(newProperty.namespace)
+            ? 'The namespace must end with ":", "/" or "#" and cannot be DAV:'
+            : '');
+
+    const changes = [
+        ...properties
+            .filter((property) => removed[propertyKey(property)])
+            .map((property) => ({ ...property, action: 'remove' })),
+        ...properties
+            .filter((property) => !removed[propertyKey(property)] && edits[propertyKey(property)] !== undefined
+                && edits[propertyKey(property)] !== property.value)
+            .map((property) => ({ ...property, action: 'set', value: edits[propertyKey(property)] })),
+        ...(adding && !addError
+            ? [{ action: 'set', namespace: newProperty.namespace, name: newProperty.name.trim(), value: newProperty.value, isXml: false }]
+            : [])
+    ];
+
+    const save = async () => {
+        setBusy(true);
+        setFailures({});
+        try {
+            const results = await saveProperties(file.path, changes);
+            const failed = results.filter((result) => result.status < 200 || result.status > 299);
+            setFailures(Object.fromEntries(failed.map((result) => [propertyKey(result), result.status])));
+            if (failed.length > 0) {
+                setMessage(`No changes were saved: ${failed.length} of ${results.length} properties could not be applied`);
+                return;
+            }
+            setNewProperty({ namespace: newProperty.namespace, name: '', value: '' });
+            setMessage('Properties saved');
+            setVersion(version + 1);
+        } catch (error) {
+            console.error('Error saving properties:', error);
+            setMessage(`Could not save properties: ${error.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const failureNote = (property) => failures[propertyKey(property)] && (
+        <div className="property-failure">{describePropertyStatus(failures[propertyKey(property)])}</div>
+    );
+
+    return (
+        <div className="properties-panel-backdrop" onClick={onClose}>
+            <div
+                className="properties-panel"
+                role="dialog"
+                aria-label={`Properties of ${file.name}`}
+                onClick={(e) => e.stopPropagation()}
+            >
+                <h3>Properties of "{file.name}"</h3>
+
+                {loading || properties.length === 0 ? (
+                    <div className="properties-empty">{loading ? 'Loading properties...' : 'No custom properties'}</div>
+                ) : (
+                    <ul className="property-list">
+                        {properties.map((property) => {
+                            const key = propertyKey(property);
+                            return (
+                                <li key={key} className={`property-entry ${removed[key] ? 'removed' : ''}`}>
+                                    <div className="property-name" title={key}>
+                                        <strong>{property.name}</strong>
+                                        <div className="property-namespace">{property.namespace}</div>
+                                    </div>
+                                    <textarea
+                                        value={edits[key] !== undefined ? edits[key] : property.value}
+                                        onChange={(e) => setEdits({ ...edits, [key]: e.target.value })}
+                                        disabled={!canWrite || busy || removed[key]}
+                                        rows={property.isXml ? 3 : 1}
+                                    />
+                                    {canWrite && (
+                                        <button
+                                            type="button"
+                                            className={removed[key] ? 'row-button' : 'delete-button'}
+                                            disabled={busy}
+                                            onClick={() => setRemoved({ ...removed, [key]: !removed[key] })}
+                                        >
+                                            {removed[key] ? 'Keep' : 'Remove'}
+                                        </button>
+                                    )}
+                                    {failureNote(property)}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+
+                {canWrite && (
+                    <div className="property-form">
+                        <input
+                            type="text"
+                            value={newProperty.namespace}
+                            onChange={(e) => setNewProperty({ ...newProperty, namespace: e.target.value })}
+                            placeholder="Namespace"
+                            disabled={busy}
+                        />
+                        <input
+                            type="text"
+                            value={newProperty.name}
+                            onChange={(e) => setNewProperty({ ...newProperty, name: e.target.value })}
+                            placeholder="New property name"
+                            disabled={busy}
+                        />
+                        <input
+                            type="text"
+                            value={newProperty.value}
+                            onChange={(e) => setNewProperty({ ...newProperty, value: e.target.value })}
+                            placeholder="Value"
+                            disabled={busy}
+                        />
+                        {addError && <div className="property-failure">{addError}</div>}
+                        {failureNote({ namespace: newProperty.namespace, name: newProperty.name.trim() })}
+                    </div>
+                )}
+
+                {message && <div className="properties-message">{message}</div>}
+
+                <div className="properties-panel-actions">
+                    {canWrite && (
+                        <button
+                            type="button"
+                            className="action-button"
+                            disabled={busy || changes.length === 0 || !!addError}
+                            onClick={save}
+                        >
+                            Save changes
+                        </button>
+                    )}
+                    <button type="button" className="row-button" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+export default PropertiesPanel;
@@ -0,0 +1,38 @@
+import React from 'react';
+import './QuotaBar.css';
+
+// Share of the quota above which the bar turns orange, and red when full
+const WARNING_RATIO = 0.8;
+
+// Storage used and left in the current folder's quota
+function QuotaBar({ quota, formatSize }) {
+    if (!quota) {
+        return null;
+    }
+
+    if (quota.total === null) {
+        return <div className="quota-bar-label">{formatSize(quota.used)} used</div>;
+    }
+
+    const ratio = quota.total > 0 ? Math.min(quota.used / quota.total, 1) : 1;
+    const level = ratio >= 1 ? 'full' : ratio >= WARNING_RATIO ? 'warning' : 'ok';
+
+    return (
+        <div className="quota-bar" title={`${Math.round(ratio * 100)}% used`}>
+            <div
+                className="quota-bar-track"
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={quota.total}
+                aria-valuenow={quota.used}
+            >
+                <div className={`quota-bar-fill quota-${level}`} style={{ width: `${ratio * 100}%` }} />
+            </div>
+            <div className="quota-bar-label">
+                {formatSize(quota.used)} of {formatSize(quota.total)} used, {formatSize(quota.available)} available
+            </div>
+        </div>
+    );
+}
+
+export default QuotaBar;
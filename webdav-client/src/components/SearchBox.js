@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import './SearchBox.css';
+import { parentPath } from '../utils/paths';
+
+const TYPE_OPTIONS = [
+    { label: 'Any type', value: '' },
+    { label: 'Folders', value: 'folder' },
+    { label: 'Images', value: 'image/*' },
+    { label: 'Videos', value: 'video/*' },
+    { label: 'Audio', value: 'audio/*' },
+    { label: 'Text', value: 'text/*' },
+    { label: 'PDF', value: 'application/pdf' }
+];
+
+const EMPTY_FILTERS = {
+    type: '',
+    text: '',
+    minSize: '',
+    maxSize: '',
+    modifiedAfter: '',
+    modifiedBefore: '',
+    inFolder: false
+};
+
+// Local midnight (or the last moment) of a yyyy-mm-dd date input, as ISO
+const dayBoundary = (value, endOfDay) => new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).toISOString();
+
+// Query parameters of /rest/search for the search box and its filters
+const searchParams = (name, filters, currentPath) => {
+    const params = { limit: 200 };
+    if (name.trim()) {
+        params.name = name.trim();
+    }
+    if (filters.type === 'folder') {
+        params.kind = 'folder';
+    } else if (filters.type) {
+        params.type = filters.type;
+    }
+    if (filters.text.trim()) {
+        params.text = filters.text.trim();
+    }
+    if (filters.minSize !== '') {
+        params.minSize = Math.round(Number(filters.minSize) * 1024);
+    }
+    if (filters.maxSize !== '') {
+        params.maxSize = Math.round(Number(filters.maxSize) * 1024);
+    }
+    if (filters.modifiedAfter) {
+        params.modifiedAfter = dayBoundary(filters.modifiedAfter, false);
+    }
+    if (filters.modifiedBefore) {
+        params.modifiedBefore = dayBoundary(filters.modifiedBefore, true);
+    }
+    if (filters.inFolder) {
+        params.path = currentPath;
+    }
+    return params;
+};
+
+// Search box with optional filters; results open the folder they are in
+function SearchBox({ currentPath, search, formatSize, onOpenFolder }) {
+    const [name, setName] = useState('');
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [showFilters, setShowFilters] = useState(false);
+    const [results, setResults] = useState(null);
+    const [message, setMessage] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const setFilter = (key, value) => setFilters((current) => ({ ...current, [key]: value }));
+
+    const submit = async (e) => {
+        e.preventDefault();
+        const params = searchParams(name, filters, currentPath);
+        if (Object.keys(params).length === 1) {
+            setMessage('Enter a name or choose a filter');
+            return;
+        }
+        setBusy(true);
+        try {
+            const found = await search(params);
+            setResults(found);
+            setMessage(found.truncated ? `Showing the first ${found.results.length} of ${found.total} matches` : '');
+        } catch (err) {
+            setResults(null);
+            setMessage(`Search failed: ${err.response?.data?.error || err.message}`);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const clear = () => {
+        setName('');
+        setFilters(EMPTY_FILTERS);
+        setResults(null);
+        setMessage('');
+    };
+
+    const open = (result) => {
+        onOpenFolder(result.isDirectory ? result.path : parentPath(result.path));
+    };
+
+    return (
+        <div className="search-box">
+            <form className="search-form" onSubmit={submit}>
+                <input
+                    type="search"
+                    className="search-input"
+                    placeholder="Search by name, e.g. report or *.pdf"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                />
+                <button type="submit" className="action-button" disabled={busy}>
+                    Search
+                </button>
+                <button type="button" className="row-button" onClick={() => setShowFilters((current) => !current)}>
+                    {showFilters ? 'Hide filters' : 'Filters'}
+                </button>
+                {results && (
+                    <button type="button" className="row-button" onClick={clear}>
+                        Clear
+                    </button>
+                )}
+            </form>
+
+            {showFilters && (
+                <div className="search-filters">
+                    <label>
+                        Type
+                        <select value={filters.type} onChange={(e) => setFilter('type', e.target.value)}>
+                            {TYPE_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label>
+                        Containing text
+                        <input type="text" value={filters.text} onChange={(e) => setFilter('text', e.target.value)} />
+                    </label>
+                    <label>
+                        Min size (KB)
+                        <input type="number" min="0" value={filters.minSize} onChange={(e) => setFilter('minSize', e.target.value)} />
+                    </label>
+                    <label>
+                        Max size (KB)
+                        <input type="number" min="0" value={filters.maxSize} onChange={(e) => setFilter('maxSize', e.target.value)} />
+                    </label>
+                    <label>
+                        Modified after
+                        <input type="date" value={filters.modifiedAfter} onChange={(e) => setFilter('modifiedAfter', e.target.value)} />
+                    </label>
+                    <label>
+                        Modified before
+                        <input type="date" value={filters.modifiedBefore} onChange={(e) => setFilter('modifiedBefore', e.target.value)} />
+                    </label>
+                    <label className="search-checkbox">
+                        <input
+                            type="checkbox"
+                            checked={filters.inFolder}
+                            onChange={(e) => setFilter('inFolder', e.target.checked)}
+                        />
+                        Only in the current folder
+                    </label>
+                </div>
+            )}
+
+            {message && <div className="status-message">{message}</div>}
+
+            {results && results.results.length === 0 && (
+                <div className="search-empty">No matches</div>
+            )}
+            {results && results.results.length > 0 && (
+                <ul className="search-results">
+                    {results.results.map((result) => (
+                        <li key={result.path}>
+                            <button type="button" className="search-result" onClick={() => open(result)}>
+                                <span className="search-result-name">
+                                    {result.isDirectory ? '📁' : '📄'} {result.name}
+                                </span>
+                                <span className="search-result-meta">
+                                    in {parentPath(result.path)}
+                                    {!result.isDirectory && ` · ${formatSize(result.size)}`}
+                                    {` · ${new Date(result.modified).toLocaleString()}`}
+                                </span>
+                                {result.snippet && <span className="search-result-snippet">{result.snippet}</span>}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+export default SearchBox;
@@ -0,0 +1,243 @@
+import React, { useEffect, useState } from 'react';
+import './SharePanel.css';
+import ConfirmDialog from './ConfirmDialog';
+
+const HOUR = 60 * 60;
+
+// Expiry choices, in seconds (0: never)
+const EXPIRY_OPTIONS = [
+    { label: 'Never', seconds: 0 },
+    { label: '1 hour', seconds: HOUR },
+    { label: '1 day', seconds: 24 * HOUR },
+    { label: '7 days', seconds: 7 * 24 * HOUR },
+    { label: '30 days', seconds: 30 * 24 * HOUR }
+];
+
+const MODE_LABELS = {
+    read: 'View and download',
+    upload: 'Upload only'
+};
+
+// Copy to the clipboard, falling back to a prompt the user can copy from
+const copyText = async (text) => {
+    try {
+        await navigator.clipboard.writeText(text);
+        return true;
+    } catch (err) {
+        window.prompt('Copy this link:', text);
+        return false;
+    }
+};
+
+// Modal to create share links for `file` (when given) and list or revoke the active ones
+function SharePanel({ file, canWrite, loadShares, createShare, revokeShare, onClose }) {
+    const [shares, setShares] = useState([]);
+    const [mode, setMode] = useState('read');
+    const [expiresIn, setExpiresIn] = useState(7 * 24 * HOUR);
+    const [password, setPassword] = useState('');
+    const [maxDownloads, setMaxDownloads] = useState('');
+    const [message, setMessage] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [confirming, setConfirming] = useState(null);
+    const [version, setVersion] = useState(0);
+
+    // Load the active links on open and after every change
+    useEffect(() => {
+        let cancelled = false;
+
+        loadShares()
+            .then((result) => {
+                if (!cancelled) {
+                    setShares(result);
+                }
+            })
+            .catch((err) => {
+                if (!cancelled) {
+                    console.error('Error loading share links:', err);
+                    setMessage(`Could not load the share links: ${err.response?.data?.error || err.message}`);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [loadShares, version]);
+
+    const create = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        try {
+            const share = await createShare({
+                path: file.path,
+                mode,
+                expiresIn: expiresIn || undefined,
+                password: password || undefined,
+                maxDownloads: mode === 'read' && maxDownloads ? Number(maxDownloads) : undefined
+            });
+            const copied = await copyText(share.url);
+            setMessage(copied ? 'Link created and copied to the clipboard' : 'Link created');
+            setPassword('');
+        } catch (err) {
+            setMessage(`Could not create the link: ${err.response?.data?.error || err.message}`);
+        } finally {
+            setBusy(false);
+            setVersion((current) => current + 1);
+        }
+    };
+
+    const copy = async (share) => {
+        if (await copyText(share.url)) {
+            setMessage('Link copied to the clipboard');
+        }
+    };
+
+    const revoke = (share) => setConfirming({
+        title: `Revoke the link to "${share.path}"?`,
+        message: 'Anyone using it will lose access immediately.',
+        action: async () => {
+            setBusy(true);
+            try {
+                await revokeShare(share.id);
+                setMessage('Link revoked');
+            } catch (err) {
+                setMessage(`Could not revoke the link: ${err.response?.data?.error || err.message}`);
+            } finally {
+                setBusy(false);
+                setVersion((current) => current + 1);
+            }
+        }
+    });
+
+    const limits = (share) => {
+        const parts = [];
+        if (share.hasPassword) {
+            parts.push('password');
+        }
+        if (share.maxDownloads !== null) {
+            parts.push(`${share.downloads} of ${share.maxDownloads} downloads`);
+        }
+        return parts.join(', ') || '-';
+    };
+
+    return (
+        <div className="share-panel-backdrop" onClick={onClose}>
+            <div
+                className="share-panel"
+                role="dialog"
+                aria-label="Share links"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="share-header">
+                    <h3>{file ? `Share "${file.name}"` : 'Shared links'}</h3>
+                    <button type="button" className="row-button" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+
+                {file && (
+                    <form className="share-form" onSubmit={create}>
+                        <label>
+                            Access
+                            <select value={mode} onChange={(e) => setMode(e.target.value)}>
+                                <option value="read">{MODE_LABELS.read}</option>
+                                {file.isDirectory && canWrite && (
+                                    <option value="upload">{MODE_LABELS.upload}</option>
+                                )}
+                            </select>
+                        </label>
+                        <label>
+                            Expires after
+                            <select value={expiresIn} onChange={(e) => setExpiresIn(Number(e.target.value))}>
+                                {EXPIRY_OPTIONS.map((option) => (
+                                    <option key={option.seconds} value={option.seconds}>{option.label}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label>
+                            Password (optional)
+                            <input
+                                type="password"
+                                value={password}
+                                autoComplete="new-password"
+                                onChange={(e) => setPassword(e.target.value)}
+                            />
+                        </label>
+                        {mode === 'read' && (
+                            <label>
+                                Download limit
+                                <input
+                                    type="number"
+                                    min="1"
+                                    placeholder="None"
+                                    value={maxDownloads}
+                                    onChange={(e) => setMaxDownloads(e.target.value)}
+                                />
+                            </label>
+                        )}
+                        <button type="submit" className="action-button" disabled={busy}>
+                            Create link
+                        </button>
+                    </form>
+                )}
+                {file && password && (
+                    <div className="share-note">
+                        Recipients enter the password when their browser asks to sign in; the user name is ignored.
+                    </div>
+                )}
+
+                {message && <div className="status-message">{message}</div>}
+
+                {shares.length === 0 ? (
+                    <div className="share-empty">No active share links</div>
+                ) : (
+                    <table className="share-table">
+                        <thead>
+                            <tr>
+                                <th>Path</th>
+                                <th>Access</th>
+                                <th>Expires</th>
+                                <th>Limits</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shares.map((share) => (
+                                <tr key={share.id}>
+                                    <td className="share-break">
+                                        {share.isDirectory ? '📁' : '📄'} {share.path}
+                                    </td>
+                                    <td>{MODE_LABELS[share.mode]}</td>
+                                    <td>{share.expiresAt ? new Date(share.expiresAt).toLocaleString() : 'Never'}</td>
+                                    <td>{limits(share)}</td>
+                                    <td className="row-actions">
+                                        <button type="button" className="row-button" onClick={() => copy(share)}>
+                                            Copy link
+                                        </button>
+                                        <button type="button" className="delete-button" disabled={busy} onClick={() => revoke(share)}>
+                                            Revoke
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                {confirming && (
+                    <ConfirmDialog
+                        title={confirming.title}
+                        message={confirming.message}
+                        confirmLabel="Revoke"
+                        onConfirm={() => {
+                            setConfirming(null);
+                            confirming.action();
+                        }}
+                        onCancel={() => setConfirming(null)}
+                    />
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default SharePanel;
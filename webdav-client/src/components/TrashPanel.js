@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react';
+import './TrashPanel.css';
+import ConfirmDialog from './ConfirmDialog';
+import { baseName, joinPath, parentPath } from '../utils/paths';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "/docs/report.pdf" -> "/docs/report (restored).pdf", for restoring next to an existing item
+const restoredPath = (path) => {
+    const name = baseName(path);
+    const dot = name.lastIndexOf('.');
+    const renamed = dot > 0
+        ? `${name.slice(0, dot)} (restored)${name.slice(dot)}`
+        : `${name} (restored)`;
+    return joinPath(parentPath(path), renamed);
+};
+
+// Modal listing the user's deleted files and folders, with restore and purge actions
+function TrashPanel({ loadTrash, restoreEntry, purgeEntry, emptyTrash, formatSize, onRestored, onClose }) {
+    const [entries, setEntries] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(0);
+    const [message, setMessage] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [confirming, setConfirming] = useState(null);
+    const [version, setVersion] = useState(0);
+
+    // Load the trash on open and after every change
+    useEffect(() => {
+        let cancelled = false;
+
+        loadTrash()
+            .then((trash) => {
+                if (!cancelled) {
+                    setEntries(trash.entries);
+                    setRetentionDays(trash.retentionDays);
+                }
+            })
+            .catch((err) => {
+                if (!cancelled) {
+                    console.error('Error loading the trash:', err);
+                    setMessage(`Could not load the trash: ${err.response?.data?.error || err.message}`);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [loadTrash, version]);
+
+    // Run one action at a time and reload the list afterwards
+    const run = async (action) => {
+        setBusy(true);
+        try {
+            await action();
+        } catch (err) {
+            setMessage(err.response?.data?.error || err.message);
+        } finally {
+            setBusy(false);
+            setVersion((current) => current + 1);
+        }
+    };
+
+    // Restore to the original path; if something is there now, ask for another one
+    const restore = (entry) => run(async () => {
+        try {
+            const restored = await restoreEntry(entry.id);
+            setMessage(`Restored ${restored.restoredTo}`);
+        } catch (err) {
+            if (err.response?.status !== 409) {
+                throw err;
+            }
+            const path = window.prompt(`"${entry.originalPath}" already exists. Restore to:`, restoredPath(entry.originalPath));
+            if (!path) {
+                setMessage('Restore cancelled');
+                return;
+            }
+            const restored = await restoreEntry(entry.id, path);
+            setMessage(`Restored ${restored.restoredTo}`);
+        }
+        onRestored();
+    });
+
+    const purge = (entry) => setConfirming({
+        title: `Delete "${entry.name}" forever?`,
+        message: 'It will be removed from the trash and cannot be restored.',
+        confirmLabel: 'Delete forever',
+        action: () => run(async () => {
+            await purgeEntry(entry.id);
+            setMessage(`${entry.name} deleted forever`);
+        })
+    });
+
+    const empty = () => setConfirming({
+        title: 'Empty the trash?',
+        message: `All ${entries.length} item${entries.length === 1 ? '' : 's'} will be deleted forever.`,
+        confirmLabel: 'Empty trash',
+        action: () => run(async () => {
+            const { purged } = await emptyTrash();
+            setMessage(`Deleted ${purged} item${purged === 1 ? '' : 's'} forever`);
+        })
+    });
+
+    const purgeDate = (entry) => new Date(Date.parse(entry.deletedAt) + retentionDays * DAY_MS).toLocaleDateString();
+
+    return (
+        <div className="trash-panel-backdrop" onClick={onClose}>
+            <div
+                className="trash-panel"
+                role="dialog"
+                aria-label="Trash"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="trash-header">
+                    <h3>Trash</h3>
+                    <button type="button" className="row-button" onClick={onClose}>
+                        Close
+                    </button>
+                </div>
+                {retentionDays > 0 && (
+                    <div className="trash-note">
+                        Items are deleted forever {retentionDays} day{retentionDays === 1 ? '' : 's'} after they were moved here.
+                    </div>
+                )}
+
+                {message && <div className="status-message">{message}</div>}
+
+                {entries.length === 0 ? (
+                    <div className="trash-empty">The trash is empty</div>
+                ) : (
+                    <table className="trash-table">
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Original location</th>
+                                <th>Size</th>
+                                <th>Deleted</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {entries.map((entry) => (
+                                <tr key={entry.id}>
+                                    <td className="trash-break">
+                                        {entry.isDirectory ? '📁' : '📄'} {entry.name}
+                                    </td>
+                                    <td className="trash-break">{parentPath(entry.originalPath)}</td>
+                                    <td>{formatSize(entry.size)}</td>
+                                    <td title={retentionDays > 0 ? `Deleted forever on ${purgeDate(entry)}` : undefined}>
+                                        {new Date(entry.deletedAt).toLocaleString()}
+                                    </td>
+                                    <td className="row-actions">
+                                        <button type="button" className="row-button" disabled={busy} onClick={() => restore(entry)}>
+                                            Restore
+                                        </button>
+                                        <button type="button" className="delete-button" disabled={busy} onClick={() => purge(entry)}>
+                                            Delete forever
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+
+                <div className="trash-actions">
+                    <button type="button" className="delete-button" disabled={busy || entries.length === 0} onClick={empty}>
+                        Empty trash
+                    </button>
+                </div>
+
+                {confirming && (
+                    <ConfirmDialog
+                        title={confirming.title}
+                        message={confirming.message}
+                        confirmLabel={confirming.confirmLabel}
+                        onConfirm={() => {
+                            setConfirming(null);
+                            confirming.action();
+                        }}
+                        onCancel={() => setConfirming(null)}
+                    />
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default TrashPanel;
@@ -0,0 +1,95 @@
+import React from 'react';
+import './UploadQueue.css';
+
+const STATUS_LABELS = {
+    queued: 'Waiting',
+    uploading: 'Uploading',
+    done: 'Done',
+    error: 'Failed',
+    cancelled: 'Cancelled'
+};
+
+const percentOf = (item) => {
+    if (item.status === 'done') return 100;
+    if (!item.size) return 0;
+    return Math.min(100, Math.round((item.loaded / item.size) * 100));
+};
+
+// Uploads in progress, plus resumable uploads interrupted earlier (e.g. by a reload)
+function UploadQueue({ uploads, interrupted = [], onCancel, onClearFinished, onDiscardInterrupted }) {
+    if (uploads.length === 0 && interrupted.length === 0) {
+        return null;
+    }
+
+    const active = uploads.filter((item) => item.status === 'queued' || item.status === 'uploading').length;
+
+    return (
+        <div className="upload-queue">
+            <div className="upload-queue-header">
+                <h3>Uploads {active > 0 && `(${active} remaining)`}</h3>
+                <button
+                    type="button"
+                    className="row-button"
+                    onClick={onClearFinished}
+                    disabled={active === uploads.length}
+                >
+                    Clear finished
+                </button>
+            </div>
+            {interrupted.length > 0 && (
+                <>
+                    <div className="upload-queue-note">
+                        Interrupted uploads: upload the same files to the same folders again to continue where they stopped.
+                    </div>
+                    <ul className="upload-queue-list">
+                        {interrupted.map((session) => {
+                            const percent = session.size ? Math.round((session.received / session.size) * 100) : 0;
+                            return (
+                                <li key={session.id} className="upload-item upload-interrupted">
+                                    <div className="upload-item-name" title={session.path}>{session.path}</div>
+                                    <progress className="upload-item-progress" max="100" value={percent} />
+                                    <div className="upload-item-status">Interrupted {percent}%</div>
+                                    <button
+                                        type="button"
+                                        className="delete-button"
+                                        onClick={() => onDiscardInterrupted(session)}
+                                    >
+                                        Discard
+                                    </button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </>
+            )}
+            <ul className="upload-queue-list">
+                {uploads.map((item) => {
+                    const percent = percentOf(item);
+                    const running = item.status === 'queued' || item.status === 'uploading';
+                    return (
+                        <li key={item.id} className={`upload-item upload-${item.status}`}>
+                            <div className="upload-item-name" title={item.path}>{item.path}</div>
+                            <progress className="upload-item-progress" max="100" value={percent} />
+                            <div className="upload-item-status">
+                                {item.status === 'error'
+                                    ? `${STATUS_LABELS.error}: ${item.error}`
+                                    : `${STATUS_LABELS[item.status]} ${running ? `${percent}%` : ''}`}
+                            </div>
+                            {running && (
+                                <button
+                                    type="button"
+                                    className="delete-button"
+                                    onClick={() => onCancel(item.id)}
+                                >
+                                    Cancel
+                                </button>
+                            )}
+                        </li>
+                    );
+                })}
+            </ul>
+        </div>
+    );
+}
+
+export default UploadQueue;
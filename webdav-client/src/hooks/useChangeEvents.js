@@ -0,0 +1,75 @@
+import { useEffect, useRef, useState } from 'react';
+import { readEventStream } from '../utils/events';
+
+// Wait before reconnecting after the stream failed or ended
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Live change events for a folder.
+ *
+ * `openStream(path, { signal, lastEventId })` resolves to the fetch
+ * Response of the event stream. Each change is passed to `onChange`;
+ * `onReset` runs when the server cannot replay what was missed while
+ * reconnecting, so the listing should be reloaded. The stream is reopened
+ * after errors and closed when `path` changes or `enabled` turns false.
+ * Returns { connected, diskChanges }: whether the stream is currently
+ * connected, and whether the server also reports changes made directly on
+ * its disk (null until it says).
+ */
+function useChangeEvents({ path, enabled, openStream, onChange, onReset }) {
+    const [connected, setConnected] = useState(false);
+    const [diskChanges, setDiskChanges] = useState(null);
+    const handlersRef = useRef({ openStream, onChange, onReset });
+
+    handlersRef.current = { openStream, onChange, onReset };
+
+    useEffect(() => {
+        if (!enabled) {
+            return undefined;
+        }
+        const controller = new AbortController();
+        let lastEventId = null;
+        let timer = null;
+
+        const connect = async () => {
+            try {
+                const response = await handlersRef.current.openStream(path, { signal: controller.signal, lastEventId });
+                if (!response.ok) {
+                    throw new Error(`Event stream answered ${response.status}`);
+                }
+                setConnected(true);
+                await readEventStream(response.body, ({ event, data, id }) => {
+                    if (id) {
+                        lastEventId = id;
+                    }
+                    if (event === 'reset') {
+                        handlersRef.current.onReset();
+                    } else if (event === 'change') {
+                        handlersRef.current.onChange(JSON.parse(data));
+                    } else if (event === 'status') {
+                        setDiskChanges(JSON.parse(data).diskChanges);
+                    }
+                });
+            } catch (err) {
+                if (!controller.signal.aborted) {
+                    console.error('Change events error:', err);
+                }
+            }
+            setConnected(false);
+            if (!controller.signal.aborted) {
+                timer = setTimeout(connect, RECONNECT_DELAY_MS);
+            }
+        };
+        connect();
+
+        return () => {
+            controller.abort();
+            clearTimeout(timer);
+            setConnected(false);
+        };
+    }, [path, enabled]);
+
+    return { connected, diskChanges };
+}
+
+export default useChangeEvents;
@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+let nextUploadId = 1;
+
+/**
+ * Upload queue with a concurrency limit.
+ *
+ * `putFile(path, file, { signal, onUploadProgress })` sends one file and
+ * `makeFolder(path)` creates one folder; both return promises. Folders are
+ * created (parents first) before their files are queued. Each queued file is
+ * { id, name, path, size, loaded, status, error } where status is one of
+ * queued, uploading, done, error or cancelled. `onIdle` runs whenever the
+ * last running upload settles.
+ */
+function useUploadQueue({ putFile, makeFolder, concurrency = 3, onIdle }) {
+    const [uploads, setUploads] = useState([]);
+    const filesRef = useRef(new Map());
+    const controllersRef = useRef(new Map());
+    const onIdleRef = useRef(onIdle);
+    const wasBusyRef = useRef(false);
+
+    onIdleRef.current = onIdle;
+
+    const updateUpload = useCallback((id, changes) => {
+        setUploads((list) => list.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+    }, []);
+
+    // Create the folders of a plan, then queue its files
+    const enqueue = useCallback(async ({ folders, files }) => {
+        for (const folder of folders) {
+            await makeFolder(folder);
+        }
+
+        const items = files.map(({ file, path }) => {
+            const id = nextUploadId++;
+            filesRef.current.set(id, file);
+            return {
+                id,
+                name: file.name,
+                path,
+                size: file.size,
+                loaded: 0,
+                status: 'queued',
+                error: ''
+            };
+        });
+        setUploads((list) => list.concat(items));
+        return items.length;
+    }, [makeFolder]);
+
+    const cancel = useCallback((id) => {
+        const controller = controllersRef.current.get(id);
+        if (controller) {
+            controller.abort();
+        }
+        setUploads((list) => list.map((item) => (
+            item.id === id && (item.status === 'queued' || item.status === 'uploading')
+                ? { ...item, status: 'cancelled' }
+                : item
+        )));
+    }, []);
+
+    // Drop finished, failed and cancelled entries from the list
+    const clearFinished = useCallback(() => {
+        setUploads((list) => list.filter((item) => {
+            const finished = item.status !== 'queued' && item.status !== 'uploading';
+            if (finished) {
+                filesRef.current.delete(item.id);
+            }
+            return !finished;
+        }));
+    }, []);
+
+    // Start queued uploads while there is room under the concurrency limit
+    useEffect(() => {
+        const running = uploads.filter((item) => item.status === 'uploading').length;
+        const waiting = uploads.filter((item) => item.status === 'queued');
+        const busy = running > 0 || waiting.length > 0;
+
+        if (!busy && wasBusyRef.current && onIdleRef.current) {
+            onIdleRef.current();
+        }
+        wasBusyRef.current = busy;
+
+        const toStart = waiting.slice(0, Math.max(0, concurrency - running));
+        if (toStart.length === 0) {
+            return;
+        }
+
+        const startIds = new Set(toStart.map((item) => item.id));
+        setUploads((list) => list.map((item) => (
+            startIds.has(item.id) ? { ...item, status: 'uploading' } : item
+        )));
+
+        toStart.forEach((item) => {
+            const controller = new AbortController();
+            controllersRef.current.set(item.id, controller);
+
+            putFile(item.path, filesRef.current.get(item.id), {
+                signal: controller.signal,
+                onUploadProgress: (event) => updateUpload(item.id, { loaded: event.loaded })
+            })
+                .then(() => updateUpload(item.id, { status: 'done', loaded: item.size }))
+                .catch((err) => {
+                    if (controller.signal.aborted) {
+                        updateUpload(item.id, { status: 'cancelled' });
+                    } else {
+                        updateUpload(item.id, { status: 'error', error: err.message });
+                    }
+                })
+                .finally(() => {
+                    controllersRef.current.delete(item.id);
+                    filesRef.current.delete(item.id);
+                });
+        });
+    }, [uploads, concurrency, putFile, updateUpload]);
+
+    return { uploads, enqueue, cancel, clearFinished };
+}
+
+export default useUploadQueue;
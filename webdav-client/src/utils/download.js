@@ -0,0 +1,9 @@
+// Save content fetched with axios (a string or Blob) as a file download
+export const saveFile = (content, type, name) => {
+    const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = name;
+    link.click();
+    URL.revokeObjectURL(url);
+};
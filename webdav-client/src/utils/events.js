@@ -0,0 +1,73 @@
+// Helpers for the change events the server streams from /rest/events.
+import { normalizePath, parentPath } from './paths';
+
+/**
+ * Read a text/event-stream body (a fetch ReadableStream) until it ends,
+ * calling onEvent({ event, data, id }) for every complete event. Comments
+ * (heartbeats) and retry fields are skipped.
+ */
+export const readEventStream = async (body, onEvent) => {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    let event = { event: 'message', data: [], id: null };
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+            return;
+        }
+        buffer += value;
+        const lines = buffer.split(/\r\n|\r|\n/);
+        buffer = lines.pop();
+        for (const line of lines) {
+            if (line === '') {
+                if (event.data.length > 0) {
+                    onEvent({ event: event.event, data: event.data.join('\n'), id: event.id });
+                }
+                event = { event: 'message', data: [], id: null };
+                continue;
+            }
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+            if (field === 'event') {
+                event.event = value;
+            } else if (field === 'data') {
+                event.data.push(value);
+            } else if (field === 'id') {
+                event.id = value;
+            }
+        }
+    }
+};
+
+const isChildOf = (path, folder) => path !== folder && parentPath(path) === folder;
+
+const isWithin = (path, folder) => folder === '/' || path === folder || path.startsWith(`${folder}/`);
+
+/**
+ * What a change means for the listing of `folder`: entries to drop
+ * (`removed`), entries to fetch again (`refreshed`), and whether the
+ * folder itself is gone (deleted, or moved away).
+ */
+export const changeEffects = (change, folder) => {
+    const current = normalizePath(folder);
+    const path = normalizePath(change.path);
+    const destination = change.destination ? normalizePath(change.destination) : null;
+    const effects = { removed: [], refreshed: [], folderGone: false };
+
+    if ((change.type === 'delete' || change.type === 'move') && current !== '/' && isWithin(current, path)) {
+        effects.folderGone = true;
+        return effects;
+    }
+    if (isChildOf(path, current)) {
+        if (change.type === 'delete' || change.type === 'move') {
+            effects.removed.push(path);
+        } else {
+            effects.refreshed.push(path);
+        }
+    }
+    if (destination && isChildOf(destination, current)) {
+        effects.refreshed.push(destination);
+    }
+    return effects;
+};
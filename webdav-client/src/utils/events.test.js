@@ -0,0 +1,50 @@
+import { TextEncoder } from 'util';
+import { ReadableStream, TextDecoderStream } from 'stream/web';
+import { changeEffects, readEventStream } from './events';
+
+// jsdom has no web streams
+beforeAll(() => {
+    global.TextDecoderStream = TextDecoderStream;
+});
+
+afterAll(() => {
+    delete global.TextDecoderStream;
+});
+
+test('changes to children refresh or remove entries of the listed folder', () => {
+    expect(changeEffects({ type: 'write', path: '/docs/a.txt' }, '/docs')).toEqual({
+        removed: [],
+        refreshed: ['/docs/a.txt'],
+        folderGone: false
+    });
+    expect(changeEffects({ type: 'delete', path: '/docs/a.txt' }, '/docs').removed).toEqual(['/docs/a.txt']);
+    expect(changeEffects({ type: 'move', path: '/docs/a.txt', destination: '/docs/b.txt' }, '/docs')).toEqual({
+        removed: ['/docs/a.txt'],
+        refreshed: ['/docs/b.txt'],
+        folderGone: false
+    });
+    // Deeper changes do not touch the listing
+    expect(changeEffects({ type: 'write', path: '/docs/sub/a.txt' }, '/docs').refreshed).toEqual([]);
+});
+
+test('deleting or moving the listed folder or a parent of it removes the folder', () => {
+    expect(changeEffects({ type: 'delete', path: '/docs' }, '/docs/sub').folderGone).toBe(true);
+    expect(changeEffects({ type: 'move', path: '/docs', destination: '/old' }, '/docs').folderGone).toBe(true);
+    expect(changeEffects({ type: 'delete', path: '/docsx' }, '/docs').folderGone).toBe(false);
+});
+
+test('readEventStream parses events split across chunks', async () => {
+    const chunks = [': heartbeat\n\n', 'event: change\nid: 7\ndata: {"a":', '1}\n\ndata: one\r\ndata: two\r\n\r\n', 'data: unfinished'];
+    const body = new ReadableStream({
+        start(controller) {
+            chunks.forEach((chunk) => controller.enqueue(new TextEncoder().encode(chunk)));
+            controller.close();
+        }
+    });
+    const events = [];
+    await readEventStream(body, (event) => events.push(event));
+    expect(events).toEqual([
+        { event: 'change', data: '{"a":1}', id: '7' },
+        { event: 'message', data: 'one\ntwo', id: null }
+    ]);
+});
@@ -0,0 +1,60 @@
+// Helpers for WebDAV locks as reported by PROPFIND's lockdiscovery property
+// (xml-js compact JSON, e.g. prop['D:lockdiscovery'][0]['D:activelock']).
+
+// All text inside an xml-js node, e.g. an owner given as <D:href>name</D:href>
+const textOf = (node) => {
+    if (!node || typeof node !== 'object') {
+        return '';
+    }
+    return Object.keys(node)
+        .filter((key) => key !== '_attributes')
+        .map((key) => (key === '_text'
+            ? [].concat(node[key]).join('')
+            : [].concat(node[key]).map(textOf).join('')))
+        .join('')
+        .trim();
+};
+
+const childName = (node) => Object.keys(node || {}).find((key) => key !== '_attributes') || '';
+
+// "Second-600" -> absolute expiry time in ms; "Infinite" -> null
+const expiryFromTimeout = (timeout) => {
+    const match = /^Second-(\d+)$/i.exec(timeout || '');
+    return match ? Date.now() + Number(match[1]) * 1000 : null;
+};
+
+/**
+ * Active locks from a lockdiscovery property.
+ *
+ * @returns {{ token, scope, depth, owner, expiresAt, rootHref }[]}
+ */
+export const parseLockDiscovery = (lockdiscovery) => {
+    const activeLocks = lockdiscovery?.[0]?.['D:activelock'] || [];
+    return activeLocks.map((activelock) => ({
+        token: textOf(activelock['D:locktoken']?.[0]),
+        scope: childName(activelock['D:lockscope']?.[0]).replace(/^.*:/, '') || 'exclusive',
+        depth: textOf(activelock['D:depth']?.[0]).toLowerCase() || 'infinity',
+        owner: textOf(activelock['D:owner']?.[0]),
+        expiresAt: expiryFromTimeout(textOf(activelock['D:timeout']?.[0])),
+        rootHref: textOf(activelock['D:lockroot']?.[0])
+    }));
+};
+
+export const formatExpiry = (expiresAt) => (
+    expiresAt ? new Date(expiresAt).toLocaleTimeString() : 'never'
+);
+
+// Minimal XML escaping for text placed in a LOCK body
+export const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+export const lockInfoBody = (scope, owner) => (
+    '<?xml version="1.0" encoding="utf-8"?>'
+    + '<D:lockinfo xmlns:D="DAV:">'
+    + `<D:lockscope><D:${scope === 'shared' ? 'shared' : 'exclusive'}/></D:lockscope>`
+    + '<D:locktype><D:write/></D:locktype>'
+    + `<D:owner>${escapeXml(owner)}</D:owner>`
+    + '</D:lockinfo>'
+);
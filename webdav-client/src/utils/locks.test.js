@@ -0,0 +1,42 @@
+import { escapeXml, lockInfoBody, parseLockDiscovery } from './locks';
+
+// A lockdiscovery property as xml-js compact JSON
+const activeLock = ({ scope = 'D:exclusive', timeout = 'Second-600', owner = { 'D:href': [{ _text: 'alice' }] } } = {}) => ({
+    'D:locktype': [{ 'D:write': [{}] }],
+    'D:lockscope': [{ [scope]: [{}] }],
+    'D:depth': [{ _text: 'Infinity' }],
+    'D:owner': [owner],
+    'D:timeout': [{ _text: timeout }],
+    'D:locktoken': [{ 'D:href': [{ _text: 'urn:uuid:1234' }] }],
+    'D:lockroot': [{ 'D:href': [{ _text: '/api/docs/a.txt' }] }]
+});
+
+test('parseLockDiscovery reads the active locks', () => {
+    const before = Date.now();
+    const [lock] = parseLockDiscovery([{ 'D:activelock': [activeLock()] }]);
+    expect(lock).toMatchObject({
+        token: 'urn:uuid:1234',
+        scope: 'exclusive',
+        depth: 'infinity',
+        owner: 'alice',
+        rootHref: '/api/docs/a.txt'
+    });
+    expect(lock.expiresAt).toBeGreaterThanOrEqual(before + 600 * 1000);
+});
+
+test('parseLockDiscovery handles shared, never-expiring and missing locks', () => {
+    const [lock] = parseLockDiscovery([{ 'D:activelock': [activeLock({ scope: 'D:shared', timeout: 'Infinite', owner: { _text: 'bob' } })] }]);
+    expect(lock.scope).toBe('shared');
+    expect(lock.owner).toBe('bob');
+    expect(lock.expiresAt).toBeNull();
+    expect(parseLockDiscovery(undefined)).toEqual([]);
+    expect(parseLockDiscovery([{}])).toEqual([]);
+});
+
+test('lockInfoBody escapes the owner', () => {
+    expect(escapeXml('a<b>&c')).toBe('a&lt;b&gt;&amp;c');
+    const body = lockInfoBody('shared', '<alice>');
+    expect(body).toContain('<D:lockscope><D:shared/></D:lockscope>');
+    expect(body).toContain('<D:owner>&lt;alice&gt;</D:owner>');
+    expect(lockInfoBody('anything', 'bob')).toContain('<D:exclusive/>');
+});
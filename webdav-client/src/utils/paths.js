@@ -0,0 +1,52 @@
+// Helpers for the slash-separated folder paths used throughout the client.
+// Paths are always absolute and decoded ("/", "/docs", "/docs/my file.txt").
+
+// Collapse duplicate slashes and drop any trailing slash
+export const normalizePath = (path) => {
+    const normalized = ('/' + (path || '')).replace(/\/+/g, '/').replace(/\/$/, '');
+    return normalized || '/';
+};
+
+export const joinPath = (dir, name) => normalizePath(`${dir}/${name}`);
+
+export const parentPath = (path) => {
+    const normalized = normalizePath(path);
+    return normalizePath(normalized.slice(0, normalized.lastIndexOf('/')));
+};
+
+export const baseName = (path) => normalizePath(path).split('/').pop();
+
+// Encode each segment for use in a request URL, keeping the slashes
+export const encodePath = (path) => normalizePath(path)
+    .split('/')
+    .map(encodeURIComponent)
+    .join('/');
+
+// Decoded pathname of an href returned by PROPFIND (absolute URL or path)
+export const hrefPathname = (href) => {
+    const { pathname } = new URL(href, window.location.href);
+    return normalizePath(decodeURIComponent(pathname));
+};
+
+// Breadcrumb segments for a path: [{ name: 'Home', path: '/' }, { name: 'docs', path: '/docs' }, ...]
+export const pathSegments = (path) => {
+    const segments = [{ name: 'Home', path: '/' }];
+    normalizePath(path)
+        .split('/')
+        .filter(Boolean)
+        .forEach((name) => {
+            segments.push({ name, path: joinPath(segments[segments.length - 1].path, name) });
+        });
+    return segments;
+};
+
+// Folder path encoded in the location hash ("#/docs/reports"), used for deep links
+export const pathFromHash = (hash = window.location.hash) => {
+    try {
+        return normalizePath(decodeURIComponent(hash.replace(/^#/, '')));
+    } catch (err) {
+        return '/';
+    }
+};
+
+export const hashForPath = (path) => `#${encodePath(path)}`;
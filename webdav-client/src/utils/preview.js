@@ -0,0 +1,30 @@
+// Map a file's content type (PROPFIND getcontenttype) to the kind of inline
+// preview the client can show, or null when it can't preview it.
+
+const EXTENSION_KINDS = {
+    md: 'markdown',
+    markdown: 'markdown',
+    json: 'json',
+    txt: 'text',
+    log: 'text',
+    csv: 'text'
+};
+
+export const previewKind = (contentType, name = '') => {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+
+    if (type.startsWith('image/')) return 'image';
+    if (type.startsWith('video/')) return 'video';
+    if (type.startsWith('audio/')) return 'audio';
+    if (type === 'application/pdf') return 'pdf';
+    if (type === 'text/markdown' || type === 'text/x-markdown') return 'markdown';
+    if (type === 'application/json' || type.endsWith('+json')) return 'json';
+    if (type.startsWith('text/')) return EXTENSION_KINDS[extension] || 'text';
+
+    // Servers often report unknown files as application/octet-stream
+    return EXTENSION_KINDS[extension] || null;
+};
+
+// Kinds rendered from the file's text instead of a signed URL
+export const isTextKind = (kind) => kind === 'text' || kind === 'json' || kind === 'markdown';
@@ -0,0 +1,130 @@
+// Helpers for dead (user-defined) WebDAV properties. Both PROPFIND and
+// PROPPATCH are exchanged as raw XML here: custom properties can live in any
+// namespace, which the server's JSON rendering does not keep.
+import { escapeXml } from './locks';
+
+const DAV_NS = 'DAV:';
+
+// Local names must be valid XML names without a prefix
+const NAME_PATTERN = /^[A-Za-z_][\w.-]*$/;
+
+export const isValidPropertyName = (name) => NAME_PATTERN.test(name);
+
+// The server stores a property under namespace + name, so the namespace has
+// to end in a separator ("urn:example:", "http://example.com/ns/") to be
+// read back the same way. DAV: holds the live properties.
+export const isValidNamespace = (namespace) => /[/#:]$/.test(namespace) && namespace !== DAV_NS;
+
+// Identity of a property, e.g. "urn:webdav-demo:author"
+export const propertyKey = ({ namespace, name }) => `${namespace}${name}`;
+
+const parseXml = (xmlText) => {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('The server sent an invalid XML response');
+    }
+    return doc;
+};
+
+const childElements = (node) => Array.from(node.childNodes).filter((child) => child.nodeType === 1);
+
+/**
+ * Dead properties of the first resource in a PROPFIND multistatus.
+ *
+ * Values holding markup are returned as XML text with isXml set, so they can
+ * be shown and written back without losing their structure.
+ *
+ * @returns {{ namespace, name, value, isXml }[]}
+ */
+export const parseDeadProperties = (xmlText) => {
+    const doc = parseXml(xmlText);
+    const serializer = new XMLSerializer();
+    const properties = [];
+
+    Array.from(doc.getElementsByTagNameNS(DAV_NS, 'propstat')).slice(0, 1).forEach((propstat) => {
+        const prop = propstat.getElementsByTagNameNS(DAV_NS, 'prop')[0];
+        childElements(prop || { childNodes: [] })
+            .filter((element) => element.namespaceURI !== DAV_NS)
+            .forEach((element) => {
+                const isXml = childElements(element).length > 0;
+                properties.push({
+                    namespace: element.namespaceURI || '',
+                    name: element.localName,
+                    value: isXml
+                        ? Array.from(element.childNodes).map((child) => serializer.serializeToString(child)).join('')
+                        : element.textContent,
+                    isXml
+                });
+            });
+    });
+
+    return properties.sort((a, b) => propertyKey(a).localeCompare(propertyKey(b)));
+};
+
+/**
+ * PROPPATCH body for a list of changes, applied by the server in order.
+ *
+ * @param {{ action: 'set'|'remove', namespace, name, value, isXml }[]} changes
+ */
+export const propPatchBody = (changes) => {
+    // One prefix per namespace, declared on the root element
+    const prefixes = new Map();
+    changes.forEach(({ namespace }) => {
+        if (!prefixes.has(namespace)) {
+            prefixes.set(namespace, `p${prefixes.size}`);
+        }
+    });
+    const declarations = Array.from(prefixes.entries())
+        .map(([namespace, prefix]) => ` xmlns:${prefix}="${escapeXml(namespace).replace(/"/g, '&quot;')}"`)
+        .join('');
+
+    const instruction = ({ action, namespace, name, value, isXml }) => {
+        const tag = `${prefixes.get(namespace)}:${name}`;
+        const content = action === 'set'
+            ? `<${tag}>${isXml ? value : escapeXml(value)}</${tag}>`
+            : `<${tag}/>`;
+        return `<D:${action}><D:prop>${content}</D:prop></D:${action}>`;
+    };
+
+    return '<?xml version="1.0" encoding="utf-8"?>'
+        + `<D:propertyupdate xmlns:D="DAV:"${declarations}>`
+        + changes.map(instruction).join('')
+        + '</D:propertyupdate>';
+};
+
+/**
+ * Per-property outcome of a PROPPATCH multistatus.
+ *
+ * @returns {{ namespace, name, status }[]} status is the numeric HTTP code
+ */
+export const parsePropPatchResult = (xmlText) => {
+    const doc = parseXml(xmlText);
+    const results = [];
+
+    Array.from(doc.getElementsByTagNameNS(DAV_NS, 'propstat')).forEach((propstat) => {
+        const statusText = propstat.getElementsByTagNameNS(DAV_NS, 'status')[0]?.textContent || '';
+        const status = Number((/^HTTP\/\S+\s+(\d{3})/.exec(statusText.trim()) || [])[1]) || 0;
+        const prop = propstat.getElementsByTagNameNS(DAV_NS, 'prop')[0];
+        childElements(prop || { childNodes: [] }).forEach((element) => {
+            results.push({ namespace: element.namespaceURI || '', name: element.localName, status });
+        });
+    });
+
+    return results;
+};
+
+// Reason shown next to a property that a PROPPATCH did not apply
+export const describePropertyStatus = (status) => {
+    switch (status) {
+        case 403:
+            return 'Protected property';
+        case 409:
+            return 'Rejected by the server';
+        case 424:
+            return 'Not applied because another change failed';
+        case 507:
+            return 'Not enough storage';
+        default:
+            return `Failed (HTTP ${status})`;
+    }
+};
@@ -0,0 +1,34 @@
+// Helpers for the RFC 4331 quota properties, which the server only reports
+// when they are asked for by name.
+
+export const QUOTA_PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?>'
+    + '<D:propfind xmlns:D="DAV:"><D:prop>'
+    + '<D:quota-available-bytes/><D:quota-used-bytes/>'
+    + '</D:prop></D:propfind>';
+
+const readBytes = (doc, name) => {
+    const element = doc.getElementsByTagNameNS('DAV:', name)[0];
+    const value = element ? Number(element.textContent) : NaN;
+    return element && element.textContent !== '' && Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Quota of the first resource in a PROPFIND multistatus.
+ *
+ * @returns {{ used: number, available: number|null, total: number|null }|null} null when not reported
+ */
+export const parseQuota = (xmlText) => {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        return null;
+    }
+    const used = readBytes(doc, 'quota-used-bytes');
+    const available = readBytes(doc, 'quota-available-bytes');
+    if (used === null) {
+        return null;
+    }
+    return { used, available, total: available === null ? null : used + available };
+};
+
+// Total size of the files an upload plan would store
+export const uploadBytes = (plan) => plan.files.reduce((total, item) => total + item.file.size, 0);
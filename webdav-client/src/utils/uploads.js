@@ -0,0 +1,86 @@
+// Helpers that turn file inputs and drag-and-drop payloads into upload plans.
+// An entry is { file, relativePath } for a file, or { directory: true, relativePath }
+// for a folder; relativePath is slash-separated and relative to the drop target.
+import { joinPath, normalizePath, parentPath } from './paths';
+
+// Entries for an <input type="file"> selection (with or without webkitdirectory)
+export const entriesFromFileList = (fileList) => Array.from(fileList || []).map((file) => ({
+    file,
+    relativePath: file.webkitRelativePath || file.name
+}));
+
+// FileSystemDirectoryReader returns children in batches until it returns an empty one
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+    const children = [];
+    const readBatch = () => {
+        reader.readEntries((batch) => {
+            if (batch.length === 0) {
+                resolve(children);
+                return;
+            }
+            children.push(...batch);
+            readBatch();
+        }, reject);
+    };
+    readBatch();
+});
+
+const entryFile = (entry) => new Promise((resolve, reject) => entry.file(resolve, reject));
+
+const walkEntry = async (entry, prefix, entries) => {
+    const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isFile) {
+        entries.push({ file: await entryFile(entry), relativePath });
+        return;
+    }
+    if (entry.isDirectory) {
+        entries.push({ directory: true, relativePath });
+        const children = await readAllEntries(entry.createReader());
+        for (const child of children) {
+            await walkEntry(child, relativePath, entries);
+        }
+    }
+};
+
+// Entries for a drop event, descending into dropped folders where the browser allows it
+export const entriesFromDataTransfer = async (dataTransfer) => {
+    const items = Array.from(dataTransfer.items || []).filter((item) => item.kind === 'file');
+
+    // The entries must be taken before the first await; the DataTransfer is
+    // emptied once the drop event handler returns.
+    const roots = items.map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+    if (roots.length === 0 || roots.some((root) => !root)) {
+        return entriesFromFileList(dataTransfer.files);
+    }
+
+    const entries = [];
+    for (const root of roots) {
+        await walkEntry(root, '', entries);
+    }
+    return entries;
+};
+
+// Folders to create (parents first) and files to PUT for a set of entries dropped on destPath
+export const planUpload = (entries, destPath) => {
+    const folders = new Set();
+    const files = [];
+
+    const addFolder = (folderPath) => {
+        for (let current = folderPath; current !== normalizePath(destPath); current = parentPath(current)) {
+            folders.add(current);
+        }
+    };
+
+    entries.forEach((entry) => {
+        const target = joinPath(destPath, entry.relativePath);
+        if (entry.directory) {
+            addFolder(target);
+            return;
+        }
+        addFolder(parentPath(target));
+        files.push({ file: entry.file, path: target });
+    });
+
+    const sortedFolders = Array.from(folders).sort((a, b) => a.split('/').length - b.split('/').length);
+    return { folders: sortedFolders, files };
+};
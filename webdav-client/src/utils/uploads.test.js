@@ -0,0 +1,48 @@
+import { entriesFromDataTransfer, entriesFromFileList, planUpload } from './uploads';
+
+const file = (name, relativePath = '') => Object.assign(new File(['x'], name), { webkitRelativePath: relativePath });
+
+test('entriesFromFileList keeps the folder structure of a folder selection', () => {
+    const a = file('a.txt');
+    const b = file('b.txt', 'photos/2024/b.txt');
+    expect(entriesFromFileList([a, b])).toEqual([
+        { file: a, relativePath: 'a.txt' },
+        { file: b, relativePath: 'photos/2024/b.txt' }
+    ]);
+    expect(entriesFromFileList(null)).toEqual([]);
+});
+
+test('planUpload creates parent folders first and places files below the target', () => {
+    const a = file('a.txt');
+    const b = file('b.txt');
+    const plan = planUpload([
+        { file: b, relativePath: 'photos/2024/b.txt' },
+        { directory: true, relativePath: 'photos/empty' },
+        { file: a, relativePath: 'a.txt' }
+    ], '/docs/');
+    expect(plan.folders).toEqual(['/docs/photos', '/docs/photos/2024', '/docs/photos/empty']);
+    expect(plan.files).toEqual([
+        { file: b, path: '/docs/photos/2024/b.txt' },
+        { file: a, path: '/docs/a.txt' }
+    ]);
+});
+
+test('entriesFromDataTransfer walks dropped folders', async () => {
+    const a = file('a.txt');
+    const fileEntry = { isFile: true, name: 'a.txt', file: (resolve) => resolve(a) };
+    // Directory readers hand out their children in batches, then an empty one
+    const batches = [[fileEntry], []];
+    const folderEntry = {
+        isDirectory: true,
+        name: 'docs',
+        createReader: () => ({ readEntries: (resolve) => resolve(batches.shift()) })
+    };
+    const entries = await entriesFromDataTransfer({
+        items: [{ kind: 'file', webkitGetAsEntry: () => folderEntry }],
+        files: []
+    });
+    expect(entries).toEqual([
+        { directory: true, relativePath: 'docs' },
+        { file: a, relativePath: 'docs/a.txt' }
+    ]);
+});
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+// Run the WebDAV conformance scenario against a base URL, or compare two reports.
+// Usage:
+//   node bin/conformance.js --base-url http://localhost:8080/api --user alice --password secret
+//       [--insecure] [--json report.json] [--html report.html]
+//   node bin/conformance.js --compare direct.json cdn.json [--json diff.json] [--html diff.html]
+// The password may also come from WEBDAV_CONFORMANCE_PASSWORD.
+const fs = require('fs');
+const { runConformance } = require('../lib/conformance');
+const { compareReports, renderHtml, renderComparisonHtml } = require('../lib/conformanceReport');
+
+const USAGE = `Usage:
+  node bin/conformance.js --base-url <url> [--user <name>] [--password <pw>] [--insecure]
+                          [--timeout <ms>] [--json <file>] [--html <file>]
+  node bin/conformance.js --compare <a.json> <b.json> [--json <file>] [--html <file>]`;
+
+const fail = (message) => {
+    console.error(message);
+    console.error(USAGE);
+    process.exit(2);
+};
+
+const parseArgs = (argv) => {
+    const options = { compare: [] };
+    for (let index = 0; index < argv.length; index++) {
+        const arg = argv[index];
+        const value = () => {
+            if (index + 1 >= argv.length) {
+                fail(`Missing value for ${arg}`);
+            }
+            index += 1;
+            return argv[index];
+        };
+        switch (arg) {
+            case '--base-url': options.baseUrl = value(); break;
+            case '--user': options.username = value(); break;
+            case '--password': options.password = value(); break;
+            case '--insecure': options.insecure = true; break;
+            case '--timeout': options.timeoutMs = Number(value()); break;
+            case '--json': options.json = value(); break;
+            case '--html': options.html = value(); break;
+            case '--compare': options.compare = [value(), value()]; break;
+            case '--help': console.log(USAGE); process.exit(0); break;
+            default: fail(`Unknown argument: ${arg}`);
+        }
+    }
+    return options;
+};
+
+const write = (file, content) => {
+    fs.writeFileSync(file, content);
+    console.log('Wrote', file);
+};
+
+const readReport = (file) => {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        return fail(`Could not read report ${file}: ${err.message}`);
+    }
+};
+
+const compare = (options) => {
+    const comparison = compareReports(readReport(options.compare[0]), readReport(options.compare[1]));
+    comparison.steps.filter((step) => step.differences.length > 0).forEach((step) => {
+        console.log(`${step.id}: ${step.outcomes.join(' / ')}`);
+        step.differences.forEach((difference) => {
+            console.log(`    ${difference.type} ${difference.name}: ${JSON.stringify(difference.left)} vs ${JSON.stringify(difference.right)}`);
+        });
+    });
+    console.log(`${comparison.summary.identical} of ${comparison.summary.steps} steps identical, ${comparison.summary.different} different`);
+    if (options.json) {
+        write(options.json, JSON.stringify(comparison, null, 2));
+    }
+    if (options.html) {
+        write(options.html, renderComparisonHtml(comparison));
+    }
+    process.exit(comparison.summary.different > 0 ? 1 : 0);
+};
+
+const run = async (options) => {
+    if (!options.baseUrl) {
+        fail('--base-url is required');
+    }
+    try {
+        new URL(options.baseUrl);
+    } catch (err) {
+        fail(`Invalid base URL: ${options.baseUrl}`);
+    }
+
+    const report = await runConformance({
+        baseUrl: options.baseUrl,
+        username: options.username,
+        password: options.password !== undefined ? options.password : process.env.WEBDAV_CONFORMANCE_PASSWORD,
+        insecure: !!options.insecure,
+        timeoutMs: options.timeoutMs || 30000,
+        onStep: (step) => {
+            const outcome = step.skipped ? 'SKIP' : (step.passed ? 'PASS' : 'FAIL');
+            console.log(`${outcome} ${step.id} ${step.skipped ? `(${step.reason})` : `-> ${step.status}`}`);
+            (step.failures || []).forEach((failure) => {
+                console.log(`    ${failure.message}: expected ${failure.expected}, got ${failure.actual}`);
+            });
+        }
+    });
+    console.log(`${report.summary.passed} passed, ${report.summary.failed} failed, ${report.summary.skipped} skipped`);
+    if (options.json) {
+        write(options.json, JSON.stringify(report, null, 2));
+    }
+    if (options.html) {
+        write(options.html, renderHtml(report));
+    }
+    process.exit(report.summary.failed > 0 || report.summary.skipped > 0 ? 1 : 0);
+};
+
+const options = parseArgs(process.argv.slice(2));
+if (options.compare.length > 0) {
+    compare(options);
+} else {
+    run(options).catch((err) => {
+        console.error('Conformance run failed:', err);
+        process.exit(2);
+    });
+}
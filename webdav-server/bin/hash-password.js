@@ -0,0 +1,19 @@
+#!/usr/bin/env node
+// Print a "passwordHash" value for users.json, and with --digest <username>
+// also the "digestHa1" value that Digest authentication needs.
+// Usage: node bin/hash-password.js <password> [--digest <username>]
+const { authRealm, digestHa1 } = require('../lib/auth');
+const { hashPassword } = require('../lib/users');
+
+const [password, flag, username] = process.argv.slice(2);
+if (!password || (flag !== undefined && (flag !== '--digest' || !username))) {
+    console.error('Usage: node bin/hash-password.js <password> [--digest <username>]');
+    process.exit(1);
+}
+
+console.log(hashPassword(password));
+if (flag) {
+    // HA1 depends on the realm, so this must match the server's WEBDAV_AUTH_REALM
+    const realm = authRealm();
+    console.log(`digestHa1 (realm "${realm}"): ${digestHa1(username, realm, password)}`);
+}
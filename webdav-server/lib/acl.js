@@ -0,0 +1,268 @@
+const fs = require('fs');
+const path = require('path');
+const webdav = require('webdav-server').v2;
+const { logger } = require('./logger');
+
+const KNOWN_RIGHTS = ['read', 'write'];
+
+// Normalize a rule or request path to "/a/b" form (no trailing slash).
+// "." and ".." are resolved as the disk resolves them, never above "/".
+const normalizePath = (value) => {
+    const normalized = path.posix.normalize(('/' + String(value || '/')).replace(/\\/g, '/'))
+        .replace(/\/$/, '');
+    return normalized || '/';
+};
+
+// True when a path or URL has "." or ".." segments, raw or percent-encoded
+const hasDotSegments = (value) => String(value || '')
+    .split(/[\\/]/)
+    .some((segment) => /^(?:\.|%2e){1,2}$/i.test(segment));
+
+// True when `candidate` equals `base` or lives beneath it
+const isWithin = (candidate, base) => base === '/'
+    || candidate === base
+    || candidate.startsWith(base + '/');
+
+/**
+ * RegExp for a path glob: "*" matches within one path segment, "**" across
+ * segments and "?" one character. "/videos/**" matches the folder and
+ * everything below it; a "**" segment in the middle also matches no
+ * folder at all.
+ */
+const pathPattern = (glob) => {
+    const source = normalizePath(glob)
+        .split(/(\/\*\*\/|\/\*\*$|\*\*|\*|\?)/)
+        .map((part) => {
+            if (part === '/**/') {
+                return '/(?:.*/)?';
+            }
+            if (part === '/**') {
+                return '(?:/.*)?';
+            }
+            if (part === '**') {
+                return '.*';
+            }
+            if (part === '*') {
+                return '[^/]*';
+            }
+            if (part === '?') {
+                return '[^/]';
+            }
+            return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('');
+    return new RegExp(`^${source}$`);
+};
+
+const expandRights = (rights) => {
+    const list = Array.isArray(rights) ? rights : [rights];
+    const expanded = new Set();
+    list.forEach((right) => {
+        if (right === 'all') {
+            KNOWN_RIGHTS.forEach((r) => expanded.add(r));
+        } else if (right === 'none') {
+            // An explicit empty grant
+        } else if (KNOWN_RIGHTS.includes(right)) {
+            expanded.add(right);
+        } else {
+            throw new Error(`Unknown ACL right: ${JSON.stringify(right)}`);
+        }
+    });
+    return Array.from(expanded);
+};
+
+/**
+ * Path-based access control list.
+ *
+ * Each rule grants a set of rights ("read", "write", "all" or "none") on a
+ * path and everything below it, for a list of usernames ("*" for everyone).
+ * For a given user and path, the rule with the longest matching path wins;
+ * on a tie, a rule naming the user beats a "*" rule. Administrators bypass
+ * the list entirely. Hidden paths (see hide) grant nothing to anybody.
+ */
+class Acl {
+    constructor({ rules = [], defaultRights = ['all'] } = {}) {
+        this.defaultRights = expandRights(defaultRights);
+        this.hidden = [];
+        this.rules = rules.map((rule, index) => {
+            if (!rule || !rule.path) {
+                throw new Error(`ACL rule #${index} has no "path"`);
+            }
+            const users = rule.users === undefined ? ['*'] : [].concat(rule.users);
+            return {
+                path: normalizePath(rule.path),
+                users,
+                rights: expandRights(rule.rights === undefined ? [] : rule.rights)
+            };
+        });
+    }
+
+    // Deny everybody, administrators included, a path and everything below it
+    hide(resourcePath) {
+        this.hidden.push(normalizePath(resourcePath));
+    }
+
+    isHidden(resourcePath) {
+        const target = normalizePath(resourcePath);
+        return this.hidden.some((hidden) => isWithin(target, hidden));
+    }
+
+    /**
+     * Effective rights of a user on a path.
+     *
+     * @param {object} user webdav-server user
+     * @param {string} resourcePath Path relative to the user's WebDAV root
+     * @returns {string[]} Subset of ["read", "write"]
+     */
+    rightsFor(user, resourcePath) {
+        if (this.isHidden(resourcePath)) {
+            return [];
+        }
+        if (user && user.isAdministrator) {
+            return KNOWN_RIGHTS.slice();
+        }
+
+        const target = normalizePath(resourcePath);
+
+        // Share links get the owner's rights inside the shared path, narrowed
+        // to reading or writing by the link's mode, and nothing elsewhere
+        if (user && user.share) {
+            const right = user.share.mode === 'upload' ? 'write' : 'read';
+            return isWithin(target, user.share.path)
+                ? this.rightsFor(user.share.owner, target).filter((granted) => granted === right)
+                : [];
+        }
+
+        const username = user && user.username;
+        let best = null;
+        let bestScore = -1;
+
+        this.rules.forEach((rule) => {
+            if (!isWithin(target, rule.path)) {
+                return;
+            }
+            const named = rule.users.includes(username);
+            if (!named && !rule.users.includes('*')) {
+                return;
+            }
+            const score = rule.path.length * 2 + (named ? 1 : 0);
+            if (score > bestScore) {
+                best = rule;
+                bestScore = score;
+            }
+        });
+
+        return best ? best.rights : this.defaultRights;
+    }
+
+    can(user, resourcePath, right) {
+        return this.rightsFor(user, resourcePath).includes(right);
+    }
+}
+
+/**
+ * webdav-server privilege manager backed by an Acl.
+ *
+ * "canWrite*" privileges map to the "write" right and content reads to the
+ * "read" right. Property and lock reads are granted by either right, because
+ * webdav-server needs a resource's type before it lets anyone write to it;
+ * a write-only "drop box" can therefore list and upload but not download.
+ */
+class AclPrivilegeManager extends webdav.PrivilegeManager {
+    constructor(acl) {
+        super();
+        this.acl = acl;
+    }
+
+    // webdav-server lets administrators through before _can is asked
+    can(fullPath, resource, privileges, callback) {
+        if (!resource.context.overridePrivileges && this.acl.isHidden(fullPath.toString())) {
+            return callback(null, false);
+        }
+        super.can(fullPath, resource, privileges, callback);
+    }
+
+    // Rights of a user on a path of the server; subclasses narrow them
+    rightsFor(user, fullPath) {
+        return this.acl.rightsFor(user, fullPath);
+    }
+
+    _can(fullPath, user, resource, privilege, callback) {
+        if (!user || user.isDefaultUser) {
+            return callback(null, false);
+        }
+
+        const rights = this.rightsFor(user, fullPath.toString());
+        if (privilege.startsWith('canWrite')) {
+            return callback(null, rights.includes('write'));
+        }
+        if (privilege.startsWith('canReadContent') || privilege === 'canRead') {
+            return callback(null, rights.includes('read'));
+        }
+        callback(null, rights.length > 0);
+    }
+}
+
+/**
+ * Wrap a webdav-server FileSystem class so directory listings leave out
+ * children the requesting user may not see, file systems mounted below the
+ * folder included.
+ *
+ * webdav-server's readDir is meant to do this but filters the wrong array,
+ * and PROPFIND then aborts half-way through on the first unreadable child.
+ */
+const withReadableChildren = (Base) => class extends Base {
+    readDir(ctx, dirPath, retrieveExternalFiles, callback) {
+        if (!callback) {
+            return this.readDir(ctx, dirPath, false, retrieveExternalFiles);
+        }
+        super.readDir(ctx, dirPath, retrieveExternalFiles, (err, names) => {
+            if (err || !names || names.length === 0 || !ctx) {
+                return callback(err, names);
+            }
+
+            const folder = new webdav.Path(dirPath);
+            let pending = names.length;
+            const visible = new Array(names.length);
+            names.forEach((name, index) => {
+                this.checkPrivilege(ctx, folder.getChildPath(name), 'canReadProperties', (checkErr, can) => {
+                    visible[index] = !checkErr && can;
+                    if (--pending === 0) {
+                        callback(null, names.filter((_, i) => visible[i]));
+                    }
+                });
+            });
+        });
+    }
+};
+
+/**
+ * Load the ACL from the JSON file named by WEBDAV_ACL_FILE (or ./acl.json
+ * next to server.js). Without a file every user gets full rights on their root.
+ */
+const loadAcl = (options = {}) => {
+    const env = options.env || process.env;
+    const aclFile = env.WEBDAV_ACL_FILE || path.join(options.baseDir || path.join(__dirname, '..'), 'acl.json');
+
+    if (fs.existsSync(aclFile)) {
+        logger.info('Loading ACL from:', aclFile);
+        return new Acl(JSON.parse(fs.readFileSync(aclFile, 'utf8')));
+    }
+
+    if (env.WEBDAV_ACL_FILE) {
+        throw new Error(`ACL file not found: ${aclFile}`);
+    }
+
+    return new Acl();
+};
+
+module.exports = {
+    Acl,
+    AclPrivilegeManager,
+    hasDotSegments,
+    isWithin,
+    loadAcl,
+    normalizePath,
+    pathPattern,
+    withReadableChildren
+};
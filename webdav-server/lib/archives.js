@@ -0,0 +1,478 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable, Transform } = require('stream');
+const webdav = require('webdav-server').v2;
+const { logger } = require('./logger');
+
+const { Errors, LocalLockManager, LocalPropertyManager, ResourceType } = webdav;
+
+const ZIP_END = 0x06054b50;
+const ZIP64_END = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP_CENTRAL_ENTRY = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+// End of central directory record plus the longest comment
+const ZIP_END_SEARCH = 22 + 0xffff;
+
+const TAR_BLOCK = 512;
+
+// Path of an archive member inside the mount, or null for names that escape it
+const memberPath = (name) => {
+    const segments = name.replace(/\\/g, '/').split('/').filter((segment) => segment !== '' && segment !== '.');
+    if (segments.length === 0 || segments.includes('..')) {
+        return null;
+    }
+    return `/${segments.join('/')}`;
+};
+
+const readAt = (fd, position, length) => {
+    const buffer = Buffer.alloc(length);
+    const read = fs.readSync(fd, buffer, 0, length, position);
+    return buffer.subarray(0, read);
+};
+
+// MS-DOS date and time of a ZIP entry, in local time
+const dosDate = (date, time) => new Date(
+    (date >> 9) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+).getTime();
+
+// Sizes and offset a ZIP64 extra field replaces (those set to 0xffffffff)
+const zip64Values = (extra, fields) => {
+    for (let offset = 0; offset + 4 <= extra.length;) {
+        const id = extra.readUInt16LE(offset);
+        const size = extra.readUInt16LE(offset + 2);
+        if (id === 0x0001) {
+            let position = offset + 4;
+            Object.keys(fields).forEach((name) => {
+                if (fields[name] === 0xffffffff && position + 8 <= offset + 4 + size) {
+                    fields[name] = Number(extra.readBigUInt64LE(position));
+                    position += 8;
+                }
+            });
+            break;
+        }
+        offset += 4 + size;
+    }
+    return fields;
+};
+
+/**
+ * Members of a ZIP file, read from its central directory:
+ * [{ path, isDirectory, size, modified, method, compressedSize, headerOffset }].
+ * ZIP64 archives are supported; encrypted members are left out.
+ */
+const readZipIndex = (file) => {
+    const fd = fs.openSync(file, 'r');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        const tailStart = Math.max(fileSize - ZIP_END_SEARCH, 0);
+        const tail = readAt(fd, tailStart, fileSize - tailStart);
+        let end = -1;
+        for (let offset = tail.length - 22; offset >= 0; offset--) {
+            if (tail.readUInt32LE(offset) === ZIP_END) {
+                end = offset;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('not a ZIP file (no end of central directory)');
+        }
+
+        let count = tail.readUInt16LE(end + 10);
+        let directorySize = tail.readUInt32LE(end + 12);
+        let directoryOffset = tail.readUInt32LE(end + 16);
+        if (end >= 20 && tail.readUInt32LE(end - 20) === ZIP64_LOCATOR) {
+            const record = readAt(fd, Number(tail.readBigUInt64LE(end - 12)), 56);
+            if (record.readUInt32LE(0) !== ZIP64_END) {
+                throw new Error('broken ZIP64 end of central directory');
+            }
+            count = Number(record.readBigUInt64LE(32));
+            directorySize = Number(record.readBigUInt64LE(40));
+            directoryOffset = Number(record.readBigUInt64LE(48));
+        }
+
+        const directory = readAt(fd, directoryOffset, directorySize);
+        const members = [];
+        let offset = 0;
+        for (let index = 0; index < count; index++) {
+            if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_CENTRAL_ENTRY) {
+                throw new Error('broken central directory');
+            }
+            const flags = directory.readUInt16LE(offset + 8);
+            const nameLength = directory.readUInt16LE(offset + 28);
+            const extraLength = directory.readUInt16LE(offset + 30);
+            const commentLength = directory.readUInt16LE(offset + 32);
+            const name = directory.toString(flags & 0x0800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+            const extra = directory.subarray(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+            const sizes = zip64Values(extra, {
+                size: directory.readUInt32LE(offset + 24),
+                compressedSize: directory.readUInt32LE(offset + 20),
+                headerOffset: directory.readUInt32LE(offset + 42)
+            });
+            const member = memberPath(name);
+            if (member && !(flags & 0x0001)) {
+                members.push({
+                    path: member,
+                    isDirectory: name.endsWith('/'),
+                    modified: dosDate(directory.readUInt16LE(offset + 14), directory.readUInt16LE(offset + 12)),
+                    method: directory.readUInt16LE(offset + 10),
+                    ...sizes
+                });
+            }
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+        return members;
+    } finally {
+        fs.closeSync(fd);
+    }
+};
+
+// Contents of a ZIP member, inflated when it is deflated
+const openZipMember = (file, member) => {
+    const fd = fs.openSync(file, 'r');
+    let header;
+    try {
+        header = readAt(fd, member.headerOffset, 30);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+        throw new Error(`broken local header for ${member.path}`);
+    }
+    const start = member.headerOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    if (member.method !== 0 && member.method !== 8) {
+        throw new Error(`unsupported compression method ${member.method} for ${member.path}`);
+    }
+    if (member.compressedSize === 0) {
+        return Readable.from([]);
+    }
+    const raw = fs.createReadStream(file, { start, end: start + member.compressedSize - 1 });
+    if (member.method === 0) {
+        return raw;
+    }
+    const inflate = zlib.createInflateRaw();
+    raw.on('error', (err) => inflate.destroy(err));
+    return raw.pipe(inflate);
+};
+
+// Number in a TAR header field: octal text, or base-256 for large values
+const tarNumber = (field) => {
+    if (field[0] & 0x80) {
+        let value = 0;
+        for (let index = 1; index < field.length; index++) {
+            value = value * 256 + field[index];
+        }
+        return value;
+    }
+    const text = field.toString('latin1').replace(/\0.*$/s, '').trim();
+    return text ? parseInt(text, 8) : 0;
+};
+
+const tarString = (field) => field.toString('utf8').replace(/\0.*$/s, '');
+
+// "path" (and other) records of a pax extended header
+const paxRecords = (data) => {
+    const records = {};
+    let offset = 0;
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        const length = space === -1 ? NaN : parseInt(data.toString('latin1', offset, space), 10);
+        if (!length) {
+            break;
+        }
+        const record = data.toString('utf8', space + 1, offset + length - 1);
+        const equals = record.indexOf('=');
+        records[record.slice(0, equals)] = record.slice(equals + 1);
+        offset += length;
+    }
+    return records;
+};
+
+// Whether a file is a gzip-compressed TAR
+const isGzipped = (file) => /\.(tgz|tar\.gz)$/i.test(file);
+
+const tarInput = (file) => {
+    const input = fs.createReadStream(file);
+    if (!isGzipped(file)) {
+        return input;
+    }
+    const gunzip = zlib.createGunzip();
+    input.on('error', (err) => gunzip.destroy(err));
+    return input.pipe(gunzip);
+};
+
+/**
+ * Members of a TAR file (optionally gzipped), read in one pass:
+ * [{ path, isDirectory, size, modified, dataOffset }] where dataOffset is
+ * the position of the contents in the uncompressed archive. ustar, GNU
+ * long names and pax paths are understood; links and devices are left out.
+ */
+const readTarIndex = (file) => new Promise((resolve, reject) => {
+    const members = [];
+    let pending = Buffer.alloc(0);
+    let position = 0;
+    // Bytes of member data (and padding) still to skip, and data to collect for long names
+    let skip = 0;
+    let collect = null;
+    let longName = null;
+    let pax = {};
+    let ended = false;
+
+    const header = (block) => {
+        if (block.every((byte) => byte === 0)) {
+            ended = true;
+            return;
+        }
+        const size = tarNumber(block.subarray(124, 136));
+        const type = String.fromCharCode(block[156] || 0x30);
+        const padded = Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+        if (type === 'L' || type === 'x') {
+            collect = { type, size, padded, chunks: [] };
+            return;
+        }
+        const prefix = block.toString('latin1', 257, 262) === 'ustar' ? tarString(block.subarray(345, 500)) : '';
+        const name = longName || pax.path || (prefix ? `${prefix}/${tarString(block.subarray(0, 100))}` : tarString(block.subarray(0, 100)));
+        longName = null;
+        pax = {};
+        const member = memberPath(name);
+        if (member && (type === '0' || type === '7' || type === '5')) {
+            members.push({
+                path: member,
+                isDirectory: type === '5',
+                size: type === '5' ? 0 : size,
+                modified: tarNumber(block.subarray(136, 148)) * 1000,
+                dataOffset: position
+            });
+        }
+        skip = type === '5' ? 0 : padded;
+    };
+
+    const consume = (chunk) => {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        let offset = 0;
+        while (!ended) {
+            if (skip > 0) {
+                const step = Math.min(skip, pending.length - offset);
+                skip -= step;
+                offset += step;
+                position += step;
+                if (skip > 0) {
+                    break;
+                }
+                continue;
+            }
+            if (collect) {
+                if (pending.length - offset < collect.padded) {
+                    break;
+                }
+                const data = pending.subarray(offset, offset + collect.size);
+                if (collect.type === 'L') {
+                    longName = tarString(data);
+                } else {
+                    pax = paxRecords(data);
+                }
+                offset += collect.padded;
+                position += collect.padded;
+                collect = null;
+                continue;
+            }
+            if (pending.length - offset < TAR_BLOCK) {
+                break;
+            }
+            position += TAR_BLOCK;
+            header(pending.subarray(offset, offset + TAR_BLOCK));
+            offset += TAR_BLOCK;
+        }
+        pending = pending.subarray(offset);
+    };
+
+    const input = tarInput(file);
+    input.on('data', (chunk) => {
+        consume(chunk);
+        if (ended) {
+            input.destroy();
+            resolve(members);
+        }
+    });
+    input.on('error', reject);
+    input.on('end', () => resolve(members));
+});
+
+// Pass on `length` bytes after the first `start`, then call done
+const byteWindow = (start, length, done) => {
+    let seen = 0;
+    let finished = false;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (finished) {
+                return callback();
+            }
+            const from = Math.max(start - seen, 0);
+            const to = Math.min(start + length - seen, chunk.length);
+            seen += chunk.length;
+            if (to > from) {
+                this.push(chunk.subarray(from, to));
+            }
+            if (seen >= start + length) {
+                finished = true;
+                this.push(null);
+                done();
+            }
+            callback();
+        }
+    });
+};
+
+// Contents of a TAR member; in a gzipped archive, everything before it is inflated too
+const openTarMember = (file, member) => {
+    if (member.size === 0) {
+        return Readable.from([]);
+    }
+    if (!isGzipped(file)) {
+        return fs.createReadStream(file, { start: member.dataOffset, end: member.dataOffset + member.size - 1 });
+    }
+    const input = tarInput(file);
+    const window = byteWindow(member.dataOffset, member.size, () => {
+        input.unpipe(window);
+        input.destroy();
+    });
+    input.on('error', (err) => window.destroy(err));
+    window.on('close', () => input.destroy());
+    return input.pipe(window);
+};
+
+// Kind of archive a file name stands for, or null
+const archiveKind = (file) => {
+    if (/\.zip$/i.test(file)) {
+        return 'zip';
+    }
+    return /\.(tar|tgz|tar\.gz)$/i.test(file) ? 'tar' : null;
+};
+
+/**
+ * Read-only webdav-server file system showing the members of a ZIP or TAR
+ * (.tar, .tar.gz, .tgz) archive. Folders missing from the archive are made
+ * up from member paths. The archive is indexed once, in the background;
+ * requests wait for the index. Locks and dead properties live in memory.
+ */
+class ArchiveFileSystem extends webdav.FileSystem {
+    constructor(file) {
+        super(null);
+        this.file = file;
+        this.kind = archiveKind(file);
+        if (!this.kind) {
+            throw new Error(`Unknown archive type: ${file}`);
+        }
+        this.stats = fs.statSync(file);
+        this.entries = null;
+        this.managers = new Map();
+        this.ready = (this.kind === 'zip' ? Promise.resolve().then(() => readZipIndex(file)) : readTarIndex(file))
+            .then((members) => {
+                this.entries = this.buildTree(members);
+                logger.info(`Indexed ${members.length} archive members in:`, file);
+            }, (err) => {
+                // Show an empty folder rather than breaking the listing it is mounted in
+                logger.error(`Cannot read archive ${file}:`, err.message);
+                this.entries = this.buildTree([]);
+            });
+    }
+
+    buildTree(members) {
+        const modified = this.stats.mtimeMs;
+        const entries = new Map([['/', { isDirectory: true, modified, children: new Set() }]]);
+        const addFolder = (folderPath) => {
+            if (!entries.has(folderPath)) {
+                const parent = path.posix.dirname(folderPath);
+                addFolder(parent);
+                entries.set(folderPath, { isDirectory: true, modified, children: new Set() });
+                entries.get(parent).children.add(path.posix.basename(folderPath));
+            }
+            return entries.get(folderPath);
+        };
+        members.forEach((member) => {
+            if (member.isDirectory) {
+                addFolder(member.path).modified = member.modified;
+                return;
+            }
+            const parent = path.posix.dirname(member.path);
+            addFolder(parent).children.add(path.posix.basename(member.path));
+            entries.set(member.path, { ...member, children: null });
+        });
+        return entries;
+    }
+
+    // Call fn(entry) once indexed, or fail with ResourceNotFound
+    withEntry(resourcePath, callback, fn) {
+        this.ready.then(() => {
+            const entry = this.entries.get(resourcePath.toString());
+            if (!entry) {
+                return callback(Errors.ResourceNotFound);
+            }
+            fn(entry);
+        });
+    }
+
+    _fastExistCheck(ctx, resourcePath, callback) {
+        this.ready.then(() => callback(this.entries.has(resourcePath.toString())));
+    }
+
+    _type(resourcePath, info, callback) {
+        this.withEntry(resourcePath, callback, (entry) => callback(null, entry.isDirectory ? ResourceType.Directory : ResourceType.File));
+    }
+
+    _size(resourcePath, info, callback) {
+        this.withEntry(resourcePath, callback, (entry) => callback(null, entry.isDirectory ? 0 : entry.size));
+    }
+
+    _lastModifiedDate(resourcePath, info, callback) {
+        this.withEntry(resourcePath, callback, (entry) => callback(null, entry.modified));
+    }
+
+    _creationDate(resourcePath, info, callback) {
+        this._lastModifiedDate(resourcePath, info, callback);
+    }
+
+    _readDir(resourcePath, info, callback) {
+        this.withEntry(resourcePath, callback, (entry) => callback(null, entry.isDirectory ? Array.from(entry.children) : []));
+    }
+
+    _openReadStream(resourcePath, info, callback) {
+        this.withEntry(resourcePath, callback, (entry) => {
+            if (entry.isDirectory) {
+                return callback(Errors.InvalidOperation);
+            }
+            try {
+                callback(null, this.kind === 'zip' ? openZipMember(this.file, entry) : openTarMember(this.file, entry));
+            } catch (err) {
+                logger.error('Cannot read archive member:', { file: this.file, path: entry.path, error: err.message });
+                callback(err);
+            }
+        });
+    }
+
+    // Lock and property managers kept per path, in memory
+    managersFor(resourcePath) {
+        const key = resourcePath.toString();
+        if (!this.managers.has(key)) {
+            this.managers.set(key, { locks: new LocalLockManager(), props: new LocalPropertyManager() });
+        }
+        return this.managers.get(key);
+    }
+
+    _lockManager(resourcePath, info, callback) {
+        this.withEntry(resourcePath, callback, () => callback(null, this.managersFor(resourcePath).locks));
+    }
+
+    _propertyManager(resourcePath, info, callback) {
+        this.withEntry(resourcePath, callback, () => callback(null, this.managersFor(resourcePath).props));
+    }
+}
+
+module.exports = {
+    ArchiveFileSystem,
+    archiveKind,
+    readTarIndex,
+    readZipIndex
+};
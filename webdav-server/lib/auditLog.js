@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// WebDAV request headers recorded on every entry, by log field name
+const DAV_HEADERS = {
+    depth: 'depth',
+    destination: 'destination',
+    if: 'if',
+    lockToken: 'lock-token'
+};
+
+const SECRET_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-share-token'];
+const SECRET_PARAMS = /^(token|access_token|share|password|passwd|secret|signature|sig|key)$/i;
+const REDACTED = '[REDACTED]';
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Hide signed-URL tokens, secret query parameters and URL credentials
+const redactUrl = (value) => {
+    if (!value) {
+        return value;
+    }
+    let url;
+    try {
+        url = new URL(value, 'http://placeholder');
+    } catch (err) {
+        return REDACTED;
+    }
+    if (url.username || url.password) {
+        url.username = '';
+        url.password = '';
+    }
+    url.pathname = url.pathname.replace(/^\/files\/[^/]+/, `/files/${REDACTED}`);
+    Array.from(url.searchParams.keys())
+        .filter((name) => SECRET_PARAMS.test(name))
+        .forEach((name) => url.searchParams.set(name, REDACTED));
+    const relative = !/^[a-z][a-z0-9+.-]*:/i.test(value);
+    return relative ? `${url.pathname}${url.search}` : url.href;
+};
+
+const redactHeaders = (headers) => {
+    const result = {};
+    Object.keys(headers).forEach((name) => {
+        result[name] = SECRET_HEADERS.includes(name) ? REDACTED : headers[name];
+    });
+    if (result.destination) {
+        result.destination = redactUrl(result.destination);
+    }
+    return result;
+};
+
+const levelForStatus = (status) => {
+    if (status >= 500) {
+        return 'error';
+    }
+    return status >= 400 ? 'warn' : 'info';
+};
+
+/**
+ * Append-only log file that is rotated by size: <file> becomes <file>.1,
+ * <file>.1 becomes <file>.2 and so on, keeping maxFiles old files.
+ */
+class RotatingFile {
+    constructor(file, { maxBytes, maxFiles }) {
+        this.file = file;
+        this.maxBytes = maxBytes;
+        this.maxFiles = maxFiles;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.open();
+    }
+
+    open() {
+        this.size = fs.existsSync(this.file) ? fs.statSync(this.file).size : 0;
+        this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+        this.stream.on('error', (err) => logger.error('Error writing log file:', err));
+    }
+
+    rotate() {
+        this.stream.end();
+        for (let index = this.maxFiles - 1; index >= 1; index--) {
+            const from = `${this.file}.${index}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.file}.${index + 1}`);
+            }
+        }
+        if (this.maxFiles > 0) {
+            fs.renameSync(this.file, `${this.file}.1`);
+        } else {
+            fs.unlinkSync(this.file);
+        }
+        this.open();
+    }
+
+    write(line) {
+        const bytes = Buffer.byteLength(line);
+        if (this.size > 0 && this.size + bytes > this.maxBytes) {
+            try {
+                this.rotate();
+            } catch (err) {
+                logger.error('Error rotating log file:', err);
+            }
+        }
+        this.size += bytes;
+        this.stream.write(line);
+    }
+}
+
+/**
+ * Structured request/response log, one JSON object per line.
+ *
+ * Every request gets an ID (kept from a valid incoming X-Request-Id, echoed
+ * in the response) and one entry when its response is done, leveled by
+ * status. Credentials never reach the log: Authorization and cookies are
+ * redacted, as are signed-URL tokens and secret query parameters. Lines go
+ * to a rotating file, or to stdout without one; the most recent entries are
+ * also kept in memory for the /admin/logs endpoint. Notes about a request
+ * in progress are written as entries of their own, with a message instead
+ * of a status.
+ */
+class AuditLog {
+    constructor({ file = null, level = 'info', maxBytes = 10 * 1024 * 1024, maxFiles = 5, recentLimit = 1000 } = {}) {
+        if (!LEVELS.includes(level)) {
+            throw new Error(`Unknown log level: ${level} (expected ${LEVELS.join(', ')})`);
+        }
+        this.level = level;
+        this.output = file ? new RotatingFile(file, { maxBytes, maxFiles }) : process.stdout;
+        this.recentLimit = recentLimit;
+        this.recent = [];
+    }
+
+    enabled(level) {
+        return LEVELS.indexOf(level) >= LEVELS.indexOf(this.level);
+    }
+
+    write(entry, { remember = true } = {}) {
+        if (!this.enabled(entry.level)) {
+            return;
+        }
+        if (remember) {
+            this.recent.push(entry);
+            if (this.recent.length > this.recentLimit) {
+                this.recent.shift();
+            }
+        }
+        this.output.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    // Note about a request in progress, e.g. how it was authenticated; not kept for /admin/logs
+    note(req, level, message, details = {}) {
+        this.write({
+            time: new Date().toISOString(),
+            level,
+            requestId: req.requestId,
+            method: req.method,
+            path: redactUrl(req.originalUrl),
+            message,
+            ...details
+        }, { remember: false });
+    }
+
+    // Express middleware recording one entry per request
+    middleware() {
+        return (req, res, next) => {
+            const started = process.hrtime.bigint();
+            const incomingId = req.headers['x-request-id'];
+            const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+            req.requestId = requestId;
+            res.setHeader('X-Request-Id', requestId);
+
+            // Count body bytes as they are consumed, without reading the body here
+            let bytesIn = 0;
+            const emit = req.emit;
+            req.emit = function countingEmit(event, chunk, ...rest) {
+                if (event === 'data' && chunk) {
+                    bytesIn += chunk.length;
+                }
+                return emit.call(this, event, chunk, ...rest);
+            };
+
+            let bytesOut = 0;
+            const count = (chunk, encoding) => {
+                if (chunk && typeof chunk !== 'function') {
+                    bytesOut += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, encoding);
+                }
+            };
+            const write = res.write;
+            const end = res.end;
+            res.write = function countingWrite(chunk, encoding, ...rest) {
+                count(chunk, typeof encoding === 'string' ? encoding : undefined);
+                return write.call(this, chunk, encoding, ...rest);
+            };
+            res.end = function countingEnd(chunk, encoding, ...rest) {
+                count(chunk, typeof encoding === 'string' ? encoding : undefined);
+                return end.call(this, chunk, encoding, ...rest);
+            };
+
+            let logged = false;
+            const done = () => {
+                if (logged) {
+                    return;
+                }
+                logged = true;
+                const status = res.statusCode;
+                const entry = {
+                    time: new Date().toISOString(),
+                    level: levelForStatus(status),
+                    requestId,
+                    method: req.method,
+                    path: redactUrl(req.originalUrl),
+                    user: (req.davUser && req.davUser.username) || null,
+                    status,
+                    bytesIn,
+                    bytesOut,
+                    durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+                    completed: res.writableFinished
+                };
+                if (req.injectedFaults) {
+                    entry.faults = req.injectedFaults;
+                }
+                Object.keys(DAV_HEADERS).forEach((field) => {
+                    const value = req.headers[DAV_HEADERS[field]];
+                    if (value !== undefined) {
+                        entry[field] = field === 'destination' ? redactUrl(value) : value;
+                    }
+                });
+                if (this.enabled('debug')) {
+                    entry.requestHeaders = redactHeaders(req.headers);
+                    entry.responseHeaders = redactHeaders(res.getHeaders());
+                }
+                this.write(entry);
+            };
+            res.on('finish', done);
+            res.on('close', done);
+            next();
+        };
+    }
+
+    /**
+     * Most recent entries first, filtered by exact method, status ("404" or a
+     * class such as "4xx") and path prefix.
+     */
+    query({ method, status, path: pathPrefix, limit = 100 } = {}) {
+        const statusPattern = status ? new RegExp(`^${String(status).replace(/x/gi, '\\d')}$`) : null;
+        const result = [];
+        for (let index = this.recent.length - 1; index >= 0 && result.length < limit; index--) {
+            const entry = this.recent[index];
+            if (method && entry.method !== method.toUpperCase()) {
+                continue;
+            }
+            if (statusPattern && !statusPattern.test(String(entry.status))) {
+                continue;
+            }
+            if (pathPrefix && !entry.path.startsWith(pathPrefix)) {
+                continue;
+            }
+            result.push(entry);
+        }
+        return result;
+    }
+}
+
+module.exports = {
+    AuditLog,
+    LEVELS,
+    redactUrl
+};
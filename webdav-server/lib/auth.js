@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const net = require('net');
+const path = require('path');
+const webdav = require('webdav-server').v2;
+const { logger } = require('./logger');
+
+/**
+ * Parse a "Basic <base64>" Authorization header.
+ *
+ * @param {string} header
+ * @returns {{ username: string, password: string }|null} null when the header is missing or malformed
+ */
+const parseBasicAuth = (header) => {
+    const match = /^Basic\s+([A-Za-z0-9+/]+=*)\s*$/i.exec(header || '');
+    if (!match) {
+        return null;
+    }
+
+    const credentials = Buffer.from(match[1], 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    if (separator === -1) {
+        return null;
+    }
+
+    return {
+        username: credentials.slice(0, separator),
+        password: credentials.slice(separator + 1)
+    };
+};
+
+const AUTH_SCHEMES = ['basic', 'digest', 'proxy', 'module'];
+const DEFAULT_REALM = 'Default realm';
+
+// Digest nonces are accepted for this long, then clients are told to retry with a fresh one
+const NONCE_TTL_MS = 5 * 60 * 1000;
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+// Realm of the WWW-Authenticate challenges (WEBDAV_AUTH_REALM)
+const authRealm = (env = process.env) => env.WEBDAV_AUTH_REALM || DEFAULT_REALM;
+
+// The "HA1" Digest secret of a user: MD5 of "<username>:<realm>:<password>"
+const digestHa1 = (username, realm, password) => md5(`${username}:${realm}:${password}`);
+
+const quote = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Parse a "Digest key=value, key="value", ..." Authorization header into an
+ * object of lower-cased keys, or null when it is not a Digest header.
+ */
+const parseDigestAuth = (header) => {
+    const match = /^Digest\s+(.+)$/i.exec(header || '');
+    if (!match) {
+        return null;
+    }
+    const params = {};
+    const pattern = /([A-Za-z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+    let param;
+    while ((param = pattern.exec(match[1])) !== null) {
+        params[param[1].toLowerCase()] = param[2] !== undefined ? param[2].replace(/\\(.)/g, '$1') : param[3];
+    }
+    return params;
+};
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Address of the connecting peer, with IPv4-mapped IPv6 addresses unwrapped
+const peerAddress = (req) => String((req.socket && req.socket.remoteAddress) || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+/*
+ * Authentication schemes share one interface, used both by the Express
+ * middleware and, through SchemeAuthentication, by the WebDAV servers:
+ *
+ *   authenticate(req, callback)  callback(err, user, stale): the user of the
+ *                                request, or no user when it is not (or
+ *                                wrongly) authenticated
+ *   challenge(stale)             WWW-Authenticate value for 401 answers, or
+ *                                null when the scheme has none
+ */
+
+// HTTP Basic authentication against the user store
+class BasicScheme {
+    constructor({ userStore, realm = DEFAULT_REALM }) {
+        this.name = 'basic';
+        this.userStore = userStore;
+        this.realm = realm;
+    }
+
+    challenge() {
+        return `Basic realm=${quote(this.realm)}, charset="UTF-8"`;
+    }
+
+    authenticate(req, callback) {
+        const credentials = parseBasicAuth(req.headers.authorization);
+        if (!credentials) {
+            return callback(null, null);
+        }
+        this.userStore.verify(credentials.username, credentials.password, callback);
+    }
+}
+
+/**
+ * HTTP Digest authentication (RFC 7616, MD5 with qop=auth). It needs the
+ * HA1 of each user for this realm, which the user store derives from
+ * plain-text passwords or takes from "digestHa1" in the users file.
+ * Nonces are signed timestamps; expired ones are answered with stale=true
+ * and clients retry without asking the user. The last nonce count (nc) seen
+ * for each nonce is kept until the nonce expires, and a request that repeats
+ * or lowers it is a replay: it is answered like an expired nonce.
+ */
+class DigestScheme {
+    constructor({ userStore, realm = DEFAULT_REALM, secret = crypto.randomBytes(32) }) {
+        this.name = 'digest';
+        this.userStore = userStore;
+        this.realm = realm;
+        this.secret = secret;
+        this.opaque = md5(`${realm}:${secret.toString('hex')}`);
+        // Last nonce count by nonce
+        this.counts = new Map();
+        this.sweptAt = Date.now();
+    }
+
+    // Record nc for a valid nonce; false when it does not exceed the last one
+    useCount(nonce, nc) {
+        const now = Date.now();
+        if (now - this.sweptAt > NONCE_TTL_MS) {
+            this.counts.forEach((count, key) => {
+                if (this.checkNonce(key) !== 'valid') {
+                    this.counts.delete(key);
+                }
+            });
+            this.sweptAt = now;
+        }
+        const count = parseInt(nc, 16);
+        const last = this.counts.get(nonce);
+        if (last !== undefined && count <= last) {
+            return false;
+        }
+        this.counts.set(nonce, count);
+        return true;
+    }
+
+    sign(timestamp) {
+        return crypto.createHmac('sha256', this.secret).update(`${timestamp}:${this.realm}`).digest('base64url');
+    }
+
+    createNonce() {
+        const timestamp = Date.now().toString(36);
+        return `${timestamp}.${this.sign(timestamp)}`;
+    }
+
+    // "valid", "stale" (well signed but too old) or "invalid"
+    checkNonce(nonce) {
+        const [timestamp, signature] = String(nonce).split('.');
+        if (!timestamp || !signature || !safeEqual(signature, this.sign(timestamp))) {
+            return 'invalid';
+        }
+        return Date.now() - parseInt(timestamp, 36) <= NONCE_TTL_MS ? 'valid' : 'stale';
+    }
+
+    challenge(stale = false) {
+        return [
+            `Digest realm=${quote(this.realm)}`,
+            'qop="auth"',
+            'algorithm=MD5',
+            `nonce=${quote(this.createNonce())}`,
+            `opaque=${quote(this.opaque)}`,
+            stale ? 'stale=true' : null
+        ].filter(Boolean).join(', ');
+    }
+
+    authenticate(req, callback) {
+        const params = parseDigestAuth(req.headers.authorization);
+        if (!params || !params.username || !params.nonce || !params.response || !params.cnonce || !/^[0-9a-f]{8}$/i.test(params.nc || '')) {
+            return callback(null, null);
+        }
+        if (params.realm !== this.realm || params.qop !== 'auth' || (params.algorithm || 'MD5').toUpperCase() !== 'MD5') {
+            return callback(null, null);
+        }
+        // The digest covers the URI, so it must be the one requested
+        if (params.uri !== (req.originalUrl || req.url)) {
+            return callback(null, null);
+        }
+        const nonce = this.checkNonce(params.nonce);
+        if (nonce === 'invalid') {
+            return callback(null, null);
+        }
+
+        this.userStore.getUserByName(params.username, (err, user) => {
+            if (err || !user.digestHa1) {
+                return callback(null, null);
+            }
+            const ha2 = md5(`${req.method}:${params.uri}`);
+            const expected = md5(`${user.digestHa1}:${params.nonce}:${params.nc}:${params.cnonce}:auth:${ha2}`);
+            if (!safeEqual(expected, params.response.toLowerCase())) {
+                return callback(null, null);
+            }
+            if (nonce === 'stale' || !this.useCount(params.nonce, params.nc)) {
+                return callback(null, null, true);
+            }
+            callback(null, user);
+        });
+    }
+}
+
+/**
+ * Identity asserted by an authenticating reverse proxy in a request header
+ * (X-Forwarded-User by default). The header is only believed on
+ * connections from trustedProxies, a list of addresses and CIDR ranges, and
+ * must name a user of the user store.
+ */
+class ProxyScheme {
+    constructor({ userStore, realm = DEFAULT_REALM, header = 'X-Forwarded-User', trustedProxies = ['127.0.0.1', '::1'] }) {
+        this.name = 'proxy';
+        this.userStore = userStore;
+        this.realm = realm;
+        this.header = header.toLowerCase();
+        this.trusted = new net.BlockList();
+        trustedProxies.forEach((entry) => {
+            const [address, prefix] = entry.split('/');
+            const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+            if (!net.isIP(address) || (prefix !== undefined && !/^\d+$/.test(prefix))) {
+                throw new Error(`Invalid trusted proxy address: ${entry}`);
+            }
+            if (prefix === undefined) {
+                this.trusted.addAddress(address, type);
+            } else {
+                this.trusted.addSubnet(address, Number(prefix), type);
+            }
+        });
+    }
+
+    challenge() {
+        return null;
+    }
+
+    authenticate(req, callback) {
+        const username = req.headers[this.header];
+        if (!username) {
+            return callback(null, null);
+        }
+        const peer = peerAddress(req);
+        if (!net.isIP(peer) || !this.trusted.check(peer, net.isIPv6(peer) ? 'ipv6' : 'ipv4')) {
+            logger.warn(`Ignoring ${this.header} from untrusted address:`, peer);
+            return callback(null, null);
+        }
+        this.userStore.getUserByName(String(username), (err, user) => callback(null, err ? null : user));
+    }
+}
+
+/**
+ * Authentication delegated to a verifier module. The module exports a
+ * function (or an object with a `verify` function) that receives the
+ * request and returns, or resolves to, the name of a user of the user
+ * store, or null to reject it; an optional `challenge` string is sent with
+ * 401 answers.
+ */
+class ModuleScheme {
+    constructor({ userStore, realm = DEFAULT_REALM, verifier }) {
+        this.name = 'module';
+        this.userStore = userStore;
+        this.realm = realm;
+        this.verify = typeof verifier === 'function' ? verifier : verifier && verifier.verify;
+        if (typeof this.verify !== 'function') {
+            throw new Error('The authentication module must export a verify function');
+        }
+        this.challengeValue = (verifier && typeof verifier.challenge === 'string') ? verifier.challenge : null;
+    }
+
+    challenge() {
+        return this.challengeValue;
+    }
+
+    authenticate(req, callback) {
+        Promise.resolve()
+            .then(() => this.verify(req))
+            .then((username) => {
+                if (!username) {
+                    return callback(null, null);
+                }
+                this.userStore.getUserByName(String(username), (err, user) => callback(null, err ? null : user));
+            }, callback);
+    }
+}
+
+/**
+ * webdav-server HTTPAuthentication backed by an authentication scheme, so
+ * the WebDAV servers challenge and accept the same credentials as the
+ * Express middleware.
+ */
+class SchemeAuthentication {
+    constructor(scheme, userManager) {
+        this.scheme = scheme;
+        this.userManager = userManager;
+    }
+
+    askForAuthentication(ctx) {
+        const challenge = this.scheme.challenge(!!ctx.authStale);
+        return challenge ? { 'WWW-Authenticate': challenge } : {};
+    }
+
+    getUser(ctx, callback) {
+        const onError = (error) => {
+            this.userManager.getDefaultUser((defaultUser) => callback(error, defaultUser));
+        };
+
+        this.scheme.authenticate(ctx.request, (err, user, stale) => {
+            if (err || !user) {
+                ctx.authStale = !!stale;
+                return onError(webdav.Errors.BadAuthentication);
+            }
+            callback(null, user);
+        });
+    }
+}
+
+/**
+ * The authentication scheme selected by WEBDAV_AUTH_SCHEME: "basic" (the
+ * default), "digest", "proxy" (user named by WEBDAV_AUTH_PROXY_HEADER on
+ * connections from WEBDAV_AUTH_TRUSTED_PROXIES) or "module" (verifier
+ * loaded from WEBDAV_AUTH_MODULE, relative to baseDir), with the realm of
+ * WEBDAV_AUTH_REALM.
+ */
+const loadAuthScheme = ({ userStore, baseDir, env = process.env }) => {
+    const name = (env.WEBDAV_AUTH_SCHEME || 'basic').toLowerCase();
+    const realm = authRealm(env);
+    switch (name) {
+    case 'basic':
+        return new BasicScheme({ userStore, realm });
+    case 'digest':
+        return new DigestScheme({ userStore, realm });
+    case 'proxy':
+        return new ProxyScheme({
+            userStore,
+            realm,
+            header: env.WEBDAV_AUTH_PROXY_HEADER || undefined,
+            trustedProxies: env.WEBDAV_AUTH_TRUSTED_PROXIES
+                ? env.WEBDAV_AUTH_TRUSTED_PROXIES.split(',').map((entry) => entry.trim()).filter(Boolean)
+                : undefined
+        });
+    case 'module': {
+        if (!env.WEBDAV_AUTH_MODULE) {
+            throw new Error('WEBDAV_AUTH_SCHEME=module needs WEBDAV_AUTH_MODULE');
+        }
+        const file = path.resolve(baseDir, env.WEBDAV_AUTH_MODULE);
+        logger.info('Loading authentication module:', file);
+        return new ModuleScheme({ userStore, realm, verifier: require(file) });
+    }
+    default:
+        throw new Error(`Unknown WEBDAV_AUTH_SCHEME: ${name} (expected ${AUTH_SCHEMES.join(', ')})`);
+    }
+};
+
+/**
+ * Accept the user that the Express middleware already authenticated.
+ *
+ * The WebDAV servers are only reachable through Express, so a user attached
+ * to the request as `req.davUser` is trusted as-is. This lets requests that
+ * were authorized by other means (signed file URLs) reach the WebDAV server;
+ * anything else falls through to the wrapped authentication.
+ */
+class TrustedRequestAuthentication {
+    constructor(fallback) {
+        this.fallback = fallback;
+        this.userManager = fallback.userManager;
+    }
+
+    askForAuthentication(ctx) {
+        return this.fallback.askForAuthentication(ctx);
+    }
+
+    getUser(ctx, callback) {
+        const user = ctx.request && ctx.request.davUser;
+        if (user) {
+            return callback(null, user);
+        }
+        this.fallback.getUser(ctx, callback);
+    }
+}
+
+module.exports = {
+    AUTH_SCHEMES,
+    DEFAULT_REALM,
+    BasicScheme,
+    DigestScheme,
+    ProxyScheme,
+    ModuleScheme,
+    SchemeAuthentication,
+    TrustedRequestAuthentication,
+    authRealm,
+    digestHa1,
+    loadAuthScheme,
+    parseBasicAuth,
+    parseDigestAuth
+};
@@ -0,0 +1,221 @@
+const http = require('http');
+const https = require('https');
+const { normalizePath, pathPattern } = require('./acl');
+const { destinationPath } = require('./transfers');
+const { logger } = require('./logger');
+
+// Writes that change what a GET of their paths returns
+const WRITE_METHODS = ['PUT', 'MKCOL', 'DELETE', 'MOVE', 'COPY'];
+
+// Header set by each rule field
+const CACHE_HEADERS = {
+    cacheControl: 'Cache-Control',
+    surrogateControl: 'Surrogate-Control',
+    cdnCacheControl: 'CDN-Cache-Control'
+};
+
+const PURGE_TIMEOUT_MS = 5000;
+
+/**
+ * Check a caching rule and fill in its defaults: path (glob, default
+ * "/**"), the cacheControl, surrogateControl and cdnCacheControl header
+ * values, vary (header names) and purge (default true: writes to matching
+ * paths call the purge webhook).
+ */
+const normalizeRule = (rule, index) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`Caching rule ${index} must be an object`);
+    }
+    const normalized = {
+        path: rule.path ? normalizePath(String(rule.path)) : '/**',
+        vary: typeof rule.vary === 'string' ? rule.vary.split(',').map((name) => name.trim()).filter(Boolean) : rule.vary || [],
+        purge: rule.purge !== false
+    };
+    Object.keys(CACHE_HEADERS).forEach((field) => {
+        if (rule[field] !== undefined && (typeof rule[field] !== 'string' || !rule[field].trim())) {
+            throw new Error(`Caching rule ${index}: ${field} must be a header value`);
+        }
+        normalized[field] = rule[field] ? rule[field].trim() : null;
+    });
+    if (!Array.isArray(normalized.vary) || normalized.vary.some((name) => !/^[A-Za-z0-9-]+$/.test(name))) {
+        throw new Error(`Caching rule ${index}: vary must list header names`);
+    }
+    normalized.pattern = pathPattern(normalized.path);
+    return normalized;
+};
+
+// URL path of a resource, as clients (and CDNs) request it
+const resourceUrl = (mountPath, resourcePath) => mountPath + resourcePath.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Caching policy for CDN tests: per-path rules adding Cache-Control,
+ * Surrogate-Control, CDN-Cache-Control and Vary to GET and HEAD responses
+ * (the first matching rule applies), and an optional purge webhook called
+ * when a write changes a path a rule covers.
+ *
+ * The webhook gets a JSON POST:
+ * { method, user, paths: [{ path, url, recursive }], time }
+ * where url is the path under the WebDAV mount and recursive marks folders
+ * whose contents may have changed too (DELETE, MOVE and COPY).
+ */
+class CachePolicy {
+    constructor({ rules = [], purgeUrl = null, purgeToken = null, mountPath = '/api' } = {}) {
+        this.rules = rules.map(normalizeRule);
+        this.purgeUrl = purgeUrl ? new URL(purgeUrl) : null;
+        this.purgeToken = purgeToken;
+        this.mountPath = mountPath;
+    }
+
+    ruleFor(resourcePath) {
+        return this.rules.find((rule) => rule.pattern.test(normalizePath(resourcePath))) || null;
+    }
+
+    // Caching headers of a GET/HEAD response for a path
+    headersFor(resourcePath) {
+        const rule = this.ruleFor(resourcePath);
+        if (!rule) {
+            return {};
+        }
+        const headers = {};
+        Object.keys(CACHE_HEADERS).forEach((field) => {
+            if (rule[field]) {
+                headers[CACHE_HEADERS[field]] = rule[field];
+            }
+        });
+        if (rule.vary.length > 0) {
+            headers.Vary = rule.vary.join(', ');
+        }
+        return headers;
+    }
+
+    // Whether a change to a path (or below it, when recursive) may leave stale copies behind
+    covers(resourcePath, recursive) {
+        if (recursive) {
+            return this.rules.some((rule) => rule.purge);
+        }
+        const rule = this.ruleFor(resourcePath);
+        return !!rule && rule.purge;
+    }
+
+    /**
+     * Tell the purge webhook that `changes` ({ path, recursive }) happened;
+     * paths no rule covers are left out. Failures are logged, never thrown.
+     */
+    purge(changes, { method, user = null } = {}) {
+        if (!this.purgeUrl) {
+            return Promise.resolve(false);
+        }
+        const paths = changes
+            .map(({ path: resourcePath, recursive = false }) => ({ path: normalizePath(resourcePath), recursive }))
+            .filter((change) => this.covers(change.path, change.recursive))
+            .map((change) => ({ ...change, url: resourceUrl(this.mountPath, change.path) }));
+        if (paths.length === 0) {
+            return Promise.resolve(false);
+        }
+
+        const body = JSON.stringify({ method, user, paths, time: new Date().toISOString() });
+        const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) };
+        if (this.purgeToken) {
+            headers.Authorization = `Bearer ${this.purgeToken}`;
+        }
+        const transport = this.purgeUrl.protocol === 'https:' ? https : http;
+        return new Promise((resolve) => {
+            const request = transport.request(this.purgeUrl, { method: 'POST', headers, timeout: PURGE_TIMEOUT_MS }, (response) => {
+                response.resume();
+                const ok = response.statusCode >= 200 && response.statusCode < 300;
+                logger[ok ? 'info' : 'warn']('Purge webhook answered:', { status: response.statusCode, method, paths: paths.map((item) => item.url) });
+                resolve(ok);
+            });
+            request.on('timeout', () => request.destroy(new Error(`No answer within ${PURGE_TIMEOUT_MS} ms`)));
+            request.on('error', (err) => {
+                logger.error('Purge webhook failed:', { error: err.message, method, paths: paths.map((item) => item.url) });
+                resolve(false);
+            });
+            request.end(body);
+        });
+    }
+}
+
+/**
+ * beforeRequest hook adding the caching headers of the matching rule to
+ * GET and HEAD responses. It must run before conditionalRequests, so 304
+ * answers carry them too.
+ */
+const cacheHeaders = (cache) => (ctx, next) => {
+    const method = ctx.request.method.toUpperCase();
+    if (method === 'GET' || method === 'HEAD') {
+        const headers = cache.headersFor(ctx.requested.path.toString());
+        if (headers.Vary && ctx.response.getHeader('Vary')) {
+            // Keep what is there already (Origin, from the CORS middleware)
+            headers.Vary = `${ctx.response.getHeader('Vary')}, ${headers.Vary}`;
+        }
+        Object.keys(headers).forEach((name) => ctx.response.setHeader(name, headers[name]));
+    }
+    next();
+};
+
+/**
+ * afterRequest hook calling the purge webhook after successful writes:
+ * the target of PUT, MKCOL and DELETE, and both ends of MOVE and COPY.
+ */
+const purgeChanges = (cache) => (ctx, next) => {
+    const method = ctx.request.method.toUpperCase();
+    const status = ctx.response.statusCode;
+    if (!WRITE_METHODS.includes(method) || status < 200 || status >= 300) {
+        return next();
+    }
+    const target = ctx.requested.path.toString();
+    const changes = [];
+    if (method === 'PUT' || method === 'MKCOL') {
+        changes.push({ path: target });
+    } else if (method === 'DELETE') {
+        changes.push({ path: target, recursive: true });
+    } else {
+        const destination = destinationPath(ctx);
+        if (method === 'MOVE') {
+            changes.push({ path: target, recursive: true });
+        }
+        if (destination) {
+            changes.push({ path: destination.toString(), recursive: true });
+        }
+    }
+    cache.purge(changes, { method, user: ctx.user && ctx.user.username });
+    next();
+};
+
+// Parse WEBDAV_CACHE_RULES, a JSON array of rules, and check every rule
+const parseCacheRules = (value) => {
+    let rules;
+    try {
+        rules = JSON.parse(value);
+    } catch (err) {
+        throw new Error(`not valid JSON (${err.message})`);
+    }
+    if (!Array.isArray(rules)) {
+        throw new Error('expected a JSON array of rules');
+    }
+    rules.forEach(normalizeRule);
+    return rules;
+};
+
+/**
+ * Caching policy from the cache settings (rules from parseCacheRules), with
+ * the purge webhook at purgeUrl called with purgeToken as a bearer token;
+ * null when neither rules nor a webhook are configured.
+ */
+const loadCachePolicy = ({ rules, purgeUrl, purgeToken }) => {
+    if (!rules && !purgeUrl) {
+        return null;
+    }
+    const cache = new CachePolicy({ rules: rules || [], purgeUrl, purgeToken });
+    logger.info(`Loaded ${cache.rules.length} caching rules${cache.purgeUrl ? `; purge webhook: ${cache.purgeUrl.origin}${cache.purgeUrl.pathname}` : ''}`);
+    return cache;
+};
+
+module.exports = {
+    CachePolicy,
+    cacheHeaders,
+    loadCachePolicy,
+    parseCacheRules,
+    purgeChanges
+};
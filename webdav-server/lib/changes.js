@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { isWithin, normalizePath } = require('./acl');
+const { destinationPath } = require('./transfers');
+const { logger } = require('./logger');
+
+// Requests whose changes are published by trackChanges; their own disk events are not
+const WRITE_METHODS = ['PUT', 'MKCOL', 'DELETE', 'MOVE', 'COPY', 'LOCK'];
+
+// How long disk events are collected per path before one change is published
+const SETTLE_MS = 250;
+
+// How long after a request ends disk events below its paths are still its own
+const QUIET_MS = 2000;
+
+// Temporary file of DavServerPool.commitUpload, renamed into place right away
+const UPLOAD_TEMPORARY = /^\..+\.\d+\.upload$/;
+
+/**
+ * Feed of changes under each WebDAV root, for /rest/events: creates,
+ * updates, deletes, moves, locks and unlocks made through WebDAV requests
+ * (see trackChanges) or by the server itself (restores, uploads), and,
+ * with `watch`, files changed directly on disk.
+ *
+ * A change is { id, type, path, destination, user, source, time }: type
+ * is one of create, update, delete, move, lock and unlock; destination is
+ * set for moves; source is "webdav", "server" or "disk". Ids grow per
+ * process, and the last `history` changes of a root are kept so that
+ * clients reconnecting with the id of the last change they saw miss none.
+ *
+ * A root is watched only while somebody subscribes to it, with one
+ * recursive watcher, or one watcher per folder where Node cannot watch
+ * recursively (Linux before Node 20). Subscribers get { type: 'status',
+ * diskChanges } when they subscribe and whenever watching starts or fails,
+ * so clients can tell that changes made on disk will not reach them.
+ * Physical paths in `exclude` (state, trash and versions directories
+ * inside a shared root) are never reported.
+ */
+class ChangeFeed {
+    constructor({ watch = true, history = 200, exclude = [] } = {}) {
+        this.watch = watch;
+        this.history = history;
+        this.exclude = exclude.filter(Boolean).map((item) => path.resolve(item));
+        this.instance = crypto.randomBytes(4).toString('hex');
+        this.sequence = 0;
+        this.roots = new Map();
+    }
+
+    // Subscribers, recent changes and disk watcher of a root
+    stateFor(root) {
+        let state = this.roots.get(root);
+        if (!state) {
+            state = {
+                listeners: new Set(),
+                recent: [],
+                pending: new Map(),
+                quiet: new Map(),
+                watchers: new Map(),
+                diskChanges: false,
+                timers: new Map()
+            };
+            this.roots.set(root, state);
+        }
+        return state;
+    }
+
+    excluded(physical) {
+        return this.exclude.some((item) => physical === item
+            || physical.startsWith(item + path.sep)
+            || physical === `${item}.tmp`);
+    }
+
+    /**
+     * Tell subscribers of `root` about a change: { type, path, destination,
+     * user, source }. Returns the change as sent, with its id and time.
+     */
+    publish(root, { type, path: resourcePath, destination = null, user = null, source = 'server' }) {
+        const state = this.stateFor(root);
+        const change = {
+            id: `${this.instance}-${++this.sequence}`,
+            type,
+            path: normalizePath(resourcePath),
+            destination: destination && normalizePath(destination),
+            user,
+            source,
+            time: new Date().toISOString()
+        };
+        if (source !== 'disk') {
+            // The disk events of this change are already covered
+            const until = Date.now() + QUIET_MS;
+            [change.path, change.destination].filter(Boolean).forEach((item) => state.quiet.set(item, until));
+        }
+        state.recent.push(change);
+        if (state.recent.length > this.history) {
+            state.recent.shift();
+        }
+        state.listeners.forEach((listener) => listener(change));
+        return change;
+    }
+
+    /**
+     * Mark `paths` of a root as being changed by a request until `release`
+     * is called, so the disk watcher leaves them to the request's own change.
+     */
+    expect(root, paths) {
+        const state = this.stateFor(root);
+        paths.forEach((item) => state.pending.set(item, (state.pending.get(item) || 0) + 1));
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            const until = Date.now() + QUIET_MS;
+            paths.forEach((item) => {
+                const count = state.pending.get(item) - 1;
+                if (count > 0) {
+                    state.pending.set(item, count);
+                } else {
+                    state.pending.delete(item);
+                }
+                state.quiet.set(item, Math.max(state.quiet.get(item) || 0, until));
+            });
+        };
+    }
+
+    // Whether a disk event at resourcePath belongs to a request or server change
+    covered(state, resourcePath) {
+        const now = Date.now();
+        state.quiet.forEach((until, item) => {
+            if (until <= now) {
+                state.quiet.delete(item);
+            }
+        });
+        return Array.from(state.pending.keys()).some((item) => isWithin(resourcePath, item))
+            || Array.from(state.quiet.keys()).some((item) => isWithin(resourcePath, item));
+    }
+
+    /**
+     * Call listener(change) for changes at or below `scope` of a root that
+     * `visible(path)` allows. With lastEventId, the kept changes after it
+     * are replayed first; when it is not kept any more (or is from before a
+     * restart), listener gets { type: 'reset' } instead, and should reload.
+     * Returns the function that unsubscribes.
+     */
+    subscribe(root, { scope = '/', lastEventId = null, visible = () => true }, listener) {
+        const state = this.stateFor(root);
+        const wanted = (change) => [change.path, change.destination]
+            .some((item) => item && isWithin(item, scope) && visible(item));
+        const deliver = (change) => {
+            if (change.type === 'status' || wanted(change)) {
+                listener(change);
+            }
+        };
+
+        if (lastEventId) {
+            const index = state.recent.findIndex((change) => change.id === lastEventId);
+            if (index === -1) {
+                listener({ type: 'reset' });
+            } else {
+                state.recent.slice(index + 1).forEach(deliver);
+            }
+        }
+
+        if (this.watch && state.watchers.size === 0) {
+            this.startWatching(root, state);
+        }
+        state.listeners.add(deliver);
+        listener({ type: 'status', diskChanges: state.diskChanges });
+        return () => {
+            state.listeners.delete(deliver);
+            if (state.listeners.size === 0) {
+                this.stopWatching(state);
+            }
+        };
+    }
+
+    // Tell subscribers whether changes made on disk reach them
+    setDiskChanges(state, diskChanges) {
+        if (state.diskChanges !== diskChanges) {
+            state.diskChanges = diskChanges;
+            state.listeners.forEach((listener) => listener({ type: 'status', diskChanges }));
+        }
+    }
+
+    startWatching(root, state) {
+        this.setDiskChanges(state, true);
+        try {
+            this.addWatcher(root, state, root, true);
+        } catch (err) {
+            if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+                logger.error('Cannot watch for changes on disk:', { root, error: err.message });
+                this.stopWatching(state);
+                return;
+            }
+            logger.warn(`Node ${process.version} cannot watch folders recursively here; watching each folder under:`, root);
+            this.watchTree(root, state, root);
+        }
+        logger.info('Watching for changes on disk under:', root);
+    }
+
+    addWatcher(root, state, dir, recursive) {
+        const watcher = fs.watch(dir, { recursive }, (eventType, filename) => {
+            if (!filename) {
+                return;
+            }
+            if (!recursive && filename.toString() === path.basename(dir) && !fs.existsSync(dir)) {
+                // The watched folder itself went away; its parent's watcher reports that
+                this.unwatchTree(state, dir);
+                return;
+            }
+            const physical = path.join(dir, filename.toString());
+            this.diskEvent(root, state, eventType, path.relative(root, physical));
+            if (!recursive && eventType === 'rename') {
+                // A folder appeared (watch it) or went away (stop watching it)
+                if (fs.existsSync(physical)) {
+                    this.watchTree(root, state, physical);
+                } else {
+                    this.unwatchTree(state, physical);
+                }
+            }
+        });
+        watcher.on('error', (err) => {
+            if (recursive || dir === root) {
+                logger.error('Stopped watching for changes on disk:', { root, error: err.message });
+                this.stopWatching(state);
+            } else {
+                this.unwatchTree(state, dir);
+            }
+        });
+        state.watchers.set(dir, watcher);
+    }
+
+    // Watch a folder and every folder below it, one watcher each
+    watchTree(root, state, dir) {
+        if (state.watchers.has(dir) || this.excluded(dir)) {
+            return;
+        }
+        let children;
+        try {
+            if (!fs.statSync(dir).isDirectory()) {
+                return;
+            }
+            this.addWatcher(root, state, dir, false);
+            children = fs.readdirSync(dir, { withFileTypes: true });
+        } catch (err) {
+            if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') {
+                // Typically ENOSPC: out of inotify watches
+                logger.error('Cannot watch for changes on disk:', { dir, error: err.message });
+                this.setDiskChanges(state, false);
+            }
+            return;
+        }
+        children
+            .filter((child) => child.isDirectory())
+            .forEach((child) => this.watchTree(root, state, path.join(dir, child.name)));
+    }
+
+    unwatchTree(state, dir) {
+        state.watchers.forEach((watcher, watched) => {
+            if (watched === dir || watched.startsWith(dir + path.sep)) {
+                watcher.close();
+                state.watchers.delete(watched);
+            }
+        });
+    }
+
+    stopWatching(state) {
+        state.watchers.forEach((watcher) => watcher.close());
+        state.watchers.clear();
+        state.timers.forEach(({ timer }) => clearTimeout(timer));
+        state.timers.clear();
+        this.setDiskChanges(state, false);
+    }
+
+    // Collect the events of a path for SETTLE_MS, then publish what happened to it
+    diskEvent(root, state, eventType, filename) {
+        const physical = path.join(root, filename);
+        if (this.excluded(physical) || UPLOAD_TEMPORARY.test(path.basename(filename))) {
+            return;
+        }
+        const resourcePath = normalizePath(filename.split(path.sep).join('/'));
+        const waiting = state.timers.get(resourcePath);
+        if (waiting) {
+            clearTimeout(waiting.timer);
+        }
+        const renamed = eventType === 'rename' || (waiting && waiting.renamed);
+        state.timers.set(resourcePath, {
+            renamed,
+            timer: setTimeout(() => {
+                state.timers.delete(resourcePath);
+                if (this.covered(state, resourcePath)) {
+                    return;
+                }
+                fs.promises.stat(physical)
+                    .then(() => (renamed ? 'create' : 'update'), () => 'delete')
+                    .then((type) => this.publish(root, { type, path: resourcePath, source: 'disk' }));
+            }, SETTLE_MS)
+        });
+    }
+}
+
+/**
+ * Hooks publishing the changes WebDAV requests make: before marks the
+ * paths a write touches (so the disk watcher leaves them alone), after
+ * publishes create/update for PUT, create for MKCOL and COPY, delete,
+ * move, and lock/unlock for new locks and UNLOCK.
+ */
+const trackChanges = (changes, root) => ({
+    before: (ctx, next) => {
+        const method = ctx.request.method.toUpperCase();
+        if (WRITE_METHODS.includes(method)) {
+            const destination = (method === 'MOVE' || method === 'COPY') && destinationPath(ctx);
+            const paths = [ctx.requested.path.toString(), destination && destination.toString()]
+                .filter(Boolean)
+                .map(normalizePath);
+            ctx.response.once('close', changes.expect(root, paths));
+        }
+        next();
+    },
+    after: (ctx, next) => {
+        const status = ctx.response.statusCode;
+        const method = ctx.request.method.toUpperCase();
+        if (status < 200 || status >= 300) {
+            return next();
+        }
+        const target = ctx.requested.path.toString();
+        const user = ctx.user && ctx.user.username;
+        const publish = (type, extra = {}) => changes.publish(root, { type, path: target, user, source: 'webdav', ...extra });
+        if (method === 'PUT') {
+            publish(status === 201 ? 'create' : 'update');
+        } else if (method === 'MKCOL') {
+            publish('create');
+        } else if (method === 'DELETE') {
+            publish('delete');
+        } else if (method === 'MOVE' || method === 'COPY') {
+            const destination = destinationPath(ctx);
+            if (destination && method === 'MOVE') {
+                publish('move', { destination: destination.toString() });
+            } else if (destination) {
+                changes.publish(root, { type: 'create', path: destination.toString(), user, source: 'webdav' });
+            }
+        } else if (method === 'LOCK' && ctx.response.getHeader('Lock-Token')) {
+            publish('lock');
+        } else if (method === 'UNLOCK') {
+            publish('unlock');
+        }
+        next();
+    }
+});
+
+module.exports = {
+    ChangeFeed,
+    trackChanges
+};
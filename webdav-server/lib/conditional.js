@@ -0,0 +1,121 @@
+const webdav = require('webdav-server').v2;
+
+const { Errors, HTTPCodes } = webdav;
+
+// Methods whose preconditions are checked; GET/HEAD may also answer 304
+const READ_METHODS = ['GET', 'HEAD'];
+const WRITE_METHODS = ['PUT', 'DELETE', 'PROPPATCH', 'MOVE', 'COPY', 'LOCK'];
+
+// Entity tags listed in an If-Match/If-None-Match header, or ['*']
+const parseEtags = (header) => {
+    if (header.trim() === '*') {
+        return ['*'];
+    }
+    return header.split(',').map((tag) => tag.trim()).filter(Boolean);
+};
+
+const opaqueTag = (tag) => tag.replace(/^W\//, '');
+
+// Strong comparison for If-Match, weak comparison for If-None-Match (RFC 7232 2.3.2)
+const matches = (header, etag, weak) => parseEtags(header).some((tag) => {
+    if (tag === '*') {
+        return true;
+    }
+    if (!etag) {
+        return false;
+    }
+    return weak ? opaqueTag(tag) === opaqueTag(etag) : !tag.startsWith('W/') && tag === etag;
+});
+
+// HTTP dates have one-second precision
+const seconds = (date) => Math.floor(date / 1000);
+
+const parseDate = (header) => {
+    const time = Date.parse(header);
+    return Number.isNaN(time) ? null : seconds(time);
+};
+
+/**
+ * beforeRequest hook adding HTTP conditional requests (RFC 7232).
+ *
+ * webdav-server sends neither ETag nor Last-Modified on GET and ignores
+ * If-Match, If-None-Match, If-Modified-Since and If-Unmodified-Since. This
+ * adds both validators to GET/HEAD responses, answers 304 Not Modified to
+ * GET/HEAD when the client's copy is current, and 412 Precondition Failed
+ * when a precondition on a read or write does not hold. ETags are the ones
+ * webdav-server reports as getetag in PROPFIND.
+ */
+const conditionalRequests = (ctx, next) => {
+    const method = ctx.request.method.toUpperCase();
+    const isRead = READ_METHODS.includes(method);
+    if (!isRead && !WRITE_METHODS.includes(method)) {
+        return next();
+    }
+
+    const ifMatch = ctx.headers.find('If-Match');
+    const ifNoneMatch = ctx.headers.find('If-None-Match');
+    const ifModifiedSince = isRead ? ctx.headers.find('If-Modified-Since') : null;
+    const ifUnmodifiedSince = ctx.headers.find('If-Unmodified-Since');
+    if (!isRead && !ifMatch && !ifNoneMatch && !ifUnmodifiedSince) {
+        return next();
+    }
+
+    const stop = (code) => {
+        ctx.setCode(code);
+        ctx.exit();
+    };
+
+    ctx.getResource((err, resource) => {
+        if (err) {
+            return next();
+        }
+        resource.type((typeErr, type) => {
+            if (typeErr === Errors.ResourceNotFound) {
+                // Nothing exists to match; "If-None-Match: *" holds, "If-Match" does not
+                return ifMatch ? stop(HTTPCodes.PreconditionFailed) : next();
+            }
+            if (typeErr || !type) {
+                return next();
+            }
+
+            resource.etag((etagErr, etag) => {
+                resource.lastModifiedDate((dateErr, lastModified) => {
+                    const modified = dateErr || !lastModified ? null : seconds(lastModified);
+                    if (isRead && type.isFile) {
+                        if (!etagErr && etag) {
+                            ctx.response.setHeader('ETag', etag);
+                        }
+                        if (modified !== null) {
+                            ctx.response.setHeader('Last-Modified', new Date(modified * 1000).toUTCString());
+                        }
+                    }
+
+                    // Evaluated in the order of RFC 7232 section 6
+                    if (ifMatch && !matches(ifMatch, etag, false)) {
+                        return stop(HTTPCodes.PreconditionFailed);
+                    }
+                    if (!ifMatch && ifUnmodifiedSince) {
+                        const since = parseDate(ifUnmodifiedSince);
+                        if (since !== null && modified !== null && modified > since) {
+                            return stop(HTTPCodes.PreconditionFailed);
+                        }
+                    }
+                    if (ifNoneMatch && matches(ifNoneMatch, etag, true)) {
+                        return stop(isRead ? HTTPCodes.NotModified : HTTPCodes.PreconditionFailed);
+                    }
+                    if (!ifNoneMatch && ifModifiedSince) {
+                        const since = parseDate(ifModifiedSince);
+                        if (since !== null && modified !== null && modified <= since) {
+                            return stop(HTTPCodes.NotModified);
+                        }
+                    }
+                    next();
+                });
+            });
+        });
+    });
+};
+
+module.exports = {
+    conditionalRequests
+};
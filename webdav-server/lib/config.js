@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const { AUTH_SCHEMES } = require('./auth');
+const { parseCacheRules } = require('./caching');
+const { parseMounts } = require('./mounts');
+const { parseSize } = require('./quotas');
+const { TLS_MODES } = require('./tls');
+const { checkUsers } = require('./users');
+
+const DEFAULT_CORS_METHODS = [
+    'GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PROPFIND', 'PROPPATCH', 'MKCOL', 'MOVE', 'COPY', 'LOCK', 'UNLOCK', 'OPTIONS'
+];
+const DEFAULT_CORS_ALLOWED_HEADERS = [
+    'Content-Type', 'Depth', 'Authorization', 'Range', 'Destination', 'Overwrite', 'Lock-Token', 'If', 'Timeout',
+    'If-Match', 'If-None-Match', 'If-Modified-Since', 'If-Unmodified-Since', 'X-Share-Token', 'Content-Range', 'Last-Event-ID'
+];
+const DEFAULT_CORS_EXPOSED_HEADERS = [
+    'DAV', 'Allow', 'Content-Length', 'Content-Range', 'Accept-Ranges', 'ETag', 'Lock-Token', 'X-Request-Id'
+];
+
+/*
+ * Every setting of the server: its key in the config file (dotted keys are
+ * nested objects), the environment variable that overrides it, its type and
+ * its default. Settings marked secret are masked when printed. Defaults may
+ * depend on the environment (NODE_ENV).
+ *
+ * Types: string, port, int (>= min), number (>= min), bool, size (bytes or
+ * "500MB"), list (comma-separated, or an array in the file), enum (one of
+ * values) and json (a string, or any JSON value in the file; its `parse`
+ * function checks it and returns the value kept in the settings).
+ */
+const SETTINGS = [
+    { key: 'port', env: 'PORT', type: 'port', default: 8080 },
+    { key: 'httpsPort', env: 'HTTPS_PORT', type: 'port', default: 8443 },
+    { key: 'dataDir', env: 'WEBDAV_DATA_DIR', type: 'string', default: 'data' },
+
+    { key: 'tls.mode', env: 'WEBDAV_TLS', type: 'enum', values: TLS_MODES, default: 'off' },
+    { key: 'tls.cert', env: 'WEBDAV_TLS_CERT', type: 'string' },
+    { key: 'tls.key', env: 'WEBDAV_TLS_KEY', type: 'string' },
+    { key: 'tls.httpsRedirect', env: 'WEBDAV_HTTPS_REDIRECT', type: 'bool', default: false },
+    { key: 'tls.hstsMaxAge', env: 'WEBDAV_HSTS_MAX_AGE', type: 'int', default: 0 },
+    { key: 'tls.hstsIncludeSubdomains', env: 'WEBDAV_HSTS_INCLUDE_SUBDOMAINS', type: 'bool', default: false },
+
+    { key: 'users', env: 'WEBDAV_USERS', type: 'json', parse: checkUsers, secret: true },
+    { key: 'usersFile', env: 'WEBDAV_USERS_FILE', type: 'string' },
+    { key: 'homeMode', env: 'WEBDAV_HOME_MODE', type: 'enum', values: ['user', 'shared'], default: 'user' },
+    { key: 'sharedRoot', env: 'WEBDAV_SHARED_ROOT', type: 'string' },
+    { key: 'aclFile', env: 'WEBDAV_ACL_FILE', type: 'string' },
+
+    { key: 'auth.scheme', env: 'WEBDAV_AUTH_SCHEME', type: 'enum', values: AUTH_SCHEMES, default: 'basic' },
+    { key: 'auth.realm', env: 'WEBDAV_AUTH_REALM', type: 'string', default: 'Default realm' },
+    { key: 'auth.proxyHeader', env: 'WEBDAV_AUTH_PROXY_HEADER', type: 'string', default: 'X-Forwarded-User' },
+    { key: 'auth.trustedProxies', env: 'WEBDAV_AUTH_TRUSTED_PROXIES', type: 'list', default: ['127.0.0.1', '::1'] },
+    { key: 'auth.module', env: 'WEBDAV_AUTH_MODULE', type: 'string' },
+
+    { key: 'sessions.secret', env: 'WEBDAV_SESSION_SECRET', type: 'string', secret: true },
+    { key: 'sessions.ttl', env: 'WEBDAV_SESSION_TTL', type: 'int', min: 1, default: 900 },
+    { key: 'sessions.refreshTtl', env: 'WEBDAV_REFRESH_TTL', type: 'int', min: 1, default: 7 * 24 * 3600 },
+    { key: 'sessions.file', env: 'WEBDAV_SESSIONS_FILE', type: 'string', default: '.webdav-sessions.json' },
+    { key: 'signedUrls.secret', env: 'WEBDAV_URL_SECRET', type: 'string', secret: true },
+    { key: 'signedUrls.ttl', env: 'WEBDAV_URL_TTL', type: 'int', min: 1, default: 3600 },
+
+    {
+        key: 'cors.origins',
+        env: 'WEBDAV_CORS_ORIGINS',
+        type: 'list',
+        // The development client runs on its own port; in production it is served by this server
+        default: (env) => (env.NODE_ENV === 'production' ? [] : ['http://localhost:*', 'http://127.0.0.1:*'])
+    },
+    { key: 'cors.methods', env: 'WEBDAV_CORS_METHODS', type: 'list', default: DEFAULT_CORS_METHODS },
+    { key: 'cors.allowedHeaders', env: 'WEBDAV_CORS_ALLOWED_HEADERS', type: 'list', default: DEFAULT_CORS_ALLOWED_HEADERS },
+    { key: 'cors.exposedHeaders', env: 'WEBDAV_CORS_EXPOSED_HEADERS', type: 'list', default: DEFAULT_CORS_EXPOSED_HEADERS },
+    { key: 'cors.maxAge', env: 'WEBDAV_CORS_MAX_AGE', type: 'int', default: 600 },
+
+    { key: 'limits.jsonBody', env: 'WEBDAV_JSON_LIMIT', type: 'size', default: 16 * 1024 },
+    { key: 'limits.uploadSize', env: 'WEBDAV_MAX_UPLOAD_SIZE', type: 'size', default: null },
+
+    { key: 'log.file', env: 'WEBDAV_LOG_FILE', type: 'string' },
+    { key: 'log.level', env: 'WEBDAV_LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+    { key: 'log.maxBytes', env: 'WEBDAV_LOG_MAX_BYTES', type: 'size', default: 10 * 1024 * 1024 },
+    { key: 'log.maxFiles', env: 'WEBDAV_LOG_MAX_FILES', type: 'int', default: 5 },
+
+    { key: 'state.dir', env: 'WEBDAV_STATE_DIR', type: 'string', default: '.webdav-state' },
+    { key: 'state.saveInterval', env: 'WEBDAV_STATE_SAVE_INTERVAL', type: 'int', min: 1, default: 60 },
+    { key: 'locks.maxTimeout', env: 'WEBDAV_LOCK_MAX_TIMEOUT', type: 'int', min: 1, default: 3600 },
+
+    { key: 'quotas.default', env: 'WEBDAV_DEFAULT_QUOTA', type: 'string' },
+    { key: 'quotas.file', env: 'WEBDAV_QUOTAS_FILE', type: 'string' },
+    { key: 'trash.dir', env: 'WEBDAV_TRASH_DIR', type: 'string', default: '.webdav-trash' },
+    { key: 'trash.retentionDays', env: 'WEBDAV_TRASH_RETENTION_DAYS', type: 'number', default: 30 },
+    { key: 'versions.dir', env: 'WEBDAV_VERSIONS_DIR', type: 'string', default: '.webdav-versions' },
+    { key: 'versions.max', env: 'WEBDAV_VERSIONS_MAX', type: 'int', default: 10 },
+    { key: 'versions.maxAgeDays', env: 'WEBDAV_VERSIONS_MAX_AGE_DAYS', type: 'number', default: 30 },
+    { key: 'uploads.dir', env: 'WEBDAV_UPLOADS_DIR', type: 'string', default: '.webdav-uploads' },
+    { key: 'uploads.expiryHours', env: 'WEBDAV_UPLOAD_EXPIRY_HOURS', type: 'number', default: 24 },
+    { key: 'uploads.chunkSize', env: 'WEBDAV_UPLOAD_CHUNK_SIZE', type: 'int', min: 1, default: 8 * 1024 * 1024 },
+    { key: 'uploads.maxSessions', env: 'WEBDAV_UPLOAD_MAX_SESSIONS', type: 'int', min: 1, default: 10 },
+    { key: 'shares.file', env: 'WEBDAV_SHARES_FILE', type: 'string', default: '.webdav-shares.json' },
+
+    { key: 'search.maxTextBytes', env: 'WEBDAV_SEARCH_MAX_FILE_TEXT', type: 'size', default: 1024 * 1024 },
+    { key: 'search.maxIndexTextBytes', env: 'WEBDAV_SEARCH_MAX_INDEX_TEXT', type: 'size', default: 64 * 1024 * 1024 },
+
+    { key: 'changes.watchDisk', env: 'WEBDAV_WATCH_DISK', type: 'bool', default: true },
+    { key: 'mounts', env: 'WEBDAV_MOUNTS', type: 'json', parse: parseMounts },
+
+    { key: 'faults.enabled', env: 'WEBDAV_FAULT_INJECTION', type: 'bool', default: false },
+    { key: 'faults.file', env: 'WEBDAV_FAULTS_FILE', type: 'string' },
+
+    { key: 'cache.rules', env: 'WEBDAV_CACHE_RULES', type: 'json', parse: parseCacheRules },
+    { key: 'cache.purgeUrl', env: 'WEBDAV_PURGE_URL', type: 'string' },
+    { key: 'cache.purgeToken', env: 'WEBDAV_PURGE_TOKEN', type: 'string', secret: true }
+];
+
+// Parse a raw setting (a string from the environment, or a JSON value from the file)
+const PARSERS = {
+    string: (raw) => {
+        if (typeof raw !== 'string' || raw === '') {
+            throw new Error('expected a non-empty string');
+        }
+        return raw;
+    },
+    port: (raw) => {
+        const value = Number(raw);
+        if (!Number.isInteger(value) || value < 1 || value > 65535) {
+            throw new Error('expected a port number (1-65535)');
+        }
+        return value;
+    },
+    int: (raw, setting) => {
+        const value = Number(raw);
+        if (raw === '' || !Number.isInteger(value) || value < (setting.min || 0)) {
+            throw new Error(`expected an integer of at least ${setting.min || 0}`);
+        }
+        return value;
+    },
+    number: (raw, setting) => {
+        const value = Number(raw);
+        if (raw === '' || !Number.isFinite(value) || value < (setting.min || 0)) {
+            throw new Error(`expected a number of at least ${setting.min || 0}`);
+        }
+        return value;
+    },
+    bool: (raw) => {
+        if (raw === true || raw === 'true') {
+            return true;
+        }
+        if (raw === false || raw === 'false') {
+            return false;
+        }
+        throw new Error('expected true or false');
+    },
+    size: (raw) => {
+        try {
+            return parseSize(raw);
+        } catch (err) {
+            throw new Error('expected a size in bytes, e.g. 1048576 or "1MB", or "unlimited"');
+        }
+    },
+    list: (raw) => {
+        const items = Array.isArray(raw) ? raw : String(raw).split(',');
+        return items.map((item) => String(item).trim()).filter(Boolean);
+    },
+    enum: (raw, setting) => {
+        const value = String(raw).toLowerCase();
+        if (!setting.values.includes(value)) {
+            throw new Error(`expected one of ${setting.values.join(', ')}`);
+        }
+        return value;
+    },
+    json: (raw, setting) => {
+        const value = typeof raw === 'string' ? PARSERS.string(raw) : JSON.stringify(raw);
+        return setting.parse ? setting.parse(value) : value;
+    }
+};
+
+// Value of a dotted key in a nested object, or undefined
+const getIn = (object, key) => key.split('.').reduce((node, part) => (
+    node && typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, part) ? node[part] : undefined
+), object);
+
+const setIn = (object, key, value) => {
+    const parts = key.split('.');
+    const last = parts.pop();
+    const node = parts.reduce((parent, part) => {
+        parent[part] = parent[part] || {};
+        return parent[part];
+    }, object);
+    node[last] = value;
+};
+
+// Dotted keys of the leaves of a config file (arrays and "users" count as leaves)
+const fileKeys = (object, prefix = '') => Object.keys(object).flatMap((name) => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const value = object[name];
+    const isSetting = SETTINGS.some((setting) => setting.key === key);
+    return value && typeof value === 'object' && !Array.isArray(value) && !isSetting ? fileKeys(value, key) : [key];
+});
+
+// Environment form of a config file value, for the modules that read variables
+const envValue = (raw) => {
+    if (Array.isArray(raw)) {
+        return raw.every((item) => typeof item !== 'object') ? raw.join(',') : JSON.stringify(raw);
+    }
+    return typeof raw === 'object' && raw !== null ? JSON.stringify(raw) : String(raw);
+};
+
+/**
+ * Resolve the server configuration: the JSON file named by
+ * WEBDAV_CONFIG_FILE (or config.json in baseDir, when present), overridden
+ * by environment variables, over the defaults of SETTINGS. Every value is
+ * validated, and all problems are reported in one Error.
+ *
+ * @returns {{ values: object, sources: object, env: object, file: string|null }}
+ *   values: the settings as nested objects (e.g. values.cors.origins);
+ *   sources: "default", "file" or "env" per dotted key; env: the process
+ *   environment with the file's settings added, for the modules that read
+ *   their own variables
+ */
+const loadConfig = ({ baseDir, env = process.env }) => {
+    const file = env.WEBDAV_CONFIG_FILE
+        ? path.resolve(baseDir, env.WEBDAV_CONFIG_FILE)
+        : path.join(baseDir, 'config.json');
+    let fileValues = {};
+    let loadedFile = null;
+    if (fs.existsSync(file)) {
+        try {
+            fileValues = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`Cannot read the config file ${file}: ${err.message}`);
+        }
+        if (!fileValues || typeof fileValues !== 'object' || Array.isArray(fileValues)) {
+            throw new Error(`The config file ${file} must hold a JSON object`);
+        }
+        loadedFile = file;
+    } else if (env.WEBDAV_CONFIG_FILE) {
+        throw new Error(`Config file not found: ${file}`);
+    }
+
+    const errors = fileKeys(fileValues)
+        .filter((key) => !SETTINGS.some((setting) => setting.key === key))
+        .map((key) => `Unknown setting in ${file}: ${key}`);
+    const values = {};
+    const sources = {};
+    const mergedEnv = { ...env };
+
+    SETTINGS.forEach((setting) => {
+        const fromFile = getIn(fileValues, setting.key);
+        let raw;
+        let source = 'default';
+        if (env[setting.env] !== undefined) {
+            raw = env[setting.env];
+            source = 'env';
+        } else if (fromFile !== undefined && fromFile !== null) {
+            raw = fromFile;
+            source = 'file';
+            mergedEnv[setting.env] = envValue(fromFile);
+        }
+
+        let value = typeof setting.default === 'function' ? setting.default(env) : setting.default;
+        if (source !== 'default') {
+            try {
+                value = PARSERS[setting.type](raw, setting);
+            } catch (err) {
+                const origin = source === 'env' ? setting.env : `${setting.key} in ${file}`;
+                errors.push(`Invalid ${origin}: ${err.message}`);
+            }
+        }
+        setIn(values, setting.key, value === undefined ? null : value);
+        sources[setting.key] = source;
+    });
+    if (values.sessions.refreshTtl < values.sessions.ttl) {
+        errors.push(`Invalid WEBDAV_REFRESH_TTL: refresh tokens must last at least WEBDAV_SESSION_TTL (${values.sessions.ttl} seconds)`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+    }
+    return { values, sources, env: mergedEnv, file: loadedFile };
+};
+
+/**
+ * The resolved configuration as "key = value (source)" lines, with secrets
+ * masked and unset optional settings left out.
+ */
+const describeConfig = (config) => SETTINGS
+    .map((setting) => {
+        const value = getIn(config.values, setting.key);
+        if (value === null) {
+            return null;
+        }
+        const shown = setting.secret ? '********' : JSON.stringify(value);
+        return `${setting.key} = ${shown} (${config.sources[setting.key]})`;
+    })
+    .filter(Boolean);
+
+module.exports = {
+    SETTINGS,
+    describeConfig,
+    loadConfig
+};
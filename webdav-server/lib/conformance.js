@@ -0,0 +1,548 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Body kept in a report for display and comparison
+const BODY_EXCERPT_LIMIT = 4096;
+
+const CONTENT = 'WebDAV conformance check: 0123456789 abcdefghijklmnopqrstuvwxyz\n';
+const UPDATED_CONTENT = CONTENT.toUpperCase();
+
+const PROPERTY_NAMESPACE = 'urn:webdav-conformance:';
+
+const LOCK_BODY = '<?xml version="1.0" encoding="utf-8"?>'
+    + '<D:lockinfo xmlns:D="DAV:">'
+    + '<D:lockscope><D:exclusive/></D:lockscope>'
+    + '<D:locktype><D:write/></D:locktype>'
+    + '<D:owner>webdav-conformance</D:owner>'
+    + '</D:lockinfo>';
+
+const propfindBody = (props) => '<?xml version="1.0" encoding="utf-8"?>'
+    + `<D:propfind xmlns:D="DAV:" xmlns:C="${PROPERTY_NAMESPACE}">`
+    + (props ? `<D:prop>${props}</D:prop>` : '<D:allprop/>')
+    + '</D:propfind>';
+
+const propertyUpdateBody = (instruction) => '<?xml version="1.0" encoding="utf-8"?>'
+    + `<D:propertyupdate xmlns:D="DAV:" xmlns:C="${PROPERTY_NAMESPACE}">${instruction}</D:propertyupdate>`;
+
+// Number of elements with a local name, whatever their prefix
+const countElements = (xml, localName) => (xml.match(new RegExp(`<([\\w.-]+:)?${localName}[\\s/>]`, 'g')) || []).length;
+
+const elementText = (xml, localName) => {
+    const match = new RegExp(`<([\\w.-]+:)?${localName}(\\s[^>]*)?>([^<]*)<`).exec(xml);
+    return match ? match[3] : null;
+};
+
+// PROPPATCH/PROPFIND propstat status codes, e.g. [200] or [403, 424]
+const propstatStatuses = (xml) => (xml.match(/HTTP\/1\.[01] (\d{3})/g) || []).map((line) => Number(line.slice(-3)));
+
+/*
+ * Checks return a failure ({ type, message, expected, actual }) or null.
+ */
+
+const status = (...codes) => (res) => (codes.includes(res.status) ? null : {
+    type: 'status',
+    message: `Expected status ${codes.join(' or ')}`,
+    expected: codes.join(' or '),
+    actual: res.status
+});
+
+const header = (name, test, expected) => (res) => {
+    const actual = res.headers[name.toLowerCase()];
+    return actual !== undefined && test(String(actual)) ? null : {
+        type: 'header',
+        message: `Header ${name} should be ${expected}`,
+        expected,
+        actual: actual === undefined ? null : String(actual)
+    };
+};
+
+const body = (test, expected) => (res) => {
+    const text = res.body.toString('utf8');
+    return test(text) ? null : {
+        type: 'body',
+        message: `Body should ${expected}`,
+        expected,
+        actual: text.length > 200 ? `${text.slice(0, 200)}...` : text
+    };
+};
+
+/**
+ * The scripted scenario, in order. Every step works inside a fresh folder
+ * so runs never collide; the last step removes it whatever happened.
+ *
+ * request(ctx) returns { method, path, headers, body }, where path is
+ * relative to the base URL. requires names ctx values the step needs (the
+ * step is skipped without them) and after(res, ctx) records values for
+ * later steps.
+ */
+const STEPS = [
+    {
+        id: 'options',
+        title: 'OPTIONS advertises WebDAV class 1 and 2',
+        request: () => ({ method: 'OPTIONS', path: '/' }),
+        checks: [
+            status(200, 204),
+            header('DAV', (value) => /\b1\b/.test(value) && /\b2\b/.test(value), 'a list containing 1 and 2'),
+            header('Allow', (value) => /\bPROPFIND\b/i.test(value), 'a list containing PROPFIND')
+        ]
+    },
+    {
+        id: 'mkcol',
+        title: 'MKCOL creates the test folder',
+        request: (ctx) => ({ method: 'MKCOL', path: ctx.folder }),
+        checks: [status(201)]
+    },
+    {
+        id: 'mkcol-existing',
+        title: 'MKCOL on an existing folder is refused',
+        request: (ctx) => ({ method: 'MKCOL', path: ctx.folder }),
+        checks: [status(405)]
+    },
+    {
+        id: 'put-create',
+        title: 'PUT creates a file',
+        request: (ctx) => ({
+            method: 'PUT',
+            path: ctx.file,
+            headers: { 'Content-Type': 'text/plain' },
+            body: CONTENT
+        }),
+        checks: [status(201)]
+    },
+    {
+        id: 'put-overwrite',
+        title: 'PUT replaces the file',
+        request: (ctx) => ({
+            method: 'PUT',
+            path: ctx.file,
+            headers: { 'Content-Type': 'text/plain' },
+            body: UPDATED_CONTENT
+        }),
+        checks: [status(200, 204)]
+    },
+    {
+        id: 'get',
+        title: 'GET returns the whole file with validators',
+        request: (ctx) => ({ method: 'GET', path: ctx.file }),
+        checks: [
+            status(200),
+            header('Content-Length', (value) => Number(value) === UPDATED_CONTENT.length, String(UPDATED_CONTENT.length)),
+            header('ETag', (value) => /^(W\/)?".*"$/.test(value), 'a quoted entity tag'),
+            header('Last-Modified', (value) => !Number.isNaN(Date.parse(value)), 'an HTTP date'),
+            body((text) => text === UPDATED_CONTENT, 'equal the uploaded content')
+        ],
+        after: (res, ctx) => {
+            ctx.etag = res.headers.etag;
+            ctx.lastModified = res.headers['last-modified'];
+        }
+    },
+    {
+        id: 'head',
+        title: 'HEAD returns the headers of GET without a body',
+        request: (ctx) => ({ method: 'HEAD', path: ctx.file }),
+        checks: [
+            status(200),
+            header('Content-Length', (value) => Number(value) === UPDATED_CONTENT.length, String(UPDATED_CONTENT.length)),
+            body((text) => text === '', 'be empty')
+        ]
+    },
+    {
+        id: 'get-range',
+        title: 'GET with Range returns 206 and the requested bytes',
+        request: (ctx) => ({ method: 'GET', path: ctx.file, headers: { Range: 'bytes=5-14' } }),
+        checks: [
+            status(206),
+            header('Content-Range', (value) => value === `bytes 5-14/${UPDATED_CONTENT.length}`, `bytes 5-14/${UPDATED_CONTENT.length}`),
+            body((text) => text === UPDATED_CONTENT.slice(5, 15), `equal "${UPDATED_CONTENT.slice(5, 15)}"`)
+        ]
+    },
+    {
+        id: 'get-range-suffix',
+        title: 'GET with a suffix Range returns the last bytes',
+        request: (ctx) => ({ method: 'GET', path: ctx.file, headers: { Range: 'bytes=-5' } }),
+        checks: [
+            status(206),
+            body((text) => text === UPDATED_CONTENT.slice(-5), 'equal the last 5 bytes')
+        ]
+    },
+    {
+        id: 'get-range-unsatisfiable',
+        title: 'GET with a Range past the end returns 416',
+        request: (ctx) => ({ method: 'GET', path: ctx.file, headers: { Range: `bytes=${UPDATED_CONTENT.length + 100}-` } }),
+        checks: [
+            status(416),
+            header('Content-Range', (value) => value === `bytes */${UPDATED_CONTENT.length}`, `bytes */${UPDATED_CONTENT.length}`)
+        ]
+    },
+    {
+        id: 'get-if-none-match',
+        title: 'GET with a matching If-None-Match returns 304',
+        requires: ['etag'],
+        request: (ctx) => ({ method: 'GET', path: ctx.file, headers: { 'If-None-Match': ctx.etag } }),
+        checks: [status(304), body((text) => text === '', 'be empty')]
+    },
+    {
+        id: 'get-if-modified-since',
+        title: 'GET with If-Modified-Since at Last-Modified returns 304',
+        requires: ['lastModified'],
+        request: (ctx) => ({ method: 'GET', path: ctx.file, headers: { 'If-Modified-Since': ctx.lastModified } }),
+        checks: [status(304)]
+    },
+    {
+        id: 'put-if-match-stale',
+        title: 'PUT with a stale If-Match returns 412',
+        request: (ctx) => ({
+            method: 'PUT',
+            path: ctx.file,
+            headers: { 'If-Match': '"stale-etag"' },
+            body: CONTENT
+        }),
+        checks: [status(412)]
+    },
+    {
+        id: 'put-if-none-match-star',
+        title: 'PUT with If-None-Match: * on an existing file returns 412',
+        request: (ctx) => ({
+            method: 'PUT',
+            path: ctx.file,
+            headers: { 'If-None-Match': '*' },
+            body: CONTENT
+        }),
+        checks: [status(412)]
+    },
+    {
+        id: 'propfind-depth-0',
+        title: 'PROPFIND Depth 0 describes the file only',
+        request: (ctx) => ({
+            method: 'PROPFIND',
+            path: ctx.file,
+            headers: { 'Depth': '0', 'Content-Type': 'application/xml' },
+            body: propfindBody()
+        }),
+        checks: [
+            status(207),
+            body((text) => countElements(text, 'response') === 1, 'hold exactly one response'),
+            body((text) => Number(elementText(text, 'getcontentlength')) === UPDATED_CONTENT.length,
+                `report getcontentlength ${UPDATED_CONTENT.length}`)
+        ]
+    },
+    {
+        id: 'propfind-depth-1',
+        title: 'PROPFIND Depth 1 lists the folder and its file',
+        request: (ctx) => ({
+            method: 'PROPFIND',
+            path: ctx.folder,
+            headers: { 'Depth': '1', 'Content-Type': 'application/xml' },
+            body: propfindBody()
+        }),
+        checks: [
+            status(207),
+            body((text) => countElements(text, 'response') === 2, 'hold two responses (folder and file)'),
+            body((text) => text.includes('file.txt'), 'mention file.txt')
+        ]
+    },
+    {
+        id: 'propfind-depth-infinity',
+        title: 'PROPFIND Depth infinity is answered or refused with 403',
+        request: (ctx) => ({
+            method: 'PROPFIND',
+            path: ctx.folder,
+            headers: { 'Depth': 'infinity', 'Content-Type': 'application/xml' },
+            body: propfindBody()
+        }),
+        checks: [
+            status(207, 403),
+            (res) => (res.status !== 207 || countElements(res.body.toString('utf8'), 'response') === 2 ? null : {
+                type: 'body',
+                message: 'Body should hold two responses (folder and file)',
+                expected: 2,
+                actual: countElements(res.body.toString('utf8'), 'response')
+            })
+        ]
+    },
+    {
+        id: 'proppatch-set',
+        title: 'PROPPATCH sets a custom property',
+        request: (ctx) => ({
+            method: 'PROPPATCH',
+            path: ctx.file,
+            headers: { 'Content-Type': 'application/xml' },
+            body: propertyUpdateBody('<D:set><D:prop><C:color>blue</C:color></D:prop></D:set>')
+        }),
+        checks: [
+            status(207),
+            body((text) => propstatStatuses(text).every((code) => code === 200) && propstatStatuses(text).length > 0,
+                'report 200 for the property')
+        ]
+    },
+    {
+        id: 'propfind-custom',
+        title: 'PROPFIND returns the custom property',
+        request: (ctx) => ({
+            method: 'PROPFIND',
+            path: ctx.file,
+            headers: { 'Depth': '0', 'Content-Type': 'application/xml' },
+            body: propfindBody('<C:color/>')
+        }),
+        checks: [
+            status(207),
+            body((text) => elementText(text, 'color') === 'blue', 'hold color = blue')
+        ]
+    },
+    {
+        id: 'proppatch-remove',
+        title: 'PROPPATCH removes the custom property',
+        request: (ctx) => ({
+            method: 'PROPPATCH',
+            path: ctx.file,
+            headers: { 'Content-Type': 'application/xml' },
+            body: propertyUpdateBody('<D:remove><D:prop><C:color/></D:prop></D:remove>')
+        }),
+        checks: [
+            status(207),
+            body((text) => propstatStatuses(text).every((code) => code === 200) && propstatStatuses(text).length > 0,
+                'report 200 for the property')
+        ]
+    },
+    {
+        id: 'copy',
+        title: 'COPY duplicates the file',
+        request: (ctx) => ({
+            method: 'COPY',
+            path: ctx.file,
+            headers: { 'Destination': ctx.url(ctx.copy), 'Overwrite': 'F' }
+        }),
+        checks: [status(201)]
+    },
+    {
+        id: 'copy-no-overwrite',
+        title: 'COPY onto an existing file with Overwrite: F returns 412',
+        request: (ctx) => ({
+            method: 'COPY',
+            path: ctx.file,
+            headers: { 'Destination': ctx.url(ctx.copy), 'Overwrite': 'F' }
+        }),
+        checks: [status(412)]
+    },
+    {
+        id: 'move',
+        title: 'MOVE renames the copy',
+        request: (ctx) => ({
+            method: 'MOVE',
+            path: ctx.copy,
+            headers: { 'Destination': ctx.url(ctx.moved), 'Overwrite': 'F' }
+        }),
+        checks: [status(201)]
+    },
+    {
+        id: 'get-moved-source',
+        title: 'GET on the moved source returns 404',
+        request: (ctx) => ({ method: 'GET', path: ctx.copy }),
+        checks: [status(404)]
+    },
+    {
+        id: 'lock',
+        title: 'LOCK takes an exclusive write lock',
+        request: (ctx) => ({
+            method: 'LOCK',
+            path: ctx.file,
+            headers: { 'Content-Type': 'application/xml', 'Timeout': 'Second-120', 'Depth': '0' },
+            body: LOCK_BODY
+        }),
+        checks: [
+            status(200),
+            header('Lock-Token', (value) => /^<.+>$/.test(value), 'a token in angle brackets'),
+            body((text) => countElements(text, 'lockdiscovery') === 1, 'hold a lockdiscovery property')
+        ],
+        after: (res, ctx) => {
+            const token = /^<(.+)>$/.exec(res.headers['lock-token'] || '');
+            ctx.lockToken = token ? token[1] : undefined;
+        }
+    },
+    {
+        id: 'put-locked-no-token',
+        title: 'PUT to the locked file without its token returns 423',
+        requires: ['lockToken'],
+        request: (ctx) => ({ method: 'PUT', path: ctx.file, body: CONTENT }),
+        checks: [status(423)]
+    },
+    {
+        id: 'put-locked-with-token',
+        title: 'PUT with the lock token in If succeeds',
+        requires: ['lockToken'],
+        request: (ctx) => ({
+            method: 'PUT',
+            path: ctx.file,
+            headers: { 'If': `(<${ctx.lockToken}>)` },
+            body: CONTENT
+        }),
+        checks: [status(200, 204)]
+    },
+    {
+        id: 'unlock',
+        title: 'UNLOCK releases the lock',
+        requires: ['lockToken'],
+        request: (ctx) => ({ method: 'UNLOCK', path: ctx.file, headers: { 'Lock-Token': `<${ctx.lockToken}>` } }),
+        checks: [status(204)],
+        after: (res, ctx) => {
+            if (res.status === 204) {
+                ctx.lockToken = undefined;
+            }
+        }
+    },
+    {
+        id: 'delete-file',
+        title: 'DELETE removes the file',
+        request: (ctx) => ({ method: 'DELETE', path: ctx.file }),
+        checks: [status(200, 204)]
+    },
+    {
+        id: 'get-deleted',
+        title: 'GET on the deleted file returns 404',
+        request: (ctx) => ({ method: 'GET', path: ctx.file }),
+        checks: [status(404)]
+    },
+    {
+        id: 'delete-folder',
+        title: 'DELETE removes the test folder',
+        always: true,
+        request: (ctx) => ({
+            method: 'DELETE',
+            path: ctx.folder,
+            headers: ctx.lockToken ? { 'If': `(<${ctx.lockToken}>)` } : {}
+        }),
+        checks: [status(200, 204)]
+    }
+];
+
+// One HTTP request; resolves with the status, lower-cased headers and body
+const sendRequest = ({ url, method, headers = {}, body, insecure = false, timeoutMs = 30000 }) => new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+    const payload = body === undefined ? null : Buffer.from(body);
+    const req = transport.request(target, {
+        method,
+        headers: payload ? { ...headers, 'Content-Length': payload.length } : headers,
+        rejectUnauthorized: !insecure,
+        timeout: timeoutMs
+    }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        res.on('error', reject);
+    });
+    req.on('timeout', () => req.destroy(new Error(`No response within ${timeoutMs} ms`)));
+    req.on('error', reject);
+    req.end(payload || undefined);
+});
+
+const isTextual = (headers, bodyBuffer) => /xml|json|text|html/i.test(headers['content-type'] || '')
+    || (bodyBuffer.length > 0 && !bodyBuffer.includes(0));
+
+/**
+ * Run the scenario against a WebDAV base URL (e.g. http://localhost:8080/api,
+ * or the same path through a CDN) and build a report.
+ *
+ * @param {object} options
+ * @param {string} options.baseUrl WebDAV root to test
+ * @param {string} [options.username] Basic credentials
+ * @param {string} [options.password]
+ * @param {boolean} [options.insecure] Accept self-signed certificates
+ * @param {number} [options.timeoutMs] Per request
+ * @param {function} [options.onStep] Called with each step result as it completes
+ * @returns {Promise<object>} Report: { baseUrl, startedAt, durationMs, summary, steps }
+ */
+const runConformance = async ({ baseUrl, username, password, insecure = false, timeoutMs = 30000, onStep = () => {} }) => {
+    const base = new URL(baseUrl);
+    const basePath = base.pathname.replace(/\/+$/, '');
+    const authHeaders = username !== undefined && username !== ''
+        ? { Authorization: `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}` }
+        : {};
+
+    const runId = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    const folder = `/conformance-${runId}`;
+    const ctx = {
+        folder,
+        file: `${folder}/file.txt`,
+        copy: `${folder}/copy.txt`,
+        moved: `${folder}/moved.txt`,
+        url: (relative) => `${base.origin}${basePath}${relative}`
+    };
+
+    const started = Date.now();
+    const steps = [];
+    let failedBefore = false;
+
+    for (const step of STEPS) {
+        const missing = (step.requires || []).filter((name) => !ctx[name]);
+        if (missing.length > 0) {
+            const result = { id: step.id, title: step.title, skipped: true, passed: false, reason: `Needs ${missing.join(', ')} from an earlier step`, failures: [] };
+            steps.push(result);
+            onStep(result);
+            continue;
+        }
+
+        const request = step.request(ctx);
+        const stepStarted = Date.now();
+        const result = {
+            id: step.id,
+            title: step.title,
+            method: request.method,
+            path: `${basePath}${request.path}`,
+            requestHeaders: request.headers || {},
+            skipped: false
+        };
+        try {
+            const res = await sendRequest({
+                url: ctx.url(request.path),
+                method: request.method,
+                headers: { ...authHeaders, ...(request.headers || {}) },
+                body: request.body,
+                insecure,
+                timeoutMs
+            });
+            result.status = res.status;
+            result.responseHeaders = res.headers;
+            result.bodySize = res.body.length;
+            result.bodySha256 = crypto.createHash('sha256').update(res.body).digest('hex');
+            result.body = isTextual(res.headers, res.body) ? res.body.toString('utf8').slice(0, BODY_EXCERPT_LIMIT) : null;
+            result.failures = step.checks.map((check) => check(res)).filter(Boolean);
+            if (step.after) {
+                step.after(res, ctx);
+            }
+        } catch (err) {
+            result.status = null;
+            result.failures = [{ type: 'network', message: err.message, expected: 'a response', actual: err.code || err.message }];
+        }
+        result.durationMs = Date.now() - stepStarted;
+        result.passed = result.failures.length === 0;
+        failedBefore = failedBefore || !result.passed;
+        if (step.always && failedBefore) {
+            result.note = 'Cleanup after earlier failures';
+        }
+        steps.push(result);
+        onStep(result);
+    }
+
+    return {
+        tool: 'webdav-conformance',
+        version: 1,
+        baseUrl: `${base.origin}${basePath}`,
+        folder: `${basePath}${folder}`,
+        startedAt: new Date(started).toISOString(),
+        durationMs: Date.now() - started,
+        summary: {
+            total: steps.length,
+            passed: steps.filter((step) => step.passed).length,
+            failed: steps.filter((step) => !step.passed && !step.skipped).length,
+            skipped: steps.filter((step) => step.skipped).length
+        },
+        steps
+    };
+};
+
+module.exports = {
+    STEPS,
+    runConformance
+};
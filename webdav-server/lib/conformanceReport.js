@@ -0,0 +1,209 @@
+// Headers that differ between any two runs or are added by proxies and CDNs
+const VOLATILE_HEADERS = ['date', 'x-request-id', 'connection', 'keep-alive', 'age', 'via', 'server', 'alt-svc', 'nel', 'report-to', 'expires'];
+const VOLATILE_PREFIXES = ['x-cache', 'cf-', 'x-amz-', 'x-served-by', 'x-timer', 'fastly-'];
+
+// Headers whose value is per-run; only their presence is compared
+const PRESENCE_HEADERS = ['etag', 'last-modified', 'lock-token', 'content-length'];
+
+const isVolatile = (name) => VOLATILE_HEADERS.includes(name) || VOLATILE_PREFIXES.some((prefix) => name.startsWith(prefix));
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Strip what legitimately changes between runs so bodies can be compared
+const normalizeBody = (body, report) => (body || '')
+    .split(report.baseUrl).join('{base}')
+    .split(report.folder).join('{folder}')
+    .replace(/conformance-[a-z0-9]+-[a-f0-9]{6}/g, '{folder}')
+    .replace(/(opaquelocktoken|urn:uuid):[0-9a-f-]+/gi, '{token}')
+    .replace(/"[^"<>\s]*"/g, (tag) => (/^"[\w/+=-]+"$/.test(tag) && tag.length > 10 ? '{etag}' : tag))
+    .replace(/\w{3}, \d{2} \w{3} \d{4} \d{2}:\d{2}:\d{2} GMT/g, '{date}')
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})/g, '{date}')
+    .replace(/Second-\d+/g, 'Second-{n}');
+
+const firstDifference = (left, right) => {
+    const leftLines = left.split(/\r?\n|(?<=>)(?=<)/);
+    const rightLines = right.split(/\r?\n|(?<=>)(?=<)/);
+    for (let index = 0; index < Math.max(leftLines.length, rightLines.length); index++) {
+        if (leftLines[index] !== rightLines[index]) {
+            return { line: index + 1, left: leftLines[index] === undefined ? null : leftLines[index], right: rightLines[index] === undefined ? null : rightLines[index] };
+        }
+    }
+    return null;
+};
+
+const stepOutcome = (step) => {
+    if (!step) {
+        return 'missing';
+    }
+    if (step.skipped) {
+        return 'skipped';
+    }
+    return step.passed ? 'passed' : 'failed';
+};
+
+/**
+ * Step-by-step differences between two reports, e.g. the server directly
+ * and the same server through the CDN. Steps are matched by id; headers
+ * that proxies add or that change on every run are ignored.
+ *
+ * @returns {object} { left, right, summary, steps: [{ id, title, outcomes, differences }] }
+ */
+const compareReports = (left, right) => {
+    const rightSteps = new Map(right.steps.map((step) => [step.id, step]));
+    const ids = left.steps.map((step) => step.id)
+        .concat(right.steps.map((step) => step.id).filter((id) => !left.steps.some((step) => step.id === id)));
+
+    const steps = ids.map((id) => {
+        const a = left.steps.find((step) => step.id === id);
+        const b = rightSteps.get(id);
+        const differences = [];
+        if (stepOutcome(a) !== stepOutcome(b)) {
+            differences.push({ type: 'outcome', name: 'result', left: stepOutcome(a), right: stepOutcome(b) });
+        }
+        if (a && b && !a.skipped && !b.skipped) {
+            if (a.status !== b.status) {
+                differences.push({ type: 'status', name: 'status', left: a.status, right: b.status });
+            }
+        }
+        // Without a response on both sides there are no headers or bodies to compare
+        if (a && b && a.responseHeaders && b.responseHeaders) {
+            const leftHeaders = a.responseHeaders;
+            const rightHeaders = b.responseHeaders;
+            const names = Array.from(new Set(Object.keys(leftHeaders).concat(Object.keys(rightHeaders))))
+                .filter((name) => !isVolatile(name))
+                .sort();
+            names.forEach((name) => {
+                const leftValue = leftHeaders[name] === undefined ? null : String(leftHeaders[name]);
+                const rightValue = rightHeaders[name] === undefined ? null : String(rightHeaders[name]);
+                const differs = PRESENCE_HEADERS.includes(name)
+                    ? (leftValue === null) !== (rightValue === null)
+                    : leftValue !== rightValue;
+                if (differs) {
+                    differences.push({ type: 'header', name, left: leftValue, right: rightValue });
+                }
+            });
+            if (a.body !== null && b.body !== null && a.body !== undefined && b.body !== undefined) {
+                const difference = firstDifference(normalizeBody(a.body, left), normalizeBody(b.body, right));
+                if (difference) {
+                    differences.push({ type: 'body', name: `line ${difference.line}`, left: difference.left, right: difference.right });
+                }
+            } else if (a.bodySha256 !== b.bodySha256) {
+                differences.push({ type: 'body', name: 'sha256', left: a.bodySha256, right: b.bodySha256 });
+            }
+        }
+        return { id, title: (a || b).title, outcomes: [stepOutcome(a), stepOutcome(b)], differences };
+    });
+
+    return {
+        left: { baseUrl: left.baseUrl, startedAt: left.startedAt, summary: left.summary },
+        right: { baseUrl: right.baseUrl, startedAt: right.startedAt, summary: right.summary },
+        summary: {
+            steps: steps.length,
+            identical: steps.filter((step) => step.differences.length === 0).length,
+            different: steps.filter((step) => step.differences.length > 0).length
+        },
+        steps
+    };
+};
+
+const STYLE = `
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2rem; color: #222; }
+h1 { font-size: 1.4rem; }
+table { border-collapse: collapse; width: 100%; margin-top: 1rem; }
+th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; font-size: 0.9rem; }
+th { background: #f5f5f5; }
+.passed { color: #2e7d32; font-weight: bold; }
+.failed { color: #c62828; font-weight: bold; }
+.skipped, .missing { color: #757575; font-weight: bold; }
+code, pre { font-family: Menlo, Consolas, monospace; font-size: 0.8rem; }
+pre { white-space: pre-wrap; word-break: break-all; margin: 0; max-height: 12rem; overflow: auto; }
+ul { margin: 0; padding-left: 1.2rem; }
+`;
+
+const page = (title, content) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${content}
+</body>
+</html>
+`;
+
+const failureItem = (failure) => `<li>${escapeHtml(failure.message)}`
+    + `<br>expected <code>${escapeHtml(failure.expected)}</code>, got <code>${escapeHtml(failure.actual)}</code></li>`;
+
+// Self-contained HTML page for one report
+const renderHtml = (report) => {
+    const rows = report.steps.map((step) => {
+        const outcome = stepOutcome(step);
+        const details = step.skipped
+            ? escapeHtml(step.reason)
+            : `<ul>${step.failures.map(failureItem).join('')}</ul>`
+                + (step.body ? `<details><summary>Response body</summary><pre>${escapeHtml(step.body)}</pre></details>` : '');
+        return `<tr>
+<td><code>${escapeHtml(step.id)}</code><br>${escapeHtml(step.title)}</td>
+<td><code>${escapeHtml(step.method || '')} ${escapeHtml(step.path || '')}</code></td>
+<td>${escapeHtml(step.status === undefined ? '' : step.status)}</td>
+<td class="${outcome}">${outcome}</td>
+<td>${details}</td>
+</tr>`;
+    }).join('\n');
+
+    return page(`WebDAV conformance: ${report.baseUrl}`, `<h1>WebDAV conformance: <code>${escapeHtml(report.baseUrl)}</code></h1>
+<p>Started ${escapeHtml(report.startedAt)}, took ${escapeHtml(report.durationMs)} ms.
+<span class="passed">${report.summary.passed} passed</span>,
+<span class="failed">${report.summary.failed} failed</span>,
+<span class="skipped">${report.summary.skipped} skipped</span>.</p>
+<table>
+<thead><tr><th>Step</th><th>Request</th><th>Status</th><th>Result</th><th>Details</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`);
+};
+
+// Self-contained HTML page for a comparison from compareReports()
+const renderComparisonHtml = (comparison) => {
+    const rows = comparison.steps.map((step) => {
+        const differences = step.differences.length === 0
+            ? 'identical'
+            : `<table><tbody>${step.differences.map((difference) => `<tr>
+<td>${escapeHtml(difference.type)}: <code>${escapeHtml(difference.name)}</code></td>
+<td><pre>${escapeHtml(difference.left)}</pre></td>
+<td><pre>${escapeHtml(difference.right)}</pre></td>
+</tr>`).join('')}</tbody></table>`;
+        return `<tr>
+<td><code>${escapeHtml(step.id)}</code><br>${escapeHtml(step.title)}</td>
+<td class="${step.outcomes[0]}">${step.outcomes[0]}</td>
+<td class="${step.outcomes[1]}">${step.outcomes[1]}</td>
+<td>${differences}</td>
+</tr>`;
+    }).join('\n');
+
+    const { left, right, summary } = comparison;
+    return page('WebDAV conformance comparison', `<h1>WebDAV conformance comparison</h1>
+<p>A: <code>${escapeHtml(left.baseUrl)}</code> (${escapeHtml(left.startedAt)}, ${left.summary.passed} passed, ${left.summary.failed} failed)<br>
+B: <code>${escapeHtml(right.baseUrl)}</code> (${escapeHtml(right.startedAt)}, ${right.summary.passed} passed, ${right.summary.failed} failed)</p>
+<p>${summary.identical} of ${summary.steps} steps identical, ${summary.different} different.</p>
+<table>
+<thead><tr><th>Step</th><th>A</th><th>B</th><th>Differences (type, A, B)</th></tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>`);
+};
+
+module.exports = {
+    compareReports,
+    escapeHtml,
+    renderHtml,
+    renderComparisonHtml
+};
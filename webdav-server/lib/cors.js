@@ -0,0 +1,85 @@
+const { logger } = require('./logger');
+
+// A "*" in an origin pattern stands for one or more host labels, or after a colon for any port
+const HOST_WILDCARD = '[a-z0-9-]+(?:\\.[a-z0-9-]+)*';
+const PORT_WILDCARD = '\\d+';
+
+/**
+ * Predicate for an origin allow-list. Entries are exact origins
+ * ("https://files.example.com"), patterns with "*" wildcards
+ * ("https://*.example.com", "http://localhost:*"), or "*" alone for any
+ * origin.
+ */
+const originMatcher = (patterns) => {
+    if (patterns.includes('*')) {
+        return () => true;
+    }
+    const expressions = patterns.map((pattern) => new RegExp(`^${pattern
+        .toLowerCase()
+        .replace(/\/+$/, '')
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/:\*/g, `:${PORT_WILDCARD}`)
+        .replace(/\*/g, HOST_WILDCARD)}$`));
+    return (origin) => expressions.some((expression) => expression.test(origin.toLowerCase()));
+};
+
+// An Origin naming the host the request was sent to
+const isSameOrigin = (req, origin) => {
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * CORS middleware with an origin allow-list. Requests from the server's own
+ * origin or an allowed one get the CORS headers; requests from any other
+ * origin are refused with 403 before they can do anything, since browsers
+ * send credentials along. Requests without an Origin (native WebDAV
+ * clients, scripts) pass untouched. Preflights are answered here.
+ */
+const cors = ({ origins, methods, allowedHeaders, exposedHeaders, maxAge }) => {
+    const allowed = originMatcher(origins);
+    if (origins.includes('*')) {
+        logger.warn('CORS allows credentialed requests from any origin (WEBDAV_CORS_ORIGINS=*)');
+    }
+
+    return (req, res, next) => {
+        res.vary('Origin');
+        const origin = req.headers.origin;
+        if (!origin) {
+            return next();
+        }
+        if (!isSameOrigin(req, origin) && !allowed(origin)) {
+            logger.warn('Rejected request from origin:', origin);
+            res.status(403).json({ error: 'Origin not allowed' });
+            return;
+        }
+
+        const corsHeaders = {
+            'Access-Control-Allow-Origin': origin,
+            'Access-Control-Allow-Methods': methods.join(', '),
+            'Access-Control-Allow-Headers': allowedHeaders.join(', '),
+            'Access-Control-Allow-Credentials': 'true',
+            'Access-Control-Expose-Headers': exposedHeaders.join(', ')
+        };
+        Object.keys(corsHeaders).forEach((name) => res.setHeader(name, corsHeaders[name]));
+        // The WebDAV servers overwrite these; they restore them from here
+        res.locals.corsHeaders = corsHeaders;
+
+        // Answer CORS preflights here; other OPTIONS requests reach the WebDAV
+        // server, which advertises the DAV compliance classes and allowed methods
+        if (req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+            res.setHeader('Access-Control-Max-Age', String(maxAge));
+            return res.sendStatus(204);
+        }
+        next();
+    };
+};
+
+module.exports = {
+    cors,
+    isSameOrigin,
+    originMatcher
+};
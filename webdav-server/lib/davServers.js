@@ -0,0 +1,434 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const webdav = require('webdav-server').v2;
+const { BasicScheme, SchemeAuthentication, TrustedRequestAuthentication } = require('./auth');
+const { Acl, AclPrivilegeManager, withReadableChildren } = require('./acl');
+const { completeRangeHeaders } = require('./ranges');
+const { conditionalRequests } = require('./conditional');
+const { TransferCommand } = require('./transfers');
+const { LockCommand, missesOwnLockToken, requireLockTokens, fixLockDiscoveryTimeouts } = require('./locks');
+const { PropPatchCommand } = require('./properties');
+const { StateSerializer, loadState, persistState, saveStateSync } = require('./persistence');
+const { Quotas, QuotaPropfindCommand, enforceQuotas, physicalPath } = require('./quotas');
+const { withTrash } = require('./trash');
+const { keepVersions } = require('./versions');
+const { indexChanges } = require('./search');
+const { cacheHeaders, purgeChanges } = require('./caching');
+const { trackChanges } = require('./changes');
+const { MountPrivilegeManager, mountAt } = require('./mounts');
+const { logger } = require('./logger');
+
+// webdav-server answers NotEnoughPrivilege with 401, which makes clients
+// prompt for credentials again. An authenticated user lacking a right on a
+// path should get 403 instead.
+webdav.HTTPRequestContext.defaultErrorStatusCodes
+    .filter((entry) => entry.error === webdav.Errors.NotEnoughPrivilege)
+    .forEach((entry) => {
+        entry.code = webdav.HTTPCodes.Forbidden;
+    });
+
+const PhysicalFileSystem = withReadableChildren(webdav.PhysicalFileSystem);
+
+// webdav-server replaces the CORS headers set by the Express middleware with
+// "Access-Control-Allow-Origin: *", which browsers reject on credentialed
+// requests. Put the Express values back before the method runs.
+const restoreCorsHeaders = (ctx, next) => {
+    const corsHeaders = ctx.response.locals && ctx.response.locals.corsHeaders;
+    if (corsHeaders) {
+        Object.keys(corsHeaders).forEach((name) => ctx.response.setHeader(name, corsHeaders[name]));
+    }
+    next();
+};
+
+/**
+ * Lazily creates one WebDAV server per home directory.
+ *
+ * In "user" mode every account gets its own server rooted at data/<home>;
+ * in "shared" mode all accounts share a single server rooted at sharedRoot.
+ * All servers authenticate with the same scheme and user store as the /api
+ * middleware.
+ *
+ * With a stateDir, each server's locks and dead properties are autosaved to
+ * <stateDir>/<home>.json.gz (shared.json.gz in "shared" mode) and restored
+ * when the server is created.
+ *
+ * Every server enforces the storage quotas and reports them in PROPFIND.
+ *
+ * With a trash, DELETE moves resources into the deleting user's trash,
+ * from where restoreFromTrash puts them back. With versions, the previous
+ * contents of replaced files are kept and restoreVersion brings them back.
+ * With a search index, every server keeps it up to date. commitUpload
+ * moves the files staged by resumable uploads into place. With a caching
+ * policy, GET and HEAD answers carry its headers and writes call its purge
+ * webhook. With a change feed, every change is published to it.
+ *
+ * Every server also gets the same `mounts` (see loadMounts), with the
+ * rights both the ACL and the mount grant below them.
+ */
+class DavServerPool {
+    constructor({
+        dataDir,
+        userStore,
+        acl = new Acl(),
+        authScheme = null,
+        homeMode = 'user',
+        sharedRoot,
+        maxLockTimeout = 3600,
+        stateDir = null,
+        saveInterval = 60,
+        quotas = new Quotas({ homeMode }),
+        trash = null,
+        versions = null,
+        search = null,
+        cache = null,
+        changes = null,
+        mounts = []
+    }) {
+        if (homeMode !== 'user' && homeMode !== 'shared') {
+            throw new Error(`Unknown home mode: ${homeMode}`);
+        }
+
+        this.dataDir = dataDir;
+        this.userStore = userStore;
+        this.acl = acl;
+        this.privilegeManager = mounts.length > 0 ? new MountPrivilegeManager(acl, mounts) : new AclPrivilegeManager(acl);
+        this.authScheme = authScheme || new BasicScheme({ userStore });
+        this.homeMode = homeMode;
+        this.sharedRoot = sharedRoot || dataDir;
+        this.maxLockTimeout = maxLockTimeout;
+        this.stateDir = stateDir;
+        this.saveInterval = saveInterval;
+        this.quotas = quotas;
+        this.trash = trash;
+        this.versions = versions;
+        this.search = search;
+        this.cache = cache;
+        this.changes = changes;
+        this.mounts = mounts;
+        this.FileSystem = trash ? withTrash(PhysicalFileSystem, trash) : PhysicalFileSystem;
+        this.servers = new Map();
+
+        if (stateDir) {
+            fs.mkdirSync(stateDir, { recursive: true });
+            this.hideIfShared(stateDir);
+        }
+        if (trash) {
+            this.hideIfShared(trash.dir);
+        }
+        if (versions) {
+            this.hideIfShared(versions.dir);
+        }
+    }
+
+    /**
+     * The server's own files and directories (state, trash, share links,
+     * ...) default to the data directory, which is the WebDAV root in
+     * "shared" mode. There they are hidden from every user.
+     */
+    hideIfShared(file) {
+        const relative = path.relative(this.sharedRoot, file);
+        if (this.homeMode === 'shared' && relative && !relative.startsWith('..') && !path.isAbsolute(relative)) {
+            this.acl.hide(relative.split(path.sep).join('/'));
+        }
+    }
+
+    // Name of a WebDAV root in the state and versions directories
+    nameFor(root) {
+        return this.homeMode === 'shared' ? 'shared' : path.basename(root);
+    }
+
+    // File holding the saved state of the server rooted at root
+    stateFileFor(root) {
+        if (!this.stateDir) {
+            return null;
+        }
+        return path.join(this.stateDir, `${this.nameFor(root)}.json.gz`);
+    }
+
+    // Physical directory backing a user's WebDAV root
+    rootFor(user) {
+        if (this.homeMode === 'shared') {
+            return this.sharedRoot;
+        }
+        return path.join(this.dataDir, user.home);
+    }
+
+    forUser(user) {
+        const root = this.rootFor(user);
+        let server = this.servers.get(root);
+        if (!server) {
+            server = this.createServer(root);
+            this.servers.set(root, server);
+        }
+        return server;
+    }
+
+    createServer(root) {
+        if (!fs.existsSync(root)) {
+            fs.mkdirSync(root, { recursive: true });
+        }
+
+        logger.info('Creating WebDAV server for:', root);
+        const stateFile = this.stateFileFor(root);
+        const serializer = new StateSerializer(this.FileSystem, root);
+        const server = new webdav.WebDAVServer({
+            requireAuthentification: true,
+            httpAuthentication: new TrustedRequestAuthentication(
+                new SchemeAuthentication(this.authScheme, this.userStore)
+            ),
+            privilegeManager: this.privilegeManager,
+            rootFileSystem: stateFile ? loadState(stateFile, serializer) : serializer.create(),
+            autoSave: stateFile && {
+                treeFilePath: stateFile,
+                onSaveError: (err) => logger.error('Error saving WebDAV state:', err)
+            }
+        });
+        this.mounts.forEach((mount) => {
+            const hidden = physicalPath(root, mount.path);
+            if (fs.existsSync(hidden)) {
+                logger.warn(`Mount ${mount.path} hides the files at ${hidden}`);
+            }
+            // A mount is only listed in a folder that exists
+            fs.mkdirSync(path.dirname(hidden), { recursive: true });
+            server.setFileSystemSync(mount.path, mount.fileSystem);
+        });
+        server.beforeRequest(restoreCorsHeaders);
+        server.beforeRequest(completeRangeHeaders);
+        if (this.cache) {
+            server.beforeRequest(cacheHeaders(this.cache));
+            server.afterRequest(purgeChanges(this.cache));
+        }
+        server.beforeRequest(conditionalRequests);
+        server.beforeRequest(requireLockTokens);
+        server.beforeRequest(enforceQuotas(this.quotas, root));
+        if (this.versions) {
+            const versionHooks = keepVersions(this.versions, this.nameFor(root), root);
+            server.beforeRequest(versionHooks.before);
+            server.afterRequest(versionHooks.after);
+        }
+        if (this.search) {
+            server.afterRequest(indexChanges(this.search, root));
+        }
+        if (this.changes) {
+            const changeHooks = trackChanges(this.changes, root);
+            server.beforeRequest(changeHooks.before);
+            server.afterRequest(changeHooks.after);
+        }
+        server.beforeRequest(fixLockDiscoveryTimeouts);
+        server.method('MOVE', new TransferCommand('move'));
+        server.method('COPY', new TransferCommand('copy'));
+        server.method('LOCK', new LockCommand({ maxTimeout: this.maxLockTimeout }));
+        server.method('PROPPATCH', new PropPatchCommand());
+        server.method('PROPFIND', new QuotaPropfindCommand(this.quotas, root));
+        if (stateFile) {
+            persistState(server, this.saveInterval);
+        }
+        return server;
+    }
+
+    /**
+     * Put one of the user's trash entries back at its original path, or at
+     * `destination`, within their WebDAV root. Rejects with a webdav-server
+     * error (see withTrash) or with InsufficientStorage over a quota.
+     */
+    async restoreFromTrash(user, id, destination) {
+        const entry = this.trash && await this.trash.get(user.username, id);
+        if (!entry) {
+            throw webdav.Errors.ResourceNotFound;
+        }
+
+        const root = this.rootFor(user);
+        const server = this.forUser(user);
+        const target = destination || entry.originalPath;
+        if (mountAt(this.mounts, target)) {
+            // Trash entries are files on disk; mounts are not
+            throw webdav.Errors.Forbidden;
+        }
+        if (await this.quotas.exceeded(user, root, target, entry.size)) {
+            throw webdav.Errors.InsufficientStorage;
+        }
+
+        const ctx = server.createExternalContext({ user });
+        const finishWrite = await this.quotas.beginWrite([physicalPath(root, target)]);
+        const restored = await new Promise((resolve, reject) => {
+            server.rootFileSystem().restoreFromTrash(ctx, id, destination, (err, result) => (err ? reject(err) : resolve(result)));
+        }).finally(finishWrite);
+        if (this.search) {
+            this.search.refresh(root, restored.restoredTo);
+        }
+        if (this.cache) {
+            this.cache.purge([{ path: restored.restoredTo, recursive: true }], { method: 'RESTORE', user: user.username });
+        }
+        if (this.changes) {
+            this.changes.publish(root, { type: 'create', path: restored.restoredTo, user: user.username });
+        }
+        if (this.stateFileFor(root)) {
+            server.forceAutoSave();
+        }
+        return restored;
+    }
+
+    // Where the versions of the user's files are kept: { scope, root }
+    versionScope(user) {
+        const root = this.rootFor(user);
+        return { scope: this.nameFor(root), root };
+    }
+
+    /**
+     * Replace a file with one of its versions, recreating it if it was
+     * deleted. The contents being replaced are kept as a version first, so
+     * a restore can be undone. Rejects with ResourceNotFound, or with the
+     * webdav-server error of the privilege, lock or quota check.
+     */
+    async restoreVersion(user, resourcePath, id) {
+        const { scope, root } = this.versionScope(user);
+        const found = this.versions && await this.versions.get(scope, resourcePath, id);
+        if (!found) {
+            throw webdav.Errors.ResourceNotFound;
+        }
+        if (mountAt(this.mounts, resourcePath)) {
+            throw webdav.Errors.Forbidden;
+        }
+
+        const server = this.forUser(user);
+        const fileSystem = server.rootFileSystem();
+        const ctx = server.createExternalContext({ user });
+        if (!await fileSystem.checkPrivilegeAsync(ctx, resourcePath, 'canWrite')) {
+            throw webdav.Errors.NotEnoughPrivilege;
+        }
+        // isLockedAsync recurses into itself in webdav-server 2.6
+        const locked = await new Promise((resolve, reject) => {
+            fileSystem.isLocked(ctx, resourcePath, (err, result) => (err ? reject(err) : resolve(result)));
+        });
+        if (locked) {
+            throw webdav.Errors.Locked;
+        }
+        let currentSize = 0;
+        let deleted = false;
+        try {
+            currentSize = (await fs.promises.stat(physicalPath(root, resourcePath))).size;
+        } catch (err) {
+            // Restoring a deleted file
+            deleted = true;
+        }
+        if (await this.quotas.exceeded(user, root, resourcePath, found.version.size - currentSize)) {
+            throw webdav.Errors.InsufficientStorage;
+        }
+
+        await this.versions.save(scope, root, resourcePath, { reason: 'restore', user: user.username });
+        const finishWrite = await this.quotas.beginWrite([physicalPath(root, resourcePath)]);
+        try {
+            const { stream } = await fileSystem.openWriteStreamAsync(ctx, resourcePath, 'canCreate', true, found.version.size);
+            await pipeline(fs.createReadStream(found.file), stream);
+        } finally {
+            await finishWrite();
+        }
+        if (this.search) {
+            this.search.refresh(root, resourcePath);
+        }
+        if (this.cache) {
+            this.cache.purge([{ path: resourcePath }], { method: 'RESTORE', user: user.username });
+        }
+        if (this.changes) {
+            this.changes.publish(root, { type: deleted ? 'create' : 'update', path: resourcePath, user: user.username });
+        }
+        return found.version;
+    }
+
+    /**
+     * Move a fully staged upload to resourcePath in one rename, with the
+     * checks a PUT would make: write privilege, locks, an existing parent
+     * folder and quotas. The replaced contents are kept as a version.
+     * ifHeader is the If header of the request completing the upload; like
+     * a PUT's, it must name the token of a lock the user holds on the file.
+     * Rejects with the webdav-server error of the failed check.
+     */
+    async commitUpload(user, resourcePath, stagedFile, ifHeader = null) {
+        if (mountAt(this.mounts, resourcePath)) {
+            // The staged file is renamed into place, which only works on disk
+            throw webdav.Errors.Forbidden;
+        }
+        const root = this.rootFor(user);
+        const server = this.forUser(user);
+        const fileSystem = server.rootFileSystem();
+        const ctx = server.createExternalContext({ user });
+        if (!await fileSystem.checkPrivilegeAsync(ctx, resourcePath, 'canWrite')) {
+            throw webdav.Errors.NotEnoughPrivilege;
+        }
+        // isLockedAsync recurses into itself in webdav-server 2.6
+        const locked = await new Promise((resolve, reject) => {
+            fileSystem.isLocked(ctx, resourcePath, (err, result) => (err ? reject(err) : resolve(result)));
+        });
+        if (locked) {
+            throw webdav.Errors.Locked;
+        }
+        if (!user.isAdministrator) {
+            const resource = await server.getResourceAsync(ctx, resourcePath);
+            if (await new Promise((resolve) => missesOwnLockToken(ctx, resource, ifHeader, resolve))) {
+                throw webdav.Errors.Locked;
+            }
+        }
+
+        const target = physicalPath(root, resourcePath);
+        const parent = await fs.promises.stat(path.dirname(target)).catch(() => null);
+        if (!parent || !parent.isDirectory()) {
+            throw webdav.Errors.IntermediateResourceMissing;
+        }
+        const current = await fs.promises.stat(target).catch(() => null);
+        if (current && current.isDirectory()) {
+            throw webdav.Errors.ResourceAlreadyExists;
+        }
+        const { size } = await fs.promises.stat(stagedFile);
+        if (await this.quotas.exceeded(user, root, resourcePath, size - (current ? current.size : 0))) {
+            throw webdav.Errors.InsufficientStorage;
+        }
+
+        if (this.versions && current) {
+            const { scope } = this.versionScope(user);
+            await this.versions.save(scope, root, resourcePath, { reason: 'overwrite', user: user.username });
+        }
+        const finishWrite = await this.quotas.beginWrite([target]);
+        try {
+            await fs.promises.rename(stagedFile, target);
+        } catch (err) {
+            if (err.code !== 'EXDEV') {
+                throw err;
+            }
+            // Copy next to the target first so the switch stays a single rename
+            const temporary = path.join(path.dirname(target), `.${path.basename(target)}.${process.pid}.upload`);
+            await fs.promises.copyFile(stagedFile, temporary);
+            await fs.promises.rename(temporary, target);
+            await fs.promises.rm(stagedFile, { force: true });
+        } finally {
+            await finishWrite();
+        }
+        if (this.search) {
+            this.search.refresh(root, resourcePath);
+        }
+        if (this.cache) {
+            this.cache.purge([{ path: resourcePath }], { method: 'UPLOAD', user: user.username });
+        }
+        if (this.changes) {
+            this.changes.publish(root, { type: current ? 'update' : 'create', path: resourcePath, user: user.username });
+        }
+    }
+
+    // Save the state of every server now; used on shutdown
+    saveAll() {
+        this.servers.forEach((server, root) => {
+            const stateFile = this.stateFileFor(root);
+            if (stateFile) {
+                try {
+                    saveStateSync(server, stateFile);
+                } catch (err) {
+                    logger.error('Error saving WebDAV state for:', root, err);
+                }
+            }
+        });
+    }
+}
+
+module.exports = {
+    DavServerPool
+};
@@ -0,0 +1,356 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { normalizePath, pathPattern } = require('./acl');
+const { logger } = require('./logger');
+
+// Slices of a throttled response, so bytes trickle out instead of arriving in bursts
+const THROTTLE_TICK_MS = 100;
+
+// Fields of a rule; "injected" is the counter shown by list(), so listed rules can be sent back
+const RULE_KEYS = [
+    'id', 'description', 'enabled', 'methods', 'path', 'users', 'probability',
+    'delay', 'throttle', 'status', 'dropAfter', 'truncateAfter', 'corruptEtag', 'injected'
+];
+
+// Thrown for rules that cannot be used; the message is shown to the admin
+class FaultRuleError extends Error {}
+
+const byteCount = (value, name) => {
+    if (!Number.isInteger(value) || value < 0) {
+        throw new FaultRuleError(`${name} must be a number of bytes`);
+    }
+    return value;
+};
+
+// Unset faults are null in listed rules, so rules can be sent back as listed
+const isSet = (value) => value !== undefined && value !== null;
+
+// Names of the faults a rule injects
+const faultNames = (rule) => ['delay', 'throttle', 'status', 'dropAfter', 'truncateAfter', 'corruptEtag']
+    .filter((name) => (name === 'corruptEtag' ? rule.corruptEtag : rule[name] !== null));
+
+/**
+ * Check a rule given by an admin and fill in its defaults.
+ *
+ * Matching: methods (any when empty), path (glob, default "/**"), users
+ * (any when empty) and probability (0-1, default 1). Faults, any mix of:
+ * delay (ms, or { min, max } for a random delay), throttle (bytes per
+ * second), status (answer with it instead of running the request),
+ * dropAfter (close the connection after that many body bytes),
+ * truncateAfter (end the response cleanly after that many body bytes) and
+ * corruptEtag.
+ */
+const normalizeRule = (rule) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new FaultRuleError('A rule must be an object');
+    }
+    const unknown = Object.keys(rule).filter((key) => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new FaultRuleError(`Unknown rule field${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    }
+    if (!Array.isArray(rule.methods || []) || !Array.isArray(rule.users || [])) {
+        throw new FaultRuleError('methods and users must be arrays');
+    }
+    const normalized = {
+        id: rule.id === undefined ? crypto.randomBytes(6).toString('hex') : String(rule.id),
+        description: rule.description ? String(rule.description) : '',
+        enabled: rule.enabled !== false,
+        methods: (rule.methods || []).map((method) => String(method).toUpperCase()),
+        path: rule.path ? normalizePath(String(rule.path)) : '/**',
+        users: (rule.users || []).map(String),
+        probability: rule.probability === undefined ? 1 : Number(rule.probability),
+        delay: null,
+        throttle: null,
+        status: null,
+        dropAfter: null,
+        truncateAfter: null,
+        corruptEtag: !!rule.corruptEtag
+    };
+    if (!(normalized.probability >= 0 && normalized.probability <= 1)) {
+        throw new FaultRuleError('probability must be between 0 and 1');
+    }
+    if (isSet(rule.delay)) {
+        const { min, max } = typeof rule.delay === 'object' && rule.delay !== null
+            ? rule.delay
+            : { min: rule.delay, max: rule.delay };
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max < min) {
+            throw new FaultRuleError('delay must be milliseconds, or { min, max } with min <= max');
+        }
+        normalized.delay = { min, max };
+    }
+    if (isSet(rule.throttle)) {
+        if (!Number.isInteger(rule.throttle) || rule.throttle < 1) {
+            throw new FaultRuleError('throttle must be bytes per second');
+        }
+        normalized.throttle = rule.throttle;
+    }
+    if (isSet(rule.status)) {
+        if (!Number.isInteger(rule.status) || rule.status < 200 || rule.status > 599) {
+            throw new FaultRuleError('status must be an HTTP status from 200 to 599');
+        }
+        normalized.status = rule.status;
+    }
+    if (isSet(rule.dropAfter)) {
+        normalized.dropAfter = byteCount(rule.dropAfter, 'dropAfter');
+    }
+    if (isSet(rule.truncateAfter)) {
+        normalized.truncateAfter = byteCount(rule.truncateAfter, 'truncateAfter');
+    }
+    if (faultNames(normalized).length === 0) {
+        throw new FaultRuleError('A rule needs at least one fault: delay, throttle, status, dropAfter, truncateAfter or corruptEtag');
+    }
+    return normalized;
+};
+
+// A different but well-formed ETag, so caches see a changed resource
+const corruptEtag = (value) => {
+    const weak = String(value).startsWith('W/');
+    return `${weak ? 'W/' : ''}"${crypto.randomBytes(8).toString('hex')}"`;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Make `res` misbehave as `faults` says: corrupt its ETag, throttle its
+ * body, cut it short cleanly (truncateAfter) or drop the connection in the
+ * middle of it (dropAfter).
+ */
+const disturbResponse = (res, faults) => {
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+    const writeHead = res.writeHead.bind(res);
+    const limit = [faults.dropAfter, faults.truncateAfter].filter((value) => value !== null).sort((a, b) => a - b)[0];
+    let sent = 0;
+    let stopped = false;
+    let queue = Promise.resolve();
+    let queued = 0;
+
+    res.writeHead = (...args) => {
+        if (faults.corruptEtag && res.getHeader('ETag')) {
+            res.setHeader('ETag', corruptEtag(res.getHeader('ETag')));
+        }
+        if (faults.truncateAfter !== null) {
+            // The body will be shorter than announced
+            res.removeHeader('Content-Length');
+        }
+        return writeHead(...args);
+    };
+
+    // Pass on the part of a chunk that fits before the drop or truncation point
+    const admit = (chunk) => {
+        if (stopped) {
+            return null;
+        }
+        if (limit === undefined || sent + chunk.length < limit) {
+            sent += chunk.length;
+            return chunk;
+        }
+        const part = chunk.subarray(0, limit - sent);
+        sent = limit;
+        stopped = true;
+        return part;
+    };
+
+    const afterLimit = () => {
+        if (faults.dropAfter !== null && sent >= faults.dropAfter) {
+            res.flushHeaders();
+            if (res.socket) {
+                res.socket.destroy();
+            }
+        }
+    };
+
+    // Resolves once the bytes have left, so a drop cannot discard them
+    const flush = (chunk) => new Promise((resolve) => write(chunk, () => resolve()));
+
+    const send = async (chunk) => {
+        if (!faults.throttle) {
+            await flush(chunk);
+            return;
+        }
+        const slice = Math.max(Math.floor(faults.throttle * THROTTLE_TICK_MS / 1000), 1);
+        for (let offset = 0; offset < chunk.length && !res.destroyed; offset += slice) {
+            const piece = chunk.subarray(offset, offset + slice);
+            await Promise.all([flush(piece), wait(piece.length * 1000 / faults.throttle)]);
+        }
+    };
+
+    const enqueue = (chunk, encoding) => {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : undefined);
+        const part = admit(buffer);
+        queued++;
+        queue = queue
+            .then(() => (part && part.length > 0 ? send(part) : null))
+            .then(() => {
+                afterLimit();
+                queued--;
+            });
+        return queue;
+    };
+
+    res.write = (chunk, encoding, callback) => {
+        const done = typeof encoding === 'function' ? encoding : callback;
+        enqueue(chunk || Buffer.alloc(0), encoding).then(() => {
+            if (queued === 0) {
+                res.emit('drain');
+            }
+            if (done) {
+                done();
+            }
+        });
+        // Ask streams piped in to wait while throttled bytes are pending
+        return !faults.throttle;
+    };
+
+    res.end = (chunk, encoding, callback) => {
+        const done = [chunk, encoding, callback].find((arg) => typeof arg === 'function');
+        const data = typeof chunk === 'function' ? null : chunk;
+        enqueue(data || Buffer.alloc(0), encoding).then(() => {
+            if (faults.dropAfter !== null && sent >= faults.dropAfter) {
+                return;
+            }
+            end(done);
+        });
+        return res;
+    };
+};
+
+/**
+ * Fault injection for resilience testing: rules matched on method, path
+ * glob and user add latency, throttle bandwidth, answer with a chosen
+ * status, drop the connection mid-body, truncate responses or corrupt
+ * ETags, each firing with its own probability. Every rule that fires on a
+ * request adds its faults; where two set the same one, the earlier rule
+ * wins. Rules are kept in memory and edited through /admin/faults.
+ */
+class FaultInjector {
+    constructor({ rules = [], random = Math.random } = {}) {
+        this.random = random;
+        this.setRules(rules);
+    }
+
+    // Replace every rule; nothing changes when one is invalid
+    setRules(rules) {
+        if (!Array.isArray(rules)) {
+            throw new FaultRuleError('rules must be an array');
+        }
+        const normalized = rules.map(normalizeRule);
+        const ids = new Set(normalized.map((rule) => rule.id));
+        if (ids.size !== normalized.length) {
+            throw new FaultRuleError('Rule ids must be unique');
+        }
+        this.rules = normalized.map((rule) => ({ ...rule, pattern: pathPattern(rule.path), injected: 0 }));
+        return this.list();
+    }
+
+    addRule(rule) {
+        const normalized = normalizeRule(rule);
+        if (this.rules.some((item) => item.id === normalized.id)) {
+            throw new FaultRuleError(`A rule with id ${normalized.id} already exists`);
+        }
+        this.rules.push({ ...normalized, pattern: pathPattern(normalized.path), injected: 0 });
+        return this.list().find((item) => item.id === normalized.id);
+    }
+
+    removeRule(id) {
+        const count = this.rules.length;
+        this.rules = this.rules.filter((rule) => rule.id !== id);
+        return this.rules.length < count;
+    }
+
+    // Rules as shown to admins, with how often each has fired
+    list() {
+        return this.rules.map(({ pattern, ...rule }) => rule);
+    }
+
+    matches(rule, method, resourcePath, username) {
+        return rule.enabled
+            && (rule.methods.length === 0 || rule.methods.includes(method))
+            && rule.pattern.test(resourcePath)
+            && (rule.users.length === 0 || rule.users.includes(username));
+    }
+
+    // Faults to inject into one request, or null; each matching rule rolls its probability
+    pick(method, resourcePath, username) {
+        const fired = this.rules.filter((rule) => this.matches(rule, method, resourcePath, username)
+            && this.random() < rule.probability);
+        if (fired.length === 0) {
+            return null;
+        }
+        fired.forEach((rule) => {
+            rule.injected++;
+        });
+        const faults = { rules: fired.map((rule) => rule.id), names: [] };
+        ['delay', 'throttle', 'status', 'dropAfter', 'truncateAfter'].forEach((name) => {
+            const rule = fired.find((item) => item[name] !== null);
+            faults[name] = rule ? rule[name] : null;
+        });
+        faults.corruptEtag = fired.some((rule) => rule.corruptEtag);
+        faults.names = faultNames(faults);
+        return faults;
+    }
+
+    /**
+     * Run `handler` (the WebDAV server) for a request, with the faults of
+     * the rules that fire. `resourcePath` is the path inside the user's
+     * root; injected faults are logged and recorded as req.injectedFaults
+     * for the request log.
+     */
+    apply(req, res, resourcePath, handler) {
+        const username = req.davUser && req.davUser.username;
+        const faults = this.rules.length > 0 ? this.pick(req.method, resourcePath, username) : null;
+        if (!faults) {
+            handler();
+            return;
+        }
+
+        const delay = faults.delay && faults.delay.min + Math.floor(this.random() * (faults.delay.max - faults.delay.min + 1));
+        req.injectedFaults = faults.names;
+        logger.info('Injected fault:', {
+            rules: faults.rules,
+            faults: faults.names,
+            delayMs: delay || undefined,
+            method: req.method,
+            path: resourcePath,
+            user: username
+        });
+
+        setTimeout(() => {
+            if (faults.status !== null) {
+                res.status(faults.status).json({ error: 'Injected fault', rules: faults.rules });
+                return;
+            }
+            if (faults.throttle || faults.dropAfter !== null || faults.truncateAfter !== null || faults.corruptEtag) {
+                disturbResponse(res, faults);
+            }
+            handler();
+        }, delay || 0);
+    }
+}
+
+/**
+ * Fault injector when WEBDAV_FAULT_INJECTION is true, else null. Initial
+ * rules come from the JSON file named by WEBDAV_FAULTS_FILE (relative to
+ * baseDir): an array of rules, or { "rules": [...] }.
+ */
+const loadFaults = ({ baseDir, env = process.env }) => {
+    if (env.WEBDAV_FAULT_INJECTION !== 'true') {
+        return null;
+    }
+    let rules = [];
+    if (env.WEBDAV_FAULTS_FILE) {
+        const file = path.resolve(baseDir, env.WEBDAV_FAULTS_FILE);
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        rules = Array.isArray(parsed) ? parsed : parsed.rules;
+        logger.info('Loading fault injection rules from:', file);
+    }
+    logger.warn('Fault injection is enabled; WebDAV requests may be delayed or fail on purpose');
+    return new FaultInjector({ rules });
+};
+
+module.exports = {
+    FaultInjector,
+    FaultRuleError,
+    loadFaults
+};
@@ -0,0 +1,288 @@
+const webdav = require('webdav-server').v2;
+const { XMLElementBuilder, XML } = require('xml-js-builder');
+
+const { Errors, HTTPCodes, Lock, LockKind, LockScope, LockType, ResourceType } = webdav;
+
+// Methods that change a resource and therefore need the token of the user's own locks
+const WRITE_METHODS = ['PUT', 'DELETE', 'PROPPATCH', 'MKCOL', 'MOVE'];
+
+/**
+ * Seconds requested by a "Timeout" header ("Second-600", "Infinite", or a
+ * comma-separated list of both), capped at maxSeconds.
+ */
+const parseTimeout = (header, defaultSeconds, maxSeconds) => {
+    if (!header) {
+        return Math.min(defaultSeconds, maxSeconds);
+    }
+    for (const value of header.split(',').map((part) => part.trim())) {
+        if (/^infinite$/i.test(value)) {
+            return maxSeconds;
+        }
+        const match = /^Second-(\d+)$/i.exec(value);
+        if (match) {
+            return Math.max(1, Math.min(Number(match[1]), maxSeconds));
+        }
+    }
+    return Math.min(defaultSeconds, maxSeconds);
+};
+
+// Lock tokens named anywhere in an "If" header
+const submittedTokens = (ifHeader) => {
+    const tokens = new Set();
+    const rex = /<([^>]+)>/g;
+    let match = rex.exec(ifHeader || '');
+    while (match) {
+        tokens.add(match[1]);
+        match = rex.exec(ifHeader);
+    }
+    return tokens;
+};
+
+const activeLockElement = (parent, ctx, lock, rootPath) => {
+    const activelock = parent.ele('D:activelock');
+    activelock.ele('D:locktype').ele('D:' + lock.lockKind.type.value.toLowerCase());
+    activelock.ele('D:lockscope').ele('D:' + lock.lockKind.scope.value.toLowerCase());
+    activelock.ele('D:depth').add(lock.depth === -1 ? 'infinity' : String(lock.depth));
+    if (lock.owner) {
+        activelock.ele('D:owner').add(lock.owner);
+    }
+    activelock.ele('D:timeout').add(`Second-${Math.max(0, Math.ceil((lock.expirationDate - Date.now()) / 1000))}`);
+    activelock.ele('D:locktoken').ele('D:href', undefined, true).add(lock.uuid);
+    activelock.ele('D:lockroot').ele('D:href', undefined, true)
+        .add(webdav.HTTPRequestContext.encodeURL(ctx.fullUri(rootPath)));
+    return activelock;
+};
+
+const lockResponse = (ctx, lock, rootPath) => {
+    const prop = new XMLElementBuilder('D:prop', { 'xmlns:D': 'DAV:' });
+    activeLockElement(prop.ele('D:lockdiscovery'), ctx, lock, rootPath);
+    return prop;
+};
+
+/**
+ * LOCK with the requested timeout and RFC 4918 responses.
+ *
+ * The stock webdav-server command ignores the Timeout header, returns the
+ * Lock-Token without its angle brackets, lets an exclusive lock be taken over
+ * a shared one, and lets anyone refresh anyone's lock. Locks belong to the
+ * user who took them; the optional owner element is stored as sent, or set
+ * to the username when the client leaves it out.
+ */
+class LockCommand {
+    constructor({ defaultTimeout = 3600, maxTimeout = 3600 } = {}) {
+        this.defaultTimeout = defaultTimeout;
+        this.maxTimeout = maxTimeout;
+    }
+
+    isValidFor() {
+        return true;
+    }
+
+    unchunked(ctx, data, callback) {
+        if (!ctx.user || ctx.user.isDefaultUser) {
+            ctx.setCode(HTTPCodes.Unauthorized);
+            return callback();
+        }
+
+        const timeout = parseTimeout(ctx.headers.find('Timeout'), this.defaultTimeout, this.maxTimeout);
+        if (ctx.headers.contentLength > 0) {
+            return this.createLock(ctx, data, timeout, callback);
+        }
+
+        const tokens = Array.from(submittedTokens(ctx.headers.find('If')));
+        if (tokens.length === 0) {
+            ctx.setCode(HTTPCodes.BadRequest);
+            return callback();
+        }
+        this.refreshLock(ctx, tokens, timeout, callback);
+    }
+
+    createLock(ctx, data, timeout, callback) {
+        let lock;
+        try {
+            const root = XML.parse(data).find('DAV:lockinfo');
+            const scope = new LockScope(root.find('DAV:lockscope').elements[0].name.substr(4).toLowerCase());
+            const type = new LockType(root.find('DAV:locktype').elements[0].name.substr(4).toLowerCase());
+            const ownerIndex = root.findIndex('DAV:owner');
+            const owner = ownerIndex !== -1
+                ? root.elements[ownerIndex].elements
+                : [{ type: 'text', text: ctx.user.username }];
+            const depth = ctx.headers.find('Depth') === '0' ? 0 : -1;
+            lock = new Lock(new LockKind(scope, type, timeout), ctx.user.uid, owner, depth);
+        } catch (err) {
+            ctx.setCode(HTTPCodes.BadRequest);
+            return callback();
+        }
+
+        const done = (err) => {
+            if (err) {
+                if (!ctx.setCodeFromError(err)) {
+                    ctx.setCode(HTTPCodes.InternalServerError);
+                }
+            } else {
+                ctx.response.setHeader('Lock-Token', `<${lock.uuid}>`);
+                ctx.writeBody(lockResponse(ctx, lock));
+            }
+            callback();
+        };
+
+        const setLock = (resource) => resource.fs.checkPrivilege(ctx, resource.path, 'canWriteLocks', (privErr, can) => {
+            if (privErr || !can) {
+                return done(privErr || Errors.NotEnoughPrivilege);
+            }
+
+            ctx.overridePrivileges = true;
+            resource.listDeepLocks((err, locks) => {
+                ctx.overridePrivileges = false;
+                if (err) {
+                    return done(err);
+                }
+
+                const existing = [].concat(...Object.keys(locks).map((lockPath) => locks[lockPath]));
+                const conflict = existing.some((other) => LockScope.Exclusive.isSame(lock.lockKind.scope)
+                    || LockScope.Exclusive.isSame(other.lockKind.scope));
+                if (conflict) {
+                    return done(Errors.Locked);
+                }
+
+                // The wrapped lock manager refuses a shared lock next to another
+                // user's shared lock; compatibility was checked above.
+                resource.fs._lockManager(resource.path, { context: ctx }, (lmErr, lockManager) => {
+                    if (lmErr) {
+                        return done(lmErr);
+                    }
+                    lockManager.setLock(lock, done);
+                });
+            });
+        });
+
+        ctx.getResource((err, resource) => {
+            resource.type((typeErr) => {
+                if (typeErr !== Errors.ResourceNotFound) {
+                    return setLock(resource);
+                }
+                // LOCK on an unmapped URL creates an empty file
+                resource.create(ResourceType.File, (createErr) => {
+                    if (createErr) {
+                        return done(createErr);
+                    }
+                    ctx.setCode(HTTPCodes.Created);
+                    setLock(resource);
+                });
+            });
+        });
+    }
+
+    refreshLock(ctx, tokens, timeout, callback) {
+        ctx.getResource((err, resource) => {
+            ctx.overridePrivileges = true;
+            resource.listDeepLocks((listErr, locks) => {
+                ctx.overridePrivileges = false;
+                if (listErr) {
+                    if (!ctx.setCodeFromError(listErr)) {
+                        ctx.setCode(HTTPCodes.InternalServerError);
+                    }
+                    return callback();
+                }
+
+                const rootPath = Object.keys(locks)
+                    .find((lockPath) => locks[lockPath].some((candidate) => tokens.includes(candidate.uuid)));
+                const lock = rootPath && locks[rootPath].find((candidate) => tokens.includes(candidate.uuid));
+                if (!lock) {
+                    ctx.setCode(HTTPCodes.PreconditionFailed);
+                    return callback();
+                }
+                if (lock.userUid !== ctx.user.uid) {
+                    ctx.setCode(HTTPCodes.Forbidden);
+                    return callback();
+                }
+
+                lock.refresh(timeout);
+                ctx.setCode(HTTPCodes.OK);
+                ctx.writeBody(lockResponse(ctx, lock, rootPath));
+                callback();
+            });
+        });
+    }
+}
+
+/**
+ * Call back true when the context's user holds a lock on the resource (or
+ * above it) but the If header names none of their locks' tokens.
+ */
+const missesOwnLockToken = (ctx, resource, ifHeader, callback) => {
+    ctx.overridePrivileges = true;
+    resource.listDeepLocks((listErr, locks) => {
+        ctx.overridePrivileges = false;
+        if (listErr) {
+            return callback(false);
+        }
+        const own = [].concat(...Object.keys(locks).map((lockPath) => locks[lockPath]))
+            .filter((lock) => lock.userUid === ctx.user.uid);
+        const tokens = submittedTokens(ifHeader);
+        callback(own.length > 0 && !own.some((lock) => tokens.has(lock.uuid)));
+    });
+};
+
+/**
+ * beforeRequest hook: writes to a resource covered by the user's own lock
+ * must name that lock's token in the If header (RFC 4918 section 7.5),
+ * otherwise they get 423 Locked. Locks held by other users are enforced by
+ * webdav-server itself.
+ */
+const requireLockTokens = (ctx, next) => {
+    if (!WRITE_METHODS.includes(ctx.request.method) || !ctx.user || ctx.user.isAdministrator) {
+        return next();
+    }
+
+    ctx.getResource((err, resource) => {
+        if (err) {
+            return next();
+        }
+        missesOwnLockToken(ctx, resource, ctx.headers.find('If'), (missing) => {
+            if (!missing) {
+                return next();
+            }
+            ctx.setCode(HTTPCodes.Locked);
+            ctx.exit();
+        });
+    });
+};
+
+/**
+ * beforeRequest hook: webdav-server reports the remaining lifetime of a lock
+ * in lockdiscovery as "Second-<milliseconds>". Rewrite it in seconds.
+ */
+const fixLockDiscoveryTimeouts = (ctx, next) => {
+    if (ctx.request.method !== 'PROPFIND') {
+        return next();
+    }
+
+    const writeBody = ctx.writeBody.bind(ctx);
+    const visit = (element) => {
+        (element.elements || []).forEach((child) => {
+            if (child.name === 'D:timeout' && element.name === 'D:activelock') {
+                (child.elements || []).forEach((text) => {
+                    const match = /^Second-(\d+)$/.exec(text.text || '');
+                    if (match) {
+                        text.text = `Second-${Math.ceil(Number(match[1]) / 1000)}`;
+                    }
+                });
+            } else {
+                visit(child);
+            }
+        });
+    };
+    ctx.writeBody = (xmlObject) => {
+        visit(xmlObject);
+        writeBody(xmlObject);
+    };
+    next();
+};
+
+module.exports = {
+    LockCommand,
+    missesOwnLockToken,
+    requireLockTokens,
+    fixLockDiscoveryTimeouts
+};
@@ -0,0 +1,39 @@
+const util = require('util');
+
+/**
+ * Messages of the server itself, as opposed to the request log of
+ * auditLog.js. Information goes to stdout, warnings and errors to stderr;
+ * when the request log writes its JSON lines to stdout, useStderr() moves
+ * information to stderr as well, so stdout holds nothing else.
+ */
+class Logger {
+    constructor() {
+        this.infoStream = process.stdout;
+    }
+
+    useStderr() {
+        this.infoStream = process.stderr;
+    }
+
+    write(stream, args) {
+        stream.write(`${util.format(...args)}\n`);
+    }
+
+    info(...args) {
+        this.write(this.infoStream, args);
+    }
+
+    warn(...args) {
+        this.write(process.stderr, args);
+    }
+
+    error(...args) {
+        this.write(process.stderr, args);
+    }
+}
+
+const logger = new Logger();
+
+module.exports = {
+    logger
+};
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const webdav = require('webdav-server').v2;
+const { Acl, AclPrivilegeManager, isWithin, normalizePath, withReadableChildren } = require('./acl');
+const { ArchiveFileSystem, archiveKind } = require('./archives');
+const { parseSize } = require('./quotas');
+const { logger } = require('./logger');
+
+const { Errors } = webdav;
+
+const TYPES = ['directory', 'memory', 'archive'];
+
+/**
+ * Wrap a webdav-server FileSystem class so nothing in it can be created,
+ * replaced, moved or deleted.
+ */
+const readOnly = (Base) => class extends Base {
+    _create(resourcePath, info, callback) {
+        callback(Errors.Forbidden);
+    }
+
+    _delete(resourcePath, info, callback) {
+        callback(Errors.Forbidden);
+    }
+
+    _openWriteStream(resourcePath, info, callback) {
+        callback(Errors.Forbidden);
+    }
+
+    _move(from, to, info, callback) {
+        callback(Errors.Forbidden);
+    }
+
+    _copy(from, to, info, callback) {
+        callback(Errors.Forbidden);
+    }
+
+    _rename(from, newName, info, callback) {
+        callback(Errors.Forbidden);
+    }
+};
+
+// Another local directory, as it is on disk; nothing is saved with the server state
+class DirectoryFileSystem extends readOnly(withReadableChildren(webdav.PhysicalFileSystem)) {
+    constructor(source) {
+        super(source);
+        this.doNotSerialize();
+    }
+}
+
+/**
+ * Files kept in memory only, gone when the server restarts. With maxSize,
+ * writes that would take the files past it fail with InsufficientStorage.
+ */
+class MemoryFileSystem extends withReadableChildren(webdav.VirtualFileSystem) {
+    constructor(maxSize = null) {
+        super();
+        this.doNotSerialize();
+        this.maxSize = maxSize;
+        // Files created for a write that has not succeeded yet
+        this.unwritten = new WeakSet();
+    }
+
+    used() {
+        return Object.values(this.resources).reduce((total, resource) => total + (resource.size || 0), 0);
+    }
+
+    _create(resourcePath, info, callback) {
+        super._create(resourcePath, info, (err) => {
+            const resource = this.resources[resourcePath.toString()];
+            if (!err && !resource.type.isDirectory) {
+                this.unwritten.add(resource);
+            }
+            callback(err);
+        });
+    }
+
+    _openWriteStream(resourcePath, info, callback) {
+        super._openWriteStream(resourcePath, info, (err, stream) => {
+            if (err || this.maxSize === null) {
+                return callback(err, stream);
+            }
+            const key = resourcePath.toString();
+            const resource = this.resources[key];
+            // A PUT over the limit should not leave an empty file behind
+            const fail = (done) => {
+                if (this.unwritten.has(resource) && this.resources[key] === resource) {
+                    delete this.resources[key];
+                }
+                done(Errors.InsufficientStorage);
+            };
+            const available = this.maxSize - (this.used() - (resource.size || 0));
+            if (info.estimatedSize > available) {
+                return fail(callback);
+            }
+            let written = 0;
+            const write = stream._write.bind(stream);
+            stream._write = (chunk, encoding, done) => {
+                written += chunk.length;
+                if (written > available) {
+                    return fail(done);
+                }
+                write(chunk, encoding, done);
+            };
+            stream.on('finish', () => this.unwritten.delete(resource));
+            callback(null, stream);
+        });
+    }
+}
+
+const ReadableArchiveFileSystem = readOnly(withReadableChildren(ArchiveFileSystem));
+
+/**
+ * A file system mounted at a path of every WebDAV root. Its own rights
+ * come from `access`: ACL rules whose paths are relative to the mount.
+ * Without them everybody may read, and write too in a memory mount.
+ * Directory and archive mounts are always read-only.
+ */
+class Mount {
+    constructor({ path: mountPath, type, source, access, readOnly: isReadOnly, fileSystem }) {
+        this.path = mountPath;
+        this.type = type;
+        this.source = source;
+        this.readOnly = isReadOnly;
+        this.acl = new Acl({
+            rules: (access || []).map((rule) => ({ ...rule, path: rule.path || '/' })),
+            defaultRights: access ? ['none'] : [isReadOnly ? 'read' : 'all']
+        });
+        this.fileSystem = fileSystem;
+    }
+
+    // Rights the mount itself grants a user on a path below it
+    rightsFor(user, fullPath) {
+        const relative = normalizePath(fullPath.slice(this.path.length));
+        return this.acl.rightsFor(user && user.share ? user.share.owner : user, relative);
+    }
+}
+
+/**
+ * AclPrivilegeManager for a server with mounts: below a mount, a user
+ * only has the rights both the ACL and the mount grant, and nobody, not
+ * even an administrator, may write to a read-only mount.
+ */
+class MountPrivilegeManager extends AclPrivilegeManager {
+    constructor(acl, mounts) {
+        super(acl);
+        this.mounts = mounts;
+    }
+
+    can(fullPath, resource, privileges, callback) {
+        const writing = [].concat(privileges).some((privilege) => privilege.startsWith('canWrite'));
+        if (writing && !resource.context.overridePrivileges) {
+            const mount = mountAt(this.mounts, fullPath.toString());
+            if (mount && mount.readOnly) {
+                return callback(null, false);
+            }
+        }
+        super.can(fullPath, resource, privileges, callback);
+    }
+
+    rightsFor(user, fullPath) {
+        const rights = super.rightsFor(user, fullPath);
+        const mount = mountAt(this.mounts, fullPath);
+        if (!mount) {
+            return rights;
+        }
+        const granted = mount.rightsFor(user, normalizePath(fullPath));
+        return rights.filter((right) => granted.includes(right) && !(mount.readOnly && right === 'write'));
+    }
+}
+
+// Mount a path is in, if any
+const mountAt = (mounts, resourcePath) => {
+    const target = normalizePath(resourcePath);
+    return mounts.find((mount) => isWithin(target, mount.path)) || null;
+};
+
+// Check the parts of a mount from the configuration that need no disk access
+const checkMountSpec = (spec, index) => {
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+        throw new Error(`Mount #${index} must be an object`);
+    }
+    if (!spec.path || normalizePath(spec.path) === '/') {
+        throw new Error(`Mount #${index} needs a "path" below "/"`);
+    }
+    const mountPath = normalizePath(spec.path);
+    if (!TYPES.includes(spec.type)) {
+        throw new Error(`Mount ${mountPath}: "type" must be one of ${TYPES.join(', ')}`);
+    }
+    if (spec.access !== undefined) {
+        if (!Array.isArray(spec.access)) {
+            throw new Error(`Mount ${mountPath}: "access" must be an array of ACL rules`);
+        }
+        try {
+            new Acl({ rules: spec.access.map((rule) => ({ ...rule, path: (rule && rule.path) || '/' })) });
+        } catch (err) {
+            throw new Error(`Mount ${mountPath}: ${err.message}`);
+        }
+    }
+    if (spec.type === 'memory') {
+        try {
+            parseSize(spec.maxSize);
+        } catch (err) {
+            throw new Error(`Mount ${mountPath}: "maxSize" must be a size, e.g. "100MB"`);
+        }
+    } else if (!spec.source) {
+        throw new Error(`Mount ${mountPath}: a ${spec.type} mount needs a "source"`);
+    }
+    return mountPath;
+};
+
+/**
+ * Parse WEBDAV_MOUNTS and check every mount in it, and that no two
+ * overlap; sources are only looked at by loadMounts.
+ */
+const parseMounts = (value) => {
+    let specs;
+    try {
+        specs = JSON.parse(value);
+    } catch (err) {
+        throw new Error(`not valid JSON (${err.message})`);
+    }
+    if (!Array.isArray(specs)) {
+        throw new Error('expected a JSON array of mounts');
+    }
+    const paths = [];
+    specs.forEach((spec, index) => {
+        const mountPath = checkMountSpec(spec, index);
+        const overlapping = paths.find((other) => isWithin(mountPath, other) || isWithin(other, mountPath));
+        if (overlapping) {
+            throw new Error(`Mount ${mountPath} overlaps mount ${overlapping}`);
+        }
+        paths.push(mountPath);
+    });
+    return specs;
+};
+
+// Create the file system of a mount checked by checkMountSpec
+const createMount = (spec, baseDir) => {
+    const mountPath = normalizePath(spec.path);
+    if (spec.type === 'memory') {
+        return new Mount({
+            ...spec,
+            path: mountPath,
+            readOnly: false,
+            fileSystem: new MemoryFileSystem(parseSize(spec.maxSize))
+        });
+    }
+
+    const source = path.resolve(baseDir, spec.source);
+    let stats;
+    try {
+        stats = fs.statSync(source);
+    } catch (err) {
+        throw new Error(`Mount ${mountPath}: cannot read ${source} (${err.code})`);
+    }
+    if (spec.type === 'directory' && !stats.isDirectory()) {
+        throw new Error(`Mount ${mountPath}: ${source} is not a directory`);
+    }
+    if (spec.type === 'archive' && (!stats.isFile() || !archiveKind(source))) {
+        throw new Error(`Mount ${mountPath}: ${source} is not a .zip, .tar, .tgz or .tar.gz file`);
+    }
+    return new Mount({
+        ...spec,
+        path: mountPath,
+        source,
+        readOnly: true,
+        fileSystem: spec.type === 'directory' ? new DirectoryFileSystem(source) : new ReadableArchiveFileSystem(source)
+    });
+};
+
+/**
+ * Mounts from the `mounts` setting (WEBDAV_MOUNTS, checked by parseMounts),
+ * an array of
+ * { path, type, source, maxSize, access }: type "directory" shows the
+ * local directory `source` read-only, "archive" the files inside the ZIP
+ * or TAR file `source` read-only, and "memory" an empty folder kept in
+ * memory (at most `maxSize`, e.g. "100MB") and wiped on restart. Sources
+ * are relative to baseDir. Every user root gets the same mounts.
+ */
+const loadMounts = ({ baseDir, specs }) => (specs || []).map((spec) => {
+    const mount = createMount(spec, baseDir);
+    logger.info(`Mounted ${mount.type}${mount.source ? ` ${mount.source}` : ''} at:`, mount.path);
+    return mount;
+});
+
+module.exports = {
+    MountPrivilegeManager,
+    loadMounts,
+    mountAt,
+    parseMounts
+};
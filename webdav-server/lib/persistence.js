@@ -0,0 +1,201 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const webdav = require('webdav-server').v2;
+const { logger } = require('./logger');
+
+const { Lock, LockKind, LockScope, LockType, LocalLockManager, LocalPropertyManager, PhysicalFileSystemResource } = webdav;
+
+// Methods after which webdav-server's autosave does not save on its own
+const LOCK_METHODS = ['LOCK', 'UNLOCK'];
+
+const serializeLock = (lock) => ({
+    uuid: lock.uuid,
+    userUid: lock.userUid,
+    owner: lock.owner,
+    depth: lock.depth,
+    expirationDate: lock.expirationDate,
+    scope: lock.lockKind.scope.value,
+    type: lock.lockKind.type.value,
+    timeout: lock.lockKind.timeout
+});
+
+const unserializeLock = (data) => {
+    if (typeof data.uuid !== 'string' || typeof data.expirationDate !== 'number'
+        || typeof data.scope !== 'string' || typeof data.type !== 'string') {
+        throw new Error('Invalid lock in state file');
+    }
+    const lock = new Lock(
+        new LockKind(new LockScope(data.scope), new LockType(data.type), data.timeout),
+        data.userUid,
+        data.owner,
+        data.depth
+    );
+    lock.uuid = data.uuid;
+    lock.expirationDate = data.expirationDate;
+    return lock;
+};
+
+/**
+ * webdav-server serializer for a PhysicalFileSystem's locks and dead properties.
+ *
+ * The stock PhysicalSerializer drops every lock on load, hands back plain
+ * objects where the file system expects property managers, and always
+ * rebuilds a bare PhysicalFileSystem at the absolute path it was saved from.
+ * This one stores resource paths relative to the root, restores into the
+ * given FileSystem class and root, and skips expired locks and resources
+ * whose file is gone.
+ */
+class StateSerializer {
+    constructor(FileSystem, rootPath) {
+        this.FileSystem = FileSystem;
+        this.rootPath = rootPath;
+    }
+
+    uid() {
+        return 'WebDavDemoState-1';
+    }
+
+    create() {
+        const fileSystem = new this.FileSystem(this.rootPath);
+        fileSystem.setSerializer(this);
+        return fileSystem;
+    }
+
+    serialize(fileSystem, callback) {
+        const resources = {};
+        Object.keys(fileSystem.resources).forEach((resourcePath) => {
+            const resource = fileSystem.resources[resourcePath];
+            // PhysicalFileSystem's move leaves the source path mapped to undefined
+            if (!resource) {
+                return;
+            }
+            const properties = (resource.props && resource.props.properties) || {};
+            const locks = ((resource.locks && resource.locks.locks) || [])
+                .filter((lock) => !lock.expired())
+                .map(serializeLock);
+            if (Object.keys(properties).length > 0 || locks.length > 0) {
+                resources[resourcePath] = { properties, locks };
+            }
+        });
+        callback(null, { resources });
+    }
+
+    // Calls back synchronously, so a server can be built from the result
+    unserialize(data, callback) {
+        let fileSystem;
+        try {
+            if (!data || typeof data.resources !== 'object' || data.resources === null) {
+                throw new Error('State file has no resources');
+            }
+            fileSystem = this.create();
+            Object.keys(data.resources).forEach((resourcePath) => {
+                const saved = data.resources[resourcePath];
+                if (!resourcePath.startsWith('/')
+                    || !fs.existsSync(path.join(this.rootPath, resourcePath.slice(1)))) {
+                    return;
+                }
+                const resource = new PhysicalFileSystemResource();
+                resource.props = new LocalPropertyManager({ properties: saved.properties || {} });
+                resource.locks = new LocalLockManager();
+                resource.locks.locks = (saved.locks || [])
+                    .map(unserializeLock)
+                    .filter((lock) => !lock.expired());
+                fileSystem.resources[resourcePath] = resource;
+            });
+        } catch (err) {
+            return callback(err);
+        }
+        callback(null, fileSystem);
+    }
+}
+
+// Keep an unreadable state file for inspection instead of overwriting it
+const setAside = (stateFile, reason) => {
+    const corruptFile = `${stateFile}.corrupt-${Date.now()}`;
+    logger.error(`Ignoring WebDAV state file ${stateFile}: ${reason.message}`);
+    try {
+        fs.renameSync(stateFile, corruptFile);
+        logger.error('Moved it to:', corruptFile);
+    } catch (err) {
+        logger.error('Could not move the state file aside:', err.message);
+    }
+};
+
+/**
+ * Root file system restored from a state file written by webdav-server's
+ * autosave (gzipped JSON of server.save()), or a fresh one when there is
+ * no file or it cannot be used.
+ */
+const loadState = (stateFile, serializer) => {
+    let saved;
+    try {
+        saved = JSON.parse(zlib.gunzipSync(fs.readFileSync(stateFile)).toString());
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            setAside(stateFile, err);
+        }
+        return serializer.create();
+    }
+
+    const entry = saved && saved['/'];
+    if (!entry || entry.serializer !== serializer.uid()) {
+        setAside(stateFile, new Error(`unsupported format ${JSON.stringify(entry && entry.serializer)}`));
+        return serializer.create();
+    }
+
+    let restored = null;
+    serializer.unserialize(entry.data, (err, fileSystem) => {
+        if (err) {
+            setAside(stateFile, err);
+        }
+        restored = fileSystem;
+    });
+    if (!restored) {
+        return serializer.create();
+    }
+
+    const count = Object.keys(restored.resources).length;
+    logger.info(`Restored WebDAV state for ${count} resources from:`, stateFile);
+    return restored;
+};
+
+/**
+ * Start autosaving a server configured with the autoSave option. Besides
+ * webdav-server's own save after each write request, the state is saved
+ * after LOCK/UNLOCK and every intervalSeconds, so refreshed and expired
+ * locks are written too.
+ */
+const persistState = (server, intervalSeconds) => {
+    server.autoSave();
+    server.afterRequest((ctx, next) => {
+        if (LOCK_METHODS.includes(ctx.request.method.toUpperCase())) {
+            server.forceAutoSave();
+        }
+        next();
+    });
+    if (intervalSeconds > 0) {
+        setInterval(() => server.forceAutoSave(), intervalSeconds * 1000).unref();
+    }
+};
+
+// Write a server's state right away, e.g. on shutdown
+const saveStateSync = (server, stateFile) => {
+    const fileSystem = server.rootFileSystem();
+    const serializer = fileSystem.serializer();
+    serializer.serialize(fileSystem, (err, data) => {
+        if (err) {
+            throw err;
+        }
+        const tempFile = `${stateFile}.shutdown`;
+        fs.writeFileSync(tempFile, zlib.gzipSync(JSON.stringify({ '/': { serializer: serializer.uid(), data } })));
+        fs.renameSync(tempFile, stateFile);
+    });
+};
+
+module.exports = {
+    StateSerializer,
+    loadState,
+    persistState,
+    saveStateSync
+};
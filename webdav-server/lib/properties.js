@@ -0,0 +1,215 @@
+const webdav = require('webdav-server').v2;
+const { XML, XMLElementBuilder } = require('xml-js-builder');
+const { logger } = require('./logger');
+
+const { Errors, HTTPCodes } = webdav;
+
+// Split an expanded name ("http://example.com/ns/author") after the last
+// "/", "#" or ":" into its namespace and local name
+const splitExpandedName = (name) => {
+    const index = Math.max(name.lastIndexOf('/'), name.lastIndexOf('#'), name.lastIndexOf(':'));
+    return { namespace: name.slice(0, index + 1), localName: name.slice(index + 1) };
+};
+
+// Prefixed names ("D:prop", "DAV:getetag") have a single colon and no "/" or "#"
+const isExpandedName = (name) => /[/#]/.test(name) || name.split(':').length > 2;
+
+// Turn an expanded name into "nsN:local", declaring nsN on the element
+const declareNamespace = (name, attributes) => {
+    if (!name || !isExpandedName(name)) {
+        return name;
+    }
+    const { namespace, localName } = splitExpandedName(name);
+    let index = 0;
+    while (attributes[`xmlns:ns${index}`] !== undefined && attributes[`xmlns:ns${index}`] !== namespace) {
+        index++;
+    }
+    attributes[`xmlns:ns${index}`] = namespace;
+    return `ns${index}:${localName}`;
+};
+
+// Plain copy of a parsed node tree with namespaced names declared
+const cloneElement = (element) => {
+    if (element.type !== 'element') {
+        return { ...element };
+    }
+    const attributes = { ...(element.attributes || {}) };
+    return {
+        type: 'element',
+        name: declareNamespace(element.name, attributes),
+        attributes,
+        elements: (element.elements || []).map(cloneElement)
+    };
+};
+
+// xml-js-builder turns a name such as "http://example.com/ns/author" into
+// <a:author xmlns:a="http://example.com/ns:"> (wrong namespace), writes
+// "urn:example:rev" out as is (not well-formed), and add() rewrites the
+// stored property values it is given in place, leaving parent links behind
+// that cannot be serialized. Custom properties in the common "http://.../"
+// and "urn:...:" namespaces are unusable without this, so it is fixed once
+// for every server, like the error codes in davServers.js.
+const originalEle = XMLElementBuilder.prototype.ele;
+XMLElementBuilder.prototype.ele = function ele(name, attributes, insertAtStart) {
+    const declared = { ...(attributes || {}) };
+    return originalEle.call(this, declareNamespace(name, declared), declared, insertAtStart);
+};
+
+const originalAdd = XMLElementBuilder.prototype.add;
+XMLElementBuilder.prototype.add = function add(element) {
+    if (element && typeof element === 'object' && element.constructor !== Array
+        && element.type && !(element instanceof XMLElementBuilder)) {
+        return originalAdd.call(this, cloneElement(element));
+    }
+    return originalAdd.call(this, element);
+};
+
+const STATUS_TEXT = {
+    [HTTPCodes.OK]: 'OK',
+    [HTTPCodes.Forbidden]: 'Forbidden',
+    [HTTPCodes.Conflict]: 'Conflict',
+    [HTTPCodes.FailedDependency]: 'Failed Dependency',
+    [HTTPCodes.InternalServerError]: 'Internal Server Error'
+};
+
+// Run callback-style tasks one after the other; stop at the first error
+const runSequentially = (tasks, callback) => {
+    const next = (index) => {
+        if (index >= tasks.length) {
+            return callback(null);
+        }
+        tasks[index]((err) => (err ? callback(err, index) : next(index + 1)));
+    };
+    next(0);
+};
+
+/**
+ * PROPPATCH with the all-or-nothing semantics of RFC 4918 section 9.2.
+ *
+ * The stock webdav-server command crashes the process when a request mixes
+ * a failing and a succeeding instruction, and reports every failure as 403.
+ * Here instructions run in document order; the first failure rolls the
+ * earlier ones back and every other property is reported as 424 Failed
+ * Dependency. Properties in the DAV: namespace are live and cannot be set
+ * or removed (403). Removing a property that does not exist succeeds.
+ */
+class PropPatchCommand {
+    isValidFor(ctx, type) {
+        return !!type;
+    }
+
+    unchunked(ctx, data, callback) {
+        let instructions;
+        try {
+            const root = XML.parse(data).find('DAV:propertyupdate');
+            instructions = [];
+            root.elements
+                .filter((el) => el.type === 'element' && (el.name === 'DAV:set' || el.name === 'DAV:remove'))
+                .forEach((el) => el.find('DAV:prop').elements
+                    .filter((prop) => prop.type === 'element')
+                    .forEach((prop) => instructions.push({ action: el.name === 'DAV:set' ? 'set' : 'remove', prop })));
+        } catch (err) {
+            instructions = null;
+        }
+        if (!instructions || instructions.length === 0) {
+            ctx.setCode(HTTPCodes.BadRequest);
+            return callback();
+        }
+
+        const fail = (err) => {
+            if (!ctx.setCodeFromError(err)) {
+                ctx.setCode(HTTPCodes.InternalServerError);
+            }
+            callback();
+        };
+
+        ctx.getResource((e, resource) => {
+            ctx.checkIfHeader(resource, () => {
+                resource.fs.checkPrivilege(ctx, resource.path, 'canWriteProperties', (privErr, can) => {
+                    if (privErr || !can) {
+                        return fail(privErr || Errors.NotEnoughPrivilege);
+                    }
+                    resource.fs.isLocked(ctx, resource.path, (lockErr, locked) => {
+                        if (lockErr || locked) {
+                            return fail(lockErr || Errors.Locked);
+                        }
+                        resource.propertyManager((pmErr, propertyManager) => {
+                            if (pmErr) {
+                                return fail(pmErr);
+                            }
+                            propertyManager.getProperties((getErr, before) => {
+                                if (getErr) {
+                                    return fail(getErr);
+                                }
+                                this.apply(ctx, propertyManager, before, instructions, callback);
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    }
+
+    apply(ctx, propertyManager, before, instructions, callback) {
+        const tasks = instructions.map(({ action, prop }) => (done) => {
+            if (prop.name.indexOf('DAV:') === 0) {
+                return done(Errors.Forbidden);
+            }
+            if (action === 'set') {
+                return propertyManager.setProperty(prop.name, prop.elements || [], prop.attributes || {}, done);
+            }
+            propertyManager.removeProperty(prop.name, (err) => done(err === Errors.PropertyNotFound ? null : err));
+        });
+
+        runSequentially(tasks, (err, failedIndex) => {
+            const statuses = instructions.map(() => HTTPCodes.OK);
+            if (!err) {
+                return this.respond(ctx, instructions, statuses, callback);
+            }
+
+            statuses.fill(HTTPCodes.FailedDependency);
+            statuses[failedIndex] = err === Errors.Forbidden ? HTTPCodes.Forbidden : HTTPCodes.Conflict;
+
+            // Put back every property touched before the failure
+            const touched = Array.from(new Set(instructions.slice(0, failedIndex).map(({ prop }) => prop.name)));
+            const rollback = touched.map((name) => (done) => (before[name]
+                ? propertyManager.setProperty(name, before[name].value, before[name].attributes, done)
+                : propertyManager.removeProperty(name, () => done(null))));
+            runSequentially(rollback, (rollbackErr) => {
+                if (rollbackErr) {
+                    logger.error('PROPPATCH rollback failed:', rollbackErr);
+                    statuses.fill(HTTPCodes.InternalServerError);
+                }
+                this.respond(ctx, instructions, statuses, callback);
+            });
+        });
+    }
+
+    respond(ctx, instructions, statuses, callback) {
+        const multistatus = new XMLElementBuilder('D:multistatus', { 'xmlns:D': 'DAV:' });
+        const response = multistatus.ele('D:response');
+        response.ele('D:href', undefined, true).add(webdav.HTTPRequestContext.encodeURL(ctx.fullUri()));
+
+        // One propstat per status, properties in request order
+        Array.from(new Set(statuses)).forEach((status) => {
+            const propstat = response.ele('D:propstat');
+            const prop = propstat.ele('D:prop');
+            instructions.forEach(({ prop: requested }, index) => {
+                if (statuses[index] === status) {
+                    prop.ele(requested.name.replace(/^DAV:/, 'D:'));
+                }
+            });
+            propstat.ele('D:status').add(`HTTP/1.1 ${status} ${STATUS_TEXT[status]}`);
+        });
+
+        // Proxies and CDNs must neither cache nor re-encode the multistatus
+        ctx.response.setHeader('Cache-Control', 'no-store, no-transform');
+        ctx.setCode(HTTPCodes.MultiStatus);
+        ctx.writeBody(multistatus);
+        callback();
+    }
+}
+
+module.exports = {
+    PropPatchCommand
+};
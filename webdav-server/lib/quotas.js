@@ -0,0 +1,481 @@
+const fs = require('fs');
+const path = require('path');
+const webdav = require('webdav-server').v2;
+const { XMLElementBuilder } = require('xml-js-builder');
+const StockPropfind = require('webdav-server/lib/server/v2/commands/Propfind').default;
+const { normalizePath, isWithin } = require('./acl');
+const { destinationPath } = require('./transfers');
+const { logger } = require('./logger');
+
+const { HTTPCodes } = webdav;
+
+const UNITS = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+
+// Methods that may change how much is stored; they update cached usage
+const WRITE_METHODS = ['PUT', 'DELETE', 'MOVE', 'COPY', 'MKCOL'];
+
+const QUOTA_PROPERTIES = ['quota-available-bytes', 'quota-used-bytes'];
+
+// Local name of an element in the DAV: namespace ("DAV:x", "D:x" or "a:x" with xmlns:a="DAV:"), else null
+const davLocalName = (element) => {
+    const name = element.name || '';
+    if (name.startsWith('DAV:')) {
+        return name.slice('DAV:'.length);
+    }
+    const [prefix, local] = name.split(':');
+    const namespace = element.attributes && element.attributes[`xmlns:${prefix}`];
+    return local && (namespace === 'DAV:' || (!namespace && prefix === 'D')) ? local : null;
+};
+
+/**
+ * Parse a quota: a number of bytes, a size such as "500MB" or "1.5 GB", or
+ * "unlimited". Returns the number of bytes, or null for no limit.
+ */
+const parseSize = (value) => {
+    if (value === undefined || value === null || value === 'unlimited') {
+        return null;
+    }
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+        return Math.floor(value);
+    }
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(B|KB|MB|GB|TB)?\s*$/i.exec(String(value));
+    if (!match) {
+        throw new Error(`Invalid quota: ${JSON.stringify(value)} (expected bytes, e.g. "500MB", or "unlimited")`);
+    }
+    return Math.floor(Number(match[1]) * UNITS[(match[2] || 'B').toUpperCase()]);
+};
+
+// Bytes of the files below a physical path (a file counts its own size); symlinks are not followed
+const diskUsage = async (target) => {
+    let stats;
+    try {
+        stats = await fs.promises.lstat(target);
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return 0;
+        }
+        throw err;
+    }
+    if (stats.isFile()) {
+        return stats.size;
+    }
+    if (!stats.isDirectory()) {
+        return 0;
+    }
+    const names = await fs.promises.readdir(target);
+    let total = 0;
+    for (const name of names) {
+        total += await diskUsage(path.join(target, name));
+    }
+    return total;
+};
+
+// Whether a physical path is dir or below it
+const isBelow = (target, dir) => target === dir || target.startsWith(dir + path.sep);
+
+// Physical path of a resource under root, or null if it would leave root
+const physicalPath = (root, resourcePath) => {
+    const target = path.join(root, resourcePath);
+    const relative = path.relative(root, target);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? null : target;
+};
+
+/**
+ * Storage quotas for WebDAV roots.
+ *
+ * A user quota caps everything under the user's home directory ("user" home
+ * mode only: in "shared" mode nothing records who stored what). Folder
+ * quotas cap a path, relative to the WebDAV root, and everything below it.
+ * A user's quota is their "quota" from the users file, or defaultUserQuota.
+ *
+ * Usage is measured on disk the first time it is needed; writes then update
+ * it by how much they changed the paths they touched, and invalidate()
+ * measures it again on demand. Bytes of uploads in progress are reserved, so
+ * parallel uploads cannot overshoot.
+ */
+class Quotas {
+    constructor({ defaultUserQuota = null, folders = [], homeMode = 'user' } = {}) {
+        this.defaultUserQuota = parseSize(defaultUserQuota);
+        this.folders = folders.map((folder, index) => {
+            if (!folder || !folder.path) {
+                throw new Error(`Folder quota #${index} has no "path"`);
+            }
+            return { path: normalizePath(folder.path), limit: parseSize(folder.limit) };
+        }).filter((folder) => folder.limit !== null);
+        this.homeMode = homeMode;
+        this.usageCache = new Map();
+        this.reserved = new Map();
+
+        if (homeMode === 'shared' && this.defaultUserQuota !== null) {
+            logger.warn('User quotas are ignored in shared home mode; use folder quotas instead');
+        }
+    }
+
+    userLimit(user) {
+        if (this.homeMode !== 'user' || !user || user.isDefaultUser) {
+            return null;
+        }
+        return user.quota !== undefined ? user.quota : this.defaultUserQuota;
+    }
+
+    /**
+     * Quotas covering a resource, e.g. [{ kind: 'user', path: '/', dir, limit }].
+     *
+     * @param {object} user webdav-server user
+     * @param {string} root Physical WebDAV root
+     * @param {string} resourcePath Path relative to the root
+     */
+    limitsFor(user, root, resourcePath) {
+        const target = normalizePath(resourcePath);
+        const limits = [];
+        const userLimit = this.userLimit(user);
+        if (userLimit !== null) {
+            limits.push({ kind: 'user', path: '/', dir: root, limit: userLimit });
+        }
+        this.folders
+            .filter((folder) => isWithin(target, folder.path))
+            .forEach((folder) => limits.push({ kind: 'folder', path: folder.path, dir: path.join(root, folder.path), limit: folder.limit }));
+        return limits;
+    }
+
+    async usage(dir) {
+        if (!this.usageCache.has(dir)) {
+            const pending = diskUsage(dir);
+            this.usageCache.set(dir, pending);
+            pending.catch(() => this.usageCache.delete(dir));
+        }
+        return this.usageCache.get(dir);
+    }
+
+    // Forget measured usage under root, or everywhere, so that it is measured again
+    invalidate(root = null) {
+        Array.from(this.usageCache.keys())
+            .filter((dir) => root === null || isBelow(dir, root))
+            .forEach((dir) => this.usageCache.delete(dir));
+    }
+
+    /**
+     * Start a write that may change the files at the given physical paths.
+     * Resolves to a function to call once the write is done: it adds the
+     * change to the usage measured before, without measuring it again.
+     * Usage measured while the write was running, or of a folder inside one
+     * of the paths, is measured again instead.
+     */
+    async beginWrite(paths) {
+        const targets = Array.from(new Set(paths.filter(Boolean)));
+        const affected = () => Array.from(this.usageCache)
+            .filter(([dir]) => targets.some((target) => isBelow(target, dir) || isBelow(dir, target)));
+        const measured = new Map(affected());
+        let before = null;
+        if (measured.size > 0) {
+            before = await Promise.all(targets.map(diskUsage)).catch(() => null);
+        }
+
+        let finished = false;
+        return async () => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            const after = before && await Promise.all(targets.map(diskUsage)).catch(() => null);
+            affected().forEach(([dir, usage]) => {
+                const nested = targets.some((target) => target !== dir && isBelow(dir, target));
+                if (!after || measured.get(dir) !== usage || nested) {
+                    this.usageCache.delete(dir);
+                    return;
+                }
+                const change = targets.reduce((total, target, index) => total + (isBelow(target, dir) ? after[index] - before[index] : 0), 0);
+                if (change !== 0) {
+                    this.usageCache.set(dir, usage.then((used) => used + change));
+                }
+            });
+        };
+    }
+
+    // Used bytes (stored plus reserved) and available bytes for one quota
+    async measure(quota) {
+        const used = await this.usage(quota.dir) + (this.reserved.get(quota.dir) || 0);
+        return { ...quota, used, available: Math.max(quota.limit - used, 0) };
+    }
+
+    /**
+     * The first quota that storing `bytes` more under a resource would
+     * exceed, or null when all of them have room.
+     */
+    async exceeded(user, root, resourcePath, bytes, limits = this.limitsFor(user, root, resourcePath)) {
+        for (const quota of limits) {
+            const measured = await this.measure(quota);
+            if (bytes > measured.available) {
+                return measured;
+            }
+        }
+        return null;
+    }
+
+    // Hold bytes against quotas until the returned release function is called
+    reserve(limits, bytes) {
+        const dirs = limits.map((quota) => quota.dir);
+        dirs.forEach((dir) => this.reserved.set(dir, (this.reserved.get(dir) || 0) + bytes));
+        let released = false;
+        return () => {
+            if (released) {
+                return;
+            }
+            released = true;
+            dirs.forEach((dir) => {
+                const remaining = (this.reserved.get(dir) || 0) - bytes;
+                if (remaining > 0) {
+                    this.reserved.set(dir, remaining);
+                } else {
+                    this.reserved.delete(dir);
+                }
+            });
+        };
+    }
+
+    /**
+     * RFC 4331 values for a resource: the tightest quota covering it, or
+     * the usage of the whole root and the free disk space without one.
+     *
+     * @returns {Promise<{ used: number, available: number|null, limit: number|null }>}
+     */
+    async report(user, root, resourcePath) {
+        const limits = this.limitsFor(user, root, resourcePath);
+        if (limits.length === 0) {
+            const used = await this.usage(root);
+            let available = null;
+            if (fs.promises.statfs) {
+                const stats = await fs.promises.statfs(root);
+                available = stats.bavail * stats.bsize;
+            }
+            return { used, available, limit: null };
+        }
+        const measured = await Promise.all(limits.map((quota) => this.measure(quota)));
+        const tightest = measured.reduce((best, quota) => (quota.available < best.available ? quota : best));
+        return { used: tightest.used, available: tightest.available, limit: tightest.limit };
+    }
+}
+
+// 507 with the RFC 4331 precondition element
+const insufficientStorage = (ctx, quota) => {
+    logger.info('Quota exceeded:', { user: ctx.user && ctx.user.username, kind: quota.kind, path: quota.path, limit: quota.limit, used: quota.used });
+    const error = new XMLElementBuilder('D:error', { 'xmlns:D': 'DAV:' });
+    error.ele('D:quota-not-exceeded');
+    ctx.setCode(HTTPCodes.InsufficientStorage);
+    ctx.writeBody(error);
+    ctx.exit();
+};
+
+// Size of an upload, from Content-Length or the X-Expected-Entity-Length that macOS sends with chunked bodies
+const uploadSize = (ctx) => {
+    const header = ctx.headers.find('Content-Length') || ctx.headers.find('X-Expected-Entity-Length');
+    const size = Number(header);
+    return header !== undefined && header !== null && header !== '' && Number.isInteger(size) && size >= 0 ? size : null;
+};
+
+/**
+ * beforeRequest hook enforcing quotas on a server rooted at root.
+ *
+ * - PUT: the upload size, minus the file it replaces, must fit. A PUT under
+ *   a quota must state its size (Content-Length), otherwise 411.
+ * - COPY: the size of the source, minus what it replaces, must fit at the
+ *   destination.
+ * - MOVE: the source must fit in folder quotas it enters (user quotas are
+ *   unaffected, the bytes stay in the same root).
+ *
+ * Requests that would exceed a quota get 507 Insufficient Storage. Cached
+ * usage is updated by what every write changed.
+ */
+const enforceQuotas = (quotas, root) => (ctx, next) => {
+    const method = ctx.request.method.toUpperCase();
+    if (!WRITE_METHODS.includes(method)) {
+        return next();
+    }
+
+    const source = normalizePath(ctx.requested.path.toString());
+    const destination = ['COPY', 'MOVE'].includes(method) && destinationPath(ctx);
+    const target = method === 'PUT' ? source : (destination && normalizePath(destination.toString()));
+    const sourceFile = physicalPath(root, source);
+    const targetFile = target && physicalPath(root, target);
+
+    const check = async () => {
+        const finishWrite = await quotas.beginWrite(method === 'COPY' ? [targetFile] : [sourceFile, targetFile]);
+        // Reserved bytes are held until the usage includes what was written
+        let release = () => {};
+        let closed = false;
+        ctx.response.once('close', () => {
+            closed = true;
+            finishWrite()
+                .catch((err) => logger.error('Error updating quota usage:', err))
+                .then(() => release());
+        });
+        if (!['PUT', 'COPY', 'MOVE'].includes(method) || !target) {
+            return next();
+        }
+        let limits = quotas.limitsFor(ctx.user, root, target);
+        if (method === 'MOVE') {
+            limits = limits.filter((quota) => quota.kind === 'folder' && !isWithin(source, quota.path));
+        }
+        if (limits.length === 0 || !sourceFile || !targetFile) {
+            return next();
+        }
+
+        let incoming;
+        if (method === 'PUT') {
+            incoming = uploadSize(ctx);
+            if (incoming === null) {
+                ctx.setCode(HTTPCodes.LengthRequired);
+                return ctx.exit();
+            }
+        } else {
+            incoming = await diskUsage(sourceFile);
+        }
+        const replaced = method === 'MOVE' || (method === 'COPY' && ctx.headers.find('Overwrite') === 'F')
+            ? 0
+            : await diskUsage(targetFile);
+        const bytes = Math.max(incoming - replaced, 0);
+
+        const quota = await quotas.exceeded(ctx.user, root, target, bytes, limits);
+        if (quota) {
+            return insufficientStorage(ctx, quota);
+        }
+        if (!closed) {
+            release = quotas.reserve(limits, bytes);
+        }
+        next();
+    };
+    check().catch((err) => {
+        logger.error('Error checking quota:', err);
+        next();
+    });
+};
+
+/**
+ * PROPFIND that also answers the RFC 4331 quota-available-bytes and
+ * quota-used-bytes properties. As the RFC asks, they are only reported when
+ * requested by name, never for allprop.
+ */
+class QuotaPropfindCommand extends StockPropfind {
+    constructor(quotas, root) {
+        super();
+        this.quotas = quotas;
+        this.root = root;
+    }
+
+    unchunked(ctx, data, callback) {
+        const body = data.toString();
+        if (!/quota-(available|used)-bytes/.test(body)) {
+            return super.unchunked(ctx, data, callback);
+        }
+
+        const requested = normalizePath(ctx.requested.path.toString());
+        const reports = new Map();
+        const pending = [];
+        const reportFor = (resourcePath) => {
+            if (!reports.has(resourcePath)) {
+                reports.set(resourcePath, null);
+                pending.push(this.quotas.report(ctx.user, this.root, resourcePath)
+                    .then((report) => reports.set(resourcePath, report)));
+            }
+        };
+        // Children of the requested folder share its quotas unless a folder quota starts there
+        reportFor(requested);
+        this.quotas.folders
+            .filter((folder) => isWithin(folder.path, requested) && folder.path !== requested)
+            .forEach((folder) => reportFor(folder.path));
+
+        Promise.all(pending)
+            .catch((err) => logger.error('Error measuring quota:', err))
+            .then(() => {
+                const writeBody = ctx.writeBody.bind(ctx);
+                ctx.writeBody = (multistatus) => {
+                    this.addQuotaProperties(ctx, multistatus, reports);
+                    writeBody(multistatus);
+                };
+                super.unchunked(ctx, data, callback);
+            });
+    }
+
+    // Move the quota properties from the 404 propstat to the 200 one, with values
+    addQuotaProperties(ctx, multistatus, reports) {
+        const mount = (ctx.rootPath || '').replace(/\/$/, '');
+        (multistatus.elements || []).filter((response) => response.name === 'D:response').forEach((response) => {
+            const href = (response.elements || []).find((child) => child.name === 'D:href');
+            const hrefText = href && href.elements && href.elements[0] && href.elements[0].text;
+            if (!hrefText) {
+                return;
+            }
+            let resourcePath = decodeURIComponent(new URL(hrefText, 'http://placeholder').pathname);
+            if (mount && resourcePath.startsWith(mount)) {
+                resourcePath = resourcePath.slice(mount.length);
+            }
+            resourcePath = normalizePath(resourcePath);
+            const scope = Array.from(reports.keys())
+                .filter((scopePath) => isWithin(resourcePath, scopePath))
+                .sort((a, b) => b.length - a.length)[0];
+            const report = scope && reports.get(scope);
+            if (!report) {
+                return;
+            }
+
+            const propstats = (response.elements || []).filter((child) => child.name === 'D:propstat');
+            const propOf = (propstat) => propstat.elements.find((child) => child.name === 'D:prop');
+            const isStatus = (propstat, code) => propstat.elements.some((child) => child.name === 'D:status'
+                && child.elements && child.elements[0] && String(child.elements[0].text).includes(` ${code} `));
+            const found = propstats.find((propstat) => isStatus(propstat, 200));
+            const missing = propstats.find((propstat) => isStatus(propstat, 404));
+            if (!found || !missing) {
+                return;
+            }
+
+            const values = {
+                'quota-available-bytes': report.available,
+                'quota-used-bytes': report.used
+            };
+            const missingProp = propOf(missing);
+            missingProp.elements = missingProp.elements.filter((element) => {
+                const name = davLocalName(element);
+                if (!QUOTA_PROPERTIES.includes(name) || values[name] === null) {
+                    return true;
+                }
+                propOf(found).ele(`D:${name}`).add(String(values[name]));
+                return false;
+            });
+            if (missingProp.elements.length === 0) {
+                response.elements = response.elements.filter((child) => child !== missing);
+            }
+        });
+    }
+}
+
+/**
+ * Load folder quotas and the default user quota from the JSON file named by
+ * WEBDAV_QUOTAS_FILE (or ./quotas.json next to server.js).
+ * WEBDAV_DEFAULT_QUOTA overrides the file's defaultUserQuota.
+ */
+const loadQuotas = (options = {}) => {
+    const env = options.env || process.env;
+    const quotasFile = env.WEBDAV_QUOTAS_FILE || path.join(options.baseDir || path.join(__dirname, '..'), 'quotas.json');
+
+    let config = {};
+    if (fs.existsSync(quotasFile)) {
+        logger.info('Loading quotas from:', quotasFile);
+        config = JSON.parse(fs.readFileSync(quotasFile, 'utf8'));
+    } else if (env.WEBDAV_QUOTAS_FILE) {
+        throw new Error(`Quotas file not found: ${quotasFile}`);
+    }
+    if (env.WEBDAV_DEFAULT_QUOTA) {
+        config.defaultUserQuota = env.WEBDAV_DEFAULT_QUOTA;
+    }
+    return new Quotas({ ...config, homeMode: options.homeMode });
+};
+
+module.exports = {
+    Quotas,
+    QuotaPropfindCommand,
+    diskUsage,
+    enforceQuotas,
+    loadQuotas,
+    parseSize,
+    physicalPath
+};
@@ -0,0 +1,80 @@
+// True when no range of a "bytes=a-b,c-" header starts inside the resource
+const isUnsatisfiable = (rangeHeader, size) => {
+    const match = /^bytes=(.+)$/i.exec(rangeHeader.trim());
+    if (!match) {
+        return false;
+    }
+    return match[1].split(',').every((range) => {
+        const [start, end] = range.trim().split('-');
+        if (start === '') {
+            return Number(end) === 0 || size === 0;
+        }
+        return Number(start) >= size;
+    });
+};
+
+// True when a "bytes=..." header asks for the first byte, or is not a byte range (so the whole resource is sent)
+const includesFirstByte = (rangeHeader, size) => {
+    const match = /^bytes=(.+)$/i.exec(rangeHeader.trim());
+    if (!match) {
+        return true;
+    }
+    return match[1].split(',').some((range) => {
+        const [start, end] = range.trim().split('-');
+        if (start === '') {
+            return Number(end) >= size;
+        }
+        return !/^\d+$/.test(start) || Number(start) === 0;
+    });
+};
+
+/**
+ * beforeRequest hook that tidies up webdav-server's Range support for GET/HEAD.
+ *
+ * webdav-server answers Range requests with "Content-Range: bytes a-b/*" and
+ * never advertises "Accept-Ranges". Browsers' media players need both the
+ * header and the complete length before they let the user seek, so fill in
+ * the resource size and advertise byte ranges on every file response. A
+ * range that starts past the end gets 416 instead of a 206 with a bogus body.
+ */
+const completeRangeHeaders = (ctx, next) => {
+    const method = ctx.request.method.toUpperCase();
+    if (method !== 'GET' && method !== 'HEAD') {
+        return next();
+    }
+
+    ctx.getResource((err, resource) => {
+        if (err) {
+            return next();
+        }
+
+        resource.size(ctx.headers.isSource, (sizeErr, size) => {
+            if (sizeErr || typeof size !== 'number') {
+                return next();
+            }
+
+            const response = ctx.response;
+            const range = ctx.headers.find('Range');
+            if (range && isUnsatisfiable(range, size)) {
+                response.setHeader('Content-Range', `bytes */${size}`);
+                ctx.setCode(416);
+                return ctx.exit();
+            }
+
+            const setHeader = response.setHeader.bind(response);
+            response.setHeader = (name, value) => {
+                if (String(name).toLowerCase() === 'content-range') {
+                    value = String(value).replace(/\/\*$/, `/${size}`);
+                }
+                return setHeader(name, value);
+            };
+            setHeader('Accept-Ranges', 'bytes');
+            next();
+        });
+    });
+};
+
+module.exports = {
+    completeRangeHeaders,
+    includesFirstByte
+};
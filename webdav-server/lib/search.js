@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const { isWithin, normalizePath } = require('./acl');
+const { physicalPath } = require('./quotas');
+const { destinationPath } = require('./transfers');
+const { isText } = require('./textDiff');
+const { logger } = require('./logger');
+
+// Characters of context on each side of a full-text match
+const SNIPPET_CONTEXT = 60;
+
+/**
+ * Case-insensitive matcher for a name glob (* and ?); without wildcards, a
+ * substring match. Runs of stars count as one, and a mismatch only goes
+ * back to the last star seen, so no glob takes more than
+ * name length x glob length steps.
+ */
+const globMatcher = (glob) => {
+    const pattern = glob.toLowerCase().replace(/\*+/g, '*');
+    if (!/[*?]/.test(pattern)) {
+        return (name) => name.toLowerCase().includes(pattern);
+    }
+    return (value) => {
+        const name = value.toLowerCase();
+        let p = 0;
+        let n = 0;
+        let star = -1;
+        let resume = 0;
+        while (n < name.length) {
+            if (p < pattern.length && (pattern[p] === '?' || pattern[p] === name[n])) {
+                p += 1;
+                n += 1;
+            } else if (p < pattern.length && pattern[p] === '*') {
+                star = p;
+                resume = n;
+                p += 1;
+            } else if (star !== -1) {
+                // Let the last star take one more character
+                p = star + 1;
+                resume += 1;
+                n = resume;
+            } else {
+                return false;
+            }
+        }
+        while (pattern[p] === '*') {
+            p += 1;
+        }
+        return p === pattern.length;
+    };
+};
+
+// "image/*", "image" and "image/png" style content type filters
+const typeMatches = (contentType, filter) => {
+    if (!contentType) {
+        return false;
+    }
+    const wanted = filter.toLowerCase().replace(/\/\*$/, '');
+    return wanted.includes('/') ? contentType === wanted : contentType.split('/')[0] === wanted;
+};
+
+const snippet = (text, index, length) => {
+    const start = Math.max(index - SNIPPET_CONTEXT, 0);
+    const end = Math.min(index + length + SNIPPET_CONTEXT, text.length);
+    return (start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ').trim() + (end < text.length ? '…' : '');
+};
+
+// Entry as returned by search, without the indexed text
+const summarize = ({ text, ...entry }) => entry;
+
+/**
+ * In-memory index of the files and folders under each WebDAV root, for
+ * searching by name, content type, size, modification date and the text of
+ * UTF-8 files up to maxTextBytes. The text kept for all roots together
+ * stays under maxIndexTextBytes; files read once it is full are found by
+ * everything but their text.
+ *
+ * A root is indexed on its first search by walking the disk, then kept up
+ * to date by the indexChanges hook and by refresh calls for changes made
+ * outside WebDAV requests. Updates of a root run one at a time, after the
+ * initial walk. Physical paths in `exclude` (state, trash and versions
+ * directories inside a shared root) are never indexed. Mounts are not
+ * indexed either, and changes made on disk are not seen until a restart.
+ */
+class SearchIndex {
+    constructor({ maxTextBytes = 1024 * 1024, maxIndexTextBytes = 64 * 1024 * 1024, exclude = [] } = {}) {
+        this.maxTextBytes = maxTextBytes;
+        this.maxIndexTextBytes = maxIndexTextBytes;
+        this.textBytes = 0;
+        this.warnedFull = false;
+        this.exclude = exclude.filter(Boolean).map((item) => path.resolve(item));
+        this.roots = new Map();
+    }
+
+    excluded(physical) {
+        return this.exclude.some((item) => physical === item || physical.startsWith(item + path.sep));
+    }
+
+    // Entries of a root, walking it on first use
+    async entriesFor(root) {
+        let index = this.roots.get(root);
+        if (!index) {
+            index = { entries: new Map() };
+            const started = Date.now();
+            index.queue = this.addTree(root, index, '/')
+                .then(() => logger.info(`Indexed ${index.entries.size} entries under ${root} in ${Date.now() - started} ms`));
+            this.roots.set(root, index);
+        }
+        await index.queue;
+        return index.entries;
+    }
+
+    // Run fn(index) after the pending updates of a root; nothing to do before its first search
+    update(root, fn) {
+        const index = this.roots.get(root);
+        if (!index) {
+            return Promise.resolve();
+        }
+        index.queue = index.queue
+            .catch(() => {})
+            .then(() => fn(index))
+            .catch((err) => logger.error('Error updating the search index:', err));
+        return index.queue;
+    }
+
+    async readEntry(resourcePath, physical, stats) {
+        const entry = {
+            path: resourcePath,
+            name: path.posix.basename(resourcePath),
+            isDirectory: stats.isDirectory(),
+            size: stats.isDirectory() ? 0 : stats.size,
+            modified: stats.mtime.toISOString(),
+            contentType: stats.isDirectory() ? null : mime.lookup(resourcePath) || 'application/octet-stream',
+            text: null
+        };
+        if (stats.isFile() && stats.size > 0 && (this.maxTextBytes === null || stats.size <= this.maxTextBytes)) {
+            if (this.maxIndexTextBytes !== null && this.textBytes + stats.size > this.maxIndexTextBytes) {
+                if (!this.warnedFull) {
+                    this.warnedFull = true;
+                    logger.warn(`Search index holds ${this.textBytes} bytes of text; not indexing the text of more files`);
+                }
+                return entry;
+            }
+            const content = await fs.promises.readFile(physical);
+            if (isText(content)) {
+                entry.text = content.toString('utf8');
+                this.textBytes += Buffer.byteLength(entry.text);
+            }
+        }
+        return entry;
+    }
+
+    // Forget an entry, giving back the room its text took
+    dropEntry(index, entryPath) {
+        const entry = index.entries.get(entryPath);
+        if (entry && entry.text !== null) {
+            this.textBytes -= Buffer.byteLength(entry.text);
+        }
+        index.entries.delete(entryPath);
+    }
+
+    // Index a resource and everything below it
+    async addTree(root, index, resourcePath) {
+        const physical = physicalPath(root, resourcePath);
+        if (!physical || this.excluded(physical)) {
+            return;
+        }
+        let stats;
+        try {
+            stats = await fs.promises.stat(physical);
+        } catch (err) {
+            if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+                return;
+            }
+            throw err;
+        }
+        if (resourcePath !== '/') {
+            const entry = await this.readEntry(resourcePath, physical, stats);
+            this.dropEntry(index, resourcePath);
+            index.entries.set(resourcePath, entry);
+        }
+        if (stats.isDirectory()) {
+            for (const name of await fs.promises.readdir(physical)) {
+                await this.addTree(root, index, path.posix.join(resourcePath, name));
+            }
+        }
+    }
+
+    removeTree(index, resourcePath) {
+        Array.from(index.entries.keys())
+            .filter((entryPath) => isWithin(entryPath, resourcePath))
+            .forEach((entryPath) => this.dropEntry(index, entryPath));
+    }
+
+    // Re-read a resource and everything below it, e.g. after a PUT or a restore
+    refresh(root, resourcePath) {
+        const target = normalizePath(resourcePath);
+        return this.update(root, async (index) => {
+            this.removeTree(index, target);
+            await this.addTree(root, index, target);
+        });
+    }
+
+    remove(root, resourcePath) {
+        const target = normalizePath(resourcePath);
+        return this.update(root, async (index) => this.removeTree(index, target));
+    }
+
+    move(root, fromPath, toPath) {
+        const from = normalizePath(fromPath);
+        const to = normalizePath(toPath);
+        return this.update(root, async (index) => {
+            this.removeTree(index, from);
+            this.removeTree(index, to);
+            await this.addTree(root, index, to);
+        });
+    }
+
+    /**
+     * Search a root. Every filter is optional: name (glob, or substring
+     * without wildcards), type (content type or "image/*"), minSize and
+     * maxSize (bytes), modifiedAfter and modifiedBefore (Dates), text
+     * (case-insensitive, in text files only), kind ("file" or "folder"),
+     * under (folder to search in) and visible (path predicate, for ACLs).
+     *
+     * @returns {Promise<{ results: object[], total: number }>} results sorted
+     *   by path, at most `limit`; text matches carry a snippet
+     */
+    async search(root, filters = {}, limit = 100) {
+        const {
+            name, type, minSize, maxSize, modifiedAfter, modifiedBefore, text, kind, under = '/', visible = () => true
+        } = filters;
+        const nameMatches = name ? globMatcher(name) : null;
+        const needle = text ? text.toLowerCase() : null;
+        const matches = [];
+
+        (await this.entriesFor(root)).forEach((entry) => {
+            if (!isWithin(entry.path, under) || entry.path === normalizePath(under)) {
+                return;
+            }
+            if ((kind === 'file' && entry.isDirectory) || (kind === 'folder' && !entry.isDirectory)) {
+                return;
+            }
+            if (nameMatches && !nameMatches(entry.name)) {
+                return;
+            }
+            if (type && !typeMatches(entry.contentType, type)) {
+                return;
+            }
+            if ((minSize !== undefined || maxSize !== undefined) && entry.isDirectory) {
+                return;
+            }
+            if ((minSize !== undefined && entry.size < minSize) || (maxSize !== undefined && entry.size > maxSize)) {
+                return;
+            }
+            const modified = Date.parse(entry.modified);
+            if ((modifiedAfter && modified < modifiedAfter.getTime()) || (modifiedBefore && modified > modifiedBefore.getTime())) {
+                return;
+            }
+            let found = null;
+            if (needle) {
+                const at = entry.text ? entry.text.toLowerCase().indexOf(needle) : -1;
+                if (at < 0) {
+                    return;
+                }
+                found = snippet(entry.text, at, needle.length);
+            }
+            if (!visible(entry.path)) {
+                return;
+            }
+            matches.push(found === null ? summarize(entry) : { ...summarize(entry), snippet: found });
+        });
+
+        matches.sort((a, b) => a.path.localeCompare(b.path));
+        return { results: matches.slice(0, limit), total: matches.length };
+    }
+}
+
+/**
+ * afterRequest hook keeping a root's search index in step with successful
+ * PUT, MKCOL, DELETE, MOVE and COPY requests.
+ */
+const indexChanges = (search, root) => (ctx, next) => {
+    const status = ctx.response.statusCode;
+    if (status < 200 || status >= 300) {
+        return next();
+    }
+    const target = ctx.requested.path.toString();
+    const method = ctx.request.method.toUpperCase();
+    if (method === 'PUT' || method === 'MKCOL') {
+        search.refresh(root, target);
+    } else if (method === 'DELETE') {
+        search.remove(root, target);
+    } else if (method === 'MOVE' || method === 'COPY') {
+        const destination = destinationPath(ctx);
+        if (destination && method === 'MOVE') {
+            search.move(root, target, destination.toString());
+        } else if (destination) {
+            search.refresh(root, destination.toString());
+        }
+    }
+    next();
+};
+
+module.exports = {
+    SearchIndex,
+    globMatcher,
+    indexChanges
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { UrlSigner } = require('./signedUrls');
+const { logger } = require('./logger');
+
+// Name and path of the cookie holding the refresh token
+const REFRESH_COOKIE = 'webdav_refresh';
+const REFRESH_COOKIE_PATH = '/rest/auth';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Session as shown to its user, without the refresh token hash
+const summarize = ({ refreshHash, ...session }) => session;
+
+/**
+ * Login sessions for the web client.
+ *
+ * A session pairs a short-lived access token, an HMAC-signed bearer token
+ * naming the user and the session, with a long-lived refresh token that is
+ * kept only as a hash and replaced on every use. Revoking a session (logout)
+ * stops both at once: access tokens are checked against the live sessions.
+ *
+ * Sessions are kept in a JSON file so users stay logged in across restarts;
+ * access tokens survive restarts too when WEBDAV_SESSION_SECRET is set.
+ */
+class SessionStore {
+    constructor({ file = null, secret, accessTtlSeconds = 900, refreshTtlSeconds = 7 * 24 * 3600 } = {}) {
+        this.file = file;
+        this.signer = new UrlSigner({ secret, ttlSeconds: accessTtlSeconds });
+        this.refreshTtlSeconds = refreshTtlSeconds;
+        this.sessions = new Map();
+
+        if (file && fs.existsSync(file)) {
+            JSON.parse(fs.readFileSync(file, 'utf8')).forEach((session) => this.sessions.set(session.id, session));
+            logger.info(`Loaded ${this.sessions.size} login sessions from:`, file);
+        }
+    }
+
+    get accessTtlSeconds() {
+        return this.signer.ttlSeconds;
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(Array.from(this.sessions.values())), { mode: 0o600 });
+        fs.renameSync(`${this.file}.tmp`, this.file);
+    }
+
+    expired(session, now = Date.now()) {
+        return Date.parse(session.expiresAt) <= now;
+    }
+
+    // Drop expired sessions
+    prune() {
+        const expired = Array.from(this.sessions.values()).filter((session) => this.expired(session));
+        expired.forEach((session) => this.sessions.delete(session.id));
+        if (expired.length > 0) {
+            this.save();
+        }
+    }
+
+    // New access and refresh tokens for a session
+    issue(session) {
+        const refreshToken = crypto.randomBytes(32).toString('base64url');
+        session.refreshHash = hashToken(refreshToken);
+        session.lastUsedAt = new Date().toISOString();
+        session.expiresAt = new Date(Date.now() + this.refreshTtlSeconds * 1000).toISOString();
+        this.save();
+        return {
+            accessToken: this.signer.sign({ sub: session.username, sid: session.id }),
+            refreshToken,
+            session: summarize(session)
+        };
+    }
+
+    /**
+     * Start a session for a user who just proved their password.
+     *
+     * @returns {{ accessToken: string, refreshToken: string, session: object }}
+     */
+    create(username, { userAgent = '' } = {}) {
+        this.prune();
+        const session = {
+            id: crypto.randomBytes(9).toString('base64url'),
+            username,
+            userAgent: String(userAgent).slice(0, 200),
+            createdAt: new Date().toISOString()
+        };
+        this.sessions.set(session.id, session);
+        return this.issue(session);
+    }
+
+    // The live session of a refresh token, or null
+    findByRefreshToken(refreshToken) {
+        if (!refreshToken) {
+            return null;
+        }
+        const hash = hashToken(refreshToken);
+        const session = Array.from(this.sessions.values()).find((item) => item.refreshHash === hash);
+        return session && !this.expired(session) ? session : null;
+    }
+
+    // Replace the tokens of a session; null when the refresh token is unknown or expired
+    refresh(refreshToken) {
+        const session = this.findByRefreshToken(refreshToken);
+        return session ? this.issue(session) : null;
+    }
+
+    /**
+     * Claims of a valid access token whose session is still live:
+     * { sub: username, sid: session id }, or null.
+     */
+    verifyAccessToken(token) {
+        const claims = this.signer.verify(token);
+        if (!claims || !claims.sid) {
+            return null;
+        }
+        const session = this.sessions.get(claims.sid);
+        return session && !this.expired(session) && session.username === claims.sub ? claims : null;
+    }
+
+    // Whether a session exists and has not expired
+    isLive(id) {
+        const session = this.sessions.get(id);
+        return !!session && !this.expired(session);
+    }
+
+    // Live sessions of a user, most recently used first
+    list(username) {
+        this.prune();
+        return Array.from(this.sessions.values())
+            .filter((session) => session.username === username)
+            .map(summarize)
+            .sort((a, b) => b.lastUsedAt.localeCompare(a.lastUsedAt));
+    }
+
+    // End a session; username null ends anybody's. False when not found
+    revoke(id, username) {
+        const session = this.sessions.get(id);
+        if (!session || (username !== null && session.username !== username)) {
+            return false;
+        }
+        this.sessions.delete(id);
+        this.save();
+        return true;
+    }
+}
+
+// Value of one cookie of a request, or null
+const readCookie = (req, name) => {
+    const pair = String(req.headers.cookie || '')
+        .split(';')
+        .map((part) => part.trim())
+        .find((part) => part.startsWith(`${name}=`));
+    return pair ? decodeURIComponent(pair.slice(name.length + 1)) : null;
+};
+
+// Set-Cookie value for a refresh token; maxAgeSeconds 0 clears the cookie
+const refreshCookie = (token, maxAgeSeconds, secure) => [
+    `${REFRESH_COOKIE}=${encodeURIComponent(token)}`,
+    `Path=${REFRESH_COOKIE_PATH}`,
+    `Max-Age=${maxAgeSeconds}`,
+    'HttpOnly',
+    'SameSite=Strict',
+    secure ? 'Secure' : null
+].filter(Boolean).join('; ');
+
+/**
+ * Session store from the sessions settings: saved to `file` (relative to
+ * the data directory), with access tokens signed by `secret` (random per
+ * process when unset) that last `ttl` seconds and refresh tokens that last
+ * `refreshTtl` seconds. loadConfig has checked the values.
+ */
+const loadSessions = ({ dataDir, file, secret, ttl, refreshTtl }) => new SessionStore({
+    file: path.resolve(dataDir, file),
+    secret,
+    accessTtlSeconds: ttl,
+    refreshTtlSeconds: refreshTtl
+});
+
+module.exports = {
+    REFRESH_COOKIE,
+    SessionStore,
+    loadSessions,
+    readCookie,
+    refreshCookie
+};
@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { hashPassword, verifyPasswordHash } = require('./users');
+const { escapeHtml } = require('./conformanceReport');
+const { logger } = require('./logger');
+
+const MODES = ['read', 'upload'];
+
+// Methods a share link allows, by mode
+const SHARE_METHODS = {
+    read: ['GET', 'HEAD', 'PROPFIND', 'OPTIONS'],
+    upload: ['PUT', 'OPTIONS']
+};
+
+// Share as shown to its owner, without the password hash
+const summarize = ({ passwordHash, ...share }) => ({ ...share, hasPassword: !!passwordHash });
+
+/**
+ * Share links: tokens that let anyone holding them reach one file or
+ * folder through /api without an account, as a "share:<id>" principal
+ * with the owner's rights there, narrowed to reading ("read") or to
+ * creating new files ("upload"). Links can expire, need a password and
+ * stop after a number of downloads.
+ *
+ * Shares are kept in a JSON file so links survive restarts.
+ */
+class ShareStore {
+    constructor({ file = null } = {}) {
+        this.file = file;
+        this.shares = new Map();
+
+        if (file && fs.existsSync(file)) {
+            JSON.parse(fs.readFileSync(file, 'utf8')).forEach((share) => this.shares.set(share.token, share));
+            logger.info(`Loaded ${this.shares.size} share links from:`, file);
+        }
+    }
+
+    save() {
+        if (!this.file) {
+            return;
+        }
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(`${this.file}.tmp`, JSON.stringify(Array.from(this.shares.values())));
+        fs.renameSync(`${this.file}.tmp`, this.file);
+    }
+
+    /**
+     * Create a link.
+     *
+     * @param {object} options owner (username), path, isDirectory, mode
+     *   ("read" or "upload"), and optionally expiresAt (ISO date),
+     *   password and maxDownloads
+     */
+    create({ owner, path: sharedPath, isDirectory, mode, expiresAt = null, password = null, maxDownloads = null }) {
+        if (!MODES.includes(mode)) {
+            throw new Error(`Unknown share mode: ${mode}`);
+        }
+        const share = {
+            id: crypto.randomBytes(6).toString('hex'),
+            token: crypto.randomBytes(24).toString('base64url'),
+            owner,
+            path: sharedPath,
+            isDirectory,
+            mode,
+            createdAt: new Date().toISOString(),
+            expiresAt,
+            maxDownloads,
+            downloads: 0,
+            passwordHash: password ? hashPassword(password) : null
+        };
+        this.shares.set(share.token, share);
+        this.save();
+        return summarize(share);
+    }
+
+    expired(share, now = Date.now()) {
+        return !!share.expiresAt && Date.parse(share.expiresAt) <= now;
+    }
+
+    // Drop expired links
+    prune() {
+        const expired = Array.from(this.shares.values()).filter((share) => this.expired(share));
+        expired.forEach((share) => this.shares.delete(share.token));
+        if (expired.length > 0) {
+            this.save();
+        }
+    }
+
+    // Active links of one owner, or of everybody with owner null, newest first
+    list(owner) {
+        this.prune();
+        return Array.from(this.shares.values())
+            .filter((share) => owner === null || share.owner === owner)
+            .map(summarize)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // The share for a token; expired links are kept until pruned so they can answer 410
+    find(token) {
+        return (token && this.shares.get(token)) || null;
+    }
+
+    // Revoke a link by id; owner null revokes anybody's. False when not found
+    revoke(id, owner) {
+        const share = Array.from(this.shares.values())
+            .find((item) => item.id === id && (owner === null || item.owner === owner));
+        if (!share) {
+            return false;
+        }
+        this.shares.delete(share.token);
+        this.save();
+        return true;
+    }
+
+    checkPassword(share, password, callback) {
+        if (!share.passwordHash) {
+            return callback(null, true);
+        }
+        if (!password) {
+            return callback(null, false);
+        }
+        verifyPasswordHash(password, share.passwordHash, callback);
+    }
+
+    /**
+     * Count a download against the limit. Returns false when the limit is
+     * reached, otherwise a function that gives the download back (for
+     * failed requests).
+     */
+    takeDownload(share) {
+        if (share.maxDownloads === null) {
+            return () => {};
+        }
+        if (share.downloads >= share.maxDownloads) {
+            return false;
+        }
+        share.downloads++;
+        this.save();
+        let returned = false;
+        return () => {
+            if (!returned && this.shares.has(share.token)) {
+                returned = true;
+                share.downloads--;
+                this.save();
+            }
+        };
+    }
+}
+
+/**
+ * WebDAV user acting for a share link. It stores into the owner's root,
+ * under the owner's quota; Acl.rightsFor confines it to the shared path.
+ */
+const sharePrincipal = (share, owner) => ({
+    uid: `share:${share.id}`,
+    username: `share:${share.id}`,
+    isAdministrator: false,
+    isDefaultUser: false,
+    home: owner.home,
+    quota: owner.quota,
+    share: { id: share.id, path: share.path, mode: share.mode, owner }
+});
+
+// Public URL of a share under the /api mount at base (e.g. "https://host")
+const shareUrl = (base, share) => {
+    const encoded = share.path.split('/').map(encodeURIComponent).join('/');
+    const slash = share.isDirectory && share.path !== '/' ? '/' : '';
+    return `${base}/api${encoded}${slash}?share=${encodeURIComponent(share.token)}`;
+};
+
+// Minimal HTML listing of a shared folder, since GET on a WebDAV collection is not allowed
+const renderShareIndex = ({ title, entries, token }) => {
+    const query = `?share=${encodeURIComponent(token)}`;
+    const rows = entries.map((entry) => {
+        const href = encodeURIComponent(entry.name) + (entry.isDirectory ? '/' : '') + query;
+        const label = entry.name + (entry.isDirectory ? '/' : '');
+        return `<li><a href="${escapeHtml(href)}">${escapeHtml(label)}</a></li>`;
+    });
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<ul>
+${rows.length > 0 ? rows.join('\n') : '<li>Empty folder</li>'}
+</ul>
+</body>
+</html>
+`;
+};
+
+/**
+ * Share store saved to WEBDAV_SHARES_FILE (relative to the data directory,
+ * default .webdav-shares.json).
+ */
+const loadShares = ({ dataDir, env = process.env }) => new ShareStore({
+    file: path.resolve(dataDir, env.WEBDAV_SHARES_FILE || '.webdav-shares.json')
+});
+
+module.exports = {
+    MODES,
+    SHARE_METHODS,
+    ShareStore,
+    loadShares,
+    renderShareIndex,
+    shareUrl,
+    sharePrincipal
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+const base64url = (buffer) => Buffer.from(buffer)
+    .toString('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const fromBase64url = (value) => Buffer.from(
+    value.replace(/-/g, '+').replace(/_/g, '/'),
+    'base64'
+);
+
+/**
+ * Short-lived, HMAC-signed tokens that grant one user read access to one path.
+ *
+ * Browsers cannot attach an Authorization header to <video>, <img> or a plain
+ * download link, so the client asks for a signed URL instead and lets the
+ * browser fetch it (including Range requests) on its own.
+ */
+class UrlSigner {
+    constructor({ secret, ttlSeconds = 3600 } = {}) {
+        this.secret = secret || crypto.randomBytes(32);
+        this.ttlSeconds = ttlSeconds;
+    }
+
+    signature(payload) {
+        return base64url(crypto.createHmac('sha256', this.secret).update(payload).digest());
+    }
+
+    sign(claims) {
+        const payload = base64url(JSON.stringify({
+            ...claims,
+            exp: Math.floor(Date.now() / 1000) + this.ttlSeconds
+        }));
+        return `${payload}.${this.signature(payload)}`;
+    }
+
+    /**
+     * @param {string} token
+     * @returns {object|null} The signed claims, or null when the token is forged or expired
+     */
+    verify(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature) {
+            return null;
+        }
+
+        const expected = Buffer.from(this.signature(payload));
+        const actual = Buffer.from(signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return null;
+        }
+
+        let claims;
+        try {
+            claims = JSON.parse(fromBase64url(payload).toString('utf8'));
+        } catch (err) {
+            return null;
+        }
+        if (!claims.exp || claims.exp * 1000 < Date.now()) {
+            return null;
+        }
+        return claims;
+    }
+}
+
+module.exports = {
+    UrlSigner
+};
@@ -0,0 +1,141 @@
+// Line-based unified diff (Myers' algorithm) for comparing file versions.
+
+// Give up on inputs this different; the trace grows with the square of it
+const MAX_EDIT_DISTANCE = 2000;
+
+const splitLines = (text) => {
+    if (text === '') {
+        return [];
+    }
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+        lines.pop();
+    }
+    return lines;
+};
+
+/**
+ * Shortest edit script between two line arrays as a list of
+ * { type: ' ' | '-' | '+', line } operations, or null when more than
+ * MAX_EDIT_DISTANCE lines differ.
+ */
+const editScript = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDIT_DISTANCE);
+    const offset = max + 1;
+    let v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+    if (!found) {
+        return null;
+    }
+
+    // Walk the trace back from the end to recover the operations
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        v = trace[d];
+        const k = x - y;
+        const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+        const prevX = v[offset + prevK];
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            ops.push({ type: ' ', line: a[--x] });
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: '+', line: b[--y] });
+            } else {
+                ops.push({ type: '-', line: a[--x] });
+            }
+        }
+    }
+    return ops.reverse();
+};
+
+/**
+ * Unified diff of two texts with `context` lines around each change, or
+ * null when they are too different to diff. Identical texts give ''.
+ */
+const unifiedDiff = (oldText, newText, { oldLabel = 'a', newLabel = 'b', context = 3 } = {}) => {
+    const ops = editScript(splitLines(oldText), splitLines(newText));
+    if (!ops) {
+        return null;
+    }
+    if (ops.every((op) => op.type === ' ')) {
+        return '';
+    }
+
+    // Line numbers of each operation in the old and new text
+    let oldLine = 0;
+    let newLine = 0;
+    const numbered = ops.map((op) => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== '+') {
+            oldLine++;
+        }
+        if (op.type !== '-') {
+            newLine++;
+        }
+        return entry;
+    });
+
+    // Group changes whose context overlaps into hunks
+    const hunks = [];
+    numbered.forEach((op, index) => {
+        if (op.type === ' ') {
+            return;
+        }
+        const start = Math.max(index - context, 0);
+        const end = Math.min(index + context + 1, numbered.length);
+        const last = hunks[hunks.length - 1];
+        if (last && start <= last.end) {
+            last.end = Math.max(last.end, end);
+        } else {
+            hunks.push({ start, end });
+        }
+    });
+
+    const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    hunks.forEach(({ start, end }) => {
+        const slice = numbered.slice(start, end);
+        const oldCount = slice.filter((op) => op.type !== '+').length;
+        const newCount = slice.filter((op) => op.type !== '-').length;
+        const oldStart = oldCount > 0 ? slice[0].oldLine + 1 : slice[0].oldLine;
+        const newStart = newCount > 0 ? slice[0].newLine + 1 : slice[0].newLine;
+        output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        slice.forEach((op) => output.push(op.type + op.line));
+    });
+    return output.join('\n') + '\n';
+};
+
+// Text files are valid UTF-8 without NUL bytes
+const isText = (buffer) => !buffer.includes(0)
+    && Buffer.from(buffer.toString('utf8'), 'utf8').equals(buffer);
+
+module.exports = {
+    isText,
+    unifiedDiff
+};
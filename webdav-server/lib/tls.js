@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { logger } = require('./logger');
+
+const TLS_MODES = ['off', 'on', 'both'];
+
+// Renew a generated certificate this long before it expires
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+const DEV_CERT_DAYS = 30;
+
+// A generated certificate that is still usable for at least a day
+const isUsableCertificate = (certFile, keyFile) => {
+    try {
+        const certificate = new crypto.X509Certificate(fs.readFileSync(certFile));
+        fs.accessSync(keyFile, fs.constants.R_OK);
+        return new Date(certificate.validTo).getTime() - Date.now() > RENEW_BEFORE_MS;
+    } catch (err) {
+        return false;
+    }
+};
+
+/**
+ * Self-signed certificate for localhost in certDir, generated with the
+ * openssl command line tool on first use and again when it is about to expire.
+ *
+ * @returns {{ certFile: string, keyFile: string }}
+ */
+const ensureDevCertificate = (certDir) => {
+    const certFile = path.join(certDir, 'localhost-cert.pem');
+    const keyFile = path.join(certDir, 'localhost-key.pem');
+    if (isUsableCertificate(certFile, keyFile)) {
+        return { certFile, keyFile };
+    }
+
+    logger.info('Generating a self-signed development certificate in:', certDir);
+    fs.mkdirSync(certDir, { recursive: true });
+    try {
+        execFileSync('openssl', [
+            'req', '-x509',
+            '-newkey', 'rsa:2048',
+            '-nodes',
+            '-sha256',
+            '-days', String(DEV_CERT_DAYS),
+            '-subj', '/CN=localhost',
+            '-addext', 'subjectAltName=DNS:localhost,IP:127.0.0.1,IP:::1',
+            '-keyout', keyFile,
+            '-out', certFile
+        ], { stdio: 'pipe' });
+    } catch (err) {
+        const detail = err.code === 'ENOENT' ? 'openssl is not installed' : String(err.stderr || err.message).trim();
+        throw new Error(`Could not generate a self-signed certificate: ${detail}`);
+    }
+    fs.chmodSync(keyFile, 0o600);
+    return { certFile, keyFile };
+};
+
+/**
+ * Certificate and key for the HTTPS listener.
+ *
+ * Uses certFile/keyFile when both are given. Otherwise, if allowSelfSigned
+ * is set (development), falls back to a generated self-signed certificate;
+ * in production a missing certificate is an error.
+ *
+ * @returns {{ cert: Buffer, key: Buffer, selfSigned: boolean }}
+ */
+const loadTlsOptions = ({ certFile, keyFile, devCertDir, allowSelfSigned }) => {
+    if (!!certFile !== !!keyFile) {
+        throw new Error('Set both WEBDAV_TLS_CERT and WEBDAV_TLS_KEY, or neither');
+    }
+    if (certFile) {
+        return { cert: fs.readFileSync(certFile), key: fs.readFileSync(keyFile), selfSigned: false };
+    }
+    if (!allowSelfSigned) {
+        throw new Error('HTTPS is enabled but WEBDAV_TLS_CERT and WEBDAV_TLS_KEY are not set');
+    }
+
+    const dev = ensureDevCertificate(devCertDir);
+    return { cert: fs.readFileSync(dev.certFile), key: fs.readFileSync(dev.keyFile), selfSigned: true };
+};
+
+/**
+ * Middleware answering plain HTTP requests with a 308 redirect to the same
+ * URL on the HTTPS listener. 308 keeps the method and body, so WebDAV
+ * clients repeat a PUT or PROPFIND as is.
+ */
+const redirectToHttps = (httpsPort) => (req, res, next) => {
+    if (req.secure) {
+        return next();
+    }
+    const host = (req.headers.host || 'localhost').replace(/:\d+$/, '');
+    const port = Number(httpsPort) === 443 ? '' : `:${httpsPort}`;
+    res.redirect(308, `https://${host}${port}${req.originalUrl}`);
+};
+
+// Middleware adding Strict-Transport-Security to responses sent over HTTPS
+const hsts = ({ maxAge, includeSubDomains = false }) => {
+    const value = `max-age=${maxAge}${includeSubDomains ? '; includeSubDomains' : ''}`;
+    return (req, res, next) => {
+        if (req.secure) {
+            res.setHeader('Strict-Transport-Security', value);
+        }
+        next();
+    };
+};
+
+module.exports = {
+    TLS_MODES,
+    ensureDevCertificate,
+    loadTlsOptions,
+    redirectToHttps,
+    hsts
+};
@@ -0,0 +1,134 @@
+const webdav = require('webdav-server').v2;
+
+const { Errors, HTTPCodes, Path, StandardMethods } = webdav;
+
+// Path of the Destination header relative to the WebDAV mount, or null when missing
+const destinationPath = (ctx) => {
+    let destination = ctx.headers.find('Destination');
+    if (!destination) {
+        return null;
+    }
+
+    const schemeEnd = destination.indexOf('://');
+    if (schemeEnd !== -1) {
+        destination = destination.substring(schemeEnd + 3);
+        destination = destination.substring(destination.indexOf('/'));
+    }
+    if (ctx.rootPath && destination.startsWith(ctx.rootPath)) {
+        destination = destination.substring(ctx.rootPath.length);
+    }
+
+    const result = new Path(destination);
+    result.decode();
+    return result;
+};
+
+/**
+ * MOVE and COPY with the status codes RFC 4918 asks for.
+ *
+ * The stock webdav-server commands treat "/a.txt" -> "/a.txt.bak" as a move
+ * into a descendant (502), answer a missing destination folder with 500 and,
+ * on a PhysicalFileSystem, let COPY replace an existing file even with
+ * "Overwrite: F". This keeps their behaviour otherwise:
+ *
+ * - 201 Created, or 204 No Content when an existing resource was replaced
+ * - 403 when source and destination are the same, 404 when the source is missing
+ * - 409 when the destination folder does not exist
+ * - 412 when the destination exists and Overwrite is "F"; a missing
+ *   Overwrite header means "T" (RFC 4918, section 10.6)
+ * - 502 when a folder would be moved or copied into itself
+ */
+class TransferCommand {
+    constructor(methodName) {
+        this.methodName = methodName;
+    }
+
+    isValidFor(ctx, type) {
+        return !!type;
+    }
+
+    unchunked(ctx, data, callback) {
+        ctx.noBodyExpected(() => {
+            ctx.getResource((e, resource) => {
+                ctx.checkIfHeader(resource, () => this.execute(ctx, resource, callback));
+            });
+        });
+    }
+
+    execute(ctx, resource, callback) {
+        const overwrite = ctx.headers.find('Overwrite') !== 'F';
+        const destination = destinationPath(ctx);
+        if (!destination) {
+            ctx.setCode(HTTPCodes.BadRequest);
+            return callback();
+        }
+
+        const source = ctx.requested.path.toString(true);
+        const target = destination.toString(true);
+        if (target === source) {
+            ctx.setCode(HTTPCodes.Forbidden);
+            return callback();
+        }
+        if (target.startsWith(source.endsWith('/') ? source : source + '/')) {
+            ctx.setCode(HTTPCodes.BadGateway);
+            return callback();
+        }
+
+        const done = (err, overwritten) => {
+            if (err) {
+                if (err === Errors.ResourceAlreadyExists) {
+                    ctx.setCode(HTTPCodes.PreconditionFailed);
+                } else if (!ctx.setCodeFromError(err)) {
+                    ctx.setCode(HTTPCodes.InternalServerError);
+                }
+            } else {
+                ctx.setCode(overwritten ? HTTPCodes.NoContent : HTTPCodes.Created);
+            }
+            callback();
+        };
+
+        resource.type((sourceErr) => {
+            if (sourceErr) {
+                return done(sourceErr);
+            }
+            this.checkDestination(ctx, resource, destination, overwrite, done);
+        });
+    }
+
+    checkDestination(ctx, resource, destination, overwrite, done) {
+        ctx.server.getFileSystem(destination, (destFs, destRootPath, destSubPath) => {
+            destFs.type(ctx, destSubPath.getParent(), (parentErr, parentType) => {
+                if (parentErr === Errors.ResourceNotFound || (parentType && !parentType.isDirectory)) {
+                    return done(Errors.IntermediateResourceMissing);
+                }
+                if (parentErr) {
+                    return done(parentErr);
+                }
+
+                destFs.type(ctx, destSubPath, (typeErr) => {
+                    if (!typeErr && !overwrite) {
+                        return done(Errors.ResourceAlreadyExists);
+                    }
+                    // PhysicalFileSystem does not always report a replaced resource
+                    const existed = !typeErr;
+                    this.transfer(ctx, resource, destFs, destSubPath, overwrite, (err, overwritten) => {
+                        done(err, overwritten || existed);
+                    });
+                });
+            });
+        });
+    }
+
+    transfer(ctx, resource, destFs, destSubPath, overwrite, callback) {
+        if (destFs !== resource.fs) {
+            const standard = this.methodName === 'move' ? StandardMethods.standardMove : StandardMethods.standardCopy;
+            return standard(ctx, resource.path, resource.fs, destSubPath, destFs, overwrite, callback);
+        }
+        resource[this.methodName](destSubPath, overwrite, callback);
+    }
+}
+
+module.exports = {
+    TransferCommand,
+    destinationPath
+};
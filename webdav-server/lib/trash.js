@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const webdav = require('webdav-server').v2;
+const { isWithin, normalizePath } = require('./acl');
+const { diskUsage } = require('./quotas');
+const { logger } = require('./logger');
+
+const { Errors, LocalLockManager, LocalPropertyManager, PhysicalFileSystemResource } = webdav;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Rename, falling back to copy and delete when source and target are on different devices
+const moveAcross = async (from, to) => {
+    try {
+        await fs.promises.rename(from, to);
+    } catch (err) {
+        if (err.code !== 'EXDEV') {
+            throw err;
+        }
+        await fs.promises.cp(from, to, { recursive: true, preserveTimestamps: true });
+        await fs.promises.rm(from, { recursive: true, force: true });
+    }
+};
+
+const exists = async (target) => {
+    try {
+        await fs.promises.lstat(target);
+        return true;
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return false;
+        }
+        throw err;
+    }
+};
+
+// A folder in the way of the destination is a conflict; a vanished entry is gone
+const restoreError = (err) => {
+    if (err && (err.code === 'ENOTDIR' || err.code === 'EEXIST')) {
+        return Errors.ResourceAlreadyExists;
+    }
+    if (err && err.code === 'ENOENT') {
+        return Errors.ResourceNotFound;
+    }
+    return err;
+};
+
+// Entry as shown to clients, without the saved dead properties
+const summarize = ({ properties, ...entry }) => entry;
+
+/**
+ * Per-user recycle bin on disk.
+ *
+ * Every deleted resource is moved to <dir>/<user>/<id>, next to an
+ * <id>.json file recording where it came from and when it was deleted.
+ * Entries older than retentionDays are purged by purgeExpired; 0 keeps
+ * them until the user purges them.
+ */
+class Trash {
+    constructor({ dir, retentionDays = 30 }) {
+        this.dir = dir;
+        this.retentionDays = retentionDays;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    userDir(username) {
+        return path.join(this.dir, encodeURIComponent(username));
+    }
+
+    payloadPath(username, id) {
+        return path.join(this.userDir(username), id);
+    }
+
+    /**
+     * Move a physical file or folder into the user's trash.
+     *
+     * @param {string} username Owner of the trash
+     * @param {string} source Physical path of the deleted resource
+     * @param {object} details originalPath, isDirectory and the dead
+     *   properties of the resource and its descendants, by relative path
+     */
+    async put(username, source, { originalPath, isDirectory, properties = {} }) {
+        const id = crypto.randomUUID();
+        const payload = this.payloadPath(username, id);
+        await fs.promises.mkdir(this.userDir(username), { recursive: true });
+        await moveAcross(source, payload);
+
+        const entry = {
+            id,
+            name: path.posix.basename(originalPath),
+            originalPath,
+            isDirectory,
+            size: await diskUsage(payload),
+            deletedAt: new Date().toISOString(),
+            deletedBy: username,
+            properties
+        };
+        try {
+            await fs.promises.writeFile(`${payload}.json`, JSON.stringify(entry));
+        } catch (err) {
+            await moveAcross(payload, source);
+            throw err;
+        }
+        return summarize(entry);
+    }
+
+    // Full entry, including saved properties, or null when there is none
+    async get(username, id) {
+        if (!ID_PATTERN.test(id)) {
+            return null;
+        }
+        const payload = this.payloadPath(username, id);
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(`${payload}.json`, 'utf8'));
+            return await exists(payload) ? entry : null;
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw err;
+        }
+    }
+
+    // The user's entries, most recently deleted first
+    async list(username) {
+        let names;
+        try {
+            names = await fs.promises.readdir(this.userDir(username));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return [];
+            }
+            throw err;
+        }
+        const entries = await Promise.all(names
+            .filter((name) => name.endsWith('.json'))
+            .map((name) => this.get(username, name.slice(0, -'.json'.length)).catch((err) => {
+                logger.error('Ignoring unreadable trash entry:', name, err.message);
+                return null;
+            })));
+        return entries
+            .filter(Boolean)
+            .map(summarize)
+            .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    // Delete an entry for good; false when it does not exist
+    async purge(username, id) {
+        if (!ID_PATTERN.test(id)) {
+            return false;
+        }
+        const payload = this.payloadPath(username, id);
+        const found = await exists(`${payload}.json`);
+        await fs.promises.rm(payload, { recursive: true, force: true });
+        await fs.promises.rm(`${payload}.json`, { force: true });
+        return found;
+    }
+
+    // Purge all of a user's entries and return how many there were
+    async empty(username) {
+        const entries = await this.list(username);
+        for (const entry of entries) {
+            await this.purge(username, entry.id);
+        }
+        return entries.length;
+    }
+
+    // Purge every entry deleted more than retentionDays ago
+    async purgeExpired(now = Date.now()) {
+        if (!(this.retentionDays > 0)) {
+            return 0;
+        }
+        const cutoff = new Date(now - this.retentionDays * DAY_MS).toISOString();
+        let purged = 0;
+        for (const dirName of await fs.promises.readdir(this.dir)) {
+            const username = decodeURIComponent(dirName);
+            for (const entry of await this.list(username)) {
+                if (entry.deletedAt < cutoff) {
+                    await this.purge(username, entry.id);
+                    purged++;
+                }
+            }
+        }
+        return purged;
+    }
+
+    // Purge expired entries now and then every intervalSeconds
+    startCleanup(intervalSeconds = 3600) {
+        const run = () => this.purgeExpired()
+            .then((purged) => {
+                if (purged > 0) {
+                    logger.info(`Purged ${purged} expired trash entries`);
+                }
+            })
+            .catch((err) => logger.error('Error purging the trash:', err));
+        run();
+        setInterval(run, intervalSeconds * 1000).unref();
+    }
+}
+
+/**
+ * Wrap a PhysicalFileSystem class so deleting a resource moves it into the
+ * deleting user's trash instead of erasing it. FileSystem.delete still
+ * checks privileges and locks first; descendants locked by someone else
+ * block the delete, as they do in the stock recursive delete.
+ *
+ * Deletes without a user (internal operations) are not kept.
+ */
+const withTrash = (Base, trash) => class extends Base {
+    _delete(resourcePath, info, callback) {
+        const user = info.context && info.context.user;
+        if (!user || user.isDefaultUser) {
+            return super._delete(resourcePath, info, callback);
+        }
+
+        const target = resourcePath.toString();
+        const tracked = Object.keys(this.resources)
+            .filter((key) => this.resources[key] && isWithin(key, target));
+
+        this.checkDescendantLocks(info.context, tracked.filter((key) => key !== target), (lockErr) => {
+            if (lockErr) {
+                return callback(lockErr);
+            }
+            this.type(info.context, resourcePath, (typeErr, type) => {
+                if (typeErr) {
+                    return callback(Errors.ResourceNotFound);
+                }
+
+                const properties = {};
+                tracked.forEach((key) => {
+                    const saved = this.resources[key].props && this.resources[key].props.properties;
+                    if (saved && Object.keys(saved).length > 0) {
+                        properties[key.slice(target.length) || '/'] = saved;
+                    }
+                });
+
+                trash.put(user.username, this.getRealPath(resourcePath).realPath, {
+                    originalPath: target,
+                    isDirectory: type.isDirectory,
+                    properties
+                }).then(() => {
+                    tracked.forEach((key) => delete this.resources[key]);
+                    callback();
+                }, callback);
+            });
+        });
+    }
+
+    checkDescendantLocks(ctx, descendants, callback) {
+        const locked = descendants.filter((key) => this.resources[key].locks
+            && this.resources[key].locks.locks.length > 0);
+        let pending = locked.length;
+        if (pending === 0) {
+            return callback(null);
+        }
+        locked.forEach((key) => {
+            this.isLocked(ctx, new webdav.Path(key), (err, isLocked) => {
+                if (pending <= 0) {
+                    return;
+                }
+                if (err || isLocked) {
+                    pending = -1;
+                    return callback(err || Errors.Locked);
+                }
+                if (--pending === 0) {
+                    callback(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Move a trash entry back to its original path, or to `destination`.
+     * Fails with ResourceNotFound for an unknown entry, NotEnoughPrivilege
+     * without write access, Locked when the destination is locked and
+     * ResourceAlreadyExists when something is already there. Missing
+     * parent folders are recreated.
+     */
+    restoreFromTrash(ctx, id, destination, callback) {
+        trash.get(ctx.user.username, id).then((entry) => {
+            if (!entry) {
+                return callback(Errors.ResourceNotFound);
+            }
+            const target = normalizePath(destination || entry.originalPath);
+            const targetPath = new webdav.Path(target);
+            if (targetPath.isRoot()) {
+                return callback(Errors.ResourceAlreadyExists);
+            }
+
+            this.checkPrivilege(ctx, targetPath, 'canWrite', (privilegeErr, can) => {
+                if (privilegeErr || !can) {
+                    return callback(privilegeErr || Errors.NotEnoughPrivilege);
+                }
+                this.isLocked(ctx, targetPath, (lockErr, locked) => {
+                    if (lockErr || locked) {
+                        return callback(lockErr || Errors.Locked);
+                    }
+                    const realPath = this.getRealPath(targetPath).realPath;
+                    exists(realPath)
+                        .then(async (taken) => {
+                            if (taken) {
+                                throw Errors.ResourceAlreadyExists;
+                            }
+                            await fs.promises.mkdir(path.dirname(realPath), { recursive: true });
+                            await moveAcross(trash.payloadPath(ctx.user.username, id), realPath);
+                            await trash.purge(ctx.user.username, id);
+
+                            Object.keys(entry.properties || {}).forEach((relative) => {
+                                const resource = new PhysicalFileSystemResource();
+                                resource.props = new LocalPropertyManager({ properties: entry.properties[relative] });
+                                resource.locks = new LocalLockManager();
+                                this.resources[relative === '/' ? target : target + relative] = resource;
+                            });
+                            callback(null, { ...summarize(entry), restoredTo: target });
+                        })
+                        .catch((err) => callback(restoreError(err)));
+                });
+            });
+        }, callback);
+    }
+};
+
+/**
+ * Trash settings from WEBDAV_TRASH_DIR ("off" disables the trash; relative
+ * to the data directory, default .webdav-trash) and
+ * WEBDAV_TRASH_RETENTION_DAYS (default 30, 0 keeps entries forever).
+ */
+const loadTrash = ({ dataDir, env = process.env }) => {
+    if (env.WEBDAV_TRASH_DIR === 'off') {
+        return null;
+    }
+    const retentionDays = env.WEBDAV_TRASH_RETENTION_DAYS !== undefined
+        ? Number(env.WEBDAV_TRASH_RETENTION_DAYS)
+        : 30;
+    if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+        throw new Error(`Invalid WEBDAV_TRASH_RETENTION_DAYS: ${env.WEBDAV_TRASH_RETENTION_DAYS}`);
+    }
+    return new Trash({
+        dir: path.resolve(dataDir, env.WEBDAV_TRASH_DIR || '.webdav-trash'),
+        retentionDays
+    });
+};
+
+module.exports = {
+    Trash,
+    loadTrash,
+    withTrash
+};
@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+const { logger } = require('./logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const RANGE_PATTERN = /^bytes (\d+)-(\d+)\/(\d+)$/;
+
+// Thrown for chunks that do not fit the session; status is the HTTP answer
+class ChunkError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Parse a "Content-Range: bytes <start>-<end>/<total>" header into
+ * { start, end, total } (end inclusive), or null.
+ */
+const parseContentRange = (header) => {
+    const match = RANGE_PATTERN.exec(header || '');
+    if (!match) {
+        return null;
+    }
+    const [start, end, total] = match.slice(1).map(Number);
+    return end >= start && end < total ? { start, end, total } : null;
+};
+
+// Pass bytes through, failing once more than limit have gone by
+const byteLimit = (limit) => {
+    let seen = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            seen += chunk.length;
+            callback(seen > limit ? new ChunkError(400, 'The body is longer than its Content-Range') : null, chunk);
+        }
+    });
+};
+
+/**
+ * Resumable upload sessions. A session stages one file in
+ * <dir>/<id>.part, filled in order by chunks sent with Content-Range, and
+ * records its progress in <dir>/<id>.json so uploads survive restarts.
+ * Once every byte has arrived the staged file is moved into place in one
+ * step (see DavServerPool.commitUpload). Sessions untouched for
+ * expiryHours are deleted by purgeExpired. A user has at most maxSessions
+ * sessions open at once.
+ */
+class UploadSessions {
+    constructor({ dir, expiryHours = 24, chunkSize = 8 * 1024 * 1024, maxSessions = 10 }) {
+        this.dir = dir;
+        this.expiryHours = expiryHours;
+        this.chunkSize = chunkSize;
+        this.maxSessions = maxSessions;
+        this.writing = new Set();
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    sessionFile(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    partFile(id) {
+        return path.join(this.dir, `${id}.part`);
+    }
+
+    async save(session) {
+        const file = this.sessionFile(session.id);
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(session));
+        await fs.promises.rename(`${file}.tmp`, file);
+    }
+
+    expiresAt(session) {
+        return new Date(Date.parse(session.updatedAt) + this.expiryHours * HOUR_MS).toISOString();
+    }
+
+    // Session as shown to clients
+    summarize(session) {
+        return { ...session, chunkSize: this.chunkSize, expiresAt: this.expiresAt(session) };
+    }
+
+    // Start staging `size` bytes for owner's resourcePath; fails with a 429 ChunkError past maxSessions
+    async create({ owner, path: resourcePath, size }) {
+        if ((await this.list(owner)).length >= this.maxSessions) {
+            throw new ChunkError(429, `At most ${this.maxSessions} uploads can be unfinished at once; complete or discard one first`);
+        }
+        const now = new Date().toISOString();
+        const session = {
+            id: crypto.randomUUID(),
+            owner,
+            path: resourcePath,
+            size,
+            received: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+        await fs.promises.writeFile(this.partFile(session.id), '');
+        await this.save(session);
+        return session;
+    }
+
+    // One of owner's live sessions, or null
+    async get(id, owner) {
+        if (!ID_PATTERN.test(id)) {
+            return null;
+        }
+        let session;
+        try {
+            session = JSON.parse(await fs.promises.readFile(this.sessionFile(id), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return null;
+            }
+            throw err;
+        }
+        if (session.owner !== owner || this.expiresAt(session) <= new Date().toISOString()) {
+            return null;
+        }
+        return session;
+    }
+
+    // Owner's live sessions, most recently active first
+    async list(owner) {
+        const sessions = [];
+        for (const name of await fs.promises.readdir(this.dir)) {
+            if (name.endsWith('.json')) {
+                const session = await this.get(name.slice(0, -'.json'.length), owner);
+                if (session) {
+                    sessions.push(session);
+                }
+            }
+        }
+        return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Write one chunk from `body` at range.start. Chunks must continue the
+     * staged data (start <= received, so a retried chunk may overlap it)
+     * and be at most chunkSize long. Resolves to the updated session.
+     */
+    async writeChunk(session, range, body) {
+        if (range.total !== session.size) {
+            throw new ChunkError(400, `The upload is ${session.size} bytes, not ${range.total}`);
+        }
+        if (range.start > session.received) {
+            throw new ChunkError(409, `Expected a chunk starting at byte ${session.received}`);
+        }
+        const length = range.end - range.start + 1;
+        if (length > this.chunkSize) {
+            throw new ChunkError(413, `Chunks are at most ${this.chunkSize} bytes`);
+        }
+        if (this.writing.has(session.id)) {
+            throw new ChunkError(409, 'Another chunk of this upload is being written');
+        }
+
+        this.writing.add(session.id);
+        try {
+            const output = fs.createWriteStream(this.partFile(session.id), { flags: 'r+', start: range.start });
+            await pipeline(body, byteLimit(length), output);
+            if (output.bytesWritten !== length) {
+                throw new ChunkError(400, `Expected ${length} bytes, got ${output.bytesWritten}`);
+            }
+            session.received = Math.max(session.received, range.end + 1);
+            session.updatedAt = new Date().toISOString();
+            await this.save(session);
+            return session;
+        } finally {
+            this.writing.delete(session.id);
+        }
+    }
+
+    async remove(id) {
+        await fs.promises.rm(this.partFile(id), { force: true });
+        await fs.promises.rm(this.sessionFile(id), { force: true });
+    }
+
+    // Delete sessions untouched for expiryHours
+    async purgeExpired(now = Date.now()) {
+        let purged = 0;
+        for (const name of await fs.promises.readdir(this.dir)) {
+            if (!name.endsWith('.json')) {
+                continue;
+            }
+            const id = name.slice(0, -'.json'.length);
+            try {
+                const session = JSON.parse(await fs.promises.readFile(this.sessionFile(id), 'utf8'));
+                if (Date.parse(this.expiresAt(session)) > now || this.writing.has(id)) {
+                    continue;
+                }
+            } catch (err) {
+                // Unreadable session files are dropped as well
+            }
+            await this.remove(id);
+            purged++;
+        }
+        return purged;
+    }
+
+    // Purge now and then every intervalSeconds
+    startCleanup(intervalSeconds = 3600) {
+        const run = () => this.purgeExpired()
+            .then((purged) => {
+                if (purged > 0) {
+                    logger.info(`Purged ${purged} stale upload sessions`);
+                }
+            })
+            .catch((err) => logger.error('Error purging upload sessions:', err));
+        run();
+        setInterval(run, intervalSeconds * 1000).unref();
+    }
+}
+
+/**
+ * Upload session settings from WEBDAV_UPLOADS_DIR ("off" disables
+ * resumable uploads; relative to the data directory, default
+ * .webdav-uploads), WEBDAV_UPLOAD_EXPIRY_HOURS (default 24),
+ * WEBDAV_UPLOAD_CHUNK_SIZE (largest chunk in bytes, default 8 MiB) and
+ * WEBDAV_UPLOAD_MAX_SESSIONS (open sessions per user, default 10).
+ */
+const loadUploads = ({ dataDir, env = process.env }) => {
+    if (env.WEBDAV_UPLOADS_DIR === 'off') {
+        return null;
+    }
+    const expiryHours = env.WEBDAV_UPLOAD_EXPIRY_HOURS !== undefined ? Number(env.WEBDAV_UPLOAD_EXPIRY_HOURS) : 24;
+    if (!Number.isFinite(expiryHours) || expiryHours <= 0) {
+        throw new Error(`Invalid WEBDAV_UPLOAD_EXPIRY_HOURS: ${env.WEBDAV_UPLOAD_EXPIRY_HOURS}`);
+    }
+    const chunkSize = env.WEBDAV_UPLOAD_CHUNK_SIZE !== undefined ? Number(env.WEBDAV_UPLOAD_CHUNK_SIZE) : 8 * 1024 * 1024;
+    if (!Number.isInteger(chunkSize) || chunkSize < 1) {
+        throw new Error(`Invalid WEBDAV_UPLOAD_CHUNK_SIZE: ${env.WEBDAV_UPLOAD_CHUNK_SIZE}`);
+    }
+    const maxSessions = env.WEBDAV_UPLOAD_MAX_SESSIONS !== undefined ? Number(env.WEBDAV_UPLOAD_MAX_SESSIONS) : 10;
+    if (!Number.isInteger(maxSessions) || maxSessions < 1) {
+        throw new Error(`Invalid WEBDAV_UPLOAD_MAX_SESSIONS: ${env.WEBDAV_UPLOAD_MAX_SESSIONS}`);
+    }
+    return new UploadSessions({
+        dir: path.resolve(dataDir, env.WEBDAV_UPLOADS_DIR || '.webdav-uploads'),
+        expiryHours,
+        chunkSize,
+        maxSessions
+    });
+};
+
+module.exports = {
+    ChunkError,
+    UploadSessions,
+    loadUploads,
+    parseContentRange
+};
@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const webdav = require('webdav-server').v2;
+const { parseSize } = require('./quotas');
+const { DEFAULT_REALM, authRealm, digestHa1 } = require('./auth');
+const { logger } = require('./logger');
+
+// Usernames double as directory names under the data root, so keep them
+// to a conservative character set and never let them start with a dot.
+const USERNAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9._-]*$/;
+
+const SCRYPT_KEYLEN = 32;
+
+// Hash a plain-text password into the "scrypt:<salt>:<hash>" format stored in users files
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+const verifyPasswordHash = (password, passwordHash, callback) => {
+    const [scheme, saltHex, hashHex] = String(passwordHash).split(':');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return callback(new Error('Unsupported password hash format'));
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    crypto.scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length, (err, actual) => {
+        if (err) {
+            return callback(err);
+        }
+        callback(null, crypto.timingSafeEqual(actual, expected));
+    });
+};
+
+// Fingerprint of a verified password, used to skip scrypt on repeated requests
+const fingerprint = (password, passwordHash) => crypto
+    .createHash('sha256')
+    .update(`${passwordHash}\0${password}`)
+    .digest('hex');
+
+// Check the fields of a user record that need no hashing; returns its home directory
+const checkUserRecord = (record) => {
+    const username = record && record.username;
+    if (!username || !USERNAME_PATTERN.test(username)) {
+        throw new Error(`Invalid username: ${JSON.stringify(username)}`);
+    }
+    const hasPassword = record.password !== undefined && record.password !== null;
+    if (!record.passwordHash && !hasPassword) {
+        throw new Error(`User ${username} has neither "passwordHash" nor "password"`);
+    }
+    if (!hasPassword && record.digestHa1 && !/^[0-9a-f]{32}$/i.test(record.digestHa1)) {
+        throw new Error(`Invalid digestHa1 for ${username}`);
+    }
+    const home = record.home || username;
+    if (!USERNAME_PATTERN.test(home)) {
+        throw new Error(`Invalid home directory for ${username}: ${JSON.stringify(home)}`);
+    }
+    if (record.quota !== undefined) {
+        try {
+            parseSize(record.quota);
+        } catch (err) {
+            throw new Error(`User ${username}: ${err.message}`);
+        }
+    }
+    return home;
+};
+
+/**
+ * User store shared by the Express middleware and the WebDAV server.
+ *
+ * Implements webdav-server's IListUserManager and ITestableUserManager so it
+ * can be handed straight to an HTTPAuthentication instance. Users also get
+ * the Digest "HA1" secret for `realm` when their password is given in plain
+ * text, or when the users file has it as "digestHa1".
+ */
+class UserStore {
+    constructor(records = [], { realm = DEFAULT_REALM } = {}) {
+        this.realm = realm;
+        this.users = new Map();
+        this.verified = new Map();
+        this.defaultUser = {
+            uid: '__default',
+            username: 'DefaultUser',
+            isAdministrator: false,
+            isDefaultUser: true
+        };
+
+        records.forEach((record) => this.addUser(record));
+    }
+
+    addUser(record) {
+        const home = checkUserRecord(record);
+        const username = record.username;
+        if (this.users.has(username)) {
+            throw new Error(`Duplicate user: ${username}`);
+        }
+
+        let passwordHash = record.passwordHash;
+        let ha1 = record.digestHa1 || null;
+        if (!passwordHash) {
+            logger.warn(`User ${username} has a plain-text password; consider storing "passwordHash" instead`);
+            passwordHash = hashPassword(record.password);
+        }
+        if (record.password !== undefined && record.password !== null) {
+            ha1 = digestHa1(username, this.realm, record.password);
+        }
+
+        const user = {
+            uid: username,
+            username,
+            isAdministrator: !!record.admin,
+            isDefaultUser: false,
+            passwordHash,
+            digestHa1: ha1 && ha1.toLowerCase(),
+            home
+        };
+        // Storage limit in bytes (null for none); without one the default quota applies
+        if (record.quota !== undefined) {
+            user.quota = parseSize(record.quota);
+        }
+        this.users.set(username, user);
+        return user;
+    }
+
+    // IListUserManager
+    getUserByName(name, callback) {
+        const user = this.users.get(name);
+        if (!user) {
+            return callback(webdav.Errors.UserNotFound);
+        }
+        callback(null, user);
+    }
+
+    getDefaultUser(callback) {
+        callback(this.defaultUser);
+    }
+
+    getUsers(callback) {
+        callback(null, Array.from(this.users.values()));
+    }
+
+    // ITestableUserManager
+    getUserByNamePassword(name, password, callback) {
+        this.verify(name, password, (err, user) => {
+            if (err || !user) {
+                return callback(webdav.Errors.UserNotFound);
+            }
+            callback(null, user);
+        });
+    }
+
+    /**
+     * Check a username/password pair.
+     *
+     * @param {string} name
+     * @param {string} password
+     * @param {(err: Error|null, user?: object) => void} callback Receives the user, or no user when the credentials are wrong
+     */
+    verify(name, password, callback) {
+        const user = this.users.get(name);
+        if (!user || typeof password !== 'string') {
+            return callback(null, null);
+        }
+
+        const print = fingerprint(password, user.passwordHash);
+        if (this.verified.get(name) === print) {
+            return callback(null, user);
+        }
+
+        verifyPasswordHash(password, user.passwordHash, (err, ok) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!ok) {
+                return callback(null, null);
+            }
+            this.verified.set(name, print);
+            callback(null, user);
+        });
+    }
+}
+
+// Parse the WEBDAV_USERS variable: either a JSON array/object, or "name:password[:admin],..."
+const parseUsersEnv = (value) => {
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+        return normalizeRecords(JSON.parse(trimmed));
+    }
+
+    return trimmed
+        .split(',')
+        .map((entry) => entry.trim())
+        .filter(Boolean)
+        .map((entry) => {
+            const [username, password, flag] = entry.split(':');
+            return { username, password, admin: flag === 'admin' };
+        });
+};
+
+// Check WEBDAV_USERS without building the store (and hashing its passwords)
+const checkUsers = (value) => {
+    const seen = new Set();
+    parseUsersEnv(value).forEach((record) => {
+        checkUserRecord(record);
+        if (seen.has(record.username)) {
+            throw new Error(`Duplicate user: ${record.username}`);
+        }
+        seen.add(record.username);
+    });
+    return value;
+};
+
+// Accept both `[{ username, ... }]` and `{ users: [...] }` / `{ name: { ... } }` layouts
+const normalizeRecords = (parsed) => {
+    if (Array.isArray(parsed)) {
+        return parsed;
+    }
+    if (parsed && Array.isArray(parsed.users)) {
+        return parsed.users;
+    }
+    if (parsed && typeof parsed === 'object') {
+        return Object.keys(parsed).map((username) => ({ username, ...parsed[username] }));
+    }
+    throw new Error('Users configuration must be an array or an object');
+};
+
+/**
+ * Build the user store from, in order of precedence, the WEBDAV_USERS
+ * environment variable, the JSON file named by WEBDAV_USERS_FILE (or
+ * ./users.json next to server.js), or the built-in demo account.
+ */
+const loadUserStore = (options = {}) => {
+    const env = options.env || process.env;
+    const storeOptions = { realm: authRealm(env) };
+    const usersFile = env.WEBDAV_USERS_FILE || path.join(options.baseDir || path.join(__dirname, '..'), 'users.json');
+
+    if (env.WEBDAV_USERS) {
+        logger.info('Loading users from WEBDAV_USERS');
+        return new UserStore(parseUsersEnv(env.WEBDAV_USERS), storeOptions);
+    }
+
+    if (fs.existsSync(usersFile)) {
+        logger.info('Loading users from:', usersFile);
+        const parsed = JSON.parse(fs.readFileSync(usersFile, 'utf8'));
+        return new UserStore(normalizeRecords(parsed), storeOptions);
+    }
+
+    if (env.WEBDAV_USERS_FILE) {
+        throw new Error(`Users file not found: ${usersFile}`);
+    }
+
+    logger.warn('No users configured, falling back to the WebDavDemo demo account');
+    return new UserStore([{
+        username: 'WebDavDemo',
+        passwordHash: hashPassword('WebDavPassword'),
+        digestHa1: digestHa1('WebDavDemo', storeOptions.realm, 'WebDavPassword')
+    }], storeOptions);
+};
+
+module.exports = {
+    UserStore,
+    checkUsers,
+    loadUserStore,
+    hashPassword,
+    verifyPasswordHash
+};
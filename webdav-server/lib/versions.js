@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { isWithin, normalizePath } = require('./acl');
+const { physicalPath } = require('./quotas');
+const { destinationPath } = require('./transfers');
+const { logger } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Why a version was kept, by the method that replaced the file
+const REASONS = { PUT: 'overwrite', DELETE: 'delete', MOVE: 'move', COPY: 'copy' };
+
+const statOrNull = async (target) => {
+    try {
+        return await fs.promises.stat(target);
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') {
+            return null;
+        }
+        throw err;
+    }
+};
+
+// Version as shown to clients
+const summarize = ({ sourceMtimeMs, ...version }) => version;
+
+/**
+ * Previous contents of files, kept whenever a file is overwritten, moved or
+ * copied over, or deleted.
+ *
+ * Each file's history lives in <dir>/<scope>/<sha1 of its path>/: an
+ * index.json listing the versions, newest first, and one copy per version.
+ * A scope is one WebDAV root. Histories keep at most maxVersions versions,
+ * none older than maxAgeDays (0: no age limit), and follow files when they
+ * are moved. Which paths have a history is read once at startup and then
+ * kept up to date, so a MOVE does not have to read every index.
+ */
+class Versions {
+    constructor({ dir, maxVersions = 10, maxAgeDays = 30 }) {
+        this.dir = dir;
+        this.maxVersions = maxVersions;
+        this.maxAgeDays = maxAgeDays;
+        this.queues = new Map();
+        fs.mkdirSync(dir, { recursive: true });
+        this.histories = this.readHistories();
+    }
+
+    // Map of scope directory to a map of file path to history directory
+    readHistories() {
+        const histories = new Map();
+        for (const scopeName of fs.readdirSync(this.dir)) {
+            const scopeDir = path.join(this.dir, scopeName);
+            const paths = new Map();
+            for (const name of fs.readdirSync(scopeDir)) {
+                try {
+                    const index = JSON.parse(fs.readFileSync(path.join(scopeDir, name, 'index.json'), 'utf8'));
+                    paths.set(index.path, path.join(scopeDir, name));
+                } catch (err) {
+                    logger.warn(`Skipping unreadable file history ${name}:`, err.message);
+                }
+            }
+            histories.set(scopeDir, paths);
+        }
+        return histories;
+    }
+
+    // Record whether a history has versions left
+    track(historyDir, index) {
+        const scopeDir = path.dirname(historyDir);
+        if (!this.histories.has(scopeDir)) {
+            this.histories.set(scopeDir, new Map());
+        }
+        if (index.versions.length > 0) {
+            this.histories.get(scopeDir).set(index.path, historyDir);
+        } else {
+            this.histories.get(scopeDir).delete(index.path);
+        }
+    }
+
+    scopeDir(scope) {
+        return path.join(this.dir, encodeURIComponent(scope));
+    }
+
+    historyDir(scope, resourcePath) {
+        const hash = crypto.createHash('sha1').update(normalizePath(resourcePath)).digest('hex');
+        return path.join(this.scopeDir(scope), hash);
+    }
+
+    // Run fn after every earlier update of the same history has finished
+    serialize(historyDir, fn) {
+        const previous = this.queues.get(historyDir) || Promise.resolve();
+        const current = previous.catch(() => {}).then(fn);
+        this.queues.set(historyDir, current);
+        const cleanup = () => {
+            if (this.queues.get(historyDir) === current) {
+                this.queues.delete(historyDir);
+            }
+        };
+        current.then(cleanup, cleanup);
+        return current;
+    }
+
+    async readIndex(historyDir, resourcePath) {
+        try {
+            return JSON.parse(await fs.promises.readFile(path.join(historyDir, 'index.json'), 'utf8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') {
+                return { path: normalizePath(resourcePath), versions: [] };
+            }
+            throw err;
+        }
+    }
+
+    async writeIndex(historyDir, index) {
+        this.track(historyDir, index);
+        if (index.versions.length === 0) {
+            await fs.promises.rm(historyDir, { recursive: true, force: true });
+            return;
+        }
+        await fs.promises.mkdir(historyDir, { recursive: true });
+        const indexFile = path.join(historyDir, 'index.json');
+        await fs.promises.writeFile(`${indexFile}.tmp`, JSON.stringify(index));
+        await fs.promises.rename(`${indexFile}.tmp`, indexFile);
+    }
+
+    // Drop versions beyond maxVersions or older than maxAgeDays, with their files
+    async prune(historyDir, index, now = Date.now()) {
+        const cutoff = this.maxAgeDays > 0 ? new Date(now - this.maxAgeDays * DAY_MS).toISOString() : '';
+        const kept = index.versions
+            .filter((version) => version.savedAt >= cutoff)
+            .slice(0, this.maxVersions);
+        const dropped = index.versions.filter((version) => !kept.includes(version));
+        for (const version of dropped) {
+            await fs.promises.rm(path.join(historyDir, version.id), { force: true });
+        }
+        index.versions = kept;
+        return dropped.length;
+    }
+
+    /**
+     * Keep the current contents of a file before it is replaced. Does
+     * nothing for folders, missing files and files unchanged since their
+     * latest version.
+     *
+     * @returns {Promise<object|null>} The new version
+     */
+    async save(scope, root, resourcePath, { reason, user }) {
+        const source = physicalPath(root, resourcePath);
+        const historyDir = this.historyDir(scope, resourcePath);
+        return this.serialize(historyDir, async () => {
+            const stats = source && await statOrNull(source);
+            if (!stats || !stats.isFile()) {
+                return null;
+            }
+            const index = await this.readIndex(historyDir, resourcePath);
+            const latest = index.versions[0];
+            if (latest && latest.sourceMtimeMs === stats.mtimeMs && latest.size === stats.size) {
+                return null;
+            }
+
+            const version = {
+                id: crypto.randomUUID(),
+                savedAt: new Date().toISOString(),
+                modified: stats.mtime.toISOString(),
+                size: stats.size,
+                reason,
+                user,
+                sourceMtimeMs: stats.mtimeMs
+            };
+            await fs.promises.mkdir(historyDir, { recursive: true });
+            await fs.promises.copyFile(source, path.join(historyDir, version.id));
+            index.versions.unshift(version);
+            await this.prune(historyDir, index);
+            await this.writeIndex(historyDir, index);
+            return summarize(version);
+        });
+    }
+
+    // Versions of a file, newest first
+    async list(scope, resourcePath) {
+        const historyDir = this.historyDir(scope, resourcePath);
+        return this.serialize(historyDir, async () => {
+            const index = await this.readIndex(historyDir, resourcePath);
+            if (await this.prune(historyDir, index) > 0) {
+                await this.writeIndex(historyDir, index);
+            }
+            return index.versions.map(summarize);
+        });
+    }
+
+    // A version and the physical path of its contents, or null
+    async get(scope, resourcePath, id) {
+        if (!ID_PATTERN.test(id)) {
+            return null;
+        }
+        const historyDir = this.historyDir(scope, resourcePath);
+        const version = (await this.list(scope, resourcePath)).find((item) => item.id === id);
+        return version ? { version, file: path.join(historyDir, id) } : null;
+    }
+
+    /**
+     * Move the histories of a file, or of every file below a folder, to
+     * their new paths after a MOVE. Versions already kept at a destination
+     * are merged in.
+     */
+    async rename(scope, fromPath, toPath) {
+        const from = normalizePath(fromPath);
+        const to = normalizePath(toPath);
+        const paths = this.histories.get(this.scopeDir(scope)) || new Map();
+        const moved = [...paths.keys()].filter((filePath) => isWithin(filePath, from));
+
+        for (const filePath of moved) {
+            const sourceDir = paths.get(filePath);
+            const index = await this.readIndex(sourceDir, filePath).catch(() => null);
+            if (!index || index.versions.length === 0) {
+                continue;
+            }
+            const newPath = to + index.path.slice(from.length);
+            const targetDir = this.historyDir(scope, newPath);
+            await this.serialize(targetDir, async () => {
+                const target = await this.readIndex(targetDir, newPath);
+                await fs.promises.mkdir(targetDir, { recursive: true });
+                for (const version of index.versions) {
+                    await fs.promises.rename(path.join(sourceDir, version.id), path.join(targetDir, version.id));
+                }
+                target.versions = target.versions.concat(index.versions)
+                    .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+                await this.prune(targetDir, target);
+                await this.writeIndex(targetDir, target);
+                await fs.promises.rm(sourceDir, { recursive: true, force: true });
+                paths.delete(filePath);
+            });
+        }
+    }
+
+    // Prune every history; versions past maxAgeDays go even if nobody looks
+    async purgeExpired(now = Date.now()) {
+        let purged = 0;
+        for (const scopeName of await fs.promises.readdir(this.dir)) {
+            const scopeDir = path.join(this.dir, scopeName);
+            for (const name of await fs.promises.readdir(scopeDir)) {
+                const historyDir = path.join(scopeDir, name);
+                purged += await this.serialize(historyDir, async () => {
+                    const index = await this.readIndex(historyDir, null);
+                    const dropped = await this.prune(historyDir, index, now);
+                    if (dropped > 0) {
+                        await this.writeIndex(historyDir, index);
+                    }
+                    return dropped;
+                });
+            }
+        }
+        return purged;
+    }
+
+    // Prune now and then every intervalSeconds
+    startCleanup(intervalSeconds = 3600) {
+        const run = () => this.purgeExpired()
+            .then((purged) => {
+                if (purged > 0) {
+                    logger.info(`Purged ${purged} expired file versions`);
+                }
+            })
+            .catch((err) => logger.error('Error pruning file versions:', err));
+        run();
+        setInterval(run, intervalSeconds * 1000).unref();
+    }
+}
+
+/**
+ * Whether the user of ctx has `privilege` on resourcePath and, with
+ * checkLocks, no lock of another user covers it. webdav-server only checks
+ * both once the request is handled, after the beforeRequest hooks.
+ */
+const authorized = (ctx, resourcePath, privilege, checkLocks = true) => new Promise((resolve, reject) => {
+    ctx.getResource(resourcePath, (err, resource) => {
+        if (err) {
+            return reject(err);
+        }
+        resource.fs.checkPrivilege(ctx, resource.path, privilege, (privilegeErr, can) => {
+            if (privilegeErr || !can || !checkLocks) {
+                return privilegeErr ? reject(privilegeErr) : resolve(can);
+            }
+            resource.fs.isLocked(ctx, resource.path, (lockErr, locked) => (lockErr ? reject(lockErr) : resolve(!locked)));
+        });
+    });
+});
+
+/**
+ * beforeRequest hook keeping the current contents of a file that a PUT or
+ * DELETE, or a MOVE or COPY without "Overwrite: F", is about to replace, once
+ * the user may write it; and afterRequest hook moving histories along with
+ * a successful MOVE. Register it after the hooks that may still reject the
+ * request.
+ */
+const keepVersions = (versions, scope, root) => ({
+    before: (ctx, next) => {
+        const method = ctx.request.method.toUpperCase();
+        let target = null;
+        if (method === 'PUT' || method === 'DELETE') {
+            target = ctx.requested.path.toString();
+        } else if ((method === 'MOVE' || method === 'COPY') && ctx.headers.find('Overwrite') !== 'F') {
+            const destination = destinationPath(ctx);
+            target = destination && destination.toString();
+        }
+        if (!target || !ctx.user) {
+            return next();
+        }
+
+        const source = ctx.requested.path.toString();
+        const checks = [authorized(ctx, target, 'canWrite')];
+        if (method === 'MOVE') {
+            checks.push(authorized(ctx, source, 'canWrite'));
+        } else if (method === 'COPY') {
+            checks.push(authorized(ctx, source, 'canRead', false));
+        }
+        Promise.all(checks)
+            .then((allowed) => allowed.every(Boolean)
+                && versions.save(scope, root, target, { reason: REASONS[method], user: ctx.user.username }))
+            .catch((err) => logger.error('Error keeping a file version:', err))
+            .then(() => next());
+    },
+
+    after: (ctx, next) => {
+        const status = ctx.response.statusCode;
+        if (ctx.request.method.toUpperCase() !== 'MOVE' || (status !== 201 && status !== 204)) {
+            return next();
+        }
+        const destination = destinationPath(ctx);
+        if (destination) {
+            versions.rename(scope, ctx.requested.path.toString(), destination.toString())
+                .catch((err) => logger.error('Error moving file versions:', err));
+        }
+        next();
+    }
+});
+
+/**
+ * Versioning settings from WEBDAV_VERSIONS_DIR ("off" disables versioning;
+ * relative to the data directory, default .webdav-versions),
+ * WEBDAV_VERSIONS_MAX (versions per file, default 10) and
+ * WEBDAV_VERSIONS_MAX_AGE_DAYS (default 30, 0 for no age limit).
+ */
+const loadVersions = ({ dataDir, env = process.env }) => {
+    if (env.WEBDAV_VERSIONS_DIR === 'off') {
+        return null;
+    }
+    const maxVersions = env.WEBDAV_VERSIONS_MAX !== undefined ? Number(env.WEBDAV_VERSIONS_MAX) : 10;
+    if (!Number.isInteger(maxVersions) || maxVersions < 1) {
+        throw new Error(`Invalid WEBDAV_VERSIONS_MAX: ${env.WEBDAV_VERSIONS_MAX}`);
+    }
+    const maxAgeDays = env.WEBDAV_VERSIONS_MAX_AGE_DAYS !== undefined ? Number(env.WEBDAV_VERSIONS_MAX_AGE_DAYS) : 30;
+    if (!Number.isFinite(maxAgeDays) || maxAgeDays < 0) {
+        throw new Error(`Invalid WEBDAV_VERSIONS_MAX_AGE_DAYS: ${env.WEBDAV_VERSIONS_MAX_AGE_DAYS}`);
+    }
+    return new Versions({
+        dir: path.resolve(dataDir, env.WEBDAV_VERSIONS_DIR || '.webdav-versions'),
+        maxVersions,
+        maxAgeDays
+    });
+};
+
+module.exports = {
+    Versions,
+    keepVersions,
+    loadVersions
+};
@@ -1,101 +1,1344 @@
 const express = require('express');
-const webdav = require('webdav-server').v2;
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
 const path = require('path');
 const fs = require('fs');
+const { Errors } = require('webdav-server').v2;
+const { loadUserStore } = require('./lib/users');
+const { describeConfig, loadConfig } = require('./lib/config');
+const { cors } = require('./lib/cors');
+const { loadAuthScheme, parseBasicAuth } = require('./lib/auth');
+const { hasDotSegments, loadAcl, normalizePath } = require('./lib/acl');
+const { UrlSigner } = require('./lib/signedUrls');
+const { DavServerPool } = require('./lib/davServers');
+const { loadQuotas, physicalPath } = require('./lib/quotas');
+const { SearchIndex } = require('./lib/search');
+const { ChangeFeed } = require('./lib/changes');
+const { ChunkError, loadUploads, parseContentRange } = require('./lib/uploads');
+const { REFRESH_COOKIE, loadSessions, readCookie, refreshCookie } = require('./lib/sessions');
+const { MODES: SHARE_MODES, SHARE_METHODS, loadShares, renderShareIndex, shareUrl, sharePrincipal } = require('./lib/shares');
+const { loadTrash } = require('./lib/trash');
+const { loadVersions } = require('./lib/versions');
+const { isText, unifiedDiff } = require('./lib/textDiff');
+const { loadTlsOptions, redirectToHttps, hsts } = require('./lib/tls');
+const { AuditLog, redactUrl } = require('./lib/auditLog');
+const { FaultRuleError, loadFaults } = require('./lib/faults');
+const { loadCachePolicy } = require('./lib/caching');
+const { includesFirstByte } = require('./lib/ranges');
+const { loadMounts } = require('./lib/mounts');
+const { runConformance } = require('./lib/conformance');
+const { compareReports, renderHtml, renderComparisonHtml } = require('./lib/conformanceReport');
+const { logger } = require('./lib/logger');
+
+// Run a loader at startup; what it throws stops the server with one message
+const loadOrExit = (load) => {
+    try {
+        return load();
+    } catch (err) {
+        logger.error(err.message);
+        process.exit(1);
+    }
+};
+
+// Settings from config.json (or WEBDAV_CONFIG_FILE) and the environment;
+// see lib/config.js. Bad values stop the server before it listens.
+const config = loadOrExit(() => loadConfig({ baseDir: __dirname }));
+const settings = config.values;
+
+// Without a log file, stdout carries the request log's JSON lines, so
+// every other message goes to stderr
+if (!settings.log.file) {
+    logger.useStderr();
+}
+
+logger.info(`Configuration${config.file ? ` (from ${config.file})` : ''}:`);
+describeConfig(config).forEach((line) => logger.info(`  ${line}`));
+
+// Listeners: "off" (HTTP only), "on" (HTTPS only) or "both" side by side
+const tlsMode = settings.tls.mode;
+const port = settings.port;
+const httpsPort = settings.httpsPort;
 
 // Create Express app
 const app = express();
 
+// JSON-lines request log; to a rotating file when WEBDAV_LOG_FILE is set
+const auditLog = new AuditLog({
+    file: settings.log.file ? path.resolve(__dirname, settings.log.file) : null,
+    level: settings.log.level,
+    maxBytes: settings.log.maxBytes,
+    maxFiles: settings.log.maxFiles
+});
+app.use(auditLog.middleware());
+
+// In "both" mode, optionally send plain HTTP clients to the HTTPS listener
+if (tlsMode === 'both' && settings.tls.httpsRedirect) {
+    app.use(redirectToHttps(httpsPort));
+}
+
+// Strict-Transport-Security on HTTPS responses, when a max-age is configured
+const hstsMaxAge = settings.tls.hstsMaxAge;
+if (tlsMode !== 'off' && hstsMaxAge > 0) {
+    app.use(hsts({
+        maxAge: hstsMaxAge,
+        includeSubDomains: settings.tls.hstsIncludeSubdomains
+    }));
+}
+
 // Ensure data directory exists
-const dataDir = path.join(__dirname, 'data');
+const dataDir = path.resolve(__dirname, settings.dataDir);
 if (!fs.existsSync(dataDir)) {
     fs.mkdirSync(dataDir, { recursive: true });
 }
 
-// Create WebDAV server
-const userManager = new webdav.SimpleUserManager();
-const user = userManager.addUser('WebDavDemo', 'WebDavPassword', false);
+// Load user accounts shared by the /api middleware and the WebDAV servers
+const userStore = loadOrExit(() => loadUserStore({ baseDir: __dirname, env: config.env }));
+
+// How requests prove who they are (WEBDAV_AUTH_SCHEME: basic, digest, proxy
+// or module), for the /api middleware and the WebDAV servers alike
+const authScheme = loadOrExit(() => loadAuthScheme({ userStore, baseDir: __dirname, env: config.env }));
+logger.info(`Authentication scheme: ${authScheme.name} (realm "${authScheme.realm}")`);
+
+// Path-based read/write rules enforced through the WebDAV privilege manager
+const acl = loadOrExit(() => loadAcl({ baseDir: __dirname, env: config.env }));
+
+// Signs the file URLs handed out by /rest/file-url
+const urlSigner = new UrlSigner({
+    secret: settings.signedUrls.secret,
+    ttlSeconds: settings.signedUrls.ttl
+});
+
+const homeMode = settings.homeMode;
+
+// Per-user and per-folder storage limits (quotas.json, WEBDAV_DEFAULT_QUOTA)
+const quotas = loadOrExit(() => loadQuotas({ baseDir: __dirname, homeMode, env: config.env }));
+
+// Deleted resources go to a per-user trash in the data volume (WEBDAV_TRASH_DIR,
+// "off" to delete for good) and are purged after WEBDAV_TRASH_RETENTION_DAYS
+const trash = loadOrExit(() => loadTrash({ dataDir, env: config.env }));
+if (trash) {
+    trash.startCleanup();
+}
+
+// Previous contents of overwritten, moved-over and deleted files
+// (WEBDAV_VERSIONS_DIR, "off" to disable), pruned by count and age
+const versions = loadOrExit(() => loadVersions({ dataDir, env: config.env }));
+if (versions) {
+    versions.startCleanup();
+}
+
+// Staging area of resumable uploads (WEBDAV_UPLOADS_DIR, "off" to disable);
+// sessions idle for WEBDAV_UPLOAD_EXPIRY_HOURS are deleted
+const uploads = loadOrExit(() => loadUploads({ dataDir, env: config.env }));
+if (uploads) {
+    uploads.startCleanup();
+}
+
+// Fault injection for resilience tests (WEBDAV_FAULT_INJECTION=true); rules
+// are edited at runtime through /admin/faults
+const faults = loadOrExit(() => loadFaults({ baseDir: __dirname, env: config.env }));
+
+// Caching headers for CDN tests (WEBDAV_CACHE_RULES) and the webhook told
+// about changed paths (WEBDAV_PURGE_URL)
+const cache = loadCachePolicy(settings.cache);
 
-// Create WebDAV server with physical file system
-const server = new webdav.WebDAVServer({
-    httpAuthentication: new webdav.HTTPBasicAuthentication(userManager, 'Default realm'),
-    rootFileSystem: new webdav.PhysicalFileSystem(dataDir)
+// Share links handed out by /rest/shares; see authenticateShare
+const shares = loadOrExit(() => loadShares({ dataDir, env: config.env }));
+
+// Login sessions of the web client: short-lived bearer tokens plus a
+// refresh token in an HttpOnly cookie; see /rest/auth
+const sessions = loadOrExit(() => loadSessions({ dataDir, ...settings.sessions }));
+
+// Locks and dead properties are saved next to the files, in the data volume
+const stateDir = settings.state.dir === 'off'
+    ? null
+    : path.resolve(dataDir, settings.state.dir);
+
+// Index behind /rest/search, built per root on its first search; the
+// server's own files are left out when they sit inside a shared root
+const search = new SearchIndex({
+    maxTextBytes: settings.search.maxTextBytes,
+    maxIndexTextBytes: settings.search.maxIndexTextBytes,
+    exclude: [stateDir, trash && trash.dir, versions && versions.dir, uploads && uploads.dir, shares.file, sessions.file]
 });
 
-// Initialize WebDAV server
-server.start(() => {
-    console.log('WebDAV server initialized');
+// Changes pushed to the client by /rest/events: those made through WebDAV
+// and, unless WEBDAV_WATCH_DISK=false, those made directly on disk
+const changes = new ChangeFeed({
+    watch: settings.changes.watchDisk,
+    exclude: search.exclude
 });
 
-// CORS middleware
-app.use((req, res, next) => {
-    const origin = req.headers.origin || `https://${req.headers.host}`;
-    console.log('Request origin:', origin);
-    
-    res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PROPFIND, MKCOL, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Depth, Authorization');
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+// Read-only directories and archives, and in-memory scratch folders,
+// mounted at the same paths in every WebDAV root (WEBDAV_MOUNTS)
+const mounts = loadOrExit(() => loadMounts({ baseDir: __dirname, specs: settings.mounts }));
+
+// One WebDAV server per home directory (data/<user>), or a single shared one
+const davServers = loadOrExit(() => new DavServerPool({
+    dataDir,
+    userStore,
+    acl,
+    authScheme,
+    homeMode,
+    sharedRoot: settings.sharedRoot
+        ? path.resolve(dataDir, settings.sharedRoot)
+        : dataDir,
+    maxLockTimeout: settings.locks.maxTimeout,
+    stateDir,
+    saveInterval: settings.state.saveInterval,
+    quotas,
+    trash,
+    versions,
+    search,
+    cache,
+    changes,
+    mounts
+}));
+davServers.hideIfShared(shares.file);
+davServers.hideIfShared(sessions.file);
+if (uploads) {
+    davServers.hideIfShared(uploads.dir);
+}
 
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
+// CORS for the origins of WEBDAV_CORS_ORIGINS (and the server's own);
+// requests from other origins are refused
+app.use(cors(settings.cors));
+
+// Bearer access token of a login session (see /rest/auth/login)
+const authenticateBearer = (req, res, next, token) => {
+    const claims = sessions.verifyAccessToken(token);
+    if (!claims) {
+        res.status(401).json({ error: 'Session expired' });
+        return;
+    }
+    userStore.getUserByName(claims.sub, (err, user) => {
+        if (err) {
+            sessions.revoke(claims.sid, null);
+            res.status(401).json({ error: 'Session expired' });
+            return;
+        }
+        req.davUser = user;
+        req.sessionId = claims.sid;
+        next();
+    });
+};
+
+// Authentication middleware for API and REST routes: a session's bearer
+// token, or the configured scheme (native WebDAV clients, scripts). Bearer
+// tokens that are not sessions' go to a verifier module, which may know them.
+const authenticate = (req, res, next) => {
+    const bearer = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    if (bearer && (authScheme.name !== 'module' || sessions.verifyAccessToken(bearer[1]))) {
+        authenticateBearer(req, res, next, bearer[1]);
+        return;
+    }
+
+    authScheme.authenticate(req, (err, user, stale) => {
+        if (err) {
+            logger.error('Authentication error:', err);
+            res.status(500).json({ error: 'Authentication error' });
+            return;
+        }
+        if (!user) {
+            const challenge = authScheme.challenge(stale);
+            if (challenge) {
+                res.setHeader('WWW-Authenticate', challenge);
+            }
+            if (!req.headers.authorization && authScheme.name !== 'proxy') {
+                auditLog.note(req, 'debug', 'No credentials provided');
+                res.status(401).json({ error: 'Authentication required' });
+                return;
+            }
+            auditLog.note(req, 'debug', 'Authentication failed');
+            res.status(401).json({ error: 'Invalid credentials' });
+            return;
+        }
+
+        auditLog.note(req, 'debug', 'Authenticated', { user: user.username });
+        req.davUser = user;
+        next();
+    });
+};
+
+// Requests carrying a share link token (?share=<token> or X-Share-Token)
+// act as the link's principal instead of a user account. The link's
+// password, if any, is the password of a Basic Authorization header.
+const authenticateShare = (req, res, next) => {
+    const share = shares.find(req.query.share || req.headers['x-share-token']);
+    if (!share) {
+        res.status(404).json({ error: 'Unknown share link' });
+        return;
+    }
+    if (shares.expired(share)) {
+        res.status(410).json({ error: 'This share link has expired' });
+        return;
+    }
+    if (!SHARE_METHODS[share.mode].includes(req.method)) {
+        res.status(405).set('Allow', SHARE_METHODS[share.mode].join(', '))
+            .json({ error: `This share link only allows ${SHARE_METHODS[share.mode].join(', ')}` });
+        return;
+    }
+
+    const credentials = parseBasicAuth(req.headers.authorization);
+    shares.checkPassword(share, credentials && credentials.password, (err, ok) => {
+        if (err || !ok) {
+            res.status(401).set('WWW-Authenticate', 'Basic realm="Shared link"').json({ error: 'Password required' });
+            return;
+        }
+        userStore.getUserByName(share.owner, (ownerErr, owner) => {
+            if (ownerErr) {
+                res.status(410).json({ error: 'The owner of this link no longer exists' });
+                return;
+            }
+            const principal = sharePrincipal(share, owner);
+            req.davUser = principal;
+            // The header held the link password, not account credentials
+            delete req.headers.authorization;
+            auditLog.note(req, 'debug', 'Share link request', { share: share.id });
+
+            if (share.mode === 'upload') {
+                // Upload links add files; they never replace existing ones
+                req.headers['if-none-match'] = '*';
+                next();
+                return;
+            }
+            if (req.method !== 'GET') {
+                next();
+                return;
+            }
+            serveShareGet(req, res, next, share, principal, owner);
+        });
+    });
+};
+
+// GET through a read link: an HTML index for folders, a counted download for files
+const serveShareGet = (req, res, next, share, principal, owner) => {
+    let target;
+    try {
+        target = normalizePath(decodeURIComponent(req.path));
+    } catch (err) {
+        res.status(400).json({ error: 'Malformed path' });
+        return;
+    }
+    // normalizePath resolved any ".." first, so this is the path the disk serves
+    const physical = acl.can(principal, target, 'read') && physicalPath(davServers.rootFor(owner), target);
+    if (!physical) {
+        res.status(403).json({ error: 'Outside the shared path' });
+        return;
+    }
+
+    fs.promises.stat(physical).then(async (stats) => {
+        if (stats.isDirectory()) {
+            if (!req.path.endsWith('/')) {
+                res.redirect(301, `${req.baseUrl}${req.path}/?share=${encodeURIComponent(share.token)}`);
+                return;
+            }
+            const entries = (await fs.promises.readdir(physical, { withFileTypes: true }))
+                .filter((entry) => acl.can(principal, path.posix.join(target, entry.name), 'read'))
+                .map((entry) => ({ name: entry.name, isDirectory: entry.isDirectory() }))
+                .sort((a, b) => (b.isDirectory - a.isDirectory) || a.name.localeCompare(b.name));
+            res.type('html').send(renderShareIndex({ title: path.posix.basename(target) || 'Shared folder', entries, token: share.token }));
+            return;
+        }
+        // Ranges from byte 0 count too, or "Range: bytes=0-" would be an unlimited download
+        if (!req.headers.range || includesFirstByte(req.headers.range, stats.size)) {
+            const giveBack = shares.takeDownload(share);
+            if (!giveBack) {
+                res.status(410).json({ error: 'The download limit of this share link has been reached' });
+                return;
+            }
+            res.on('finish', () => {
+                if (res.statusCode >= 400) {
+                    giveBack();
+                }
+            });
+        }
+        next();
+    }, () => res.status(404).json({ error: 'Not found' }));
+};
+
+// webdav-server keeps "." and ".." in request paths while the disk resolves
+// them, so the ACL and share links would judge another path than is served
+app.use('/api', (req, res, next) => {
+    if (hasDotSegments(req.path) || hasDotSegments(req.headers.destination)) {
+        res.status(400).json({ error: 'Paths must not contain "." or ".." segments' });
+        return;
     }
     next();
 });
 
-// Logging middleware
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`);
-    console.log('Headers:', req.headers);
-    if (req.headers.authorization) {
-        console.log('Authorization header present');
+app.use('/api', (req, res, next) => {
+    if (req.query.share || req.headers['x-share-token']) {
+        authenticateShare(req, res, next);
+        return;
     }
-    next();
+    authenticate(req, res, next);
 });
 
-// Authentication middleware for API routes
+// Largest file a PUT or a resumable upload may bring (WEBDAV_MAX_UPLOAD_SIZE)
+const exceedsUploadLimit = (size) => settings.limits.uploadSize !== null && size > settings.limits.uploadSize;
+
 app.use('/api', (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    if (!authHeader) {
-        console.log('No auth header provided for API route');
-        res.status(401).json({ error: 'Authentication required' });
+    if (req.method !== 'PUT' || settings.limits.uploadSize === null) {
+        next();
+        return;
+    }
+    if (req.headers['content-length'] === undefined) {
+        res.status(411).json({ error: 'Uploads need a Content-Length' });
+        return;
+    }
+    if (exceedsUploadLimit(Number(req.headers['content-length']))) {
+        res.status(413).json({ error: `Files are limited to ${settings.limits.uploadSize} bytes` });
         return;
     }
+    next();
+});
 
-    const base64Credentials = authHeader.split(' ')[1];
-    const credentials = Buffer.from(base64Credentials, 'base64').toString('ascii');
-    const [username, password] = credentials.split(':');
+// Effective rights of the current user on a path, so the client can hide actions
+app.get('/rest/permissions', authenticate, (req, res) => {
+    const target = normalizePath(req.query.path);
+    res.json({
+        path: target,
+        // The WebDAV servers' rights, which mounts can narrow
+        rights: davServers.privilegeManager.rightsFor(req.davUser, target),
+        admin: !!req.davUser.isAdministrator
+    });
+});
 
-    console.log('Login attempt:', { username });
+// Only administrators may use the /admin endpoints
+const requireAdmin = (req, res, next) => {
+    if (!req.davUser.isAdministrator) {
+        res.status(403).json({ error: 'Administrator access required' });
+        return;
+    }
+    next();
+};
 
-    if (username === 'WebDavDemo' && password === 'WebDavPassword') {
-        console.log('Authentication successful');
-        next();
-    } else {
-        console.log('Authentication failed');
-        res.status(401).json({ error: 'Invalid credentials' });
+// Recent request log entries, newest first, for debugging CDN traffic.
+// Filters: method, status ("404" or "4xx"), path (prefix), limit.
+app.get('/admin/logs', authenticate, requireAdmin, (req, res) => {
+    const { method, status, path: pathPrefix } = req.query;
+    if (status && !/^[1-5][0-9x]{2}$/i.test(status)) {
+        res.status(400).json({ error: 'status must look like "404" or "4xx"' });
+        return;
     }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 1000);
+    res.json({ entries: auditLog.query({ method, status, path: pathPrefix, limit }) });
+});
+
+// Measure quota usage again, e.g. after files were changed on disk behind the server's back
+app.post('/admin/quotas/rescan', authenticate, requireAdmin, (req, res) => {
+    quotas.invalidate();
+    logger.info('Quota usage will be measured again:', { user: req.davUser.username });
+    res.sendStatus(204);
+});
+
+const requireFaults = (req, res, next) => {
+    if (!faults) {
+        res.status(404).json({ error: 'Fault injection is disabled' });
+        return;
+    }
+    next();
+};
+
+// Fault injection rules changed by admins are logged with who changed them
+const sendFaultRules = (req, res, action) => {
+    logger.info('Fault injection rules changed:', { action, user: req.davUser.username, rules: faults.list().length });
+    res.json({ rules: faults.list() });
+};
+
+// Fault injection rules, with how often each has fired
+app.get('/admin/faults', authenticate, requireAdmin, requireFaults, (req, res) => {
+    res.json({ rules: faults.list() });
+});
+
+// Replace every rule with { rules: [...] }
+app.put('/admin/faults', authenticate, requireAdmin, requireFaults, express.json({ limit: settings.limits.jsonBody }), (req, res) => {
+    try {
+        faults.setRules(req.body && req.body.rules);
+    } catch (err) {
+        if (err instanceof FaultRuleError) {
+            res.status(400).json({ error: err.message });
+            return;
+        }
+        throw err;
+    }
+    sendFaultRules(req, res, 'replace');
+});
+
+// Add one rule; answers with it, id included
+app.post('/admin/faults', authenticate, requireAdmin, requireFaults, express.json({ limit: settings.limits.jsonBody }), (req, res) => {
+    let rule;
+    try {
+        rule = faults.addRule(req.body);
+    } catch (err) {
+        if (err instanceof FaultRuleError) {
+            res.status(400).json({ error: err.message });
+            return;
+        }
+        throw err;
+    }
+    logger.info('Fault injection rules changed:', { action: 'add', user: req.davUser.username, rule: rule.id });
+    res.status(201).json(rule);
+});
+
+app.delete('/admin/faults/:id', authenticate, requireAdmin, requireFaults, (req, res) => {
+    if (!faults.removeRule(req.params.id)) {
+        res.status(404).json({ error: 'No such rule' });
+        return;
+    }
+    sendFaultRules(req, res, 'remove');
+});
+
+// Remove every rule
+app.delete('/admin/faults', authenticate, requireAdmin, requireFaults, (req, res) => {
+    faults.setRules([]);
+    sendFaultRules(req, res, 'clear');
+});
+
+// Conformance runs started from the client, newest last
+const CONFORMANCE_RUNS_KEPT = 20;
+const conformanceRuns = [];
+
+const findConformanceRun = (id) => conformanceRuns.find((run) => run.id === id);
+
+// Run the WebDAV conformance scenario against a base URL (this server's
+// /api by default, or the same path through a CDN). Admin only, since the
+// server makes the requests.
+app.post('/admin/conformance/runs', authenticate, requireAdmin, express.json({ limit: settings.limits.jsonBody }), async (req, res) => {
+    const { username, password, insecure } = req.body || {};
+    const baseUrl = (req.body && req.body.baseUrl) || `${req.protocol}://${req.get('host')}/api`;
+    let parsed;
+    try {
+        parsed = new URL(baseUrl);
+    } catch (err) {
+        parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        res.status(400).json({ error: 'baseUrl must be an http or https URL' });
+        return;
+    }
+
+    try {
+        const report = await runConformance({ baseUrl, username, password, insecure: !!insecure });
+        const run = { id: crypto.randomUUID(), report };
+        conformanceRuns.push(run);
+        if (conformanceRuns.length > CONFORMANCE_RUNS_KEPT) {
+            conformanceRuns.shift();
+        }
+        res.status(201).json({ id: run.id, report });
+    } catch (err) {
+        logger.error('Conformance run failed:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/admin/conformance/runs', authenticate, requireAdmin, (req, res) => {
+    res.json({
+        runs: conformanceRuns.slice().reverse().map((run) => ({
+            id: run.id,
+            baseUrl: run.report.baseUrl,
+            startedAt: run.report.startedAt,
+            summary: run.report.summary
+        }))
+    });
+});
+
+// One report as JSON, or as a standalone HTML page with ?format=html
+app.get('/admin/conformance/runs/:id', authenticate, requireAdmin, (req, res) => {
+    const run = findConformanceRun(req.params.id);
+    if (!run) {
+        res.status(404).json({ error: 'No such run' });
+        return;
+    }
+    if (req.query.format === 'html') {
+        res.type('html').send(renderHtml(run.report));
+        return;
+    }
+    res.json(run.report);
+});
+
+// Step-by-step differences between two runs (?a=&b=), JSON or HTML
+app.get('/admin/conformance/compare', authenticate, requireAdmin, (req, res) => {
+    const left = findConformanceRun(req.query.a);
+    const right = findConformanceRun(req.query.b);
+    if (!left || !right) {
+        res.status(404).json({ error: 'No such run' });
+        return;
+    }
+    const comparison = compareReports(left.report, right.report);
+    if (req.query.format === 'html') {
+        res.type('html').send(renderComparisonHtml(comparison));
+        return;
+    }
+    res.json(comparison);
+});
+
+const requireTrash = (req, res, next) => {
+    if (!trash) {
+        res.status(404).json({ error: 'The trash is disabled' });
+        return;
+    }
+    next();
+};
+
+// Status codes for the errors restoring a trash entry or a version can fail with
+const RESTORE_ERRORS = new Map([
+    [Errors.NotEnoughPrivilege, [403, 'You may not write to the destination']],
+    [Errors.Locked, [423, 'The destination is locked']],
+    [Errors.ResourceAlreadyExists, [409, 'Something already exists at the destination']],
+    [Errors.InsufficientStorage, [507, 'Restoring would exceed a storage quota']],
+    [Errors.Forbidden, [403, 'Files cannot be restored into a mount']]
+]);
+
+const sendRestoreError = (res, err, notFoundMessage) => {
+    if (err === Errors.ResourceNotFound) {
+        res.status(404).json({ error: notFoundMessage });
+        return;
+    }
+    const known = RESTORE_ERRORS.get(err);
+    if (!known) {
+        logger.error('Restore failed:', err);
+    }
+    const [status, message] = known || [500, 'Could not restore'];
+    res.status(status).json({ error: message });
+};
+
+// The current user's trash, most recently deleted first
+app.get('/rest/trash', authenticate, requireTrash, async (req, res) => {
+    try {
+        res.json({ entries: await trash.list(req.davUser.username), retentionDays: trash.retentionDays });
+    } catch (err) {
+        logger.error('Error listing the trash:', err);
+        res.status(500).json({ error: 'Could not list the trash' });
+    }
+});
+
+// Put an entry back at its original path, or at { "path": "/elsewhere" }
+app.post('/rest/trash/:id/restore', authenticate, requireTrash, express.json({ limit: settings.limits.jsonBody }), async (req, res) => {
+    const destination = req.body && req.body.path ? normalizePath(req.body.path) : null;
+    if (destination && hasDotSegments(req.body.path)) {
+        res.status(400).json({ error: 'path must not contain "." or ".." segments' });
+        return;
+    }
+    try {
+        const entry = await davServers.restoreFromTrash(req.davUser, req.params.id, destination);
+        logger.info('Restored from trash:', { user: req.davUser.username, path: entry.restoredTo });
+        res.json(entry);
+    } catch (err) {
+        sendRestoreError(res, err, 'No such trash entry');
+    }
+});
+
+// Delete one entry, or the whole trash, for good
+app.delete('/rest/trash/:id', authenticate, requireTrash, async (req, res) => {
+    try {
+        if (!await trash.purge(req.davUser.username, req.params.id)) {
+            res.status(404).json({ error: 'No such trash entry' });
+            return;
+        }
+        res.sendStatus(204);
+    } catch (err) {
+        logger.error('Error purging a trash entry:', err);
+        res.status(500).json({ error: 'Could not purge the entry' });
+    }
+});
+
+app.delete('/rest/trash', authenticate, requireTrash, async (req, res) => {
+    try {
+        res.json({ purged: await trash.empty(req.davUser.username) });
+    } catch (err) {
+        logger.error('Error emptying the trash:', err);
+        res.status(500).json({ error: 'Could not empty the trash' });
+    }
+});
+
+// Most results /rest/search returns at once
+const SEARCH_MAX_LIMIT = 1000;
+
+// Longest name, type or text filter a search accepts
+const MAX_FILTER_LENGTH = 255;
+
+// Parse the filters of a search request; throws a message for invalid ones
+const searchFilters = (query) => {
+    const filters = {};
+    ['name', 'type', 'text'].forEach((key) => {
+        if (typeof query[key] === 'string' && query[key].trim() !== '') {
+            filters[key] = query[key].trim();
+            if (filters[key].length > MAX_FILTER_LENGTH) {
+                throw new Error(`${key} must be at most ${MAX_FILTER_LENGTH} characters`);
+            }
+        }
+    });
+    if (query.kind !== undefined && query.kind !== '') {
+        if (query.kind !== 'file' && query.kind !== 'folder') {
+            throw new Error('kind must be "file" or "folder"');
+        }
+        filters.kind = query.kind;
+    }
+    ['minSize', 'maxSize'].forEach((key) => {
+        if (query[key] !== undefined && query[key] !== '') {
+            const value = Number(query[key]);
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`${key} must be a number of bytes`);
+            }
+            filters[key] = value;
+        }
+    });
+    ['modifiedAfter', 'modifiedBefore'].forEach((key) => {
+        if (query[key] !== undefined && query[key] !== '') {
+            const value = new Date(query[key]);
+            if (Number.isNaN(value.getTime())) {
+                throw new Error(`${key} must be a date`);
+            }
+            filters[key] = value;
+        }
+    });
+    if (hasDotSegments(query.path)) {
+        throw new Error('path must not contain "." or ".." segments');
+    }
+    filters.under = normalizePath(query.path);
+    return filters;
+};
+
+// Search the user's files: see SearchIndex.search for the filters
+app.get('/rest/search', authenticate, async (req, res) => {
+    let filters;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
+    try {
+        filters = searchFilters(req.query);
+        if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+            throw new Error(`limit must be between 1 and ${SEARCH_MAX_LIMIT}`);
+        }
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+        return;
+    }
+
+    try {
+        const found = await search.search(davServers.rootFor(req.davUser), {
+            ...filters,
+            visible: (resourcePath) => acl.can(req.davUser, resourcePath, 'read')
+        }, limit);
+        res.json({ ...found, truncated: found.total > found.results.length });
+    } catch (err) {
+        logger.error('Error searching:', err);
+        res.status(500).json({ error: 'Search failed' });
+    }
+});
+
+// Comment line sent this often on idle event streams, so proxies keep them open
+const EVENTS_HEARTBEAT_MS = 25 * 1000;
+
+// Server-Sent Events stream of the changes at or below ?path= that the user
+// may read (see ChangeFeed). Reconnecting clients send Last-Event-ID to get
+// what they missed; a "reset" event tells them to reload instead, and
+// "status" events whether changes made on disk are watched.
+app.get('/rest/events', authenticate, (req, res) => {
+    const scope = normalizePath(req.query.path);
+    if (!acl.can(req.davUser, scope, 'read')) {
+        res.status(403).json({ error: 'Permission denied' });
+        return;
+    }
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const send = (change) => {
+        if (change.type === 'reset') {
+            res.write('event: reset\ndata: {}\n\n');
+            return;
+        }
+        if (change.type === 'status') {
+            res.write(`event: status\ndata: ${JSON.stringify({ diskChanges: change.diskChanges })}\n\n`);
+            return;
+        }
+        res.write(`id: ${change.id}\nevent: change\ndata: ${JSON.stringify(change)}\n\n`);
+    };
+    // Creates the user's root, so it can be watched
+    davServers.forUser(req.davUser);
+    const unsubscribe = changes.subscribe(davServers.rootFor(req.davUser), {
+        scope,
+        lastEventId: req.headers['last-event-id'] || null,
+        visible: (resourcePath) => acl.can(req.davUser, resourcePath, 'read')
+    }, send);
+
+    // Streams outlive access tokens; they end with the session instead
+    const heartbeat = setInterval(() => {
+        if (req.sessionId && !sessions.isLive(req.sessionId)) {
+            res.end();
+            return;
+        }
+        res.write(': ping\n\n');
+    }, EVENTS_HEARTBEAT_MS);
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+const requireVersions = (req, res, next) => {
+    if (!versions) {
+        res.status(404).json({ error: 'Versioning is disabled' });
+        return;
+    }
+    next();
+};
+
+// Largest file compared by /rest/versions/:id/diff
+const DIFF_MAX_BYTES = 1024 * 1024;
+
+// The ?path= of a versions request, if the user may read it
+const versionedPath = (req, res, right = 'read') => {
+    const target = normalizePath(req.query.path);
+    if (target === '/' || hasDotSegments(req.query.path)) {
+        res.status(400).json({ error: 'path must name a file' });
+        return null;
+    }
+    if (!acl.can(req.davUser, target, right)) {
+        res.status(403).json({ error: 'Permission denied' });
+        return null;
+    }
+    return target;
+};
+
+// Size and modification time of the current file, or null if it is gone
+const currentFile = async (root, target) => {
+    try {
+        const stats = await fs.promises.stat(path.join(root, target));
+        return stats.isFile() ? { size: stats.size, modified: stats.mtime.toISOString() } : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+// Versions of a file, newest first, with the current file for comparison
+app.get('/rest/versions', authenticate, requireVersions, async (req, res) => {
+    const target = versionedPath(req, res);
+    if (!target) {
+        return;
+    }
+    try {
+        const { scope, root } = davServers.versionScope(req.davUser);
+        res.json({
+            path: target,
+            current: await currentFile(root, target),
+            versions: await versions.list(scope, target),
+            maxVersions: versions.maxVersions,
+            maxAgeDays: versions.maxAgeDays
+        });
+    } catch (err) {
+        logger.error('Error listing versions:', err);
+        res.status(500).json({ error: 'Could not list the versions' });
+    }
+});
+
+// Contents of a version; ?download=1 saves it under the file's name
+app.get('/rest/versions/:id/content', authenticate, requireVersions, async (req, res) => {
+    const target = versionedPath(req, res);
+    if (!target) {
+        return;
+    }
+    let found;
+    try {
+        found = await versions.get(davServers.versionScope(req.davUser).scope, target, req.params.id);
+    } catch (err) {
+        logger.error('Error reading a version:', err);
+        res.status(500).json({ error: 'Could not read the version' });
+        return;
+    }
+    if (!found) {
+        res.status(404).json({ error: 'No such version' });
+        return;
+    }
+    const name = path.posix.basename(target);
+    res.type(path.extname(name) || 'application/octet-stream');
+    if (req.query.download) {
+        res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(name)}`);
+    }
+    res.sendFile(found.file);
+});
+
+// Unified diff of a text version against the current file, or against
+// another version with ?against=<id>
+app.get('/rest/versions/:id/diff', authenticate, requireVersions, async (req, res) => {
+    const target = versionedPath(req, res);
+    if (!target) {
+        return;
+    }
+    try {
+        const { scope, root } = davServers.versionScope(req.davUser);
+        const found = await versions.get(scope, target, req.params.id);
+        const against = req.query.against && req.query.against !== 'current'
+            ? await versions.get(scope, target, req.query.against)
+            : null;
+        if (!found || (req.query.against && req.query.against !== 'current' && !against)) {
+            res.status(404).json({ error: 'No such version' });
+            return;
+        }
+        const otherFile = against ? against.file : path.join(root, target);
+        if (!against && !await currentFile(root, target)) {
+            res.status(404).json({ error: 'The file no longer exists' });
+            return;
+        }
+        const sizes = await Promise.all([found.file, otherFile].map((file) => fs.promises.stat(file).then((stats) => stats.size)));
+        if (sizes.some((size) => size > DIFF_MAX_BYTES)) {
+            res.status(422).json({ error: `Only files up to ${DIFF_MAX_BYTES / 1024} KB can be compared` });
+            return;
+        }
+        const [oldContent, newContent] = await Promise.all([found.file, otherFile].map((file) => fs.promises.readFile(file)));
+        if (!isText(oldContent) || !isText(newContent)) {
+            res.status(415).json({ error: 'Only text files can be compared' });
+            return;
+        }
+        const diff = unifiedDiff(oldContent.toString('utf8'), newContent.toString('utf8'), {
+            oldLabel: `${target} (${found.version.savedAt})`,
+            newLabel: against ? `${target} (${against.version.savedAt})` : `${target} (current)`
+        });
+        if (diff === null) {
+            res.status(422).json({ error: 'The files are too different to compare' });
+            return;
+        }
+        res.type('text/plain').send(diff);
+    } catch (err) {
+        logger.error('Error comparing versions:', err);
+        res.status(500).json({ error: 'Could not compare the versions' });
+    }
+});
+
+// Replace the file with a version; the replaced contents become a version too
+app.post('/rest/versions/:id/restore', authenticate, requireVersions, async (req, res) => {
+    const target = versionedPath(req, res, 'write');
+    if (!target) {
+        return;
+    }
+    try {
+        const version = await davServers.restoreVersion(req.davUser, target, req.params.id);
+        logger.info('Restored version:', { user: req.davUser.username, path: target, savedAt: version.savedAt });
+        res.json(version);
+    } catch (err) {
+        sendRestoreError(res, err, 'No such version');
+    }
+});
+
+const requireUploads = (req, res, next) => {
+    if (!uploads) {
+        res.status(404).json({ error: 'Resumable uploads are disabled' });
+        return;
+    }
+    next();
+};
+
+// Status codes for the errors committing an upload can fail with
+const UPLOAD_ERRORS = new Map([
+    [Errors.NotEnoughPrivilege, [403, 'You may not write here']],
+    [Errors.Locked, [423, 'The file is locked']],
+    [Errors.IntermediateResourceMissing, [409, 'The parent folder does not exist']],
+    [Errors.ResourceAlreadyExists, [409, 'A folder exists at this path']],
+    [Errors.InsufficientStorage, [507, 'The upload would exceed a storage quota']],
+    [Errors.Forbidden, [403, 'Resumable uploads cannot go into a mount']]
+]);
+
+/**
+ * Whether completing an upload of `size` bytes to target would exceed a
+ * quota. Staged bytes live outside the user's root, so every open session
+ * of the user counts as if it were complete already.
+ */
+const uploadExceedsQuota = async (user, target, size, sessionId = null) => {
+    const root = davServers.rootFor(user);
+    const current = await fs.promises.stat(physicalPath(root, target)).catch(() => null);
+    const others = (await uploads.list(user.username))
+        .filter((session) => session.id !== sessionId)
+        .reduce((total, session) => total + session.size, 0);
+    return quotas.exceeded(user, root, target, size - (current && current.isFile() ? current.size : 0) + others);
+};
+
+// One of the user's upload sessions, or null after answering 404 or 500
+const findUpload = async (req, res) => {
+    let session = null;
+    try {
+        session = await uploads.get(req.params.id, req.davUser.username);
+    } catch (err) {
+        logger.error('Error reading an upload session:', err);
+        res.status(500).json({ error: 'Could not read the upload' });
+        return null;
+    }
+    if (!session) {
+        res.status(404).json({ error: 'No such upload; it may have expired' });
+    }
+    return session;
+};
+
+// The user's unfinished uploads, for resuming them
+app.get('/rest/uploads', authenticate, requireUploads, async (req, res) => {
+    try {
+        const sessions = await uploads.list(req.davUser.username);
+        res.json({ uploads: sessions.map((session) => uploads.summarize(session)), chunkSize: uploads.chunkSize });
+    } catch (err) {
+        logger.error('Error listing uploads:', err);
+        res.status(500).json({ error: 'Could not list uploads' });
+    }
+});
+
+// Start an upload: { path, size }
+app.post('/rest/uploads', authenticate, requireUploads, express.json({ limit: settings.limits.jsonBody }), async (req, res) => {
+    const { size } = req.body || {};
+    const target = normalizePath(req.body && req.body.path);
+    if (target === '/' || hasDotSegments(req.body.path)) {
+        res.status(400).json({ error: 'path must name a file' });
+        return;
+    }
+    if (!Number.isInteger(size) || size < 0) {
+        res.status(400).json({ error: 'size must be a number of bytes' });
+        return;
+    }
+    if (exceedsUploadLimit(size)) {
+        res.status(413).json({ error: `Files are limited to ${settings.limits.uploadSize} bytes` });
+        return;
+    }
+    if (!acl.can(req.davUser, target, 'write')) {
+        res.status(403).json({ error: 'You may not write here' });
+        return;
+    }
+
+    try {
+        if (await uploadExceedsQuota(req.davUser, target, size)) {
+            res.status(507).json({ error: 'The upload would exceed a storage quota' });
+            return;
+        }
+        const session = await uploads.create({ owner: req.davUser.username, path: target, size });
+        logger.info('Started upload:', { id: session.id, user: session.owner, path: target, size });
+        res.status(201).json(uploads.summarize(session));
+    } catch (err) {
+        if (err instanceof ChunkError) {
+            res.status(err.status).json({ error: err.message });
+            return;
+        }
+        logger.error('Error starting an upload:', err);
+        res.status(500).json({ error: 'Could not start the upload' });
+    }
+});
+
+app.get('/rest/uploads/:id', authenticate, requireUploads, async (req, res) => {
+    const session = await findUpload(req, res);
+    if (session) {
+        res.json(uploads.summarize(session));
+    }
+});
+
+// Send one chunk with "Content-Range: bytes <start>-<end>/<size>"
+app.put('/rest/uploads/:id', authenticate, requireUploads, async (req, res) => {
+    const range = parseContentRange(req.headers['content-range']);
+    if (!range) {
+        res.status(400).json({ error: 'A Content-Range: bytes <start>-<end>/<size> header is required' });
+        return;
+    }
+    try {
+        const session = await findUpload(req, res);
+        if (!session) {
+            return;
+        }
+        // Other writes may have used up the room this upload was started with
+        if (await uploadExceedsQuota(req.davUser, session.path, session.size, session.id)) {
+            res.status(507).json({ error: 'The upload would exceed a storage quota' });
+            return;
+        }
+        res.json(uploads.summarize(await uploads.writeChunk(session, range, req)));
+    } catch (err) {
+        if (err instanceof ChunkError) {
+            res.status(err.status).json({ error: err.message });
+            return;
+        }
+        if (!res.headersSent && !req.aborted) {
+            logger.error('Error writing an upload chunk:', err);
+            res.status(500).json({ error: 'Could not store the chunk' });
+        }
+    }
+});
+
+// Move a complete upload into place
+app.post('/rest/uploads/:id/complete', authenticate, requireUploads, async (req, res) => {
+    try {
+        const session = await findUpload(req, res);
+        if (!session) {
+            return;
+        }
+        if (session.received < session.size) {
+            res.status(409).json({ error: `Only ${session.received} of ${session.size} bytes have arrived`, received: session.received });
+            return;
+        }
+        await fs.promises.truncate(uploads.partFile(session.id), session.size);
+        await davServers.commitUpload(req.davUser, session.path, uploads.partFile(session.id), req.headers.if || null);
+        await uploads.remove(session.id);
+        logger.info('Completed upload:', { id: session.id, user: session.owner, path: session.path });
+        res.status(201).json({ path: session.path, size: session.size });
+    } catch (err) {
+        const known = UPLOAD_ERRORS.get(err);
+        if (!known) {
+            logger.error('Error completing an upload:', err);
+        }
+        const [status, message] = known || [500, 'Could not complete the upload'];
+        res.status(status).json({ error: message });
+    }
+});
+
+// Abandon an upload and its staged data
+app.delete('/rest/uploads/:id', authenticate, requireUploads, async (req, res) => {
+    const session = await findUpload(req, res);
+    if (!session) {
+        return;
+    }
+    try {
+        await uploads.remove(session.id);
+        res.sendStatus(204);
+    } catch (err) {
+        logger.error('Error discarding an upload:', err);
+        res.status(500).json({ error: 'Could not discard the upload' });
+    }
+});
+
+// Tokens of a session as sent to the client; the refresh token goes into a cookie
+const sendSession = (req, res, issued, user) => {
+    res.setHeader('Set-Cookie', refreshCookie(issued.refreshToken, sessions.refreshTtlSeconds, req.secure));
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+        accessToken: issued.accessToken,
+        tokenType: 'Bearer',
+        expiresIn: sessions.accessTtlSeconds,
+        session: issued.session,
+        user: { username: user.username, isAdministrator: !!user.isAdministrator }
+    });
+};
+
+// Log in and start a session: with { username, password } under the Basic
+// and Digest schemes, with the request's own credentials under the proxy and
+// module schemes (the identity is established in front of this server)
+app.post('/rest/auth/login', express.json({ limit: settings.limits.jsonBody }), (req, res) => {
+    const { username, password } = req.body || {};
+    const startSession = (err, user) => {
+        if (err) {
+            logger.error('Authentication error:', err);
+            res.status(500).json({ error: 'Authentication error' });
+            return;
+        }
+        if (!user) {
+            logger.info('Login failed:', { username });
+            res.status(401).json({ error: 'Invalid credentials' });
+            return;
+        }
+        const issued = sessions.create(user.username, { userAgent: req.headers['user-agent'] });
+        logger.info('Started session:', { user: user.username, session: issued.session.id });
+        sendSession(req, res, issued, user);
+    };
+
+    if (authScheme.name === 'proxy' || authScheme.name === 'module') {
+        authScheme.authenticate(req, startSession);
+        return;
+    }
+    if (typeof username !== 'string' || typeof password !== 'string' || !username) {
+        res.status(400).json({ error: 'username and password are required' });
+        return;
+    }
+    userStore.verify(username, password, startSession);
+});
+
+// New tokens for the session of the refresh cookie; the old refresh token stops working
+app.post('/rest/auth/refresh', (req, res) => {
+    const issued = sessions.refresh(readCookie(req, REFRESH_COOKIE));
+    if (!issued) {
+        res.setHeader('Set-Cookie', refreshCookie('', 0, req.secure));
+        res.status(401).json({ error: 'Session expired' });
+        return;
+    }
+    userStore.getUserByName(issued.session.username, (err, user) => {
+        if (err) {
+            sessions.revoke(issued.session.id, null);
+            res.setHeader('Set-Cookie', refreshCookie('', 0, req.secure));
+            res.status(401).json({ error: 'Session expired' });
+            return;
+        }
+        sendSession(req, res, issued, user);
+    });
+});
+
+// End the session of the refresh cookie (or of the bearer token) and clear the cookie
+app.post('/rest/auth/logout', (req, res) => {
+    const session = sessions.findByRefreshToken(readCookie(req, REFRESH_COOKIE));
+    const bearer = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    const claims = bearer && sessions.verifyAccessToken(bearer[1]);
+    const id = session ? session.id : claims && claims.sid;
+    if (id) {
+        sessions.revoke(id, null);
+        logger.info('Ended session:', { session: id });
+    }
+    res.setHeader('Set-Cookie', refreshCookie('', 0, req.secure));
+    res.sendStatus(204);
+});
+
+// The user's live sessions; `current` marks the one making the request
+app.get('/rest/auth/sessions', authenticate, (req, res) => {
+    res.json({
+        sessions: sessions.list(req.davUser.username)
+            .map((session) => ({ ...session, current: session.id === req.sessionId }))
+    });
+});
+
+// End one of the user's sessions, e.g. on a lost device
+app.delete('/rest/auth/sessions/:id', authenticate, (req, res) => {
+    if (!sessions.revoke(req.params.id, req.davUser.username)) {
+        res.status(404).json({ error: 'No such session' });
+        return;
+    }
+    res.sendStatus(204);
+});
+
+// Base of the public URLs of share links, as seen by the client
+const publicBase = (req) => `${req.protocol}://${req.get('host')}`;
+
+// The current user's active share links (?all=1: everybody's, for admins)
+app.get('/rest/shares', authenticate, (req, res) => {
+    const everybody = req.query.all && req.davUser.isAdministrator;
+    res.json({
+        shares: shares.list(everybody ? null : req.davUser.username)
+            .map((share) => ({ ...share, url: shareUrl(publicBase(req), share) }))
+    });
+});
+
+// Create a link: { path, mode: "read" | "upload", expiresIn (seconds), password, maxDownloads }
+app.post('/rest/shares', authenticate, express.json({ limit: settings.limits.jsonBody }), async (req, res) => {
+    const { mode = 'read', expiresIn, password, maxDownloads } = req.body || {};
+    const target = normalizePath(req.body && req.body.path);
+    if (target.split('/').some((segment) => segment === '..' || segment === '.')) {
+        res.status(400).json({ error: 'path must not contain "." or ".." segments' });
+        return;
+    }
+    if (!SHARE_MODES.includes(mode)) {
+        res.status(400).json({ error: `mode must be one of ${SHARE_MODES.join(', ')}` });
+        return;
+    }
+    if (expiresIn !== undefined && expiresIn !== null && !(Number.isInteger(expiresIn) && expiresIn > 0)) {
+        res.status(400).json({ error: 'expiresIn must be a positive number of seconds' });
+        return;
+    }
+    if (maxDownloads !== undefined && maxDownloads !== null && !(Number.isInteger(maxDownloads) && maxDownloads > 0)) {
+        res.status(400).json({ error: 'maxDownloads must be a positive integer' });
+        return;
+    }
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+        res.status(400).json({ error: 'password must be a string' });
+        return;
+    }
+    if (!acl.can(req.davUser, target, mode === 'upload' ? 'write' : 'read')) {
+        res.status(403).json({ error: `You need ${mode === 'upload' ? 'write' : 'read'} access to share this` });
+        return;
+    }
+
+    let stats;
+    try {
+        stats = await fs.promises.stat(physicalPath(davServers.rootFor(req.davUser), target));
+    } catch (err) {
+        res.status(404).json({ error: 'Not found' });
+        return;
+    }
+    if (mode === 'upload' && !stats.isDirectory()) {
+        res.status(400).json({ error: 'Upload links must point to a folder' });
+        return;
+    }
+
+    const share = shares.create({
+        owner: req.davUser.username,
+        path: target,
+        isDirectory: stats.isDirectory(),
+        mode,
+        expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+        password: password || null,
+        maxDownloads: mode === 'read' && maxDownloads ? maxDownloads : null
+    });
+    logger.info('Created share link:', { id: share.id, owner: share.owner, path: share.path, mode });
+    res.status(201).json({ ...share, url: shareUrl(publicBase(req), share) });
+});
+
+// Revoke a link; admins may revoke anybody's
+app.delete('/rest/shares/:id', authenticate, (req, res) => {
+    if (!shares.revoke(req.params.id, req.davUser.isAdministrator ? null : req.davUser.username)) {
+        res.status(404).json({ error: 'No such share link' });
+        return;
+    }
+    res.sendStatus(204);
+});
+
+// Hand a request to the user's WebDAV server, through the fault injector when
+// it is enabled; resourcePath is the path inside the user's root
+const executeDav = (req, res, resourcePath) => {
+    const run = () => davServers.forUser(req.davUser).executeRequest(req, res, '/api');
+    if (!faults) {
+        run();
+        return;
+    }
+    faults.apply(req, res, resourcePath, run);
+};
+
+// Signed, short-lived file URLs for downloads and media previews. Browsers
+// can't attach an Authorization header to <video>/<img> or a download link.
+app.get('/rest/file-url', authenticate, (req, res) => {
+    const target = normalizePath(req.query.path);
+    const token = urlSigner.sign({ user: req.davUser.username, path: target });
+    const name = encodeURIComponent(path.posix.basename(target));
+    const query = req.query.download ? '?download=1' : '';
+    res.json({ url: `/files/${token}/${name}${query}`, expiresIn: urlSigner.ttlSeconds });
+});
+
+app.get('/files/:token/:name', (req, res) => {
+    const claims = urlSigner.verify(req.params.token);
+    if (!claims) {
+        auditLog.note(req, 'debug', 'Rejected invalid or expired file URL');
+        res.status(403).json({ error: 'Invalid or expired link' });
+        return;
+    }
+
+    userStore.getUserByName(claims.user, (err, user) => {
+        if (err) {
+            res.status(403).json({ error: 'Invalid or expired link' });
+            return;
+        }
+
+        if (req.query.download) {
+            const name = path.posix.basename(claims.path);
+            res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(name)}`);
+        }
+
+        req.davUser = user;
+        req.url = claims.path.split('/').map(encodeURIComponent).join('/');
+        auditLog.note(req, 'debug', 'Signed file request', { user: user.username, file: claims.path });
+        executeDav(req, res, claims.path);
+    });
 });
 
 // Serve static files from the React app in production
 if (process.env.NODE_ENV === 'production') {
-    console.log('Serving static files from:', path.join(__dirname, 'public'));
+    logger.info('Serving static files from:', path.join(__dirname, 'public'));
     app.use(express.static(path.join(__dirname, 'public')));
 }
 
-// Mount WebDAV server
+// Mount WebDAV server. Express has already stripped the /api prefix from
+// req.url; passing it as the root path makes PROPFIND hrefs include it.
 app.use('/api', (req, res) => {
-    const originalUrl = req.url;
-    req.url = req.url.replace(/^\/api/, '') || '/';
-    
-    console.log('WebDAV request:', {
-        method: req.method,
-        originalUrl,
-        newUrl: req.url
-    });
-    
-    server.executeRequest(req, res);
+    auditLog.note(req, 'debug', 'WebDAV request', { user: req.davUser.username, davPath: redactUrl(req.url) });
+
+    let resourcePath = req.path;
+    try {
+        resourcePath = normalizePath(decodeURIComponent(req.path));
+    } catch (err) {
+        // Malformed escapes are the WebDAV server's to answer
+    }
+    executeDav(req, res, resourcePath);
 });
 
 // Handle React routing in production
@@ -105,12 +1348,45 @@ if (process.env.NODE_ENV === 'production') {
     });
 }
 
-// Start server
-const port = process.env.PORT || 8080;
-app.listen(port, () => {
-    console.log(`Server is running on port ${port}`);
-    console.log('Environment:', process.env.NODE_ENV);
-    if (process.env.NODE_ENV === 'production') {
-        console.log('Serving React app from:', path.join(__dirname, 'public'));
+// Start the HTTP and/or HTTPS listeners
+const logStartup = (protocol, listenPort) => {
+    logger.info(`Server is running on ${protocol}://localhost:${listenPort}`);
+};
+
+if (tlsMode !== 'on') {
+    http.createServer(app).listen(port, () => logStartup('http', port));
+}
+
+if (tlsMode !== 'off') {
+    let tlsOptions;
+    try {
+        tlsOptions = loadTlsOptions({
+            certFile: settings.tls.cert,
+            keyFile: settings.tls.key,
+            devCertDir: path.join(__dirname, 'certs'),
+            allowSelfSigned: process.env.NODE_ENV !== 'production'
+        });
+    } catch (err) {
+        logger.error('Cannot start the HTTPS listener:', err.message);
+        process.exit(1);
+    }
+    if (tlsOptions.selfSigned) {
+        logger.warn('Using a self-signed certificate; clients must be told to trust it');
     }
-}); 
\ No newline at end of file
+    https.createServer({ cert: tlsOptions.cert, key: tlsOptions.key }, app)
+        .listen(httpsPort, () => logStartup('https', httpsPort));
+}
+
+logger.info('Environment:', process.env.NODE_ENV);
+if (process.env.NODE_ENV === 'production') {
+    logger.info('Serving React app from:', path.join(__dirname, 'public'));
+}
+
+// Save locks and properties before the container stops
+['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.once(signal, () => {
+        logger.info(`Received ${signal}, saving WebDAV state`);
+        davServers.saveAll();
+        process.exit(0);
+    });
+});
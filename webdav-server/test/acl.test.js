@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const webdav = require('webdav-server').v2;
+const { Acl, AclPrivilegeManager, hasDotSegments, isWithin, normalizePath, pathPattern } = require('../lib/acl');
+
+const alice = { uid: 'alice', username: 'alice', isAdministrator: false };
+const bob = { uid: 'bob', username: 'bob', isAdministrator: false };
+const admin = { uid: 'root', username: 'root', isAdministrator: true };
+
+test('normalizePath and isWithin compare whole path segments', () => {
+    assert.equal(normalizePath('a//b/'), '/a/b');
+    assert.equal(normalizePath(''), '/');
+    assert.equal(normalizePath('\\a\\b'), '/a/b');
+    assert.ok(isWithin('/a/b', '/a'));
+    assert.ok(isWithin('/a', '/a'));
+    assert.ok(isWithin('/anything', '/'));
+    assert.ok(!isWithin('/ab', '/a'));
+});
+
+test('normalizePath resolves "." and ".." like the disk does', () => {
+    assert.equal(normalizePath('/public/../private/x.txt'), '/private/x.txt');
+    assert.equal(normalizePath('/a/./b/'), '/a/b');
+    assert.equal(normalizePath('/../../etc'), '/etc');
+});
+
+test('hasDotSegments finds raw and percent-encoded dot segments', () => {
+    assert.ok(hasDotSegments('/public/../private'));
+    assert.ok(hasDotSegments('/shared/%2e%2E/secret'));
+    assert.ok(hasDotSegments('/a/.%2e/b'));
+    assert.ok(hasDotSegments('http://localhost/api/a/./b'));
+    assert.ok(hasDotSegments('\\a\\..\\b'));
+    assert.ok(!hasDotSegments('/a/..b/.hidden/c.d'));
+    assert.ok(!hasDotSegments(undefined));
+});
+
+test('the rule with the longest matching path wins', () => {
+    const acl = new Acl({
+        rules: [
+            { path: '/', users: '*', rights: 'read' },
+            { path: '/team', users: '*', rights: 'all' },
+            { path: '/team/archive', users: '*', rights: 'read' }
+        ],
+        defaultRights: ['none']
+    });
+    assert.deepEqual(acl.rightsFor(alice, '/notes.txt'), ['read']);
+    assert.deepEqual(acl.rightsFor(alice, '/team/plan.txt'), ['read', 'write']);
+    assert.deepEqual(acl.rightsFor(alice, '/team/archive/2020/old.txt'), ['read']);
+    // "/teams" is not below "/team"
+    assert.deepEqual(acl.rightsFor(alice, '/teams/x'), ['read']);
+});
+
+test('a rule naming the user beats a "*" rule on the same path', () => {
+    const acl = new Acl({
+        rules: [
+            { path: '/private', users: '*', rights: 'none' },
+            { path: '/private', users: ['bob'], rights: 'all' }
+        ]
+    });
+    assert.deepEqual(acl.rightsFor(alice, '/private/a'), []);
+    assert.deepEqual(acl.rightsFor(bob, '/private/a'), ['read', 'write']);
+    assert.ok(acl.can(bob, '/private', 'write'));
+    assert.ok(!acl.can(alice, '/private', 'read'));
+});
+
+test('paths without a rule get the default rights, administrators get everything', () => {
+    const acl = new Acl({ rules: [{ path: '/shared', users: '*', rights: 'read' }], defaultRights: ['none'] });
+    assert.deepEqual(acl.rightsFor(alice, '/elsewhere'), []);
+    assert.deepEqual(acl.rightsFor(admin, '/elsewhere'), ['read', 'write']);
+    assert.deepEqual(new Acl().rightsFor(alice, '/x'), ['read', 'write']);
+});
+
+test('share principals only get the link mode right inside the shared path', () => {
+    const acl = new Acl();
+    const reader = { uid: 'share:1', share: { owner: alice, path: '/photos', mode: 'read' } };
+    const uploader = { uid: 'share:2', share: { owner: alice, path: '/inbox', mode: 'upload' } };
+    assert.deepEqual(acl.rightsFor(reader, '/photos/cat.jpg'), ['read']);
+    assert.deepEqual(acl.rightsFor(reader, '/documents'), []);
+    assert.deepEqual(acl.rightsFor(uploader, '/inbox/new.txt'), ['write']);
+});
+
+test('invalid rules are rejected', () => {
+    assert.throws(() => new Acl({ rules: [{ users: '*', rights: 'read' }] }), /has no "path"/);
+    assert.throws(() => new Acl({ rules: [{ path: '/', rights: 'admin' }] }), /Unknown ACL right/);
+});
+
+test('pathPattern matches "*" within a segment and "**" across segments', () => {
+    assert.ok(pathPattern('/videos/*.mp4').test('/videos/a.mp4'));
+    assert.ok(!pathPattern('/videos/*.mp4').test('/videos/sub/a.mp4'));
+    assert.ok(pathPattern('/videos/**').test('/videos'));
+    assert.ok(pathPattern('/videos/**').test('/videos/sub/a.mp4'));
+    assert.ok(pathPattern('/a/**/b').test('/a/b'));
+    assert.ok(pathPattern('/a/**/b').test('/a/x/y/b'));
+    assert.ok(pathPattern('/file?.txt').test('/file1.txt'));
+    assert.ok(!pathPattern('/file?.txt').test('/file10.txt'));
+});
+
+test('the privilege manager judges the path the disk serves, not the one requested', async () => {
+    const acl = new Acl({
+        rules: [
+            { path: '/', users: '*', rights: 'none' },
+            { path: '/public', users: '*', rights: 'all' }
+        ]
+    });
+    const manager = new AclPrivilegeManager(acl);
+    const can = (resourcePath, privilege) => new Promise((resolve, reject) => {
+        const resource = { context: { user: bob } };
+        manager.can(new webdav.Path(resourcePath), resource, privilege, (err, granted) => (err ? reject(err) : resolve(granted)));
+    });
+    assert.equal(await can('/public/x.txt', 'canReadContent'), true);
+    assert.equal(await can('/public/../private/x.txt', 'canReadContent'), false);
+    assert.equal(await can('/public/../private/x.txt', 'canWriteContent'), false);
+    assert.equal(await can('/private/../public/x.txt', 'canWriteContent'), true);
+});
+
+test('hidden paths are denied to everybody, administrators included', async () => {
+    const acl = new Acl();
+    acl.hide('/.webdav-shares.json');
+    acl.hide('/.webdav-state');
+    assert.deepEqual(acl.rightsFor(admin, '/.webdav-shares.json'), []);
+    assert.deepEqual(acl.rightsFor(alice, '/.webdav-state/shared.json.gz'), []);
+    assert.deepEqual(acl.rightsFor(alice, '/.webdav-state-notes'), ['read', 'write']);
+
+    const manager = new AclPrivilegeManager(acl);
+    const can = (user, resourcePath, privilege) => new Promise((resolve, reject) => {
+        manager.can(new webdav.Path(resourcePath), { context: { user } }, privilege, (err, granted) => (err ? reject(err) : resolve(granted)));
+    });
+    assert.equal(await can(admin, '/.webdav-shares.json', 'canReadContent'), false);
+    assert.equal(await can(admin, '/.webdav-state/x/../shared.json.gz', 'canWriteContent'), false);
+    assert.equal(await can(admin, '/notes.txt', 'canWriteContent'), true);
+});
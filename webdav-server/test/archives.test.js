@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { readTarIndex, readZipIndex } = require('../lib/archives');
+const { DavServerPool } = require('../lib/davServers');
+const { loadMounts } = require('../lib/mounts');
+const { UserStore } = require('../lib/users');
+
+/*
+ * The fixtures hold hello.txt (16 bytes), docs/readme.md ("Read me. " 200
+ * times) and a member named ../evil.txt that must not show up. sample.zip
+ * stores hello.txt and deflates readme.md; zip64.zip is the same files
+ * written by "zip -fz", with ZIP64 sizes and end records. sample.tar (GNU
+ * long names) and sample.tgz (pax headers) add a member whose path is over
+ * 100 bytes, and a symbolic link that is left out.
+ */
+const fixtures = path.join(__dirname, 'fixtures');
+const README = 'Read me. '.repeat(200);
+const LONG_PATH = `/deep/${'a-rather-long-folder-name/'.repeat(4)}notes.txt`;
+
+const alice = { uid: 'alice', username: 'alice', isAdministrator: false, isDefaultUser: false, home: 'alice' };
+
+// A WebDAV server for alice with every fixture mounted, and a memory mount of at most 1 KB
+const startServer = async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webdav-archives-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dataDir, 'alice'));
+
+    const mounts = loadMounts({
+        baseDir: fixtures,
+        specs: [
+            { path: '/zip', type: 'archive', source: 'sample.zip' },
+            { path: '/zip64', type: 'archive', source: 'zip64.zip' },
+            { path: '/tar', type: 'archive', source: 'sample.tar' },
+            { path: '/tgz', type: 'archive', source: 'sample.tgz' },
+            { path: '/scratch', type: 'memory', maxSize: '1KB' }
+        ]
+    });
+    const pool = new DavServerPool({ dataDir, userStore: new UserStore(), mounts });
+    const server = http.createServer((req, res) => {
+        req.davUser = alice;
+        pool.forUser(alice).executeRequest(req, res, '/api');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    return { url: `http://127.0.0.1:${server.address().port}`, home: path.join(dataDir, 'alice') };
+};
+
+const summary = (members) => members.map(({ path: memberPath, isDirectory, size }) => [memberPath, isDirectory, size]);
+
+test('ZIP members are listed from the central directory, ZIP64 included', () => {
+    assert.deepEqual(summary(readZipIndex(path.join(fixtures, 'sample.zip'))), [
+        ['/hello.txt', false, 16],
+        ['/docs/readme.md', false, README.length]
+    ]);
+    assert.deepEqual(summary(readZipIndex(path.join(fixtures, 'zip64.zip'))), [
+        ['/hello.txt', false, 16],
+        ['/docs', true, 0],
+        ['/docs/readme.md', false, README.length],
+        ['/empty', true, 0]
+    ]);
+    assert.throws(() => readZipIndex(path.join(fixtures, 'sample.tar')), /not a ZIP file/);
+});
+
+test('TAR members are listed with long names, gzipped or not', async () => {
+    const expected = [
+        ['/hello.txt', false, 16],
+        ['/docs', true, 0],
+        ['/docs/readme.md', false, README.length],
+        [LONG_PATH, false, 10]
+    ];
+    assert.deepEqual(summary(await readTarIndex(path.join(fixtures, 'sample.tar'))), expected);
+    assert.deepEqual(summary(await readTarIndex(path.join(fixtures, 'sample.tgz'))), expected);
+});
+
+test('archive members are read through the mounts', async (t) => {
+    const { url } = await startServer(t);
+    const read = async (resourcePath) => {
+        const response = await fetch(`${url}${resourcePath}`);
+        return [response.status, await response.text()];
+    };
+    for (const mount of ['/zip', '/zip64', '/tar', '/tgz']) {
+        assert.deepEqual(await read(`${mount}/hello.txt`), [200, 'Hello, archive!\n'], mount);
+        assert.deepEqual(await read(`${mount}/docs/readme.md`), [200, README], mount);
+    }
+    assert.deepEqual(await read(`/tar${LONG_PATH}`), [200, 'Long name\n']);
+    assert.deepEqual(await read(`/tgz${LONG_PATH}`), [200, 'Long name\n']);
+    assert.equal((await fetch(`${url}/zip/evil.txt`)).status, 404);
+    assert.equal((await fetch(`${url}/tar/link.txt`)).status, 404);
+
+    // Folders missing from the archive are made up from member paths
+    const listing = await (await fetch(`${url}/zip/`, { method: 'PROPFIND', headers: { Depth: '1' } })).text();
+    assert.match(listing, /\/api\/zip\/docs\//);
+    assert.match(listing, /\/api\/zip\/hello\.txt/);
+});
+
+test('archive mounts are read-only, but their files can be copied out', async (t) => {
+    const { url, home } = await startServer(t);
+    const request = (method, resourcePath, options = {}) => fetch(`${url}${resourcePath}`, { method, ...options });
+    assert.equal((await request('PUT', '/zip/new.txt', { body: 'x' })).status, 403);
+    assert.equal((await request('PUT', '/tgz/hello.txt', { body: 'x' })).status, 403);
+    assert.equal((await request('DELETE', '/tar/hello.txt')).status, 403);
+    assert.equal((await request('MKCOL', '/zip64/folder')).status, 403);
+    assert.equal((await request('MOVE', '/zip/hello.txt', { headers: { Destination: `${url}/api/moved.txt` } })).status, 403);
+    assert.equal((await request('GET', '/zip/hello.txt')).status, 200);
+
+    assert.equal((await request('COPY', '/zip/docs/readme.md', { headers: { Destination: `${url}/api/readme.md` } })).status, 201);
+    assert.equal(fs.readFileSync(path.join(home, 'readme.md'), 'utf8'), README);
+});
+
+test('a memory mount refuses writes past its size limit and keeps nothing of them', async (t) => {
+    const { url } = await startServer(t);
+    const put = (resourcePath, size) => fetch(`${url}${resourcePath}`, { method: 'PUT', body: 'x'.repeat(size) });
+    assert.equal((await put('/scratch/a.txt', 600)).status, 201);
+    assert.equal((await put('/scratch/b.txt', 600)).status, 507);
+    assert.equal((await fetch(`${url}/scratch/b.txt`)).status, 404);
+    // Replacing a file only counts its new size
+    assert.equal((await put('/scratch/a.txt', 1000)).status, 200);
+    assert.equal((await fetch(`${url}/scratch/a.txt`)).headers.get('content-length'), '1000');
+});
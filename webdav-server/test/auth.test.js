@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { DigestScheme, ModuleScheme, ProxyScheme, digestHa1 } = require('../lib/auth');
+const { UserStore, hashPassword } = require('../lib/users');
+
+const realm = 'Test realm';
+const userStore = new UserStore([{
+    username: 'alice',
+    passwordHash: hashPassword('secret'),
+    digestHa1: digestHa1('alice', realm, 'secret')
+}], { realm });
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+// Authenticate a request with a scheme; resolves to { user, stale }
+const authenticate = (scheme, req) => new Promise((resolve, reject) => {
+    scheme.authenticate(req, (err, user, stale) => (err ? reject(err) : resolve({ user: user || null, stale: !!stale })));
+});
+
+// A Digest request as a client answering a challenge with `nonce` sends it
+const digestRequest = ({ nonce, nc = '00000001', password = 'secret', method = 'GET', uri = '/api/a.txt' }) => {
+    const cnonce = 'abcdef';
+    const ha1 = digestHa1('alice', realm, password);
+    const response = md5(`${ha1}:${nonce}:${nc}:${cnonce}:auth:${md5(`${method}:${uri}`)}`);
+    return {
+        method,
+        url: uri,
+        headers: {
+            authorization: `Digest username="alice", realm="${realm}", nonce="${nonce}", uri="${uri}", `
+                + `qop=auth, nc=${nc}, cnonce="${cnonce}", response="${response}", algorithm=MD5`
+        }
+    };
+};
+
+const challengeNonce = (scheme) => /nonce="([^"]+)"/.exec(scheme.challenge())[1];
+
+test('digest: a valid response authenticates the user', async () => {
+    const scheme = new DigestScheme({ userStore, realm });
+    const { user, stale } = await authenticate(scheme, digestRequest({ nonce: challengeNonce(scheme) }));
+    assert.equal(user.username, 'alice');
+    assert.equal(stale, false);
+});
+
+test('digest: a wrong password or a tampered nonce is rejected without stale', async () => {
+    const scheme = new DigestScheme({ userStore, realm });
+    const nonce = challengeNonce(scheme);
+    assert.deepEqual(await authenticate(scheme, digestRequest({ nonce, password: 'wrong' })), { user: null, stale: false });
+    assert.deepEqual(await authenticate(scheme, digestRequest({ nonce: `${nonce.split('.')[0]}.forged` })), { user: null, stale: false });
+});
+
+test('digest: an expired nonce is answered with stale', async () => {
+    const scheme = new DigestScheme({ userStore, realm });
+    const timestamp = (Date.now() - 10 * 60 * 1000).toString(36);
+    const nonce = `${timestamp}.${scheme.sign(timestamp)}`;
+    assert.deepEqual(await authenticate(scheme, digestRequest({ nonce })), { user: null, stale: true });
+    assert.match(scheme.challenge(true), /stale=true/);
+});
+
+test('digest: a replay with the same or a lower nc is refused', async () => {
+    const scheme = new DigestScheme({ userStore, realm });
+    const nonce = challengeNonce(scheme);
+    assert.equal((await authenticate(scheme, digestRequest({ nonce, nc: '00000002' }))).user.username, 'alice');
+    assert.deepEqual(await authenticate(scheme, digestRequest({ nonce, nc: '00000002' })), { user: null, stale: true });
+    assert.deepEqual(await authenticate(scheme, digestRequest({ nonce, nc: '00000001' })), { user: null, stale: true });
+    assert.equal((await authenticate(scheme, digestRequest({ nonce, nc: '00000003' }))).user.username, 'alice');
+});
+
+test('proxy: the user header is believed from trusted addresses only', async () => {
+    const scheme = new ProxyScheme({ userStore, realm, trustedProxies: ['127.0.0.1', '10.1.0.0/16'] });
+    const request = (remoteAddress, username = 'alice') => ({
+        headers: { 'x-forwarded-user': username },
+        socket: { remoteAddress }
+    });
+    assert.equal((await authenticate(scheme, request('::ffff:127.0.0.1'))).user.username, 'alice');
+    assert.equal((await authenticate(scheme, request('10.1.2.3'))).user.username, 'alice');
+    assert.equal((await authenticate(scheme, request('10.2.0.1'))).user, null);
+    assert.equal((await authenticate(scheme, request('::1'))).user, null);
+    assert.equal((await authenticate(scheme, request('127.0.0.1', 'mallory'))).user, null);
+    assert.throws(() => new ProxyScheme({ userStore, trustedProxies: ['proxy.local'] }), /Invalid trusted proxy address/);
+});
+
+test('module: the verifier names the user, synchronously or not', async () => {
+    const verify = (req) => (req.headers['x-api-key'] === 'k1' ? Promise.resolve('alice') : null);
+    const scheme = new ModuleScheme({ userStore, realm, verifier: { verify, challenge: 'ApiKey' } });
+    assert.equal((await authenticate(scheme, { headers: { 'x-api-key': 'k1' } })).user.username, 'alice');
+    assert.equal((await authenticate(scheme, { headers: { 'x-api-key': 'k2' } })).user, null);
+    assert.equal(scheme.challenge(), 'ApiKey');
+
+    const unknownUser = new ModuleScheme({ userStore, realm, verifier: () => 'mallory' });
+    assert.equal((await authenticate(unknownUser, { headers: {} })).user, null);
+    assert.equal(unknownUser.challenge(), null);
+});
+
+test('module: a verifier that throws fails the request, and one without verify is refused', async () => {
+    const scheme = new ModuleScheme({ userStore, realm, verifier: () => { throw new Error('backend down'); } });
+    await assert.rejects(authenticate(scheme, { headers: {} }), /backend down/);
+    assert.throws(() => new ModuleScheme({ userStore, verifier: {} }), /verify function/);
+});
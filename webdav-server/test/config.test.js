@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig } = require('../lib/config');
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webdav-config-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+test('mounts and caching rules are parsed and kept as arrays', (t) => {
+    const { values } = loadConfig({
+        baseDir: tempDir(t),
+        env: {
+            WEBDAV_MOUNTS: '[{"path":"/scratch","type":"memory","maxSize":"1MB"}]',
+            WEBDAV_CACHE_RULES: '[{"path":"/public/**","cacheControl":"max-age=60"}]'
+        }
+    });
+    assert.deepEqual(values.mounts, [{ path: '/scratch', type: 'memory', maxSize: '1MB' }]);
+    assert.equal(values.cache.rules[0].cacheControl, 'max-age=60');
+});
+
+test('bad mounts, caching rules, users and session lifetimes are all reported at once', (t) => {
+    assert.throws(() => loadConfig({
+        baseDir: tempDir(t),
+        env: {
+            WEBDAV_MOUNTS: '[{"path":"/x","type":"bogus"}]',
+            WEBDAV_CACHE_RULES: '[{"cacheControl":""}]',
+            WEBDAV_USERS: 'bad user:pw',
+            WEBDAV_SESSION_TTL: '600',
+            WEBDAV_REFRESH_TTL: '60'
+        }
+    }), (err) => {
+        const lines = err.message.split('\n').slice(1).map((line) => line.trim());
+        assert.deepEqual(lines, [
+            'Invalid WEBDAV_USERS: Invalid username: "bad user"',
+            'Invalid WEBDAV_MOUNTS: Mount /x: "type" must be one of directory, memory, archive',
+            'Invalid WEBDAV_CACHE_RULES: Caching rule 0: cacheControl must be a header value',
+            'Invalid WEBDAV_REFRESH_TTL: refresh tokens must last at least WEBDAV_SESSION_TTL (600 seconds)'
+        ]);
+        return true;
+    });
+});
+
+test('users from the config file are checked too', (t) => {
+    const baseDir = tempDir(t);
+    fs.writeFileSync(path.join(baseDir, 'config.json'), JSON.stringify({ users: [{ username: 'alice' }] }));
+    assert.throws(() => loadConfig({ baseDir, env: {} }), /users in .*: User alice has neither "passwordHash" nor "password"/);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FaultInjector, FaultRuleError } = require('../lib/faults');
+
+const injector = (rules, random = () => 0) => new FaultInjector({ rules, random });
+
+test('rules with unknown fields are rejected', () => {
+    assert.throws(() => injector([{ method: ['GET'], status: 503 }]), {
+        name: 'Error',
+        message: 'Unknown rule field: method'
+    });
+    assert.throws(() => injector([{ status: 503, dealy: 100, user: ['bob'] }]), /Unknown rule fields: dealy, user/);
+    assert.throws(() => injector([]).addRule({ status: 503, probabilty: 0.5 }), FaultRuleError);
+});
+
+test('listed rules can be sent back as they are', () => {
+    const faults = injector([{ id: 'slow', delay: { min: 10, max: 20 } }]);
+    assert.deepEqual(faults.setRules(faults.list()), faults.list());
+});
+
+test('bad values and rules without a fault are rejected', () => {
+    const invalid = [
+        [{ probability: 2, status: 503 }, /probability/],
+        [{ methods: 'GET', status: 503 }, /methods and users must be arrays/],
+        [{ delay: { min: 50, max: 10 } }, /delay/],
+        [{ throttle: 0 }, /throttle/],
+        [{ status: 99 }, /status/],
+        [{ dropAfter: -1 }, /dropAfter/],
+        [{ path: '/videos/**' }, /at least one fault/]
+    ];
+    invalid.forEach(([rule, message]) => {
+        assert.throws(() => injector([rule]), (err) => err instanceof FaultRuleError && message.test(err.message));
+    });
+});
+
+test('ids must be unique, and a bad rule leaves the rules unchanged', () => {
+    const faults = injector([{ id: 'a', status: 503 }]);
+    assert.throws(() => faults.addRule({ id: 'a', status: 500 }), /already exists/);
+    assert.throws(() => faults.setRules([{ id: 'b', status: 500 }, { id: 'b', status: 502 }]), /unique/);
+    assert.throws(() => faults.setRules([{ id: 'c', status: 500 }, { method: ['GET'], status: 502 }]), FaultRuleError);
+    assert.deepEqual(faults.list().map((rule) => rule.id), ['a']);
+});
+
+test('rules match on method, path glob and user', () => {
+    const faults = injector([{ id: 'videos', methods: ['get'], path: '/videos/**', users: ['bob'], status: 503 }]);
+    assert.deepEqual(faults.pick('GET', '/videos/2024/a.mp4', 'bob').rules, ['videos']);
+    assert.equal(faults.pick('PUT', '/videos/a.mp4', 'bob'), null);
+    assert.equal(faults.pick('GET', '/docs/a.txt', 'bob'), null);
+    assert.equal(faults.pick('GET', '/videos/a.mp4', 'alice'), null);
+    assert.equal(faults.list()[0].injected, 1);
+});
+
+test('disabled rules and failed probability rolls inject nothing', () => {
+    assert.equal(injector([{ enabled: false, status: 503 }]).pick('GET', '/a', 'bob'), null);
+    const faults = injector([{ probability: 0.25, status: 503 }], () => 0.5);
+    assert.equal(faults.pick('GET', '/a', 'bob'), null);
+});
+
+test('faults of the rules that fire add up, and the earlier rule wins', () => {
+    const faults = injector([
+        { id: 'first', delay: 100, status: 503 },
+        { id: 'second', status: 500, corruptEtag: true },
+        { id: 'other-path', path: '/elsewhere', throttle: 10 }
+    ]);
+    const picked = faults.pick('GET', '/a', 'bob');
+    assert.deepEqual(picked.rules, ['first', 'second']);
+    assert.deepEqual(picked.delay, { min: 100, max: 100 });
+    assert.equal(picked.status, 503);
+    assert.equal(picked.throttle, null);
+    assert.equal(picked.corruptEtag, true);
+    assert.deepEqual(picked.names, ['delay', 'status', 'corruptEtag']);
+});
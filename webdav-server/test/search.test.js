@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SearchIndex, globMatcher } = require('../lib/search');
+
+// A WebDAV root on disk with the given files, removed after the test
+const createRoot = (t, files) => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'webdav-search-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    Object.keys(files).forEach((name) => {
+        fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+        fs.writeFileSync(path.join(root, name), files[name]);
+    });
+    return root;
+};
+
+const paths = ({ results }) => results.map((entry) => entry.path);
+
+test('globMatcher matches "*" and "?" case-insensitively', () => {
+    assert.ok(globMatcher('*.txt')('Notes.TXT'));
+    assert.ok(!globMatcher('*.txt')('notes.txt.bak'));
+    assert.ok(globMatcher('report-??.pdf')('report-01.pdf'));
+    assert.ok(!globMatcher('report-??.pdf')('report-1.pdf'));
+    assert.ok(globMatcher('a*b*c')('aXXbYYc'));
+    assert.ok(globMatcher('*')(''));
+    assert.ok(!globMatcher('a*')(''));
+});
+
+test('globMatcher without wildcards matches a substring', () => {
+    assert.ok(globMatcher('port')('Report.pdf'));
+    assert.ok(!globMatcher('port')('notes.txt'));
+});
+
+test('globMatcher takes linear time on patterns that backtrack', () => {
+    const name = 'a'.repeat(5000);
+    const started = Date.now();
+    assert.ok(!globMatcher(`${'*a'.repeat(100)}b`)(name));
+    assert.ok(!globMatcher(`${'*'.repeat(1000)}b`)(name));
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('search filters by name, kind, size and text', async (t) => {
+    const root = createRoot(t, {
+        'notes.txt': 'Meeting notes: budget review',
+        'docs/plan.txt': 'The plan',
+        'docs/budget.csv': 'item,cost',
+        'photo.jpg': Buffer.from([0xff, 0xd8, 0xff, 0x00])
+    });
+    const index = new SearchIndex();
+    assert.deepEqual(paths(await index.search(root, { name: '*.txt' })), ['/docs/plan.txt', '/notes.txt']);
+    assert.deepEqual(paths(await index.search(root, { kind: 'folder' })), ['/docs']);
+    assert.deepEqual(paths(await index.search(root, { type: 'image/*' })), ['/photo.jpg']);
+    assert.deepEqual(paths(await index.search(root, { minSize: 20 })), ['/notes.txt']);
+    assert.deepEqual(paths(await index.search(root, { name: 'budget', under: '/docs' })), ['/docs/budget.csv']);
+    const { results } = await index.search(root, { text: 'BUDGET' });
+    assert.deepEqual(results.map((entry) => entry.path), ['/notes.txt']);
+    assert.match(results[0].snippet, /budget review/);
+});
+
+test('text beyond the size caps is not indexed, and removing files gives the room back', async (t) => {
+    const root = createRoot(t, {
+        'a.txt': 'alpha alpha',
+        'b.txt': 'bravo bravo',
+        'big.txt': 'x'.repeat(100)
+    });
+    const index = new SearchIndex({ maxTextBytes: 50, maxIndexTextBytes: 15 });
+    await index.search(root);
+    assert.equal(index.textBytes, 11);
+    assert.equal((await index.search(root, { text: 'xxx' })).total, 0);
+
+    // Only one of the small files fits; the other is found by name only
+    const found = (await index.search(root, { text: 'alpha' })).total + (await index.search(root, { text: 'bravo' })).total;
+    assert.equal(found, 1);
+    assert.equal((await index.search(root, { name: '?.txt' })).total, 2);
+
+    await index.remove(root, '/a.txt');
+    await index.remove(root, '/b.txt');
+    assert.equal(index.textBytes, 0);
+});
+
+test('refresh and move keep the index in step with the disk', async (t) => {
+    const root = createRoot(t, { 'old.txt': 'hello' });
+    const index = new SearchIndex();
+    await index.search(root);
+
+    fs.writeFileSync(path.join(root, 'new.txt'), 'world');
+    await index.refresh(root, '/new.txt');
+    fs.renameSync(path.join(root, 'old.txt'), path.join(root, 'renamed.txt'));
+    await index.move(root, '/old.txt', '/renamed.txt');
+
+    assert.deepEqual(paths(await index.search(root)), ['/new.txt', '/renamed.txt']);
+    assert.deepEqual(paths(await index.search(root, { text: 'hello' })), ['/renamed.txt']);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionStore, loadSessions, readCookie, refreshCookie, REFRESH_COOKIE } = require('../lib/sessions');
+
+const secret = 'session-test-secret';
+
+test('refreshing rotates both tokens, and the old refresh token stops working', () => {
+    const store = new SessionStore({ secret });
+    const login = store.create('alice', { userAgent: 'test' });
+    const claims = store.verifyAccessToken(login.accessToken);
+    assert.equal(claims.sub, 'alice');
+    assert.equal(claims.sid, login.session.id);
+
+    const refreshed = store.refresh(login.refreshToken);
+    assert.equal(refreshed.session.id, login.session.id);
+    assert.notEqual(refreshed.refreshToken, login.refreshToken);
+    assert.equal(store.verifyAccessToken(refreshed.accessToken).sid, login.session.id);
+    assert.equal(store.refresh(login.refreshToken), null);
+    assert.notEqual(store.refresh(refreshed.refreshToken), null);
+});
+
+test('access tokens are refused once their session is revoked', () => {
+    const store = new SessionStore({ secret });
+    const login = store.create('alice');
+    const other = store.create('alice');
+
+    assert.equal(store.revoke(login.session.id, 'bob'), false);
+    assert.notEqual(store.verifyAccessToken(login.accessToken), null);
+    assert.equal(store.revoke(login.session.id, 'alice'), true);
+    assert.equal(store.verifyAccessToken(login.accessToken), null);
+    assert.equal(store.refresh(login.refreshToken), null);
+    assert.equal(store.revoke(login.session.id, 'alice'), false);
+    // Other sessions of the same user carry on
+    assert.equal(store.verifyAccessToken(other.accessToken).sid, other.session.id);
+    assert.deepEqual(store.list('alice').map((session) => session.id), [other.session.id]);
+});
+
+test('tokens of another secret or an expired session are refused', () => {
+    const store = new SessionStore({ secret });
+    const login = store.create('alice');
+    assert.equal(new SessionStore({ secret: 'other' }).verifyAccessToken(login.accessToken), null);
+
+    store.sessions.get(login.session.id).expiresAt = new Date(Date.now() - 1000).toISOString();
+    assert.equal(store.verifyAccessToken(login.accessToken), null);
+    assert.equal(store.refresh(login.refreshToken), null);
+});
+
+test('sessions survive a restart, and only refresh token hashes are saved', (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webdav-sessions-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    const settings = { dataDir, file: '.webdav-sessions.json', secret, ttl: 900, refreshTtl: 3600 };
+    const login = loadSessions(settings).create('alice');
+
+    assert.equal(fs.readFileSync(path.join(dataDir, '.webdav-sessions.json'), 'utf8').includes(login.refreshToken), false);
+    const restarted = loadSessions(settings);
+    assert.equal(restarted.verifyAccessToken(login.accessToken).sub, 'alice');
+    assert.notEqual(restarted.refresh(login.refreshToken), null);
+});
+
+test('the refresh cookie is read back from a Cookie header', () => {
+    const cookie = refreshCookie('a/b+c', 60, true);
+    assert.match(cookie, /HttpOnly; SameSite=Strict; Secure$/);
+    const req = { headers: { cookie: `other=1; ${cookie.split(';')[0]}` } };
+    assert.equal(readCookie(req, REFRESH_COOKIE), 'a/b+c');
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const webdav = require('webdav-server').v2;
+const { Acl, AclPrivilegeManager } = require('../lib/acl');
+const { ShareStore, sharePrincipal } = require('../lib/shares');
+const { includesFirstByte } = require('../lib/ranges');
+
+const alice = { uid: 'alice', username: 'alice', isAdministrator: false, home: 'alice' };
+
+// Whether a link principal holds a privilege on a path, asked as webdav-server asks
+const linkCan = (mode, resourcePath, privilege) => new Promise((resolve, reject) => {
+    const principal = sharePrincipal({ id: '1', path: '/shared', mode }, alice);
+    const resource = { context: { user: principal } };
+    new AclPrivilegeManager(new Acl()).can(new webdav.Path(resourcePath), resource, privilege,
+        (err, granted) => (err ? reject(err) : resolve(granted)));
+});
+
+const createShare = (store, options = {}) => {
+    const { id } = store.create({ owner: 'alice', path: '/report.pdf', isDirectory: false, mode: 'read', ...options });
+    return Array.from(store.shares.values()).find((share) => share.id === id);
+};
+
+test('takeDownload stops at maxDownloads', () => {
+    const store = new ShareStore();
+    const share = createShare(store, { maxDownloads: 2 });
+    assert.equal(typeof store.takeDownload(share), 'function');
+    assert.equal(typeof store.takeDownload(share), 'function');
+    assert.equal(store.takeDownload(share), false);
+    assert.equal(share.downloads, 2);
+});
+
+test('a failed download can be given back once', () => {
+    const store = new ShareStore();
+    const share = createShare(store, { maxDownloads: 1 });
+    const giveBack = store.takeDownload(share);
+    giveBack();
+    giveBack();
+    assert.equal(share.downloads, 0);
+    assert.equal(typeof store.takeDownload(share), 'function');
+    assert.equal(store.takeDownload(share), false);
+});
+
+test('links without maxDownloads are never used up', () => {
+    const store = new ShareStore();
+    const share = createShare(store);
+    for (let i = 0; i < 5; i++) {
+        assert.equal(typeof store.takeDownload(share), 'function');
+    }
+    assert.equal(share.downloads, 0);
+});
+
+test('expired links are reported and pruned', () => {
+    const store = new ShareStore();
+    const share = createShare(store, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+    assert.ok(store.expired(share));
+    assert.deepEqual(store.list('alice'), []);
+    assert.equal(store.find(share.token), null);
+});
+
+test('ranges that start at the first byte count as downloads', () => {
+    assert.ok(includesFirstByte('bytes=0-', 100));
+    assert.ok(includesFirstByte('bytes=0-0', 100));
+    assert.ok(includesFirstByte('bytes=50-60, 0-10', 100));
+    // A suffix range covering the whole file
+    assert.ok(includesFirstByte('bytes=-100', 100));
+    assert.ok(includesFirstByte('bytes=-500', 100));
+    // Not a byte range, or malformed: the whole file is sent
+    assert.ok(includesFirstByte('items=5-10', 100));
+    assert.ok(includesFirstByte('bytes=x-10', 100));
+});
+
+test('ranges after the first byte do not count as downloads', () => {
+    assert.ok(!includesFirstByte('bytes=1-', 100));
+    assert.ok(!includesFirstByte('bytes=50-99', 100));
+    assert.ok(!includesFirstByte('bytes=-99', 100));
+});
+
+test('read links cannot leave the shared folder through ".."', async () => {
+    assert.equal(await linkCan('read', '/shared/a.txt', 'canReadContent'), true);
+    assert.equal(await linkCan('read', '/shared/../secret/s.txt', 'canReadContent'), false);
+    assert.equal(await linkCan('read', '/shared/../secret', 'canReadProperties'), false);
+    assert.equal(await linkCan('read', '/shared/a.txt', 'canWriteContent'), false);
+});
+
+test('upload links cannot write outside the shared folder through ".."', async () => {
+    assert.equal(await linkCan('upload', '/shared/new.txt', 'canWriteContent'), true);
+    assert.equal(await linkCan('upload', '/shared/../secret/new.txt', 'canWriteContent'), false);
+    assert.equal(await linkCan('upload', '/shared/sub/../../secret/new.txt', 'canWriteContent'), false);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { DavServerPool } = require('../lib/davServers');
+const { UserStore } = require('../lib/users');
+
+const alice = { uid: 'alice', username: 'alice', isAdministrator: false, isDefaultUser: false, home: 'alice' };
+
+// A WebDAV server for alice over a scratch home with a.txt and b.txt. As
+// behind Express, request URLs come without the /api prefix.
+const startServer = async (t) => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webdav-transfers-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    fs.mkdirSync(path.join(dataDir, 'alice'));
+    fs.writeFileSync(path.join(dataDir, 'alice', 'a.txt'), 'new');
+    fs.writeFileSync(path.join(dataDir, 'alice', 'b.txt'), 'old');
+
+    const pool = new DavServerPool({ dataDir, userStore: new UserStore() });
+    const server = http.createServer((req, res) => {
+        req.davUser = alice;
+        pool.forUser(alice).executeRequest(req, res, '/api');
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+    return { url: `http://127.0.0.1:${server.address().port}`, home: path.join(dataDir, 'alice') };
+};
+
+const transfer = (url, method, from, to, headers = {}) => fetch(`${url}${from}`, {
+    method,
+    headers: { 'Destination': `${url}/api${to}`, ...headers }
+});
+
+test('COPY and MOVE replace an existing destination when Overwrite is missing', async (t) => {
+    const { url, home } = await startServer(t);
+    assert.equal((await transfer(url, 'COPY', '/a.txt', '/b.txt')).status, 204);
+    assert.equal(fs.readFileSync(path.join(home, 'b.txt'), 'utf8'), 'new');
+
+    fs.writeFileSync(path.join(home, 'b.txt'), 'old');
+    assert.equal((await transfer(url, 'MOVE', '/a.txt', '/b.txt')).status, 204);
+    assert.equal(fs.readFileSync(path.join(home, 'b.txt'), 'utf8'), 'new');
+    assert.ok(!fs.existsSync(path.join(home, 'a.txt')));
+});
+
+test('Overwrite: F keeps an existing destination', async (t) => {
+    const { url, home } = await startServer(t);
+    assert.equal((await transfer(url, 'COPY', '/a.txt', '/b.txt', { 'Overwrite': 'F' })).status, 412);
+    assert.equal((await transfer(url, 'MOVE', '/a.txt', '/b.txt', { 'Overwrite': 'F' })).status, 412);
+    assert.equal(fs.readFileSync(path.join(home, 'b.txt'), 'utf8'), 'old');
+    assert.equal((await transfer(url, 'COPY', '/a.txt', '/c.txt', { 'Overwrite': 'F' })).status, 201);
+});
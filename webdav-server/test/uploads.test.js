@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const webdav = require('webdav-server').v2;
+const { ChunkError, UploadSessions, parseContentRange } = require('../lib/uploads');
+const { DavServerPool } = require('../lib/davServers');
+const { UserStore } = require('../lib/users');
+
+const alice = { uid: 'alice', username: 'alice', isAdministrator: false, isDefaultUser: false, home: 'alice' };
+const bob = { uid: 'bob', username: 'bob', isAdministrator: false, isDefaultUser: false, home: 'bob' };
+
+// A scratch directory, removed after the test
+const scratch = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webdav-uploads-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const chunk = (text) => Readable.from([Buffer.from(text)]);
+
+// Stage `text` completely in a new session of owner
+const stage = async (uploads, owner, resourcePath, text) => {
+    const session = await uploads.create({ owner, path: resourcePath, size: text.length });
+    await uploads.writeChunk(session, { start: 0, end: text.length - 1, total: text.length }, chunk(text));
+    return uploads.partFile(session.id);
+};
+
+// Take an exclusive write lock on a resource for user; resolves to its token
+const lock = (pool, user, resourcePath) => new Promise((resolve, reject) => {
+    const server = pool.forUser(user);
+    const ctx = server.createExternalContext({ user });
+    server.getResource(ctx, resourcePath, (err, resource) => {
+        if (err) {
+            return reject(err);
+        }
+        const kind = new webdav.LockKind(webdav.LockScope.Exclusive, webdav.LockType.Write, 60);
+        const newLock = new webdav.Lock(kind, user, user.username);
+        resource.lockManager((lmErr, lockManager) => {
+            if (lmErr) {
+                return reject(lmErr);
+            }
+            lockManager.setLock(newLock, (setErr) => (setErr ? reject(setErr) : resolve(newLock.uuid)));
+        });
+    });
+});
+
+test('parseContentRange accepts only complete, ordered ranges', () => {
+    assert.deepEqual(parseContentRange('bytes 0-9/100'), { start: 0, end: 9, total: 100 });
+    assert.equal(parseContentRange('bytes 10-9/100'), null);
+    assert.equal(parseContentRange('bytes 0-100/100'), null);
+    assert.equal(parseContentRange('bytes 0-9/*'), null);
+    assert.equal(parseContentRange(undefined), null);
+});
+
+test('chunks are written in order and may be resent', async (t) => {
+    const uploads = new UploadSessions({ dir: scratch(t), chunkSize: 4 });
+    const session = await uploads.create({ owner: 'alice', path: '/a.txt', size: 10 });
+
+    await uploads.writeChunk(session, { start: 0, end: 3, total: 10 }, chunk('abcd'));
+    await assert.rejects(uploads.writeChunk(session, { start: 6, end: 9, total: 10 }, chunk('ghij')), { status: 409 });
+    await assert.rejects(uploads.writeChunk(session, { start: 4, end: 8, total: 10 }, chunk('efghi')), { status: 413 });
+    // Resending the last chunk overlaps what is already stored
+    await uploads.writeChunk(session, { start: 2, end: 5, total: 10 }, chunk('cdef'));
+    await uploads.writeChunk(session, { start: 6, end: 9, total: 10 }, chunk('ghij'));
+
+    assert.equal((await uploads.get(session.id, 'alice')).received, 10);
+    assert.equal(fs.readFileSync(uploads.partFile(session.id), 'utf8'), 'abcdefghij');
+});
+
+test('a chunk must hold as many bytes as its range says', async (t) => {
+    const uploads = new UploadSessions({ dir: scratch(t) });
+    const session = await uploads.create({ owner: 'alice', path: '/a.txt', size: 4 });
+    await assert.rejects(uploads.writeChunk(session, { start: 0, end: 3, total: 4 }, chunk('abcdef')), ChunkError);
+    await assert.rejects(uploads.writeChunk(session, { start: 0, end: 3, total: 4 }, chunk('ab')), { status: 400 });
+});
+
+test('sessions belong to their owner and are limited per owner', async (t) => {
+    const uploads = new UploadSessions({ dir: scratch(t), maxSessions: 2 });
+    const first = await uploads.create({ owner: 'alice', path: '/1', size: 1 });
+    await uploads.create({ owner: 'alice', path: '/2', size: 1 });
+    await assert.rejects(uploads.create({ owner: 'alice', path: '/3', size: 1 }), { status: 429 });
+    await uploads.create({ owner: 'bob', path: '/1', size: 1 });
+
+    assert.equal(await uploads.get(first.id, 'bob'), null);
+    assert.equal((await uploads.list('alice')).length, 2);
+    await uploads.remove(first.id);
+    assert.equal((await uploads.list('alice')).length, 1);
+    await uploads.create({ owner: 'alice', path: '/3', size: 1 });
+});
+
+test('idle sessions expire', async (t) => {
+    const uploads = new UploadSessions({ dir: scratch(t), expiryHours: 1 });
+    const session = await uploads.create({ owner: 'alice', path: '/a', size: 1 });
+    assert.equal(await uploads.purgeExpired(Date.now() + 2 * 60 * 60 * 1000), 1);
+    assert.equal(await uploads.get(session.id, 'alice'), null);
+    assert.ok(!fs.existsSync(uploads.partFile(session.id)));
+});
+
+test('commitUpload moves the staged file into place', async (t) => {
+    const dir = scratch(t);
+    const pool = new DavServerPool({ dataDir: path.join(dir, 'data'), userStore: new UserStore() });
+    const uploads = new UploadSessions({ dir: path.join(dir, 'staging') });
+    fs.mkdirSync(path.join(dir, 'data', 'alice', 'docs'), { recursive: true });
+
+    const staged = await stage(uploads, 'alice', '/docs/a.txt', 'hello');
+    await pool.commitUpload(alice, '/docs/a.txt', staged);
+    assert.equal(fs.readFileSync(path.join(dir, 'data', 'alice', 'docs', 'a.txt'), 'utf8'), 'hello');
+    assert.ok(!fs.existsSync(staged));
+
+    const orphan = await stage(uploads, 'alice', '/missing/a.txt', 'hello');
+    await assert.rejects(pool.commitUpload(alice, '/missing/a.txt', orphan), (err) => err === webdav.Errors.IntermediateResourceMissing);
+});
+
+test('commitUpload needs the token of the user\'s own lock and refuses other users\' locks', async (t) => {
+    const dir = scratch(t);
+    const pool = new DavServerPool({ dataDir: path.join(dir, 'data'), userStore: new UserStore(), homeMode: 'shared' });
+    const uploads = new UploadSessions({ dir: path.join(dir, 'staging') });
+    fs.mkdirSync(path.join(dir, 'data'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'data', 'a.txt'), 'old');
+    const token = await lock(pool, alice, '/a.txt');
+
+    const staged = await stage(uploads, 'alice', '/a.txt', 'new');
+    await assert.rejects(pool.commitUpload(alice, '/a.txt', staged), (err) => err === webdav.Errors.Locked);
+    await assert.rejects(pool.commitUpload(bob, '/a.txt', staged, `(<${token}>)`), (err) => err === webdav.Errors.Locked);
+    assert.equal(fs.readFileSync(path.join(dir, 'data', 'a.txt'), 'utf8'), 'old');
+
+    await pool.commitUpload(alice, '/a.txt', staged, `(<${token}>)`);
+    assert.equal(fs.readFileSync(path.join(dir, 'data', 'a.txt'), 'utf8'), 'new');
+});